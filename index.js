@@ -0,0 +1,68 @@
+/**
+ * Photo Workflow - Library entry point
+ *
+ * Embeds the pipeline in other Node programs. Requiring it parses no command
+ * line and never exits the process; runs resolve with their results:
+ *
+ *   const workflow = require('photo-workflow-cli');
+ *
+ *   workflow.events.on('stageComplete', ({ stage, rebuild }) => console.log(stage, rebuild));
+ *   const results = await workflow.runPipeline({ input: '/shoots/smith', output: '/shoots/smith-output' });
+ *
+ * runStage() and runPipeline() share one default PhotoWorkflow, which is also
+ * exported as `events`. Create your own PhotoWorkflow for separate listeners
+ * or a custom stage registry. Settings such as API keys come from the
+ * `settings` run option, the pipeline file and process.env; load your .env
+ * file before running stages that call Gemini or Imagen.
+ */
+
+const PhotoWorkflow = require('./lib/photoWorkflow');
+const StageOrchestrator = require('./lib/stageOrchestrator');
+const StageRegistry = require('./lib/stageRegistry');
+const AuditLogger = require('./lib/auditLogger');
+const PipelineConfig = require('./lib/pipelineConfig');
+const StageHooks = require('./lib/stageHooks');
+const Settings = require('./lib/settings');
+const ProjectManifest = require('./lib/projectManifest');
+const BatchQueue = require('./lib/batchQueue');
+const JobManager = require('./lib/jobManager');
+const JobServer = require('./lib/jobServer');
+
+const IngestStage = require('./stages/ingestStage');
+const ConvertStage = require('./stages/convertStage');
+const CullStage = require('./stages/cullStage');
+const GroupStage = require('./stages/groupStage');
+const SocialSelectStage = require('./stages/socialSelectStage');
+const ImagenUploadStage = require('./stages/imagenUploadStage');
+const ImagenDownloadStage = require('./stages/imagenDownloadStage');
+const FinalizeStage = require('./stages/finalizeStage');
+
+const defaultWorkflow = new PhotoWorkflow();
+
+module.exports = {
+  runStage: (stageName, options) => defaultWorkflow.runStage(stageName, options),
+  runPipeline: (options) => defaultWorkflow.runPipeline(options),
+  events: defaultWorkflow,
+  RUN_ALL: PhotoWorkflow.RUN_ALL,
+
+  PhotoWorkflow,
+  StageOrchestrator,
+  StageRegistry,
+  AuditLogger,
+  PipelineConfig,
+  StageHooks,
+  Settings,
+  ProjectManifest,
+  BatchQueue,
+  JobManager,
+  JobServer,
+
+  IngestStage,
+  ConvertStage,
+  CullStage,
+  GroupStage,
+  SocialSelectStage,
+  ImagenUploadStage,
+  ImagenDownloadStage,
+  FinalizeStage
+};
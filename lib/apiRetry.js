@@ -0,0 +1,87 @@
+/**
+ * API Retry - Retries for Gemini and Imagen requests
+ *
+ * Runs one HTTP request (a function returning the axios promise) and repeats
+ * it after network errors, timeouts, rate limiting (429) and server errors
+ * (5xx), up to maxApiRetries times, waiting apiRetryDelay before the first
+ * retry and doubling the wait each time. Other failures, such as a rejected
+ * API key or a malformed request, are thrown at once. Every retry is logged
+ * as an api_retry warning.
+ *
+ * Each retry is another paid request, so callers pass beforeRetry to reserve
+ * it in the run's budget; when that throws, the retries stop. A request that
+ * starts paid work and is not idempotent (an Imagen upload) is only repeated
+ * when the server certainly did not act on it: it answered 429, or was never
+ * reached. After a timeout or a dropped connection it may have.
+ */
+
+// Network errors raised before a request reaches the server
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Check whether a request failed without telling whether the server acted
+ * on it: it timed out or lost its connection after being sent
+ */
+function isOutcomeUnknown(error) {
+  return Boolean(error.isAxiosError) && !error.response &&
+    error.code !== 'ERR_CANCELED' && !NOT_SENT_CODES.includes(error.code);
+}
+
+/**
+ * Check whether a failed request is worth repeating
+ */
+function isRetryable(error, { idempotent = true } = {}) {
+  if (!error.isAxiosError || error.code === 'ERR_CANCELED') {
+    return false;
+  }
+
+  const status = error.response?.status;
+
+  if (!idempotent) {
+    return status === 429 || (!error.response && NOT_SENT_CODES.includes(error.code));
+  }
+
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Run a request with the settings' retries; resolves with its response
+ */
+async function withRetry(request, { settings, auditLogger = null, operation, signal = null, idempotent = true, beforeRetry = null }) {
+  const retries = settings.get('maxApiRetries');
+  const delay = settings.get('apiRetryDelay');
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt > retries || !isRetryable(error, { idempotent }) || signal?.aborted) {
+        throw error;
+      }
+
+      // Reserve the repeat in the budget before waiting for it
+      beforeRetry?.();
+
+      const wait = delay * 2 ** (attempt - 1);
+      auditLogger?.logEvent('api_retry', {
+        operation,
+        attempt,
+        retriesLeft: retries - attempt,
+        wait,
+        status: error.response?.status || null,
+        reason: error.message
+      }, 'warn');
+
+      await new Promise(resolve => setTimeout(resolve, wait));
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+  isRetryable,
+  isOutcomeUnknown
+};
@@ -2,19 +2,36 @@
  * Comprehensive Audit Logger for Photo Workflow CLI
  * 
  * Logs all decisions, errors, fallbacks, and processing events
- * in structured JSON format for analysis and debugging.
+ * in structured JSON format for analysis and debugging. Every entry is
+ * also emitted as an 'entry' event, so live views (the job server's event
+ * stream) can follow a run as it happens. Critical errors are also sent to
+ * the run's notifier, if it has one. Stages report how far they have got
+ * with logProgress(), which drives the terminal progress view.
+ *
+ * The settings decide what is kept: entries below auditLogLevel are emitted
+ * but not written, enableDetailedAudit=false writes only summaries and
+ * errors, and operations slower than slowOperationThreshold are logged as
+ * warnings while enablePerformanceMonitoring is on.
  */
 
+const { EventEmitter } = require('events');
 const fs = require('fs-extra');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const chalk = require('chalk');
+const Settings = require('./settings');
 
-class AuditLogger {
+const LEVEL_RANKS = { debug: 0, info: 1, warn: 2, error: 3, critical: 4 };
+
+class AuditLogger extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.outputDir = options.outputDir || './output';
     this.stageName = options.stageName || 'unknown';
     this.verbose = options.verbose || false;
+    this.notifier = options.notifier || null;
+    this.settings = options.settings || Settings.resolve();
+    this.minimumRank = LEVEL_RANKS[this.settings.get('auditLogLevel')];
     this.sessionId = uuidv4();
     this.startTime = new Date();
     
@@ -30,6 +47,7 @@ class AuditLogger {
     this.decisions = [];
     this.fallbacks = [];
     this.performance = [];
+    this.hooks = [];
     
     // Performance tracking
     this.stageStartTime = null;
@@ -83,6 +101,12 @@ class AuditLogger {
       memoryUsage: this.getMemoryUsage()
     };
 
+    // Live views see every entry; the logs keep those at auditLogLevel or above
+    this.emit('entry', logEntry);
+    if ((LEVEL_RANKS[level] ?? LEVEL_RANKS.info) < this.minimumRank) {
+      return;
+    }
+
     this.logs.push(logEntry);
     
     if (this.verbose) {
@@ -154,6 +178,13 @@ class AuditLogger {
       context: Object.keys(context).length > 0 ? context : null
     }, severity);
 
+    if (severity === 'critical') {
+      this.notifier?.notify('critical_error', error.message, {
+        stage: this.stageName,
+        context: Object.keys(context).length > 0 ? context : null
+      }, error);
+    }
+
     if (this.verbose || severity === 'critical') {
       console.error(chalk.red(`[ERROR] ${error.message}`));
       if (context.file) {
@@ -198,10 +229,36 @@ class AuditLogger {
     }
   }
 
+  /**
+   * Log a stage hook run: { stage, when, hook, type, ok, exitCode, duration,
+   * stdout, stderr, returned, error }
+   */
+  logHook(run) {
+    const hookRun = {
+      id: uuidv4(),
+      sessionId: this.sessionId,
+      timestamp: new Date().toISOString(),
+      ...run
+    };
+
+    this.hooks.push(hookRun);
+
+    this.logEvent('hook_run', run, run.ok ? 'info' : 'error');
+
+    if (this.verbose) {
+      const color = run.ok ? chalk.cyan : chalk.red;
+      console.log(color(`[HOOK] ${run.stage} ${run.when}: ${run.hook} (${run.ok ? 'ok' : run.error})`));
+    }
+  }
+
   /**
    * Log performance metrics
    */
   logPerformance(operation, duration, metadata = {}) {
+    if (!this.settings.get('enablePerformanceMonitoring')) {
+      return;
+    }
+
     const perfEntry = {
       id: uuidv4(),
       sessionId: this.sessionId,
@@ -221,6 +278,15 @@ class AuditLogger {
       metadata
     }, 'info');
 
+    const threshold = this.settings.get('slowOperationThreshold');
+    if (threshold > 0 && duration >= threshold) {
+      this.logEvent('slow_operation', {
+        operation,
+        duration,
+        threshold
+      }, 'warn');
+    }
+
     if (this.verbose) {
       console.log(chalk.magenta(`[PERF] ${operation}: ${duration}ms`));
       if (Object.keys(metadata).length > 0) {
@@ -229,6 +295,14 @@ class AuditLogger {
     }
   }
 
+  /**
+   * Log how far the current stage has got: { done, total, unit, current,
+   * kept, culled }. Fields left out keep their last reported value.
+   */
+  logProgress(progress) {
+    this.logEvent('progress', progress, 'debug');
+  }
+
   /**
    * Start timing an operation
    */
@@ -287,6 +361,7 @@ class AuditLogger {
       totalErrors: this.errors.length,
       totalDecisions: this.decisions.length,
       totalFallbacks: this.fallbacks.length,
+      totalHooks: this.hooks.length,
       performanceMetrics: this.performance.length,
       summary,
       stats: {
@@ -294,9 +369,22 @@ class AuditLogger {
         avgOperationTime: this.performance.length > 0 
           ? this.performance.reduce((sum, p) => sum + p.duration, 0) / this.performance.length 
           : 0,
-        memoryPeakUsage: Math.max(...this.logs.map(l => l.memoryUsage?.heapUsed || 0))
+        memoryPeakUsage: Math.max(0, ...this.logs.map(l => l.memoryUsage?.heapUsed || 0))
       }
     };
+
+    if (this.settings.get('includeDebugInfo')) {
+      stageSummary.debug = {
+        settings: this.settings.toJSON(),
+        environment: {
+          nodeVersion: process.version,
+          platform: process.platform,
+          arch: process.arch,
+          cwd: process.cwd(),
+          argv: process.argv.slice(2)
+        }
+      };
+    }
     
     this.logEvent('stage_end', {
       stage: this.stageName,
@@ -316,17 +404,21 @@ class AuditLogger {
   }
 
   /**
-   * Write logs to file
+   * Write logs to file (only the error log without enableDetailedAudit)
    */
   async flushLogs() {
     try {
-      // Write main log file
-      await fs.writeJson(this.logFile, this.logs, { spaces: 2 });
-      
       // Write error log file if there are errors
       if (this.errors.length > 0) {
         await fs.writeJson(this.errorLogFile, this.errors, { spaces: 2 });
       }
+
+      if (!this.settings.get('enableDetailedAudit')) {
+        return;
+      }
+
+      // Write main log file
+      await fs.writeJson(this.logFile, this.logs, { spaces: 2 });
       
       // Write structured data files
       const structuredData = {
@@ -337,7 +429,8 @@ class AuditLogger {
         errors: this.errors,
         decisions: this.decisions,
         fallbacks: this.fallbacks,
-        performance: this.performance
+        performance: this.performance,
+        hooks: this.hooks
       };
       
       const structuredFile = path.join(this.logDir, `${this.stageName}-structured.json`);
@@ -408,6 +501,7 @@ class AuditLogger {
       totalErrors: this.errors.length,
       totalDecisions: this.decisions.length,
       totalFallbacks: this.fallbacks.length,
+      totalHooks: this.hooks.length,
       sessionDuration: Date.now() - this.startTime.getTime(),
       errorRate: this.logs.length > 0 ? (this.errors.length / this.logs.length) * 100 : 0
     };
@@ -0,0 +1,482 @@
+/**
+ * Batch Queue - Several shoots processed one after another
+ *
+ * The queue file (photo-workflow.queue.json) lists shoots waiting to be
+ * processed, each an input folder with its own output directory. A runner
+ * takes them highest priority first (then oldest first) and runs the full
+ * pipeline for each with its own StageOrchestrator and audit logger, so logs
+ * and checkpoints of different shoots never mix. Pausing stops the current
+ * shoot after its current stage, batch or file; resuming continues from its
+ * checkpoints. When the runner stops it writes one combined summary.
+ *
+ * Every change is a read-modify-write of the queue file made while holding
+ * a lock file beside it (photo-workflow.queue.json.lock), so shoots can be
+ * added, reprioritised or paused from another terminal while a runner works
+ * without either overwriting the other's change. A lock left behind by a
+ * process that has died is taken over.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { RUN_ALL, loadRunContext, createRun, executeRun, summarizeResults, outputsOverlap } = require('./workflowRunner');
+
+const QUEUE_FILE = 'photo-workflow.queue.json';
+const SUMMARY_FILE = 'photo-workflow.queue-summary.json';
+const PAUSED_REASON = 'Queue paused';
+
+// How often a waiting process retries the lock, and how long a lock file
+// without a readable pid (one being written) is trusted
+const LOCK_RETRY_MS = 25;
+const UNREADABLE_LOCK_MS = 10000;
+
+class BatchQueue {
+  constructor(options = {}) {
+    this.queuePath = path.resolve(options.queuePath || QUEUE_FILE);
+    this.summaryPath = path.join(path.dirname(this.queuePath), SUMMARY_FILE);
+    this.registry = options.registry;
+    this.verbose = options.verbose || false;
+    this.pollInterval = (options.pollInterval ?? 2) * 1000;
+    this.lockPath = `${this.queuePath}.lock`;
+    this.lockTimeout = (options.lockTimeout ?? 30) * 1000;
+
+    this.controller = null;
+    this.stopping = false;
+    this.updating = Promise.resolve();
+  }
+
+  /**
+   * Read the queue file (an empty queue if there is none yet)
+   */
+  async load() {
+    if (!await fs.pathExists(this.queuePath)) {
+      return { paused: false, runner: null, nextId: 1, jobs: [] };
+    }
+
+    try {
+      return await fs.readJson(this.queuePath);
+    } catch (error) {
+      throw new Error(`Could not read queue file ${this.queuePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply a change to the queue file; returns whatever the change returns.
+   * Changes from this process are applied one at a time, and the lock file
+   * keeps other processes out while each is made.
+   */
+  update(change) {
+    const next = this.updating.then(() => this.applyUpdate(change));
+    this.updating = next.catch(() => {});
+    return next;
+  }
+
+  /**
+   * Read, change and write the queue file
+   */
+  async applyUpdate(change) {
+    await this.lock();
+
+    try {
+      const state = await this.load();
+      const value = await change(state);
+
+      // Write then rename, so a reader never sees half a file
+      const tempPath = `${this.queuePath}.tmp`;
+      await fs.writeJson(tempPath, state, { spaces: 2 });
+      await fs.move(tempPath, this.queuePath, { overwrite: true });
+
+      return value;
+    } finally {
+      await fs.remove(this.lockPath);
+    }
+  }
+
+  /**
+   * Create the lock file, waiting while another live process holds it and
+   * taking it over from one that has died
+   */
+  async lock() {
+    const deadline = Date.now() + this.lockTimeout;
+    await fs.ensureDir(path.dirname(this.lockPath));
+
+    for (;;) {
+      try {
+        await fs.writeFile(this.lockPath, JSON.stringify({ pid: process.pid, lockedAt: new Date().toISOString() }), { flag: 'wx' });
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const holder = await this.readLock();
+
+      if (holder?.stale) {
+        // Only remove the lock that was found stale, not one taken since
+        if (await fs.readFile(this.lockPath, 'utf8').catch(() => null) === holder.content) {
+          await fs.remove(this.lockPath);
+        }
+        continue;
+      }
+
+      if (holder && Date.now() >= deadline) {
+        throw new Error(`The queue file is locked by process ${holder.pid ?? 'unknown'}; if no queue command is running, remove ${this.lockPath}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+
+  /**
+   * The current lock holder: { pid, content, stale }, or null when the lock
+   * was released in the meantime
+   */
+  async readLock() {
+    let content;
+    let stats;
+
+    try {
+      content = await fs.readFile(this.lockPath, 'utf8');
+      stats = await fs.stat(this.lockPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    let pid = null;
+    try {
+      pid = JSON.parse(content).pid;
+    } catch {
+      // Still being written by the process that created it
+    }
+
+    const stale = Number.isInteger(pid)
+      ? pid !== process.pid && !this.isProcessAlive(pid)
+      : Date.now() - stats.mtimeMs > UNREADABLE_LOCK_MS;
+
+    return { pid, content, stale };
+  }
+
+  /**
+   * Add shoots: [{ input, output?, name?, priority?, config?, project? }].
+   * input may be a shoot folder or its project file. Each output directory
+   * must be distinct from every other queued shoot's.
+   */
+  async add(entries) {
+    const resolved = [];
+
+    for (const original of entries) {
+      // A project file stands for the shoot folder it sits in
+      const entry = { ...original };
+      if (path.extname(entry.input).toLowerCase() === '.json' && (await fs.stat(entry.input).catch(() => null))?.isFile()) {
+        entry.project = entry.project || entry.input;
+        entry.input = path.dirname(entry.input);
+      }
+
+      // Default output sits beside the input: /shoots/smith -> /shoots/smith-output
+      entry.output = entry.output || `${path.resolve(entry.input)}-output`;
+
+      // Fails early on a missing input or a bad pipeline or project file
+      const context = await loadRunContext(entry, this.registry);
+      const priority = Number(entry.priority ?? 0);
+
+      if (!Number.isInteger(priority)) {
+        throw new Error(`Priority must be a whole number, got ${entry.priority}`);
+      }
+
+      resolved.push({
+        name: entry.name || path.basename(context.inputDir),
+        input: context.inputDir,
+        output: context.outputDir,
+        config: entry.config ? path.resolve(entry.config) : null,
+        project: context.project?.source || null,
+        priority
+      });
+    }
+
+    return this.update(state => {
+      const taken = [...state.jobs];
+
+      for (const job of resolved) {
+        const clash = taken.find(other => outputsOverlap(other.output, job.output));
+        if (clash) {
+          throw new Error(`Output ${job.output} overlaps the output of queued shoot #${clash.id} (${clash.name}); give each shoot its own output directory, or remove #${clash.id} first`);
+        }
+        taken.push(job);
+      }
+
+      const added = resolved.map(job => ({
+        id: state.nextId++,
+        ...job,
+        status: 'pending',
+        addedAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        result: null,
+        error: null
+      }));
+
+      state.jobs.push(...added);
+      return added;
+    });
+  }
+
+  /**
+   * Remove a shoot that is not running
+   */
+  async remove(jobId) {
+    return this.update(state => {
+      const job = this.findJob(state, jobId);
+
+      if (job.status === 'running') {
+        throw new Error(`Shoot #${job.id} is running; pause the queue first`);
+      }
+
+      state.jobs = state.jobs.filter(other => other !== job);
+      return job;
+    });
+  }
+
+  /**
+   * Put a failed shoot back in the queue; it resumes from its checkpoints
+   */
+  async retry(jobId) {
+    return this.update(state => {
+      const job = this.findJob(state, jobId);
+
+      if (job.status !== 'failed') {
+        throw new Error(`Shoot #${job.id} is ${job.status}; only failed shoots can be retried`);
+      }
+
+      Object.assign(job, { status: 'pending', error: null, finishedAt: null });
+      return job;
+    });
+  }
+
+  /**
+   * Change a shoot's priority (higher runs first)
+   */
+  async setPriority(jobId, priority) {
+    if (!Number.isInteger(priority)) {
+      throw new Error(`Priority must be a whole number, got ${priority}`);
+    }
+
+    return this.update(state => {
+      const job = this.findJob(state, jobId);
+      job.priority = priority;
+      return job;
+    });
+  }
+
+  /**
+   * Ask the runner to stop after its current stage
+   */
+  async pause() {
+    return this.update(state => {
+      state.paused = true;
+      return state.runner;
+    });
+  }
+
+  /**
+   * Clear the pause flag so a runner can continue
+   */
+  async resume() {
+    return this.update(state => {
+      state.paused = false;
+    });
+  }
+
+  /**
+   * Pending shoots in the order they will run
+   */
+  getPendingJobs(state) {
+    return state.jobs
+      .filter(job => job.status === 'pending')
+      .sort((a, b) => b.priority - a.priority || a.id - b.id);
+  }
+
+  /**
+   * Run pending shoots one after another until the queue is empty or paused.
+   * Resolves with the combined summary. callbacks: onJobStart(job),
+   * onJobEnd(job), and onStageStart / onStageComplete with the orchestrator's
+   * stage events.
+   */
+  async run(runOptions = {}, callbacks = {}) {
+    await this.update(state => {
+      if (state.runner && state.runner.pid !== process.pid && this.isProcessAlive(state.runner.pid)) {
+        throw new Error(`The queue is already being run by process ${state.runner.pid}`);
+      }
+
+      if (state.paused) {
+        throw new Error('The queue is paused; resume it to continue');
+      }
+
+      // A runner that died mid-shoot leaves it "running"; retry it
+      for (const job of state.jobs) {
+        if (job.status === 'running') job.status = 'pending';
+      }
+
+      state.runner = { pid: process.pid, startedAt: new Date().toISOString() };
+    });
+
+    try {
+      while (!this.stopping) {
+        const state = await this.load();
+        const next = this.getPendingJobs(state)[0];
+
+        if (state.paused || !next) {
+          break;
+        }
+
+        callbacks.onJobStart?.(next);
+        const job = await this.runJob(next, runOptions, callbacks);
+        callbacks.onJobEnd?.(job);
+      }
+    } finally {
+      await this.update(state => {
+        state.runner = null;
+      });
+    }
+
+    return this.writeSummary();
+  }
+
+  /**
+   * Run one shoot's pipeline, stopping early if the queue is paused
+   */
+  async runJob(job, runOptions, callbacks = {}) {
+    this.controller = new AbortController();
+    const startedAt = new Date().toISOString();
+
+    await this.update(state => {
+      Object.assign(this.findJob(state, job.id), { status: 'running', startedAt, finishedAt: null, error: null });
+    });
+
+    // Another terminal pauses the queue by writing the queue file
+    const pauseWatch = setInterval(async () => {
+      try {
+        if ((await this.load()).paused) this.controller.abort(new Error(PAUSED_REASON));
+      } catch {
+        // Unreadable mid-write; check again next time
+      }
+    }, this.pollInterval);
+
+    let outcome;
+
+    try {
+      const context = await loadRunContext({ ...job, prices: runOptions.prices, notify: runOptions.notify, settings: runOptions.settings }, this.registry);
+      const run = {
+        ...context,
+        ...runOptions,
+        settings: context.settings,
+        mock: runOptions.mock || context.settings.get('enableMockAi'),
+        stage: RUN_ALL
+      };
+      const { auditLogger, orchestrator } = createRun(run, {
+        registry: this.registry,
+        verbose: this.verbose,
+        signal: this.controller.signal
+      });
+      orchestrator.on('stageStart', event => callbacks.onStageStart?.(event));
+      orchestrator.on('stageComplete', event => callbacks.onStageComplete?.(event));
+
+      try {
+        const results = await executeRun(run, orchestrator);
+        outcome = { status: 'succeeded', result: summarizeResults(orchestrator, results), error: null };
+      } finally {
+        await auditLogger.flushLogs();
+        await orchestrator.notifier.flush();
+      }
+    } catch (error) {
+      outcome = this.controller.signal.aborted
+        ? { status: 'pending', result: null, error: `${this.controller.signal.reason.message}; resumes from its checkpoints` }
+        : { status: 'failed', result: null, error: error.message };
+    } finally {
+      clearInterval(pauseWatch);
+      this.controller = null;
+    }
+
+    return this.update(state => {
+      const current = this.findJob(state, job.id);
+      Object.assign(current, outcome, { finishedAt: outcome.status === 'pending' ? null : new Date().toISOString() });
+      return current;
+    });
+  }
+
+  /**
+   * Pause from this process (Ctrl+C): stop the current shoot and the runner
+   */
+  async stop() {
+    this.stopping = true;
+    await this.pause();
+    this.controller?.abort(new Error(PAUSED_REASON));
+  }
+
+  /**
+   * Write the combined summary of every shoot in the queue
+   */
+  async writeSummary() {
+    const state = await this.load();
+    const count = status => state.jobs.filter(job => job.status === status).length;
+
+    const summary = {
+      generatedAt: new Date().toISOString(),
+      queueFile: this.queuePath,
+      paused: state.paused,
+      totals: {
+        shoots: state.jobs.length,
+        succeeded: count('succeeded'),
+        failed: count('failed'),
+        pending: count('pending'),
+        filesProcessed: state.jobs.reduce((sum, job) =>
+          sum + Object.values(job.result || {}).reduce((stageSum, stage) => stageSum + stage.filesProcessed, 0), 0)
+      },
+      shoots: state.jobs.map(job => ({
+        id: job.id,
+        name: job.name,
+        priority: job.priority,
+        status: job.status,
+        input: job.input,
+        output: job.output,
+        logs: path.join(job.output, 'logs'),
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        duration: job.startedAt && job.finishedAt ? Date.parse(job.finishedAt) - Date.parse(job.startedAt) : null,
+        stages: job.result,
+        error: job.error
+      }))
+    };
+
+    await fs.writeJson(this.summaryPath, summary, { spaces: 2 });
+    return summary;
+  }
+
+  /**
+   * Look up a shoot by id
+   */
+  findJob(state, jobId) {
+    const job = state.jobs.find(candidate => candidate.id === Number(jobId));
+
+    if (!job) {
+      throw new Error(`No shoot #${jobId} in ${this.queuePath}`);
+    }
+
+    return job;
+  }
+
+  /**
+   * Check whether a runner process still exists
+   */
+  isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+}
+
+BatchQueue.QUEUE_FILE = QUEUE_FILE;
+BatchQueue.SUMMARY_FILE = SUMMARY_FILE;
+
+module.exports = BatchQueue;
@@ -0,0 +1,100 @@
+/**
+ * Budget Tracker - Hard limits on paid AI calls for one run
+ *
+ * Stages reserve each paid request (a Gemini batch, an Imagen upload, and
+ * every retry of one) before making it. Once the next request would take the
+ * run past --max-cost or --max-calls, reserve() throws a BudgetExceededError
+ * instead, so the stage stops before spending. Work finished before that point stays checkpointed
+ * and the stage is not marked complete, so the next run carries on from there.
+ * Units reused from checkpoints cost nothing and are never reserved.
+ */
+
+const { getDefaultPrices, costOf, formatCost } = require('./pricing');
+
+class BudgetExceededError extends Error {
+  constructor(message, usage) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.code = 'BUDGET_EXCEEDED';
+    this.usage = usage;
+  }
+}
+
+class BudgetTracker {
+  constructor(options = {}) {
+    this.prices = options.prices || getDefaultPrices();
+    this.maxCost = options.maxCost ?? null;
+    this.maxCalls = options.maxCalls ?? null;
+
+    this.calls = 0;
+    this.cost = 0;
+    // service -> { calls, images, cost }
+    this.services = {};
+  }
+
+  /**
+   * Check whether any limit is set
+   */
+  isLimited() {
+    return this.maxCost !== null || this.maxCalls !== null;
+  }
+
+  /**
+   * Reserve a paid request before making it; throws BudgetExceededError if
+   * it would go over a limit
+   */
+  reserve(service, { calls = 1, images = 0 } = {}, auditLogger = null) {
+    const cost = costOf(this.prices, service, { calls, images });
+
+    if (this.maxCalls !== null && this.calls + calls > this.maxCalls) {
+      this.refuse(`the call limit of ${this.maxCalls} is reached (${this.calls} made)`, service, auditLogger);
+    }
+
+    // Tolerance keeps float rounding from refusing a request that fits exactly
+    if (this.maxCost !== null && this.cost + cost > this.maxCost + 1e-9) {
+      this.refuse(`the next ${service} request (${formatCost(this.prices, cost)}) would exceed the budget of ${formatCost(this.prices, this.maxCost)} (${formatCost(this.prices, this.cost)} spent)`, service, auditLogger);
+    }
+
+    const spent = this.services[service] || (this.services[service] = { calls: 0, images: 0, cost: 0 });
+    spent.calls += calls;
+    spent.images += images;
+    spent.cost += cost;
+    this.calls += calls;
+    this.cost += cost;
+
+    return cost;
+  }
+
+  /**
+   * Log the refusal and stop the stage
+   */
+  refuse(reason, service, auditLogger) {
+    const usage = this.getUsage();
+
+    auditLogger?.logDecision('budget_reached',
+      { service, ...usage },
+      'stopped',
+      `Stopping before the next paid request: ${reason}`
+    );
+
+    throw new BudgetExceededError(`Budget reached: ${reason}. Completed work is checkpointed; raise the limit and rerun to continue`, usage);
+  }
+
+  /**
+   * Calls and estimated cost so far, with the limits
+   */
+  getUsage() {
+    return {
+      calls: this.calls,
+      cost: this.cost,
+      currency: this.prices.currency,
+      maxCalls: this.maxCalls,
+      maxCost: this.maxCost,
+      services: JSON.parse(JSON.stringify(this.services))
+    };
+  }
+}
+
+BudgetTracker.BudgetExceededError = BudgetExceededError;
+
+module.exports = BudgetTracker;
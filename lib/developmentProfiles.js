@@ -0,0 +1,334 @@
+/**
+ * Development Profiles - How full RAW conversion develops a file
+ *
+ * A profile sets the white balance, highlight recovery, output colour space,
+ * output format, exposure compensation and noise reduction the RAW decoder
+ * is run with. The built-in profiles below cover the usual cases; a studio
+ * adds its own, and assigns profiles to camera bodies, in a JSON or YAML file
+ * named by the developmentProfilesPath setting:
+ *
+ *   profiles:
+ *     studio:
+ *       whiteBalance: custom
+ *       multipliers: [2.05, 1, 1.42, 1]
+ *       exposure: 0.3
+ *   cameras:
+ *     ILCE-7RM4: retouch
+ *     Canon EOS R6: studio
+ *
+ * A file's profile is the one named for the run (convert --profile or the
+ * pipeline's `profile` option), else the one assigned to its camera (matched
+ * on the EXIF model, with or without the make), else the
+ * developmentProfile setting. Settings a profile leaves out take the values
+ * in BASE_PROFILE, which develop like dcraw's defaults. Only the `default`
+ * profile uses a RAW file's embedded JPEG when it has one; the others always
+ * develop the RAW data, since a preview has none of their settings applied.
+ * (A tiff16 profile's TIFF is developed; the JPEG convert writes beside it
+ * for culling is the embedded one where there is one.)
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_PROFILE = 'default';
+
+const WHITE_BALANCE = ['camera', 'auto', 'custom'];
+const COLOR_SPACES = ['sRGB', 'AdobeRGB', 'ProPhoto'];
+const OUTPUTS = ['jpeg', 'tiff16'];
+
+// The settings a profile develops with, as reported when a decoder ignores some
+const DEVELOP_SETTINGS = ['whiteBalance', 'highlights', 'colorSpace', 'output', 'exposure', 'noiseThreshold'];
+
+// highlights is dcraw's -H level: 0 clips, 1 leaves unclipped, 2 blends and
+// 3-9 rebuild; exposure is in stops; noiseThreshold is dcraw's wavelet
+// denoising threshold (0 is off, 100-1000 is useful)
+const BASE_PROFILE = {
+  description: null,
+  whiteBalance: 'camera',
+  multipliers: null,
+  highlights: 0,
+  colorSpace: 'sRGB',
+  output: 'jpeg',
+  exposure: 0,
+  noiseThreshold: 0,
+  embeddedPreview: false
+};
+
+const BUILT_IN_PROFILES = {
+  default: {
+    description: 'Embedded JPEG where there is one, else an sRGB JPEG with camera white balance',
+    embeddedPreview: true
+  },
+  full: {
+    description: 'Always develop the RAW data into an sRGB JPEG with camera white balance'
+  },
+  retouch: {
+    description: '16-bit ProPhoto TIFF with blended highlights, for retouching',
+    highlights: 2,
+    colorSpace: 'ProPhoto',
+    output: 'tiff16'
+  },
+  'low-light': {
+    description: 'sRGB JPEG with noise reduction and blended highlights, for high ISO',
+    highlights: 2,
+    noiseThreshold: 300
+  }
+};
+
+const PROFILE_KEYS = Object.keys(BASE_PROFILE);
+
+class DevelopmentProfileError extends Error {
+  constructor(source, errors) {
+    const details = errors.map(e => `  - ${e.key}: ${e.message}`).join('\n');
+    super(`Invalid development profile file ${source}:\n${details}`);
+    this.name = 'DevelopmentProfileError';
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+class DevelopmentProfiles {
+  constructor(options = {}) {
+    // Profile name -> complete profile, built-ins included
+    this.profiles = options.profiles || DevelopmentProfiles.getBuiltInProfiles();
+    // Normalized camera name -> profile name
+    this.cameras = options.cameras || {};
+    this.source = options.source || null;
+  }
+
+  /**
+   * The built-in profiles, filled in from BASE_PROFILE
+   */
+  static getBuiltInProfiles() {
+    return Object.fromEntries(Object.entries(BUILT_IN_PROFILES)
+      .map(([name, profile]) => [name, { name, ...BASE_PROFILE, ...profile }]));
+  }
+
+  /**
+   * Load a JSON or YAML profile file over the built-in profiles; without a
+   * file, just the built-ins
+   */
+  static async load(filePath = null) {
+    if (!filePath) {
+      return new DevelopmentProfiles();
+    }
+
+    const source = path.resolve(filePath);
+
+    if (!await fs.pathExists(source)) {
+      throw new Error(`Development profile file not found: ${source}`);
+    }
+
+    const content = await fs.readFile(source, 'utf8');
+    let raw;
+
+    try {
+      raw = path.extname(source).toLowerCase() === '.json'
+        ? JSON.parse(content)
+        : yaml.load(content, { filename: source });
+    } catch (error) {
+      throw new DevelopmentProfileError(source, [{ key: '(file)', message: `could not be parsed: ${error.message}` }]);
+    }
+
+    return DevelopmentProfiles.parse(raw, source);
+  }
+
+  /**
+   * Validate a profile table ({ profiles, cameras }); its profiles replace
+   * built-ins of the same name
+   */
+  static parse(raw, source = 'development profiles') {
+    const errors = [];
+    const fail = (key, message) => errors.push({ key, message });
+    const profiles = DevelopmentProfiles.getBuiltInProfiles();
+    const cameras = {};
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new DevelopmentProfileError(source, [{ key: '(file)', message: 'must be an object with profiles and/or cameras' }]);
+    }
+
+    for (const key of Object.keys(raw)) {
+      if (!['profiles', 'cameras'].includes(key)) {
+        fail(key, 'unknown key (expected profiles, cameras)');
+      }
+    }
+
+    if (raw.profiles !== undefined) {
+      if (!raw.profiles || typeof raw.profiles !== 'object' || Array.isArray(raw.profiles)) {
+        fail('profiles', 'must be an object of profiles by name');
+      } else {
+        for (const [name, profile] of Object.entries(raw.profiles)) {
+          const validated = DevelopmentProfiles.validateProfile(profile, `profiles.${name}`, fail);
+          if (!/^[\w.-]+$/.test(name)) {
+            fail(`profiles.${name}`, 'name may only contain letters, digits, ".", "_" and "-"');
+          } else if (validated) {
+            profiles[name] = { name, ...validated };
+          }
+        }
+      }
+    }
+
+    if (raw.cameras !== undefined) {
+      if (!raw.cameras || typeof raw.cameras !== 'object' || Array.isArray(raw.cameras)) {
+        fail('cameras', 'must be an object of camera models and profile names');
+      } else {
+        for (const [camera, name] of Object.entries(raw.cameras)) {
+          if (typeof name !== 'string' || !profiles[name]) {
+            fail(`cameras.${camera}`, `must name a profile (available: ${Object.keys(profiles).join(', ')})`);
+          } else {
+            cameras[DevelopmentProfiles.normalizeCamera(camera)] = name;
+          }
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new DevelopmentProfileError(source, errors);
+    }
+
+    return new DevelopmentProfiles({ profiles, cameras, source });
+  }
+
+  /**
+   * Validate one profile and fill in BASE_PROFILE for anything it leaves out
+   */
+  static validateProfile(raw, at, fail) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      fail(at, 'must be an object of development settings');
+      return null;
+    }
+
+    const profile = { ...BASE_PROFILE, ...raw };
+    const failures = [];
+    const check = (key, message) => {
+      failures.push(key);
+      fail(`${at}.${key}`, message);
+    };
+
+    for (const key of Object.keys(raw)) {
+      if (!PROFILE_KEYS.includes(key)) {
+        check(key, `unknown setting (expected ${PROFILE_KEYS.join(', ')})`);
+      }
+    }
+
+    if (profile.description !== null && typeof profile.description !== 'string') {
+      check('description', 'must be a string');
+    }
+    if (!WHITE_BALANCE.includes(profile.whiteBalance)) {
+      check('whiteBalance', `must be one of: ${WHITE_BALANCE.join(', ')}`);
+    }
+    if (profile.whiteBalance === 'custom') {
+      const multipliers = profile.multipliers;
+      if (!Array.isArray(multipliers) || ![3, 4].includes(multipliers.length) ||
+          !multipliers.every(value => typeof value === 'number' && value > 0)) {
+        check('multipliers', 'must list 3 or 4 positive numbers (red, green, blue and optionally the second green) for custom white balance');
+      }
+    } else if (profile.multipliers !== null) {
+      check('multipliers', 'only applies with whiteBalance: custom');
+    }
+    if (!Number.isInteger(profile.highlights) || profile.highlights < 0 || profile.highlights > 9) {
+      check('highlights', 'must be an integer from 0 (clip) to 9');
+    }
+    if (!COLOR_SPACES.includes(profile.colorSpace)) {
+      check('colorSpace', `must be one of: ${COLOR_SPACES.join(', ')}`);
+    }
+    if (!OUTPUTS.includes(profile.output)) {
+      check('output', `must be one of: ${OUTPUTS.join(', ')}`);
+    }
+    if (typeof profile.exposure !== 'number' || !Number.isFinite(profile.exposure) || Math.abs(profile.exposure) > 4) {
+      check('exposure', 'must be a number of stops from -4 to 4');
+    }
+    if (!Number.isInteger(profile.noiseThreshold) || profile.noiseThreshold < 0) {
+      check('noiseThreshold', 'must be an integer of 0 (off) or more');
+    }
+    if (typeof profile.embeddedPreview !== 'boolean') {
+      check('embeddedPreview', 'must be true or false');
+    } else if (profile.embeddedPreview && profile.output === 'tiff16') {
+      check('embeddedPreview', 'cannot be used with 16-bit TIFF output, which needs the RAW data');
+    }
+
+    return failures.length === 0 ? profile : null;
+  }
+
+  /**
+   * Lower-case a camera name and collapse its spaces, for matching
+   */
+  static normalizeCamera(camera) {
+    return String(camera).trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  /**
+   * Names of every profile
+   */
+  names() {
+    return Object.keys(this.profiles);
+  }
+
+  /**
+   * Whether a profile exists
+   */
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.profiles, name);
+  }
+
+  /**
+   * The profile name assigned to a camera by its EXIF Make and Model, or null
+   */
+  forCamera(make, model) {
+    if (!model) {
+      return null;
+    }
+
+    const candidates = [model, make ? `${make} ${model}` : null].filter(Boolean);
+    const match = candidates
+      .map(DevelopmentProfiles.normalizeCamera)
+      .find(camera => this.cameras[camera]);
+
+    return match ? this.cameras[match] : null;
+  }
+
+  /**
+   * Choose a file's profile: the run's, else its camera's, else the
+   * fallback. Returns the profile with chosenBy (run, camera or default)
+   * and the camera it was matched on.
+   */
+  resolve({ run = null, fallback = DEFAULT_PROFILE, make = null, model = null } = {}) {
+    const cameraProfile = run ? null : this.forCamera(make, model);
+    const name = run || cameraProfile || fallback;
+
+    if (!this.has(name)) {
+      throw new Error(`Unknown development profile: ${name}. Available profiles: ${this.names().join(', ')}`);
+    }
+
+    return {
+      ...this.profiles[name],
+      chosenBy: run ? 'run' : cameraProfile ? 'camera' : 'default',
+      camera: model ? [make, model].filter(Boolean).join(' ') : null
+    };
+  }
+
+  /**
+   * The development settings of a profile that differ from BASE_PROFILE
+   */
+  static getChangedSettings(profile) {
+    return DEVELOP_SETTINGS.filter(key => profile[key] !== BASE_PROFILE[key]);
+  }
+
+  /**
+   * Everything that decides how files develop, for fingerprints
+   */
+  toJSON() {
+    return { profiles: this.profiles, cameras: this.cameras };
+  }
+}
+
+DevelopmentProfiles.DEFAULT_PROFILE = DEFAULT_PROFILE;
+DevelopmentProfiles.BASE_PROFILE = BASE_PROFILE;
+DevelopmentProfiles.WHITE_BALANCE = WHITE_BALANCE;
+DevelopmentProfiles.COLOR_SPACES = COLOR_SPACES;
+DevelopmentProfiles.OUTPUTS = OUTPUTS;
+DevelopmentProfiles.DEVELOP_SETTINGS = DEVELOP_SETTINGS;
+DevelopmentProfiles.DevelopmentProfileError = DevelopmentProfileError;
+
+module.exports = DevelopmentProfiles;
@@ -0,0 +1,144 @@
+/**
+ * Fingerprint - Content hashes for incremental rebuilds
+ *
+ * A fingerprint is a SHA-256 over everything that determines an output: the
+ * content of the input files, the stage options and any prompt text. Stages
+ * record one per checkpointed unit, and a rerun only redoes units whose
+ * fingerprint changed. File hashes are cached by path, size and modification
+ * time in the output directory, so unchanged RAWs are not re-read every run.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { glob } = require('glob');
+
+const CACHE_FILE = '.fingerprint-cache.json';
+
+/**
+ * Serialize a value with sorted object keys, so equal values hash equally
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash any JSON-compatible value
+ */
+function hashValue(value) {
+  return crypto.createHash('sha256').update(stableStringify(value)).digest('hex');
+}
+
+class Fingerprinter {
+  constructor(options = {}) {
+    this.cachePath = options.cacheDir ? path.join(options.cacheDir, CACHE_FILE) : null;
+    this.auditLogger = options.auditLogger || null;
+
+    // absolute path -> { size, mtimeMs, hash }
+    this.cache = new Map();
+    this.dirty = false;
+    this.filesHashed = 0;
+  }
+
+  /**
+   * Load the file hash cache from disk
+   */
+  async load() {
+    if (!this.cachePath || !await fs.pathExists(this.cachePath)) {
+      return 0;
+    }
+
+    try {
+      const entries = await fs.readJson(this.cachePath);
+      this.cache = new Map(Object.entries(entries));
+    } catch {
+      // A corrupt cache only costs re-hashing
+      this.cache.clear();
+    }
+
+    return this.cache.size;
+  }
+
+  /**
+   * Write the file hash cache if anything new was hashed
+   */
+  async save() {
+    if (!this.cachePath || !this.dirty) {
+      return;
+    }
+
+    await fs.ensureDir(path.dirname(this.cachePath));
+    await fs.writeJson(this.cachePath, Object.fromEntries(this.cache));
+    this.dirty = false;
+  }
+
+  /**
+   * Hash a file's content, reusing the cached hash while size and mtime match
+   */
+  async hashFile(filePath) {
+    const absolutePath = path.resolve(filePath);
+    const stats = await fs.stat(absolutePath);
+    const cached = this.cache.get(absolutePath);
+
+    if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+      return cached.hash;
+    }
+
+    const hash = await new Promise((resolve, reject) => {
+      const digest = crypto.createHash('sha256');
+      fs.createReadStream(absolutePath)
+        .on('data', chunk => digest.update(chunk))
+        .on('error', reject)
+        .on('end', () => resolve(digest.digest('hex')));
+    });
+
+    this.cache.set(absolutePath, { size: stats.size, mtimeMs: stats.mtimeMs, hash });
+    this.dirty = true;
+    this.filesHashed++;
+
+    return hash;
+  }
+
+  /**
+   * Fingerprint the content of some files together with other inputs
+   * (options, prompt text...). File names are left out so a renamed but
+   * identical file still matches.
+   */
+  async forFiles(files, inputs = {}) {
+    const hashes = [];
+    for (const file of files) {
+      hashes.push(await this.hashFile(file));
+    }
+
+    return hashValue({ files: hashes, inputs });
+  }
+
+  /**
+   * Fingerprint a directory: every file's relative path and content
+   */
+  async forDirectory(dirPath, inputs = {}) {
+    const files = (await glob('**/*', { cwd: dirPath, nodir: true })).sort();
+    const entries = [];
+
+    for (const file of files) {
+      entries.push([file, await this.hashFile(path.join(dirPath, file))]);
+    }
+
+    return hashValue({ entries, inputs });
+  }
+}
+
+Fingerprinter.CACHE_FILE = CACHE_FILE;
+Fingerprinter.hashValue = hashValue;
+Fingerprinter.stableStringify = stableStringify;
+
+module.exports = Fingerprinter;
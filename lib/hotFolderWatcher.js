@@ -0,0 +1,330 @@
+/**
+ * Hot Folder Watcher - Incremental processing for tethered shoots
+ *
+ * Polls an input directory for RAW files, waits until each file's size has
+ * stopped changing (the camera or card reader is done writing it), and
+ * converts new frames as they land. Once enough new frames have been
+ * converted, or the folder has been quiet for a while, cull and group run
+ * over the whole set. Cull keeps the batches it has already paid for and
+ * sends only the new frames to Gemini in batches of their own (and only
+ * their keepers to the QA pass); group's fingerprints skip the copies it
+ * has made, and the group folders and HTML report stay current. A stage run
+ * that fails is retried once the folder has been quiet for the settle time,
+ * keeping its frames pending until then. Paid API calls share one budget for
+ * the whole watch (maxCost, maxCalls); reaching it stops the watch.
+ *
+ * The watcher prints nothing; progress is published as events:
+ *
+ *   framesConverting  { frames, retry }    new (or previously failed) frames
+ *   incrementStart    { frames }           cull and group are about to run
+ *   stageComplete     { stage, result, rebuild }
+ *   stageFailed       { stage, error, retryIn }   retryIn is in ms
+ *   budgetReached     { stage, error }     the watch stops after this
+ */
+
+const fs = require('fs-extra');
+const { EventEmitter } = require('events');
+const StageOrchestrator = require('./stageOrchestrator');
+const ConvertStage = require('../stages/convertStage');
+const { createHooks, createBudget } = require('./workflowRunner');
+
+class HotFolderWatcher extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.inputDir = options.inputDir;
+    this.outputDir = options.outputDir;
+    this.auditLogger = options.auditLogger;
+    this.registry = options.registry;
+    this.jobs = options.jobs;
+    this.dryRun = options.dryRun || false;
+    this.project = options.project || null;
+    this.notifier = options.notifier || null;
+    this.settings = options.settings || this.auditLogger?.settings;
+    // The pipeline file, if any, whose stage hooks run around every stage run
+    this.pipeline = options.pipeline || null;
+    // One budget for every stage run of the watch; unlimited without limits
+    this.budget = createBudget({ priceTable: options.prices, maxCost: options.maxCost, maxCalls: options.maxCalls });
+    this.budgetError = null;
+
+    // Per-stage options, e.g. { convert: { quality: 90 }, cull: { threshold: 0.7 } }
+    this.stageOptions = options.stageOptions || {};
+
+    this.interval = (options.interval ?? 2) * 1000;
+    this.stablePolls = options.stablePolls ?? 2;
+    this.batchSize = options.batchSize ?? 20;
+    this.settleTime = (options.settle ?? 60) * 1000;
+
+    // file -> { size, mtimeMs, polls } for files that may still be copying
+    this.candidates = new Map();
+    this.stableFiles = new Set();
+    // Stable frames not yet converted, and converted frames not yet culled
+    this.unconverted = new Set();
+    this.pendingFrames = 0;
+    this.lastArrival = null;
+    this.convertRetryAt = 0;
+    this.retryAt = 0;
+    this.increments = 0;
+    this.failures = 0;
+
+    this.stopping = false;
+    this.wake = null;
+    this.scanner = new ConvertStage({ auditLogger: this.auditLogger, settings: this.settings });
+  }
+
+  /**
+   * Watch until stop() is called; resolves with watch statistics
+   */
+  async start() {
+    if (!await fs.pathExists(this.inputDir)) {
+      throw new Error(`Input directory does not exist: ${this.inputDir}`);
+    }
+
+    // Every cycle reruns stages over the full set; fingerprints skip finished work
+    this.orchestrator = new StageOrchestrator({
+      inputDir: this.inputDir,
+      outputDir: this.outputDir,
+      auditLogger: this.auditLogger,
+      dryRun: this.dryRun,
+      jobs: this.jobs,
+      registry: this.registry,
+      project: this.project,
+      notifier: this.notifier,
+      settings: this.settings,
+      hooks: this.pipeline ? createHooks(this.pipeline, this.auditLogger) : null,
+      budget: this.budget
+    });
+
+    this.auditLogger.logEvent('watch_start', {
+      inputDir: this.inputDir,
+      outputDir: this.outputDir,
+      interval: this.interval,
+      stablePolls: this.stablePolls,
+      batchSize: this.batchSize,
+      settleTime: this.settleTime
+    });
+
+    while (!this.stopping) {
+      await this.poll();
+
+      if (!this.stopping) {
+        await this.sleep(this.interval);
+      }
+    }
+
+    const stats = this.getStats();
+    this.auditLogger.logEvent('watch_stop', stats);
+    await this.auditLogger.flushLogs();
+    await this.notifier?.flush();
+
+    return stats;
+  }
+
+  /**
+   * Stop watching once the current poll or stage run finishes
+   */
+  stop() {
+    this.stopping = true;
+    this.wake?.();
+  }
+
+  /**
+   * Run one watch cycle: pick up stable files, then process an increment if due
+   */
+  async poll() {
+    const newFiles = await this.findStableFiles();
+
+    if (newFiles.length > 0) {
+      this.lastArrival = Date.now();
+      newFiles.forEach(file => this.unconverted.add(file));
+    }
+
+    // Frames whose convert failed wait for new frames or the retry time
+    if (this.unconverted.size > 0 && (newFiles.length > 0 || Date.now() >= this.convertRetryAt)) {
+      await this.convertIncrement(newFiles.length === 0);
+    }
+
+    if (!this.stopping && this.isIncrementDue()) {
+      await this.processIncrement();
+    }
+  }
+
+  /**
+   * Find RAW files whose size has not changed for the required number of polls
+   */
+  async findStableFiles() {
+    const files = await this.scanner.findRawFiles(this.inputDir);
+    const present = new Set(files);
+    const newlyStable = [];
+
+    // Forget files that were removed before they settled, and frames
+    // removed before they were converted
+    for (const file of this.candidates.keys()) {
+      if (!present.has(file)) {
+        this.candidates.delete(file);
+      }
+    }
+    for (const file of this.unconverted) {
+      if (!present.has(file)) {
+        this.unconverted.delete(file);
+        this.stableFiles.delete(file);
+      }
+    }
+
+    for (const file of files) {
+      if (this.stableFiles.has(file)) continue;
+
+      let stats;
+      try {
+        stats = await fs.stat(file);
+      } catch {
+        this.candidates.delete(file);
+        continue;
+      }
+
+      const previous = this.candidates.get(file);
+      const unchanged = previous &&
+        previous.size === stats.size &&
+        previous.mtimeMs === stats.mtimeMs;
+      const polls = unchanged ? previous.polls + 1 : 1;
+
+      if (polls >= this.stablePolls && stats.size > 0) {
+        this.candidates.delete(file);
+        this.stableFiles.add(file);
+        newlyStable.push(file);
+      } else {
+        this.candidates.set(file, { size: stats.size, mtimeMs: stats.mtimeMs, polls });
+      }
+    }
+
+    if (newlyStable.length > 0) {
+      this.auditLogger.logEvent('watch_files_stable', {
+        newFiles: newlyStable.length,
+        totalFiles: this.stableFiles.size,
+        stillCopying: this.candidates.size
+      });
+    }
+
+    return newlyStable;
+  }
+
+  /**
+   * Convert the frames not yet converted (earlier frames are reused from
+   * checkpoints); a failed convert keeps them for a later poll
+   */
+  async convertIncrement(retry = false) {
+    const frames = this.unconverted.size;
+    this.emit('framesConverting', { frames, retry });
+
+    const result = await this.runStage('convert', {
+      ...this.stageOptions.convert,
+      files: [...this.stableFiles].sort()
+    });
+
+    if (result) {
+      this.pendingFrames += frames;
+      this.unconverted.clear();
+    } else {
+      this.convertRetryAt = Date.now() + this.settleTime;
+    }
+  }
+
+  /**
+   * Check whether enough frames are waiting, or the folder has gone quiet
+   */
+  isIncrementDue() {
+    if (this.pendingFrames === 0 || Date.now() < this.retryAt) {
+      return false;
+    }
+
+    return this.pendingFrames >= this.batchSize ||
+      Date.now() - this.lastArrival >= this.settleTime;
+  }
+
+  /**
+   * Cull and group the current set, refreshing group folders and reports
+   */
+  async processIncrement() {
+    const frames = this.pendingFrames;
+
+    this.emit('incrementStart', { frames });
+
+    this.auditLogger.logDecision('watch_increment',
+      { frames, batchSize: this.batchSize, totalFiles: this.stableFiles.size },
+      'process',
+      frames >= this.batchSize
+        ? `${frames} new frames reached the batch size of ${this.batchSize}`
+        : `No new frames for ${Math.round(this.settleTime / 1000)}s, processing ${frames} waiting frames`
+    );
+
+    // A failed cull or group leaves the frames pending and retries the
+    // increment after the settle time; cull reruns from its checkpoints
+    for (const stageName of ['cull', 'group']) {
+      if (!await this.runStage(stageName, { ...this.stageOptions[stageName] })) {
+        this.retryAt = Date.now() + this.settleTime;
+        return;
+      }
+    }
+
+    this.pendingFrames = 0;
+    this.increments++;
+  }
+
+  /**
+   * Run a stage, keeping the watcher alive if it fails; resolves with the
+   * result, or null when it failed
+   */
+  async runStage(stageName, options) {
+    try {
+      const result = await this.orchestrator.runStage(stageName, options);
+      this.emit('stageComplete', { stage: stageName, result, rebuild: this.orchestrator.describeRebuild(result) });
+      return result;
+    } catch (error) {
+      // Every later call would be refused too, so there is nothing to retry
+      if (error.code === 'BUDGET_EXCEEDED') {
+        this.budgetError = error;
+        this.emit('budgetReached', { stage: stageName, error });
+        this.stop();
+        return null;
+      }
+
+      this.failures++;
+      this.emit('stageFailed', { stage: stageName, error, retryIn: this.settleTime });
+      return null;
+    }
+  }
+
+  /**
+   * Wait for the poll interval, returning early when stopped
+   */
+  sleep(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(done, ms);
+
+      function done() {
+        clearTimeout(timer);
+        resolve();
+      }
+
+      this.wake = done;
+    }).finally(() => {
+      this.wake = null;
+    });
+  }
+
+  /**
+   * Get watch statistics
+   */
+  getStats() {
+    return {
+      filesSeen: this.stableFiles.size,
+      unconvertedFrames: this.unconverted.size,
+      pendingFrames: this.pendingFrames + this.unconverted.size,
+      increments: this.increments,
+      failures: this.failures,
+      stoppedAtBudget: this.budgetError !== null,
+      spend: this.budget.getUsage()
+    };
+  }
+}
+
+module.exports = HotFolderWatcher;
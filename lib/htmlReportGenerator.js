@@ -666,7 +666,7 @@ class HtmlReportGenerator {
                     </div>
                     <div class="meta-item">
                         <span class="meta-icon">📅</span>
-                        <span>${format(new Date(group.startTimestamp), 'MMM do, h:mm a')}</span>
+                        <span>${group.startTimestamp ? format(new Date(group.startTimestamp), 'MMM do, h:mm a') : 'No capture time'}</span>
                     </div>
                     <div class="meta-item">
                         <span class="meta-icon">📸</span>
@@ -687,7 +687,7 @@ class HtmlReportGenerator {
                 </div>
                 <div class="representative-info">
                     <div class="filename">${representative.fileName}</div>
-                    <div class="timestamp">${format(new Date(representative.timestamp), 'MMM do, yyyy h:mm a')}</div>
+                    <div class="timestamp">${representative.timestamp ? format(new Date(representative.timestamp), 'MMM do, yyyy h:mm a') : 'No capture time'}</div>
                     <div class="reason">${this.getRepresentativeReason(representative, group)}</div>
                 </div>
             </div>
@@ -767,7 +767,7 @@ class HtmlReportGenerator {
         <img src="${thumbnail}" alt="${file.fileName}" loading="lazy">
         <div class="member-info">
           <div class="filename">${this.truncateFilename(file.fileName, 15)}</div>
-          <div class="timestamp">${format(new Date(file.timestamp), 'HH:mm')}</div>
+          <div class="timestamp">${file.timestamp ? format(new Date(file.timestamp), 'HH:mm') : '--:--'}</div>
         </div>
       </div>
     `;
@@ -0,0 +1,352 @@
+/**
+ * Job Manager - Queued pipeline runs for the job server
+ *
+ * Each job is one stage run or one full pipeline run, with its own audit
+ * logger and orchestrator. Jobs writing to the same output directory (or one
+ * nested inside another) run one after another, since they would share
+ * stage folders, checkpoints and logs; jobs with distinct output directories
+ * run side by side, up to maxConcurrent at once.
+ */
+
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const AuditLogger = require('./auditLogger');
+const StageOrchestrator = require('./stageOrchestrator');
+const { RUN_ALL, loadRunContext, createRun, executeRun, summarizeResults, outputsOverlap } = require('./workflowRunner');
+
+const FINISHED = ['succeeded', 'failed', 'cancelled'];
+
+class JobRequestError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'JobRequestError';
+    this.statusCode = statusCode;
+  }
+}
+
+class JobManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.registry = options.registry;
+    this.maxConcurrent = options.maxConcurrent ?? 2;
+    this.maxEvents = options.maxEvents ?? 2000;
+    this.verbose = options.verbose || false;
+    // Notification file or settings for every job; requests cannot set
+    // their own, since a target may run a local command
+    this.notify = options.notify || null;
+    // Setting overrides (--set) for every job, for the same reason
+    this.settings = options.settings || null;
+    // Stage hooks run shell commands, so a request's pipeline file may only
+    // declare them when the server operator allows it
+    this.allowHooks = options.allowHooks || false;
+    // Budget for a job that sets none, and the most a job may set; the price
+    // table is the server's too, so a request cannot price calls at zero
+    this.maxCost = options.maxCost ?? null;
+    this.maxCalls = options.maxCalls ?? null;
+    this.prices = options.prices || null;
+
+    // id -> job, in submission order
+    this.jobs = new Map();
+  }
+
+  /**
+   * Validate a run request and queue it. Returns the new job.
+   */
+  async submit(request = {}) {
+    const stage = request.stage || RUN_ALL;
+
+    if (stage !== RUN_ALL && !this.registry.has(stage)) {
+      throw new JobRequestError(`Unknown stage "${stage}" (expected ${RUN_ALL} or one of: ${this.registry.getRunOrder().join(', ')})`);
+    }
+
+    for (const key of ['input', 'output']) {
+      if (typeof request[key] !== 'string' || !request[key].trim()) {
+        throw new JobRequestError(`"${key}" is required and must be a directory path`);
+      }
+    }
+
+    if (request.options !== undefined && (typeof request.options !== 'object' || Array.isArray(request.options) || request.options === null)) {
+      throw new JobRequestError('"options" must be an object of stage options');
+    }
+
+    const maxCost = this.checkLimit(request, 'maxCost', this.maxCost, value => Number.isFinite(value) && value >= 0, 'an amount of 0 or more');
+    const maxCalls = this.checkLimit(request, 'maxCalls', this.maxCalls, value => Number.isInteger(value) && value >= 1, 'a whole number of 1 or more');
+
+    // Check the directories and load the pipeline and project files now, so
+    // a bad request is reported to the caller
+    let context;
+    try {
+      context = await loadRunContext({ ...request, prices: this.prices, notify: this.notify, settings: this.settings }, this.registry);
+    } catch (error) {
+      throw new JobRequestError(error.message);
+    }
+
+    const hookedStages = Object.keys(context.pipeline.getHooks());
+    if (hookedStages.length > 0 && !this.allowHooks) {
+      throw new JobRequestError(`Pipeline ${context.pipeline.source} declares hooks (${hookedStages.join(', ')}), which API jobs may not run unless the server allows them (serve --allow-hooks)`, 403);
+    }
+
+    const job = {
+      id: uuidv4(),
+      stage,
+      ...context,
+      options: request.options || {},
+      dryRun: Boolean(request.dryRun),
+      force: Boolean(request.force),
+      resume: Boolean(request.resume),
+      mock: Boolean(request.mock) || context.settings.get('enableMockAi'),
+      jobs: request.jobs,
+      maxCost,
+      maxCalls,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      events: [],
+      droppedEvents: 0,
+      controller: new AbortController(),
+      orchestrator: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.emit('job', job);
+    this.schedule();
+
+    return job;
+  }
+
+  /**
+   * A request's budget limit: the server's when it sets none, else its own
+   * as long as it is no higher than the server's
+   */
+  checkLimit(request, key, serverLimit, isValid, expected) {
+    const value = request[key];
+
+    if (value === undefined || value === null) {
+      return serverLimit;
+    }
+
+    if (typeof value !== 'number' || !isValid(value)) {
+      throw new JobRequestError(`"${key}" must be ${expected}`);
+    }
+
+    if (serverLimit !== null && value > serverLimit) {
+      throw new JobRequestError(`"${key}" may not be more than the server's limit of ${serverLimit}`, 403);
+    }
+
+    return value;
+  }
+
+  /**
+   * Start every queued job whose output directory is free, oldest first
+   */
+  schedule() {
+    for (const job of this.jobs.values()) {
+      if (this.getRunningJobs().length >= this.maxConcurrent) {
+        return;
+      }
+
+      if (job.status === 'queued' && !this.isOutputBusy(job)) {
+        this.run(job);
+      }
+    }
+  }
+
+  /**
+   * Check whether an earlier job is using, or queued for, an overlapping
+   * output directory
+   */
+  isOutputBusy(job) {
+    for (const other of this.jobs.values()) {
+      if (other === job) {
+        return false;
+      }
+
+      if (!FINISHED.includes(other.status) && outputsOverlap(other.outputDir, job.outputDir)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Run a job to completion, recording its result and events
+   */
+  async run(job) {
+    const { auditLogger, orchestrator } = createRun(job, {
+      registry: this.registry,
+      verbose: this.verbose,
+      signal: job.controller.signal
+    });
+    auditLogger.on('entry', entry => this.recordEvent(job, entry));
+    job.orchestrator = orchestrator;
+
+    this.setStatus(job, 'running');
+    job.startedAt = new Date().toISOString();
+
+    try {
+      const results = await executeRun(job, orchestrator);
+      job.result = summarizeResults(orchestrator, results);
+
+      this.finish(job, 'succeeded');
+    } catch (error) {
+      job.error = error.message;
+      this.finish(job, job.controller.signal.aborted ? 'cancelled' : 'failed');
+    } finally {
+      await auditLogger.flushLogs();
+      await orchestrator.notifier.flush();
+    }
+  }
+
+  /**
+   * Cancel a job: a queued job never starts, a running one stops at the next
+   * stage, batch or file. Returns false for jobs that already finished.
+   */
+  cancel(jobId) {
+    const job = this.getJob(jobId);
+
+    if (FINISHED.includes(job.status)) {
+      return false;
+    }
+
+    job.controller.abort(new Error('Run cancelled'));
+
+    if (job.status === 'queued') {
+      job.error = 'Run cancelled';
+      this.finish(job, 'cancelled');
+    } else {
+      this.setStatus(job, 'cancelling');
+    }
+
+    return true;
+  }
+
+  /**
+   * Cancel every unfinished job (server shutdown)
+   */
+  cancelAll() {
+    for (const job of this.jobs.values()) {
+      this.cancel(job.id);
+    }
+  }
+
+  /**
+   * Wait until no job is running
+   */
+  async drain() {
+    while (this.getRunningJobs().length > 0) {
+      await new Promise(resolve => this.once('finished', resolve));
+    }
+  }
+
+  /**
+   * Look up a job, throwing if it does not exist
+   */
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+
+    if (!job) {
+      throw new JobRequestError(`No job with id ${jobId}`, 404);
+    }
+
+    return job;
+  }
+
+  /**
+   * All jobs, oldest first
+   */
+  listJobs() {
+    return [...this.jobs.values()];
+  }
+
+  /**
+   * Jobs currently holding an output directory
+   */
+  getRunningJobs() {
+    return this.listJobs().filter(job => job.status === 'running' || job.status === 'cancelling');
+  }
+
+  /**
+   * Stage status for a job's output directory, from the orchestrator
+   */
+  async getWorkflowStatus(jobId) {
+    const job = this.getJob(jobId);
+
+    // Queued jobs have no orchestrator yet; read the directory as it is now
+    const orchestrator = job.orchestrator || new StageOrchestrator({
+      inputDir: job.inputDir,
+      outputDir: job.outputDir,
+      auditLogger: new AuditLogger({ outputDir: job.outputDir, stageName: 'status' }),
+      registry: this.registry
+    });
+
+    return orchestrator.getWorkflowStatus();
+  }
+
+  /**
+   * Keep an audit entry for replay to late subscribers and pass it on
+   */
+  recordEvent(job, entry) {
+    job.events.push(entry);
+
+    if (job.events.length > this.maxEvents) {
+      job.events.shift();
+      job.droppedEvents++;
+    }
+
+    this.emit('event', job, entry);
+  }
+
+  /**
+   * Change a job's status and announce it
+   */
+  setStatus(job, status) {
+    job.status = status;
+    this.emit('status', job);
+  }
+
+  /**
+   * Mark a job finished, then start whatever was waiting for its output directory
+   */
+  finish(job, status) {
+    job.finishedAt = new Date().toISOString();
+    this.setStatus(job, status);
+    this.emit('finished', job);
+    this.schedule();
+  }
+
+  /**
+   * Public view of a job, without its event buffer or live objects
+   */
+  describeJob(job) {
+    return {
+      id: job.id,
+      stage: job.stage,
+      input: job.inputDir,
+      output: job.outputDir,
+      options: job.options,
+      pipeline: job.pipeline.name,
+      project: job.project?.source || null,
+      dryRun: job.dryRun,
+      force: job.force,
+      maxCost: job.maxCost,
+      maxCalls: job.maxCalls,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      result: job.result,
+      error: job.error,
+      events: job.events.length + job.droppedEvents
+    };
+  }
+}
+
+JobManager.RUN_ALL = RUN_ALL;
+JobManager.FINISHED = FINISHED;
+JobManager.JobRequestError = JobRequestError;
+
+module.exports = JobManager;
@@ -0,0 +1,329 @@
+/**
+ * Job Server - Local HTTP API for driving the pipeline from a dashboard
+ *
+ * Wraps a JobManager in a small JSON API: start stage or full pipeline
+ * runs, list them, read their stage status and cancel them. Each run's audit
+ * log is streamed live as Server-Sent Events, replaying earlier entries first
+ * so a dashboard that connects mid-run still sees the whole run.
+ *
+ *   GET    /api/stages              stages that can be run
+ *   GET    /api/jobs                all jobs, oldest first
+ *   POST   /api/jobs                start a job: { stage, input, output, options, ... }
+ *   GET    /api/jobs/:id            one job
+ *   GET    /api/jobs/:id/status     stage status for the job's output directory
+ *   GET    /api/jobs/:id/events     audit log entries as Server-Sent Events
+ *   DELETE /api/jobs/:id            cancel a queued or running job
+ *
+ * A job runs on any path the server can reach, so every request must carry
+ * the server's token (Authorization: Bearer <token>, or ?token= for an
+ * EventSource, which cannot set headers). Requests from a browser page on
+ * another origin are refused, and POST bodies must be sent as
+ * application/json, which a page cannot do without the browser asking
+ * the server first.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const JobManager = require('./jobManager');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class JobServer {
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port ?? 4780;
+    this.registry = options.registry;
+    // Generated when not given; the CLI prints it at startup
+    this.token = options.token || crypto.randomBytes(24).toString('hex');
+    // Browser origins allowed besides the server's own loopback addresses
+    this.allowedOrigins = options.allowedOrigins || [];
+    this.manager = options.manager || new JobManager({
+      registry: this.registry,
+      maxConcurrent: options.maxConcurrent,
+      notify: options.notify,
+      settings: options.settings,
+      allowHooks: options.allowHooks,
+      maxCost: options.maxCost,
+      maxCalls: options.maxCalls,
+      prices: options.prices,
+      verbose: options.verbose
+    });
+
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    this.streams = new Set();
+
+    // Every open event stream listens on the manager
+    this.manager.setMaxListeners(0);
+
+    this.routes = [
+      ['GET', /^\/api\/stages$/, () => this.listStages()],
+      ['GET', /^\/api\/jobs$/, () => this.listJobs()],
+      ['POST', /^\/api\/jobs$/, (req) => this.createJob(req)],
+      ['GET', /^\/api\/jobs\/([\w-]+)$/, (req, res, id) => this.getJob(id)],
+      ['GET', /^\/api\/jobs\/([\w-]+)\/status$/, (req, res, id) => this.getJobStatus(id)],
+      ['GET', /^\/api\/jobs\/([\w-]+)\/events$/, (req, res, id) => this.streamEvents(req, res, id)],
+      ['DELETE', /^\/api\/jobs\/([\w-]+)$/, (req, res, id) => this.cancelJob(id)]
+    ];
+  }
+
+  /**
+   * Start listening; resolves with the bound address
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        const { address, port } = this.server.address();
+        resolve({ host: address, port, url: `http://${address.includes(':') ? `[${address}]` : address}:${port}` });
+      });
+    });
+  }
+
+  /**
+   * Stop accepting requests, cancel unfinished jobs and wait for running ones
+   */
+  async stop() {
+    this.manager.cancelAll();
+
+    for (const stream of this.streams) {
+      stream.end();
+    }
+
+    await new Promise(resolve => this.server.close(resolve));
+    await this.manager.drain();
+  }
+
+  /**
+   * Route a request, turning thrown errors into JSON error responses
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const { pathname } = url;
+    const refusal = this.checkAccess(req, url);
+
+    if (refusal) {
+      return this.send(res, refusal.statusCode, { error: refusal.error });
+    }
+
+    const matching = this.routes.filter(([, pattern]) => pattern.test(pathname));
+
+    if (matching.length === 0) {
+      return this.send(res, 404, { error: `Not found: ${pathname}` });
+    }
+
+    const route = matching.find(([method]) => method === req.method);
+    if (!route) {
+      res.setHeader('Allow', matching.map(([method]) => method).join(', '));
+      return this.send(res, 405, { error: `Method ${req.method} not allowed for ${pathname}` });
+    }
+
+    const [, pattern, handler] = route;
+
+    try {
+      const result = await handler(req, res, ...pathname.match(pattern).slice(1));
+      if (result !== undefined) {
+        this.send(res, result.statusCode || 200, result.body);
+      }
+    } catch (error) {
+      this.send(res, error.statusCode || 500, { error: error.message });
+    }
+  }
+
+  /**
+   * Why a request is refused ({ statusCode, error }), or null to serve it
+   */
+  checkAccess(req, url) {
+    const origin = req.headers.origin;
+    if (origin && !this.isAllowedOrigin(origin)) {
+      return { statusCode: 403, error: `Requests from ${origin} are not allowed (see serve --allow-origin)` };
+    }
+
+    const auth = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    const token = auth ? auth[1].trim() : url.searchParams.get('token');
+    if (!token || !this.isToken(token)) {
+      return { statusCode: 401, error: 'Missing or wrong API token (send Authorization: Bearer <token>)' };
+    }
+
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (req.method === 'POST' && contentType !== 'application/json') {
+      return { statusCode: 415, error: 'Request body must be sent as Content-Type: application/json' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a browser origin may call the API: the server's own loopback
+   * addresses or one allowed with allowedOrigins
+   */
+  isAllowedOrigin(origin) {
+    const port = this.server.address()?.port;
+    const own = ['127.0.0.1', 'localhost', '[::1]'].map(host => `http://${host}:${port}`);
+    return [...own, ...this.allowedOrigins].includes(origin);
+  }
+
+  /**
+   * Compare a token with the server's in constant time
+   */
+  isToken(token) {
+    const given = Buffer.from(String(token));
+    const expected = Buffer.from(this.token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Stages that can be run, in pipeline order
+   */
+  listStages() {
+    return {
+      body: {
+        stages: this.registry.getRunOrder().map(name => {
+          const definition = this.registry.get(name);
+          return {
+            name,
+            description: definition.description || null,
+            plugin: !definition.builtin
+          };
+        }),
+        runAll: JobManager.RUN_ALL
+      }
+    };
+  }
+
+  /**
+   * All jobs, oldest first
+   */
+  listJobs() {
+    return { body: { jobs: this.manager.listJobs().map(job => this.manager.describeJob(job)) } };
+  }
+
+  /**
+   * Queue a stage or full pipeline run
+   */
+  async createJob(req) {
+    const request = await this.readJson(req);
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      throw new JobManager.JobRequestError('Request body must be a JSON object');
+    }
+
+    const job = await this.manager.submit(request);
+    return { statusCode: 202, body: this.manager.describeJob(job) };
+  }
+
+  /**
+   * One job's details and result
+   */
+  getJob(id) {
+    return { body: this.manager.describeJob(this.manager.getJob(id)) };
+  }
+
+  /**
+   * A job plus the stage status of its output directory
+   */
+  async getJobStatus(id) {
+    const job = this.manager.getJob(id);
+    return {
+      body: {
+        job: this.manager.describeJob(job),
+        workflow: await this.manager.getWorkflowStatus(id)
+      }
+    };
+  }
+
+  /**
+   * Cancel a job; 409 if it already finished
+   */
+  cancelJob(id) {
+    const cancelled = this.manager.cancel(id);
+    const job = this.manager.describeJob(this.manager.getJob(id));
+
+    return cancelled
+      ? { statusCode: 202, body: job }
+      : { statusCode: 409, body: { error: `Job ${id} already ${job.status}`, job } };
+  }
+
+  /**
+   * Stream a job's audit entries and status changes until it finishes
+   */
+  streamEvents(req, res, id) {
+    const job = this.manager.getJob(id);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+
+    const write = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    // Replay what happened before the client connected
+    write('status', this.manager.describeJob(job));
+    for (const entry of job.events) {
+      write('log', entry);
+    }
+
+    const onEvent = (eventJob, entry) => eventJob === job && write('log', entry);
+    const onStatus = (eventJob) => eventJob === job && write('status', this.manager.describeJob(job));
+    const onFinished = (eventJob) => eventJob === job && res.end();
+
+    const cleanup = () => {
+      this.manager.off('event', onEvent);
+      this.manager.off('status', onStatus);
+      this.manager.off('finished', onFinished);
+      this.streams.delete(res);
+    };
+
+    if (JobManager.FINISHED.includes(job.status)) {
+      res.end();
+      return;
+    }
+
+    this.manager.on('event', onEvent);
+    this.manager.on('status', onStatus);
+    this.manager.on('finished', onFinished);
+    this.streams.add(res);
+    res.on('close', cleanup);
+  }
+
+  /**
+   * Read a JSON request body
+   */
+  readJson(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+
+      req.setEncoding('utf8');
+      req.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+          reject(new JobManager.JobRequestError('Request body too large', 413));
+          req.destroy();
+        }
+      });
+      req.on('end', () => {
+        try {
+          resolve(body ? JSON.parse(body) : {});
+        } catch (error) {
+          reject(new JobManager.JobRequestError(`Request body is not valid JSON: ${error.message}`));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Send a JSON response
+   */
+  send(res, statusCode, body) {
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+}
+
+module.exports = JobServer;
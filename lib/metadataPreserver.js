@@ -9,14 +9,16 @@
 const fs = require('fs-extra');
 const path = require('path');
 const exifr = require('exifr');
-const { exec } = require('child_process');
-const { promisify } = require('util');
+const processRunner = require('./processRunner');
 
-const execAsync = promisify(exec);
+// Seconds exiftool may take to rewrite one file
+const EXIFTOOL_TIMEOUT = 60;
 
 class MetadataPreserver {
-  constructor(auditLogger = null) {
+  constructor(auditLogger = null, options = {}) {
     this.auditLogger = auditLogger;
+    // File modification times stand in for unreadable EXIF capture times
+    this.useFileTimeFallback = options.useFileTimeFallback ?? true;
     
     // Critical timestamp fields in order of priority
     this.timestampFields = [
@@ -44,6 +46,14 @@ class MetadataPreserver {
     ];
   }
 
+  /**
+   * Get a copy of this preserver that logs to another audit logger
+   * (used by worker pool tasks, which each log to their own buffer)
+   */
+  withLogger(auditLogger) {
+    return Object.assign(Object.create(Object.getPrototypeOf(this)), this, { auditLogger });
+  }
+
   /**
    * Extract comprehensive metadata from source file
    */
@@ -110,7 +120,9 @@ class MetadataPreserver {
       const fileStats = await fs.stat(sourceFile);
       const fallbackMetadata = {
         full: {},
-        timestamps: this.createFallbackTimestamps(fileStats),
+        timestamps: this.useFileTimeFallback
+          ? this.createFallbackTimestamps(fileStats)
+          : { available: {}, primary: null, count: 0 },
         fileStats: {
           birthtime: fileStats.birthtime,
           mtime: fileStats.mtime,
@@ -124,7 +136,7 @@ class MetadataPreserver {
       };
 
       this.auditLogger?.logFallback('metadata_extraction',
-        'exifr_comprehensive', 'file_stats_only',
+        'exifr_comprehensive', this.useFileTimeFallback ? 'file_stats_only' : 'no_timestamps',
         `EXIF extraction failed: ${error.message}`,
         true
       );
@@ -244,14 +256,8 @@ class MetadataPreserver {
     });
 
     try {
-      // Check if exiftool is available
-      let exiftoolAvailable = false;
-      try {
-        await execAsync('which exiftool');
-        exiftoolAvailable = true;
-      } catch {
-        exiftoolAvailable = false;
-      }
+      // Check if exiftool is available (looked up once per process)
+      const exiftoolAvailable = await processRunner.isAvailable('exiftool');
 
       if (exiftoolAvailable && originalMetadata.timestamps.primary) {
         // Use exiftool to preserve critical timestamps
@@ -260,22 +266,28 @@ class MetadataPreserver {
           .replace('T', ' ')
           .replace(/\..+/, '');
         
-        // Build exiftool command with essential fields
-        let exiftoolCmd = `exiftool -overwrite_original`;
-        exiftoolCmd += ` -DateTimeOriginal="${exifDate}"`;
-        exiftoolCmd += ` -CreateDate="${exifDate}"`;
+        // Build exiftool arguments with essential fields
+        const args = [
+          '-overwrite_original',
+          `-DateTimeOriginal=${exifDate}`,
+          `-CreateDate=${exifDate}`
+        ];
         
         // Add camera info if available
         if (originalMetadata.full?.Make) {
-          exiftoolCmd += ` -Make="${originalMetadata.full.Make}"`;
+          args.push(`-Make=${originalMetadata.full.Make}`);
         }
         if (originalMetadata.full?.Model) {
-          exiftoolCmd += ` -Model="${originalMetadata.full.Model}"`;
+          args.push(`-Model=${originalMetadata.full.Model}`);
         }
         
-        exiftoolCmd += ` "${targetFile}" 2>/dev/null`;
+        // An absolute path cannot be mistaken for an option
+        args.push(path.resolve(targetFile));
         
-        await execAsync(exiftoolCmd);
+        await processRunner.run('exiftool', args, {
+          timeout: EXIFTOOL_TIMEOUT * 1000,
+          auditLogger: this.auditLogger
+        });
         
         // Verify embedded metadata
         const verificationResult = await this.verifyEmbeddedMetadata(targetFile, originalMetadata);
@@ -0,0 +1,350 @@
+/**
+ * Notifier - Run notifications through webhooks and local commands
+ *
+ * Posts a JSON payload to each webhook (or pipes it to each command's stdin)
+ * when a run or stage starts, completes or fails, when a budget limit stops
+ * a run, when a quality gate rejects images, and when a critical error is
+ * logged. Targets come from a notification file passed with --notify:
+ *
+ *   retries: 3          # extra attempts after a failed delivery
+ *   retryDelay: 2       # seconds before the first retry, doubling each time
+ *   timeout: 10         # seconds per attempt
+ *   targets:
+ *     - webhook: https://hooks.example.com/photo-workflow
+ *       headers: { Authorization: Bearer abc123 }
+ *       events: [run_failed, stage_failed, budget_reached]
+ *     - command: ./scripts/notify.sh
+ *       events: [run_completed]
+ *
+ * The enableErrorAlerting and errorAlertWebhookUrl settings (ENABLE_ERROR_ALERTING
+ * and ERROR_ALERT_WEBHOOK_URL) add a webhook for the failure events. Deliveries run in the background and never fail the
+ * run; flush() waits for them before the process exits.
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const axios = require('axios');
+const { exec } = require('child_process');
+const Settings = require('./settings');
+
+const EVENTS = [
+  'run_started',
+  'run_completed',
+  'run_failed',
+  'stage_started',
+  'stage_completed',
+  'stage_failed',
+  'budget_reached',
+  'quality_gate',
+  'critical_error'
+];
+
+// What the alerting webhook from the settings receives
+const FAILURE_EVENTS = ['run_failed', 'stage_failed', 'budget_reached', 'quality_gate', 'critical_error'];
+
+const DEFAULT_SETTINGS = { retries: 3, retryDelay: 2, timeout: 10, targets: [] };
+
+class NotificationConfigError extends Error {
+  constructor(source, errors) {
+    const details = errors.map(e => `  - ${e.key}: ${e.message}`).join('\n');
+    super(`Invalid notification file ${source}:\n${details}`);
+    this.name = 'NotificationConfigError';
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+class Notifier {
+  constructor(options = {}) {
+    this.targets = options.targets || [];
+    this.retries = options.retries ?? DEFAULT_SETTINGS.retries;
+    this.retryDelay = (options.retryDelay ?? DEFAULT_SETTINGS.retryDelay) * 1000;
+    this.timeout = (options.timeout ?? DEFAULT_SETTINGS.timeout) * 1000;
+    this.auditLogger = options.auditLogger || null;
+
+    // Sent with every payload: workflowId, inputDir, outputDir, project
+    this.context = options.context || {};
+
+    this.pending = new Set();
+    // Errors already announced (stage_failed...), not repeated as critical_error
+    this.reported = new WeakSet();
+  }
+
+  /**
+   * Load and validate a JSON or YAML notification file
+   */
+  static async load(filePath) {
+    const source = path.resolve(filePath);
+
+    if (!await fs.pathExists(source)) {
+      throw new Error(`Notification file not found: ${source}`);
+    }
+
+    const content = await fs.readFile(source, 'utf8');
+    let raw;
+
+    try {
+      raw = path.extname(source).toLowerCase() === '.json'
+        ? JSON.parse(content)
+        : yaml.load(content, { filename: source });
+    } catch (error) {
+      throw new NotificationConfigError(source, [{ key: '(file)', message: `could not be parsed: ${error.message}` }]);
+    }
+
+    return Notifier.validate(raw, source);
+  }
+
+  /**
+   * Validate notification settings and fill in defaults
+   */
+  static validate(raw, source = 'notifications') {
+    const errors = [];
+    const fail = (key, message) => errors.push({ key, message });
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new NotificationConfigError(source, [{ key: '(root)', message: 'must be an object with a "targets" list' }]);
+    }
+
+    const settings = { ...DEFAULT_SETTINGS, targets: [] };
+
+    for (const [key, value] of Object.entries(raw)) {
+      if (['retries', 'retryDelay', 'timeout'].includes(key)) {
+        const whole = key === 'retries';
+        if (typeof value !== 'number' || value < 0 || (whole && !Number.isInteger(value)) || (key === 'timeout' && value === 0)) {
+          fail(key, whole ? 'must be a whole number of 0 or more' : `must be a number of seconds${key === 'timeout' ? ' greater than 0' : ' of 0 or more'}`);
+        } else {
+          settings[key] = value;
+        }
+      } else if (key !== 'targets') {
+        fail(key, 'unknown key (expected retries, retryDelay, timeout, targets)');
+      }
+    }
+
+    if (!Array.isArray(raw.targets) || raw.targets.length === 0) {
+      fail('targets', 'must be a list with at least one webhook or command');
+    } else {
+      raw.targets.forEach((target, index) => {
+        const key = `targets[${index}]`;
+
+        if (!target || typeof target !== 'object' || Array.isArray(target)) {
+          fail(key, 'must be an object with a webhook or a command');
+          return;
+        }
+
+        for (const field of Object.keys(target)) {
+          if (!['webhook', 'command', 'headers', 'events', 'name'].includes(field)) {
+            fail(`${key}.${field}`, 'unknown key (expected webhook, command, headers, events, name)');
+          }
+        }
+
+        if (Boolean(target.webhook) === Boolean(target.command)) {
+          fail(key, 'needs either a webhook or a command');
+        } else if (target.webhook && !/^https?:\/\/\S+$/.test(target.webhook)) {
+          fail(`${key}.webhook`, 'must be an http:// or https:// URL');
+        } else if (target.command && typeof target.command !== 'string') {
+          fail(`${key}.command`, 'must be a shell command');
+        }
+
+        if (target.headers !== undefined && (typeof target.headers !== 'object' || Array.isArray(target.headers) || target.headers === null)) {
+          fail(`${key}.headers`, 'must be an object of header names and values');
+        }
+
+        if (target.events !== undefined) {
+          const unknown = Array.isArray(target.events) ? target.events.filter(event => !EVENTS.includes(event)) : null;
+          if (!unknown) {
+            fail(`${key}.events`, 'must be a list of events');
+          } else if (unknown.length > 0) {
+            fail(`${key}.events`, `unknown event(s) ${unknown.join(', ')} (expected ${EVENTS.join(', ')})`);
+          }
+        }
+
+        settings.targets.push({
+          name: target.name || target.webhook || target.command,
+          webhook: target.webhook || null,
+          command: target.command || null,
+          headers: target.headers || {},
+          events: target.events || EVENTS
+        });
+      });
+    }
+
+    if (errors.length > 0) {
+      throw new NotificationConfigError(source, errors);
+    }
+
+    return settings;
+  }
+
+  /**
+   * A notifier for loaded notification settings (or none) plus the alerting
+   * webhook from options.settings (resolved from the environment if omitted)
+   */
+  static create(notifications = null, options = {}) {
+    const { settings, ...rest } = options;
+
+    return new Notifier({
+      ...notifications,
+      ...rest,
+      targets: [...(notifications?.targets || []), ...Notifier.getAlertTargets(settings || Settings.resolve())]
+    });
+  }
+
+  /**
+   * The alerting webhook configured in the settings, if enabled
+   */
+  static getAlertTargets(settings) {
+    if (!settings.get('enableErrorAlerting') || !settings.get('errorAlertWebhookUrl')) {
+      return [];
+    }
+
+    return [{
+      name: 'ERROR_ALERT_WEBHOOK_URL',
+      webhook: settings.get('errorAlertWebhookUrl'),
+      command: null,
+      headers: {},
+      events: FAILURE_EVENTS
+    }];
+  }
+
+  /**
+   * Check whether any target is configured
+   */
+  hasTargets() {
+    return this.targets.length > 0;
+  }
+
+  /**
+   * Send an event to every target that subscribes to it, in the background.
+   * Returns the delivery promise (resolves with one outcome per target).
+   */
+  notify(event, message, data = {}, error = null) {
+    if (error) {
+      if (event === 'critical_error' && this.reported.has(error)) {
+        return Promise.resolve([]);
+      }
+      this.reported.add(error);
+    }
+
+    const targets = this.targets.filter(target => target.events.includes(event));
+    if (targets.length === 0) {
+      return Promise.resolve([]);
+    }
+
+    const payload = this.buildPayload(event, message, data, error);
+    const delivery = Promise.all(targets.map(target => this.deliver(target, payload)));
+
+    this.pending.add(delivery);
+    delivery.finally(() => this.pending.delete(delivery));
+
+    return delivery;
+  }
+
+  /**
+   * The JSON body every target receives
+   */
+  buildPayload(event, message, data, error) {
+    const { project, ...context } = this.context;
+
+    return {
+      event,
+      message,
+      timestamp: new Date().toISOString(),
+      host: os.hostname(),
+      ...context,
+      project: project ? {
+        client: project.getClientLabel(),
+        shootDate: project.shootDate,
+        source: project.source
+      } : null,
+      data,
+      error: error ? { message: error.message, name: error.name, code: error.code || null } : null
+    };
+  }
+
+  /**
+   * Deliver to one target, retrying with a growing delay
+   */
+  async deliver(target, payload) {
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= this.retries + 1; attempt++) {
+      try {
+        if (target.webhook) {
+          await this.postWebhook(target, payload);
+        } else {
+          await this.runCommand(target, payload);
+        }
+        return { target: target.name, ok: true, attempts: attempt };
+      } catch (error) {
+        lastError = error;
+
+        if (attempt <= this.retries) {
+          await new Promise(resolve => setTimeout(resolve, this.retryDelay * 2 ** (attempt - 1)));
+        }
+      }
+    }
+
+    this.auditLogger?.logError(lastError, {
+      operation: 'notification_delivery',
+      event: payload.event,
+      target: target.name,
+      attempts: this.retries + 1
+    }, 'warn');
+
+    return { target: target.name, ok: false, attempts: this.retries + 1, error: lastError.message };
+  }
+
+  /**
+   * POST the payload as JSON
+   */
+  async postWebhook(target, payload) {
+    try {
+      await axios.post(target.webhook, payload, {
+        headers: { 'Content-Type': 'application/json', ...target.headers },
+        timeout: this.timeout
+      });
+    } catch (error) {
+      const status = error.response ? ` (HTTP ${error.response.status})` : '';
+      throw new Error(`Webhook ${target.webhook} failed${status}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run the command with the payload on stdin and the event in
+   * PHOTO_WORKFLOW_EVENT
+   */
+  runCommand(target, payload) {
+    return new Promise((resolve, reject) => {
+      const child = exec(target.command, {
+        timeout: this.timeout,
+        env: { ...process.env, PHOTO_WORKFLOW_EVENT: payload.event, PHOTO_WORKFLOW_MESSAGE: payload.message }
+      }, (error, stdout, stderr) => {
+        if (error) {
+          const detail = stderr.trim() || (error.killed ? 'timed out' : `exit code ${error.code}`);
+          reject(new Error(`Command "${target.command}" failed: ${detail}`));
+        } else {
+          resolve();
+        }
+      });
+
+      // A command that ignores stdin closes it early; that is not a failure
+      child.stdin.on('error', () => {});
+      child.stdin.end(JSON.stringify(payload));
+    });
+  }
+
+  /**
+   * Wait for deliveries still in progress
+   */
+  async flush() {
+    await Promise.allSettled([...this.pending]);
+  }
+}
+
+Notifier.EVENTS = EVENTS;
+Notifier.FAILURE_EVENTS = FAILURE_EVENTS;
+Notifier.NotificationConfigError = NotificationConfigError;
+
+module.exports = Notifier;
@@ -0,0 +1,165 @@
+/**
+ * Photo Workflow - Stage and pipeline runs for Node programs
+ *
+ * The programmatic counterpart of the CLI: runStage() and runPipeline()
+ * resolve with stage results and reject with the error, and never print
+ * summaries or exit the process. Progress is published as events:
+ *
+ *   runStart       { runId, stage, inputDir, outputDir, pipeline, project }
+ *   stageStart     { runId, stage }
+ *   stageComplete  { runId, stage, result, rebuild }
+ *   stageFailed    { runId, stage, error }
+ *   log            { runId, entry }   every audit log entry
+ *   runComplete    { runId, stage, results, spend }
+ *   runFailed      { runId, stage, error, spend }
+ *
+ * runId is the orchestrator's workflow id, which also appears in the run's
+ * audit logs; spend counts the run's paid API calls and their estimated
+ * cost. Like the CLI, every run writes its logs, checkpoints and stage
+ * folders to its output directory.
+ */
+
+const path = require('path');
+const { EventEmitter } = require('events');
+const StageRegistry = require('./stageRegistry');
+const { RUN_ALL, loadRunContext, createRun, executeRun, summarizeResults } = require('./workflowRunner');
+
+const STAGE_EVENTS = ['stageStart', 'stageComplete', 'stageFailed'];
+
+class PhotoWorkflow extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    // Discovered on first use, so requiring the library loads no plugins
+    this.registry = options.registry || null;
+    this.verbose = options.verbose || false;
+  }
+
+  /**
+   * Built-in stages plus plugins from ./plugins or photo-workflow-plugin-* packages
+   */
+  getRegistry() {
+    if (!this.registry) {
+      this.registry = StageRegistry.discover();
+    }
+
+    return this.registry;
+  }
+
+  /**
+   * Run one stage. options: { input, output, options, config, project,
+   * prices, maxCost, maxCalls, notify, settings, mock, dryRun, force,
+   * resume, jobs, signal }. settings overrides individual settings, e.g.
+   * { maxApiRetries: 5 }, over the pipeline file and the environment.
+   * Resolves with the stage result.
+   */
+  async runStage(stageName, options = {}) {
+    const registry = this.getRegistry();
+
+    if (!registry.has(stageName)) {
+      throw new Error(`Unknown stage "${stageName}" (expected one of: ${registry.getRunOrder().join(', ')})`);
+    }
+
+    const results = await this.execute(stageName, options);
+    return results[stageName];
+  }
+
+  /**
+   * Run every stage of the pipeline (options.config, or the built-in
+   * pipeline). Same options as runStage; resolves with results by stage name.
+   */
+  async runPipeline(options = {}) {
+    return this.execute(RUN_ALL, options);
+  }
+
+  /**
+   * Estimate the paid API calls and cost of running the pipeline, without
+   * running it. Same options as runPipeline; resolves with the plan.
+   */
+  async planPipeline(options = {}) {
+    // Logged as "plan", so planning never touches the full-workflow logs
+    const { run, orchestrator } = await this.prepare('plan', options);
+
+    return {
+      pipeline: run.pipeline.name,
+      inputDir: run.inputDir,
+      outputDir: run.outputDir,
+      maxCost: run.maxCost,
+      maxCalls: run.maxCalls,
+      ...await orchestrator.planRun(run.pipeline.buildStageSequence({ mock: run.mock }), run.priceTable)
+    };
+  }
+
+  /**
+   * Load a run's files and create its orchestrator
+   */
+  async prepare(stage, options) {
+    if (!options.input) {
+      throw new Error('input is required');
+    }
+
+    const registry = this.getRegistry();
+    const context = await loadRunContext({
+      ...options,
+      output: options.output || path.join(process.cwd(), 'output')
+    }, registry);
+
+    const run = {
+      ...context,
+      stage,
+      options: options.options || {},
+      maxCost: options.maxCost ?? null,
+      maxCalls: options.maxCalls ?? null,
+      mock: options.mock || context.settings.get('enableMockAi'),
+      dryRun: options.dryRun || false,
+      force: options.force || false,
+      resume: options.resume || false,
+      jobs: options.jobs
+    };
+
+    const { auditLogger, orchestrator } = createRun(run, {
+      registry,
+      verbose: options.verbose ?? this.verbose,
+      signal: options.signal
+    });
+
+    return { run, auditLogger, orchestrator };
+  }
+
+  /**
+   * Run a stage or the pipeline, forwarding its progress as events
+   */
+  async execute(stage, options) {
+    const { run, auditLogger, orchestrator } = await this.prepare(stage, options);
+    const runId = orchestrator.workflowId;
+
+    auditLogger.on('entry', entry => this.emit('log', { runId, entry }));
+    for (const event of STAGE_EVENTS) {
+      orchestrator.on(event, ({ workflowId, ...details }) => this.emit(event, { runId, ...details }));
+    }
+
+    this.emit('runStart', {
+      runId,
+      stage,
+      inputDir: run.inputDir,
+      outputDir: run.outputDir,
+      pipeline: run.pipeline.name,
+      project: run.project
+    });
+
+    try {
+      const results = await executeRun(run, orchestrator);
+      this.emit('runComplete', { runId, stage, results: summarizeResults(orchestrator, results), spend: orchestrator.budget.getUsage() });
+      return results;
+    } catch (error) {
+      this.emit('runFailed', { runId, stage, error, spend: orchestrator.budget.getUsage() });
+      throw error;
+    } finally {
+      await auditLogger.flushLogs();
+      await orchestrator.notifier.flush();
+    }
+  }
+}
+
+PhotoWorkflow.RUN_ALL = RUN_ALL;
+
+module.exports = PhotoWorkflow;
@@ -0,0 +1,404 @@
+/**
+ * Pipeline Config - Declarative pipeline definitions for run-all
+ *
+ * Loads a JSON or YAML pipeline file that declares which stages run, in what
+ * order, and with which per-stage options, so each shoot type (wedding,
+ * portrait, event) can keep its own checked-in pipeline. An optional
+ * `settings` block overrides the environment's settings for runs of this
+ * pipeline (see lib/settings.js), and a stage's `hooks` block lists commands
+ * or modules to run before and after it (see lib/stageHooks.js). Validation
+ * errors name the exact key that is wrong, e.g. stages[1].options.threshold.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const { listPromptProfiles, hasPromptProfile, DEFAULT_PROFILE } = require('./promptProfiles');
+const { OUTPUT_MODES: FINALIZE_OUTPUTS } = require('../stages/finalizeStage');
+const { SOCIAL_FORMATS } = require('../stages/socialSelectStage');
+const StageRegistry = require('./stageRegistry');
+const Settings = require('./settings');
+const StageHooks = require('./stageHooks');
+
+const STAGE_OPTION_SCHEMAS = {
+  'ingest': {
+    sources: { type: 'paths' },
+    backup: { type: 'string' },
+    mock: { type: 'boolean' }
+  },
+  'convert': {
+    quality: { type: 'integer', min: 1, max: 100 },
+    resize: { type: 'string', pattern: /^\d+x\d+$/, hint: 'a size like 2048x1536' },
+    profile: { type: 'string', pattern: /^[\w.-]+$/, hint: 'a development profile name' },
+    mock: { type: 'boolean' }
+  },
+  'cull': {
+    threshold: { type: 'number', min: 0, max: 1 },
+    promptProfile: { type: 'promptProfile' },
+    mock: { type: 'boolean' }
+  },
+  'group': {
+    timeThreshold: { type: 'integer', min: 1 },
+    mock: { type: 'boolean' }
+  },
+  'social-select': {
+    count: { type: 'integer', min: 1 },
+    formats: { type: 'list', values: SOCIAL_FORMATS }
+  },
+  'imagen-upload': {
+    mock: { type: 'boolean' }
+  },
+  'imagen-download': {
+    mock: { type: 'boolean' }
+  },
+  'finalize': {
+    outputs: { type: 'list', values: FINALIZE_OUTPUTS },
+    mock: { type: 'boolean' }
+  }
+};
+
+// Matches the options run-all has always used when no pipeline is given;
+// quality, threshold and timeThreshold default from the settings
+const DEFAULT_STAGE_OPTIONS = {
+  'cull': { promptProfile: DEFAULT_PROFILE },
+  'finalize': { outputs: FINALIZE_OUTPUTS }
+};
+
+class PipelineConfigError extends Error {
+  constructor(source, errors) {
+    const details = errors.map(e => `  - ${e.key}: ${e.message}`).join('\n');
+    super(`Invalid pipeline file ${source}:\n${details}`);
+    this.name = 'PipelineConfigError';
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+class PipelineConfig {
+  constructor(definition, source = 'default') {
+    this.source = source;
+    this.name = definition.name || path.basename(source, path.extname(source));
+    this.description = definition.description || null;
+    this.stages = definition.stages;
+    this.settings = definition.settings || {};
+  }
+
+  /**
+   * Load and validate a pipeline file (plugin stages come from the registry)
+   */
+  static async load(filePath, registry = new StageRegistry()) {
+    const source = path.resolve(filePath);
+
+    if (!await fs.pathExists(source)) {
+      throw new Error(`Pipeline file not found: ${source}`);
+    }
+
+    const content = await fs.readFile(source, 'utf8');
+    const raw = PipelineConfig.parse(content, source);
+
+    return new PipelineConfig(PipelineConfig.validate(raw, source, registry), source);
+  }
+
+  /**
+   * Create the default pipeline: every registered stage in run order, less
+   * optional stages such as ingest
+   */
+  static createDefault(registry = new StageRegistry()) {
+    return new PipelineConfig({
+      name: 'default',
+      stages: registry.getRunOrder().filter(name => !registry.get(name).optional).map(name => ({
+        name,
+        options: JSON.parse(JSON.stringify(DEFAULT_STAGE_OPTIONS[name] || {}))
+      }))
+    });
+  }
+
+  /**
+   * Parse JSON or YAML content based on the file extension
+   */
+  static parse(content, source) {
+    const ext = path.extname(source).toLowerCase();
+
+    try {
+      if (ext === '.json') {
+        return JSON.parse(content);
+      }
+      return yaml.load(content, { filename: source });
+    } catch (error) {
+      throw new PipelineConfigError(source, [{
+        key: '(file)',
+        message: `could not be parsed as ${ext === '.json' ? 'JSON' : 'YAML'}: ${error.message}`
+      }]);
+    }
+  }
+
+  /**
+   * Validate a parsed pipeline definition and normalize its stages
+   */
+  static validate(raw, source, registry = new StageRegistry()) {
+    const errors = [];
+    const fail = (key, message) => errors.push({ key, message });
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new PipelineConfigError(source, [{ key: '(root)', message: 'must be an object with a "stages" list' }]);
+    }
+
+    for (const key of Object.keys(raw)) {
+      if (!['name', 'description', 'settings', 'stages'].includes(key)) {
+        fail(key, 'unknown key (expected name, description, settings, stages)');
+      }
+    }
+
+    if (raw.name !== undefined && typeof raw.name !== 'string') {
+      fail('name', 'must be a string');
+    }
+    if (raw.description !== undefined && typeof raw.description !== 'string') {
+      fail('description', 'must be a string');
+    }
+
+    const settings = raw.settings === undefined ? {} : Settings.validateBlock(raw.settings, 'settings', fail, path.dirname(source));
+
+    if (!Array.isArray(raw.stages) || raw.stages.length === 0) {
+      fail('stages', 'must be a non-empty list of stages');
+      throw new PipelineConfigError(source, errors);
+    }
+
+    const stages = [];
+    const seen = new Map();
+
+    raw.stages.forEach((entry, index) => {
+      const at = `stages[${index}]`;
+      const stage = typeof entry === 'string' ? { name: entry } : entry;
+
+      if (!stage || typeof stage !== 'object' || Array.isArray(stage)) {
+        fail(at, 'must be a stage name or an object with "name" and "options"');
+        return;
+      }
+
+      for (const key of Object.keys(stage)) {
+        if (!['name', 'options', 'hooks'].includes(key)) {
+          fail(`${at}.${key}`, 'unknown key (expected name, options, hooks)');
+        }
+      }
+
+      if (typeof stage.name !== 'string' || !registry.has(stage.name)) {
+        fail(`${at}.name`, `unknown stage ${JSON.stringify(stage.name)} (expected one of: ${registry.getRunOrder().join(', ')})`);
+        return;
+      }
+
+      if (seen.has(stage.name)) {
+        fail(`${at}.name`, `stage "${stage.name}" is already listed at stages[${seen.get(stage.name)}]`);
+        return;
+      }
+
+      // A stage may not come after anything that depends on it
+      const downstream = stages.find(earlier => registry.getUpstreamStages(earlier.name).includes(stage.name));
+      if (downstream) {
+        fail(`${at}.name`, `stage "${stage.name}" must run before "${downstream.name}", which depends on it`);
+      }
+
+      // Only the first stage reads the --input directory directly; later ones
+      // need an earlier stage to produce the artefacts they read
+      if (stages.length > 0) {
+        const missing = PipelineConfig.findMissingInput(stage.name, stages.map(earlier => earlier.name), registry);
+        if (missing) {
+          fail(`${at}.name`, missing);
+        }
+      }
+
+      seen.set(stage.name, index);
+      stages.push({
+        name: stage.name,
+        options: PipelineConfig.validateStageOptions(stage.name, stage.options, `${at}.options`, fail, registry),
+        hooks: stage.hooks === undefined
+          ? { pre: [], post: [] }
+          : StageHooks.validateBlock(stage.hooks, `${at}.hooks`, fail)
+      });
+    });
+
+    if (errors.length > 0) {
+      throw new PipelineConfigError(source, errors);
+    }
+
+    return {
+      name: raw.name,
+      description: raw.description,
+      settings,
+      stages
+    };
+  }
+
+  /**
+   * Describe the first required input of a stage that none of the earlier
+   * pipeline stages produce, or return null. Artefacts no stage produces are
+   * ignored unless only --input supplies them; plugins that name a
+   * dependency are checked by the dependency order instead.
+   */
+  static findMissingInput(stageName, earlier, registry) {
+    const definition = registry.get(stageName);
+    if (!definition.builtin && definition.dependsOn.length > 0) {
+      return null;
+    }
+
+    for (const input of registry.getInputs(stageName)) {
+      if (input.optional) continue;
+
+      const producers = registry.getProducers([input]);
+      const artefacts = input.alternatives.length > 1
+        ? `${input.alternatives.slice(0, -1).join(', ')} or ${input.alternatives[input.alternatives.length - 1]}`
+        : input.alternatives[0];
+
+      if (producers.some(name => earlier.includes(name))) continue;
+
+      if (producers.length === 0) {
+        if (input.alternatives.some(artefact => StageRegistry.INPUT_ARTEFACTS.includes(artefact))) {
+          return `stage "${stageName}" reads ${artefacts} from --input and must be the first stage`;
+        }
+        continue;
+      }
+
+      const names = producers.length > 1
+        ? `${producers.slice(0, -1).join(', ')} or ${producers[producers.length - 1]} produce`
+        : `${producers[0]} produces`;
+      return `stage "${stageName}" reads ${artefacts}, which ${names}; ${producers.length > 1 ? 'one of them' : 'it'} must run earlier in the pipeline`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate the options block for a single stage
+   */
+  static validateStageOptions(stageName, options, at, fail, registry) {
+    if (options === undefined || options === null) {
+      return {};
+    }
+
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      fail(at, 'must be an object');
+      return {};
+    }
+
+    const schema = STAGE_OPTION_SCHEMAS[stageName] || PipelineConfig.getPluginSchema(stageName, registry);
+    const validated = {};
+
+    for (const [key, value] of Object.entries(options)) {
+      const rule = schema[key];
+
+      if (!rule) {
+        fail(`${at}.${key}`, `unknown option for stage "${stageName}" (expected one of: ${Object.keys(schema).join(', ')})`);
+        continue;
+      }
+
+      const message = PipelineConfig.checkValue(value, rule);
+      if (message) {
+        fail(`${at}.${key}`, `${message} (got ${JSON.stringify(value)})`);
+        continue;
+      }
+
+      validated[key] = value;
+    }
+
+    return validated;
+  }
+
+  /**
+   * Build an option schema from a plugin's declared CLI options
+   */
+  static getPluginSchema(stageName, registry) {
+    const schema = { mock: { type: 'boolean' } };
+
+    for (const optionName of registry.getOptionNames(stageName)) {
+      schema[optionName] = { type: 'any' };
+    }
+
+    return schema;
+  }
+
+  /**
+   * Check a value against an option rule, returning an error message or null
+   */
+  static checkValue(value, rule) {
+    const range = () => {
+      if (rule.min !== undefined && rule.max !== undefined) return ` between ${rule.min} and ${rule.max}`;
+      if (rule.min !== undefined) return ` of at least ${rule.min}`;
+      return '';
+    };
+    const outOfRange = value => (rule.min !== undefined && value < rule.min) ||
+      (rule.max !== undefined && value > rule.max);
+
+    switch (rule.type) {
+      case 'integer':
+        return Number.isInteger(value) && !outOfRange(value) ? null : `must be an integer${range()}`;
+
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value) && !outOfRange(value)
+          ? null
+          : `must be a number${range()}`;
+
+      case 'boolean':
+        return typeof value === 'boolean' ? null : 'must be true or false';
+
+      case 'string':
+        if (typeof value !== 'string') return 'must be a string';
+        return !rule.pattern || rule.pattern.test(value) ? null : `must be ${rule.hint}`;
+
+      case 'list':
+        if (!Array.isArray(value) || value.length === 0) {
+          return `must be a non-empty list of: ${rule.values.join(', ')}`;
+        }
+        return value.every(item => rule.values.includes(item))
+          ? null
+          : `may only contain: ${rule.values.join(', ')}`;
+
+      case 'paths':
+        return Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item !== '')
+          ? null
+          : 'must be a non-empty list of paths';
+
+      case 'promptProfile':
+        return hasPromptProfile(value)
+          ? null
+          : `must name a prompt profile in prompts/ (available: ${listPromptProfiles().join(', ')})`;
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get the configured options for a stage, or null if it is not in the pipeline
+   */
+  getStageOptions(stageName) {
+    const stage = this.stages.find(s => s.name === stageName);
+    return stage ? { ...stage.options } : null;
+  }
+
+  /**
+   * Get the pre and post hooks of every stage that has any, by stage name
+   */
+  getHooks() {
+    return Object.fromEntries(this.stages
+      .filter(stage => stage.hooks && (stage.hooks.pre.length > 0 || stage.hooks.post.length > 0))
+      .map(stage => [stage.name, stage.hooks]));
+  }
+
+  /**
+   * Build the stage list for StageOrchestrator.runAllStages
+   */
+  buildStageSequence(overrides = {}) {
+    const defined = Object.fromEntries(
+      Object.entries(overrides).filter(([, value]) => value !== undefined)
+    );
+
+    return this.stages.map(stage => ({
+      name: stage.name,
+      options: { ...stage.options, ...defined }
+    }));
+  }
+}
+
+PipelineConfig.FINALIZE_OUTPUTS = FINALIZE_OUTPUTS;
+PipelineConfig.PipelineConfigError = PipelineConfigError;
+
+module.exports = PipelineConfig;
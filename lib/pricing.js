@@ -0,0 +1,149 @@
+/**
+ * Pricing - Price table for the paid AI services
+ *
+ * Cull pays Gemini per request plus per image sent, and Imagen charges per
+ * image enhanced. The defaults are rough list prices; studios with their own
+ * rates keep them in a JSON or YAML price file passed with --prices:
+ *
+ *   currency: USD
+ *   gemini: { perCall: 0.001, perImage: 0.00002 }
+ *   imagen: { perImage: 0.05 }
+ *
+ * Keys left out of the file keep their default.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_PRICES = {
+  currency: 'USD',
+  gemini: { perCall: 0.001, perImage: 0.00002 },
+  imagen: { perCall: 0, perImage: 0.05 }
+};
+
+const SERVICES = ['gemini', 'imagen'];
+const RATES = ['perCall', 'perImage'];
+
+class PriceTableError extends Error {
+  constructor(source, errors) {
+    const details = errors.map(e => `  - ${e.key}: ${e.message}`).join('\n');
+    super(`Invalid price file ${source}:\n${details}`);
+    this.name = 'PriceTableError';
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+/**
+ * The default price table (a fresh copy)
+ */
+function getDefaultPrices() {
+  return JSON.parse(JSON.stringify(DEFAULT_PRICES));
+}
+
+/**
+ * Load a JSON or YAML price file over the defaults
+ */
+async function loadPrices(filePath) {
+  const source = path.resolve(filePath);
+
+  if (!await fs.pathExists(source)) {
+    throw new Error(`Price file not found: ${source}`);
+  }
+
+  const content = await fs.readFile(source, 'utf8');
+  let raw;
+
+  try {
+    raw = path.extname(source).toLowerCase() === '.json'
+      ? JSON.parse(content)
+      : yaml.load(content, { filename: source });
+  } catch (error) {
+    throw new PriceTableError(source, [{ key: '(file)', message: `could not be parsed: ${error.message}` }]);
+  }
+
+  return mergePrices(raw, source);
+}
+
+/**
+ * Validate a price table and fill in defaults for anything it leaves out
+ */
+function mergePrices(raw, source = 'prices') {
+  const prices = getDefaultPrices();
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new PriceTableError(source, [{ key: '(file)', message: 'must be an object with gemini and/or imagen prices' }]);
+  }
+
+  for (const [key, value] of Object.entries(raw)) {
+    if (key === 'currency') {
+      if (typeof value === 'string' && value.trim()) {
+        prices.currency = value.trim();
+      } else {
+        errors.push({ key, message: 'must be a currency code, e.g. USD' });
+      }
+      continue;
+    }
+
+    if (!SERVICES.includes(key)) {
+      errors.push({ key, message: `unknown service (expected currency, ${SERVICES.join(', ')})` });
+      continue;
+    }
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push({ key, message: `must be an object with ${RATES.join(' and/or ')}` });
+      continue;
+    }
+
+    for (const [rate, amount] of Object.entries(value)) {
+      if (!RATES.includes(rate)) {
+        errors.push({ key: `${key}.${rate}`, message: `unknown rate (expected ${RATES.join(', ')})` });
+      } else if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+        errors.push({ key: `${key}.${rate}`, message: 'must be a number of 0 or more' });
+      } else {
+        prices[key][rate] = amount;
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new PriceTableError(source, errors);
+  }
+
+  return prices;
+}
+
+/**
+ * Cost of calls and images sent to one service
+ */
+function costOf(prices, service, { calls = 0, images = 0 } = {}) {
+  const rates = prices[service];
+
+  if (!rates) {
+    throw new Error(`No prices for service: ${service}`);
+  }
+
+  return calls * rates.perCall + images * rates.perImage;
+}
+
+/**
+ * Format an amount in the price table's currency
+ */
+function formatCost(prices, amount) {
+  // Gemini costs are fractions of a cent per image; keep them visible
+  const digits = amount > 0 && amount < 0.1 ? 4 : 2;
+  return `${amount.toFixed(digits)} ${prices.currency}`;
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  SERVICES,
+  PriceTableError,
+  getDefaultPrices,
+  loadPrices,
+  mergePrices,
+  costOf,
+  formatCost
+};
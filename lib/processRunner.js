@@ -0,0 +1,201 @@
+/**
+ * Process Runner - External tools run without a shell
+ *
+ * exiftool, the RAW decoders, python3 and xattr are all run through here
+ * with an argument array, so a file name with quotes, spaces or `$` reaches
+ * the tool as it is and is never read by a shell. Every call has a timeout,
+ * and a failure is a ProcessError carrying the tool's exit code and the end
+ * of its stderr, ready for the audit log. Whether a tool is installed is
+ * looked up on the PATH once per process and cached, as are probes that
+ * need more than the executable (Python with PIL).
+ *
+ * Notification commands and stage hooks are different: they are shell
+ * commands the user writes, so they still run in a shell.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// Milliseconds a tool may run unless the call sets its own timeout
+const DEFAULT_TIMEOUT = 2 * 60 * 1000;
+
+// Characters of stderr kept on a ProcessError
+const STDERR_LIMIT = 2000;
+
+// Tool name or probe name -> Promise of the cached answer
+const locations = new Map();
+const probes = new Map();
+
+class ProcessError extends Error {
+  constructor(command, result) {
+    // Without an exit code or signal the tool never ran (EACCES, say)
+    let reason = `could not be run (${result.errorCode || result.errorMessage || 'unknown error'})`;
+    if (result.notFound) {
+      reason = 'is not installed';
+    } else if (result.timedOut) {
+      reason = `timed out after ${result.timeout}ms`;
+    } else if (result.exitCode !== null) {
+      reason = `exited with code ${result.exitCode}`;
+    } else if (result.signal) {
+      reason = `was stopped by ${result.signal}`;
+    }
+    const detail = result.stderr.trim().split('\n').pop();
+
+    super(`${path.basename(command)} ${reason}${detail ? `: ${detail}` : ''}`);
+    this.name = 'ProcessError';
+    this.command = command;
+    this.exitCode = result.exitCode;
+    this.notFound = Boolean(result.notFound);
+    this.signal = result.signal;
+    this.errorCode = result.errorCode || null;
+    this.timedOut = result.timedOut;
+    this.stderr = result.stderr;
+  }
+}
+
+/**
+ * Run a tool with an argument array; resolves with { stdout, stderr,
+ * duration } or rejects with a ProcessError. options: timeout (ms), cwd,
+ * env, input (written to stdin), maxBuffer, and auditLogger to log failures.
+ */
+function run(command, args = [], options = {}) {
+  const timeout = options.timeout ?? DEFAULT_TIMEOUT;
+  const startTime = Date.now();
+
+  return new Promise((resolve, reject) => {
+    const child = execFile(command, args.map(String), {
+      cwd: options.cwd,
+      env: options.env,
+      timeout,
+      maxBuffer: options.maxBuffer || 16 * 1024 * 1024,
+      windowsHide: true
+    }, (error, stdout, stderr) => {
+      const duration = Date.now() - startTime;
+
+      if (!error) {
+        resolve({ stdout, stderr, duration });
+        return;
+      }
+
+      const processError = new ProcessError(command, {
+        exitCode: typeof error.code === 'number' ? error.code : null,
+        notFound: error.code === 'ENOENT',
+        signal: error.signal || null,
+        errorCode: typeof error.code === 'string' ? error.code : null,
+        errorMessage: error.message,
+        timedOut: Boolean(error.killed && timeout),
+        timeout,
+        stderr: truncate(stderr || '')
+      });
+
+      options.auditLogger?.logEvent('process_failed', {
+        command: path.basename(command),
+        args: args.length,
+        exitCode: processError.exitCode,
+        signal: processError.signal,
+        errorCode: processError.errorCode,
+        timedOut: processError.timedOut,
+        stderr: processError.stderr,
+        duration
+      }, 'warn');
+
+      reject(processError);
+    });
+
+    // A tool that does not read stdin may close it early; that is not a failure
+    child.stdin.on('error', () => {});
+    child.stdin.end(options.input);
+  });
+}
+
+/**
+ * Full path of an installed tool (searched on the PATH, once), or null
+ */
+function locate(tool) {
+  if (!locations.has(tool)) {
+    locations.set(tool, findOnPath(tool));
+  }
+
+  return locations.get(tool);
+}
+
+/**
+ * Whether a tool is installed
+ */
+async function isAvailable(tool) {
+  return Boolean(await locate(tool));
+}
+
+/**
+ * Run a check command once per process and cache whether it succeeded,
+ * e.g. probe('python-pil', 'python3', ['-c', 'from PIL import Image'])
+ */
+function probe(name, command, args = [], options = {}) {
+  if (!probes.has(name)) {
+    probes.set(name, run(command, args, { timeout: 30 * 1000, ...options }).then(() => true, () => false));
+  }
+
+  return probes.get(name);
+}
+
+/**
+ * Whether python3 with PIL is available, for the stages that resize and
+ * encode JPEGs through it
+ */
+function hasPythonPil() {
+  return probe('python-pil', 'python3', ['-c', 'from PIL import Image, ImageOps']);
+}
+
+/**
+ * Look a tool up in the PATH directories (with PATHEXT on Windows)
+ */
+async function findOnPath(tool) {
+  if (tool.includes(path.sep)) {
+    return await isExecutable(tool) ? path.resolve(tool) : null;
+  }
+
+  const extensions = process.platform === 'win32'
+    ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')
+    : [''];
+
+  for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    for (const extension of extensions) {
+      const candidate = path.join(dir, tool + extension);
+      if (await isExecutable(candidate)) {
+        return candidate;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether a path is an executable file
+ */
+async function isExecutable(filePath) {
+  try {
+    await fs.access(filePath, fs.constants.X_OK);
+    return (await fs.stat(filePath)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Keep the end of long stderr, where errors usually are
+ */
+function truncate(output = '') {
+  return output.length > STDERR_LIMIT ? `…${output.slice(-STDERR_LIMIT)}` : output;
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT,
+  ProcessError,
+  run,
+  locate,
+  isAvailable,
+  probe,
+  hasPythonPil
+};
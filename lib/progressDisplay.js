@@ -0,0 +1,451 @@
+/**
+ * Progress Display - Full-screen terminal view of a running pipeline
+ *
+ * Follows a PhotoWorkflow's events (stage starts and finishes, plus every
+ * audit log entry) and redraws one screen: a progress bar per stage with its
+ * ETA, the file or batch being worked on, kept/culled/errored image counts
+ * and a scrolling pane of recent warnings and fallbacks. Stages report their
+ * progress through AuditLogger.logProgress(). While the view is open,
+ * console warnings and errors land in the pane instead of over the screen,
+ * and plain console output (which the view already shows) is dropped.
+ *
+ * The view uses the terminal's alternate screen, so the shell's scrollback
+ * is left as it was; closing it prints the final stage lines.
+ */
+
+const path = require('path');
+const util = require('util');
+const chalk = require('chalk');
+
+const ENTER_SCREEN = '\x1b[?1049h\x1b[?25l';
+const LEAVE_SCREEN = '\x1b[?25h\x1b[?1049l';
+const HOME = '\x1b[H';
+const CLEAR_LINE = '\x1b[K';
+const CLEAR_BELOW = '\x1b[J';
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+const WORKFLOW_EVENTS = ['runStart', 'stageStart', 'stageComplete', 'stageFailed', 'log', 'runComplete', 'runFailed'];
+const CONSOLE_METHODS = { log: null, info: null, warn: 'warn', error: 'error' };
+const MAX_MESSAGES = 200;
+
+class ProgressDisplay {
+  constructor(options = {}) {
+    this.stream = options.stream || process.stdout;
+    this.redrawInterval = options.redrawInterval ?? 100;
+
+    this.run = null;
+    this.stages = new Map();
+    this.currentStage = null;
+    this.messages = [];
+    this.finished = false;
+
+    // Images named in errors, by name without extension, so a RAW file and
+    // the JPEG made from it count once; plus errors about no one image
+    this.erroredImages = new Set();
+    this.otherErrors = 0;
+
+    this.active = false;
+    this.workflow = null;
+    this.listeners = {};
+    this.consoleMethods = null;
+    this.redrawTimer = null;
+    this.clockTimer = null;
+
+    this.restoreTerminal = () => this.stream.write(LEAVE_SCREEN);
+    this.render = () => {
+      this.redrawTimer = null;
+      this.draw();
+    };
+  }
+
+  /**
+   * Check whether a stream can show the view
+   */
+  static isSupported(stream = process.stdout) {
+    return Boolean(stream.isTTY) && process.env.TERM !== 'dumb';
+  }
+
+  /**
+   * Open the view and follow a workflow's events until stop()
+   */
+  start(workflow) {
+    this.workflow = workflow;
+    for (const event of WORKFLOW_EVENTS) {
+      this.listeners[event] = details => this.handleEvent(event, details);
+      workflow.on(event, this.listeners[event]);
+    }
+
+    // Console output from stages goes to the pane, not over the screen
+    this.consoleMethods = {};
+    for (const [method, level] of Object.entries(CONSOLE_METHODS)) {
+      this.consoleMethods[method] = console[method];
+      console[method] = level ? (...args) => this.addConsoleMessage(level, args) : () => {};
+    }
+
+    this.stream.write(ENTER_SCREEN);
+    this.stream.on('resize', this.render);
+    process.on('exit', this.restoreTerminal);
+
+    // Keeps the elapsed time and ETAs moving between events
+    this.clockTimer = setInterval(this.render, 1000);
+    this.clockTimer.unref();
+
+    this.active = true;
+    this.draw();
+  }
+
+  /**
+   * Close the view, restore the terminal and print the final stage lines
+   * and image counts
+   */
+  stop() {
+    if (!this.active) {
+      return;
+    }
+
+    this.active = false;
+    clearInterval(this.clockTimer);
+    clearTimeout(this.redrawTimer);
+
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.workflow.off(event, listener);
+    }
+    Object.assign(console, this.consoleMethods);
+
+    this.stream.off('resize', this.render);
+    process.off('exit', this.restoreTerminal);
+    this.restoreTerminal();
+
+    const width = this.getWidth();
+    const warnings = this.messages.length;
+    const lines = [...this.renderStages(width), this.renderCurrent(width)[1]];
+
+    if (warnings > 0) {
+      lines.push(chalk.yellow(`${warnings} warning(s) and fallback(s) during the run; see the logs for details`));
+    }
+    this.stream.write(`${lines.join('\n')}\n`);
+  }
+
+  /**
+   * Add a note to the pane, e.g. that the run is being cancelled
+   */
+  note(text, level = 'warn') {
+    this.addMessage(level, text);
+  }
+
+  /**
+   * Update the state from a workflow event
+   */
+  handleEvent(event, details) {
+    switch (event) {
+      case 'runStart':
+        this.run = { ...details, startedAt: Date.now() };
+        break;
+      case 'stageStart':
+        this.currentStage = this.getStage(details.stage);
+        Object.assign(this.currentStage, { status: 'running', startedAt: Date.now() });
+        break;
+      case 'stageComplete':
+        Object.assign(this.getStage(details.stage), {
+          status: 'done',
+          endedAt: Date.now(),
+          rebuild: details.rebuild,
+          filesProcessed: details.result?.filesProcessed ?? null,
+          current: null
+        });
+        break;
+      case 'stageFailed':
+        Object.assign(this.getStage(details.stage), { status: 'failed', endedAt: Date.now() });
+        this.addMessage('error', `${details.stage} failed: ${details.error.message}`);
+        break;
+      case 'log':
+        this.handleEntry(details.entry);
+        break;
+      case 'runComplete':
+      case 'runFailed':
+        this.finished = true;
+        break;
+    }
+
+    this.scheduleRedraw();
+  }
+
+  /**
+   * Update the state from an audit log entry
+   */
+  handleEntry(entry) {
+    const { eventType, level, data } = entry;
+
+    if (eventType === 'full_workflow_start') {
+      data.stages.forEach(name => this.getStage(name));
+    } else if (eventType === 'progress' && this.currentStage) {
+      this.updateProgress(this.currentStage, data);
+    } else if (eventType === 'fallback') {
+      this.addMessage(level, `${data.from} → ${data.to}: ${data.reason}`, entry.timestamp);
+    } else if (eventType === 'error') {
+      // logError(..., 'warn') is a warning, not an errored image
+      if (level !== 'warn' && data.context?.file) {
+        this.erroredImages.add(path.parse(data.context.file).name);
+      } else if (level !== 'warn') {
+        this.otherErrors++;
+      }
+      this.addMessage(level, data.message, entry.timestamp);
+    } else if (level === 'warn') {
+      this.addMessage(level, `${eventType}: ${data.message || data.reason || JSON.stringify(data)}`, entry.timestamp);
+    }
+  }
+
+  /**
+   * Merge a progress report into a stage; the first report that says how
+   * much is done starts the stage's ETA clock
+   */
+  updateProgress(stage, progress) {
+    for (const [key, value] of Object.entries(progress)) {
+      if (value !== undefined) {
+        stage[key] = value;
+      }
+    }
+
+    if (progress.done !== undefined && !stage.sample) {
+      stage.sample = { at: Date.now(), done: progress.done };
+    }
+  }
+
+  /**
+   * A stage's state, created as pending on first sight
+   */
+  getStage(name) {
+    if (!this.stages.has(name)) {
+      this.stages.set(name, {
+        name,
+        status: 'pending',
+        done: null,
+        total: null,
+        unit: null,
+        current: null,
+        kept: null,
+        culled: null,
+        startedAt: null,
+        endedAt: null,
+        sample: null,
+        rebuild: null,
+        filesProcessed: null
+      });
+    }
+
+    return this.stages.get(name);
+  }
+
+  /**
+   * Add console output to the pane, one message per line
+   */
+  addConsoleMessage(level, args) {
+    const text = util.format(...args).replace(ANSI_PATTERN, '');
+
+    for (const line of text.split('\n')) {
+      if (line.trim()) {
+        this.addMessage(level, line.trim());
+      }
+    }
+  }
+
+  /**
+   * Add a message to the pane, dropping the oldest past the limit
+   */
+  addMessage(level, text, timestamp = null) {
+    this.messages.push({ level, text: String(text), time: timestamp ? new Date(timestamp) : new Date() });
+
+    if (this.messages.length > MAX_MESSAGES) {
+      this.messages.shift();
+    }
+
+    this.scheduleRedraw();
+  }
+
+  /**
+   * Redraw soon, at most once per redraw interval
+   */
+  scheduleRedraw() {
+    if (this.active && !this.redrawTimer) {
+      this.redrawTimer = setTimeout(this.render, this.redrawInterval);
+    }
+  }
+
+  /**
+   * Write the whole screen
+   */
+  draw() {
+    if (!this.active) {
+      return;
+    }
+
+    const width = this.getWidth();
+    const height = this.stream.rows || 24;
+    const lines = [...this.renderHeader(width), '', ...this.renderStages(width), '', ...this.renderCurrent(width), ''];
+
+    // The pane takes whatever rows are left
+    const paneRows = Math.max(1, height - lines.length - 1);
+    lines.push(chalk.bold('Warnings and fallbacks'));
+    lines.push(...this.renderMessages(width, paneRows));
+
+    const frame = lines.slice(0, height).map(line => `${line}${CLEAR_LINE}`).join('\n');
+    this.stream.write(`${HOME}${frame}${CLEAR_BELOW}`);
+  }
+
+  /**
+   * Pipeline name, elapsed time and the input and output folders
+   */
+  renderHeader(width) {
+    const elapsed = this.run ? formatDuration(Date.now() - this.run.startedAt) : '0:00';
+    const title = `Photo Workflow · ${this.run?.pipeline || 'pipeline'}${this.finished ? ' · finished' : ''}`;
+    const clock = `${elapsed} elapsed`;
+    const gap = Math.max(1, width - title.length - clock.length);
+
+    return [
+      chalk.bold(fit(`${title}${' '.repeat(gap)}${clock}`, width)),
+      chalk.gray(fit(this.run ? `${this.run.inputDir} → ${this.run.outputDir}` : '', width))
+    ];
+  }
+
+  /**
+   * One line per stage: status, bar, counts, time and ETA
+   */
+  renderStages(width) {
+    const stages = [...this.stages.values()];
+    const nameWidth = Math.max(8, ...stages.map(stage => stage.name.length));
+    const barWidth = Math.max(10, Math.min(30, width - nameWidth - 45));
+
+    return stages.map(stage => {
+      const icon = { pending: '·', running: '▶', done: '✓', failed: '✗' }[stage.status];
+      const bar = renderBar(stage, barWidth);
+      const parts = [`${icon} ${stage.name.padEnd(nameWidth)}`];
+
+      if (stage.status === 'pending') {
+        parts.push('waiting');
+      } else {
+        parts.push(bar, this.describeCount(stage));
+
+        if (stage.startedAt) {
+          parts.push(formatDuration((stage.endedAt || Date.now()) - stage.startedAt));
+        }
+
+        if (stage.status === 'running') {
+          const eta = this.estimateRemaining(stage);
+          if (eta !== null) parts.push(`ETA ${formatDuration(eta)}`);
+        } else if (stage.rebuild) {
+          parts.push(stage.rebuild);
+        }
+      }
+
+      const color = { pending: chalk.gray, running: chalk.cyan, done: chalk.green, failed: chalk.red }[stage.status];
+      return color(fit(parts.join('  '), width));
+    });
+  }
+
+  /**
+   * "12/40 images", or what the stage reported when it finished
+   */
+  describeCount(stage) {
+    if (stage.total !== null && stage.done !== null) {
+      const done = stage.status === 'done' ? stage.total : stage.done;
+      return `${String(done).padStart(String(stage.total).length)}/${stage.total} ${stage.unit || 'files'}`;
+    }
+
+    if (stage.status === 'done' && stage.filesProcessed !== null) {
+      return `${stage.filesProcessed} files`;
+    }
+
+    return stage.status === 'running' ? 'starting' : '';
+  }
+
+  /**
+   * Remaining time for a stage at the rate seen since its first report
+   */
+  estimateRemaining(stage) {
+    if (!stage.sample || stage.total === null || stage.done === null) {
+      return null;
+    }
+
+    const completed = stage.done - stage.sample.done;
+    if (completed <= 0) {
+      return null;
+    }
+
+    return ((Date.now() - stage.sample.at) / completed) * Math.max(0, stage.total - stage.done);
+  }
+
+  /**
+   * The file or batch being worked on and the image counts
+   */
+  renderCurrent(width) {
+    const stage = this.currentStage;
+    const cull = [...this.stages.values()].find(candidate => candidate.kept !== null);
+    const errors = this.erroredImages.size + this.otherErrors;
+    const now = stage?.status === 'running'
+      ? `${stage.name}${stage.current ? ` · ${stage.current}` : ''}`
+      : (this.finished ? 'done' : 'starting');
+
+    return [
+      fit(`Now      ${now}`, width),
+      fit(`Images   kept ${cull ? cull.kept : '–'} · culled ${cull ? cull.culled : '–'} · errors ${errors}`, width)
+    ];
+  }
+
+  /**
+   * The newest messages that fit in the pane
+   */
+  renderMessages(width, rows) {
+    if (this.messages.length === 0) {
+      return [chalk.gray('none so far')];
+    }
+
+    return this.messages.slice(-rows).map(({ level, text, time }) => {
+      const color = level === 'warn' ? chalk.yellow : chalk.red;
+      return color(fit(`${time.toTimeString().slice(0, 8)} ${text.replace(/\s+/g, ' ')}`, width));
+    });
+  }
+
+  /**
+   * Usable width of the terminal
+   */
+  getWidth() {
+    return Math.max(40, (this.stream.columns || 80) - 1);
+  }
+}
+
+/**
+ * A stage's progress bar; full once it has finished
+ */
+function renderBar(stage, width) {
+  let ratio = 0;
+
+  if (stage.status === 'done') {
+    ratio = 1;
+  } else if (stage.total) {
+    ratio = Math.min(1, stage.done / stage.total);
+  }
+
+  const filled = Math.round(ratio * width);
+  return `${'█'.repeat(filled)}${'░'.repeat(width - filled)}`;
+}
+
+/**
+ * Milliseconds as m:ss, or h:mm:ss past an hour
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, '0');
+
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
+
+/**
+ * Cut a line to the terminal width
+ */
+function fit(text, width) {
+  return text.length > width ? `${text.slice(0, width - 1)}…` : text;
+}
+
+module.exports = ProgressDisplay;
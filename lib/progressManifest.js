@@ -0,0 +1,192 @@
+/**
+ * Progress Manifest - Per-unit checkpointing for workflow stages
+ *
+ * Records every finished unit of work (a converted file, a culled batch,
+ * an uploaded image...) in an append-only JSON lines file inside the stage
+ * output directory, so an interrupted stage can carry on from the first
+ * unfinished unit instead of starting over. Units recorded with a
+ * fingerprint are only reused while their inputs still match it.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { hashValue } = require('./fingerprint');
+
+const MANIFEST_FILE = '.progress.jsonl';
+
+class ProgressManifest {
+  constructor(options = {}) {
+    this.stageName = options.stageName || 'unknown';
+    this.stageDir = options.stageDir;
+    this.auditLogger = options.auditLogger || null;
+    this.manifestPath = path.join(this.stageDir, MANIFEST_FILE);
+
+    // unitId -> { unit, completedAt, fingerprint, data }
+    this.units = new Map();
+    this.reusedUnits = 0;
+    this.recordedUnits = 0;
+
+    // Units found out of date this run, and unitId -> fingerprint of every
+    // unit reused or recorded this run (the stage's current output)
+    this.staleUnits = new Set();
+    this.rebuiltUnits = [];
+    this.usedUnits = new Map();
+
+    // Appends are chained so parallel workers never interleave lines
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load previously recorded units from disk
+   */
+  async load() {
+    this.units.clear();
+
+    if (!await fs.pathExists(this.manifestPath)) {
+      return 0;
+    }
+
+    const content = await fs.readFile(this.manifestPath, 'utf8');
+    let skippedLines = 0;
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+
+      try {
+        const entry = JSON.parse(line);
+        this.units.set(entry.unit, entry);
+      } catch {
+        // A crash mid-write can leave a truncated last line
+        skippedLines++;
+      }
+    }
+
+    this.auditLogger?.logEvent('progress_manifest_loaded', {
+      stage: this.stageName,
+      manifestPath: this.manifestPath,
+      completedUnits: this.units.size,
+      skippedLines
+    });
+
+    return this.units.size;
+  }
+
+  /**
+   * Discard all recorded units
+   */
+  async reset() {
+    this.units.clear();
+    await fs.remove(this.manifestPath);
+  }
+
+  /**
+   * Check whether a unit has already been completed. With a fingerprint,
+   * a unit recorded from different inputs counts as not completed.
+   */
+  has(unitId, fingerprint) {
+    const entry = this.units.get(unitId);
+
+    if (!entry) {
+      return false;
+    }
+
+    if (fingerprint === undefined || entry.fingerprint === fingerprint) {
+      return true;
+    }
+
+    this.staleUnits.add(unitId);
+    return false;
+  }
+
+  /**
+   * Get the data recorded for a completed unit
+   */
+  get(unitId) {
+    const entry = this.units.get(unitId);
+    return entry ? entry.data : undefined;
+  }
+
+  /**
+   * Recorded units whose id starts with a prefix, newest first
+   */
+  list(prefix = '') {
+    return [...this.units.values()]
+      .filter(entry => entry.unit.startsWith(prefix))
+      .sort((a, b) => b.completedAt.localeCompare(a.completedAt));
+  }
+
+  /**
+   * Note that a previously completed unit is being reused
+   * (workers pass their own buffered logger to keep log order deterministic)
+   */
+  reuse(unitId, auditLogger = this.auditLogger) {
+    this.reusedUnits++;
+    this.usedUnits.set(unitId, this.units.get(unitId)?.fingerprint ?? null);
+
+    auditLogger?.logDecision('checkpoint_reused',
+      { stage: this.stageName, unit: unitId },
+      'skipped',
+      `Unit ${unitId} already completed in a previous run`
+    );
+
+    return this.get(unitId);
+  }
+
+  /**
+   * Record a completed unit and persist it immediately
+   */
+  async record(unitId, data = null, fingerprint = undefined) {
+    const entry = {
+      unit: unitId,
+      completedAt: new Date().toISOString(),
+      fingerprint,
+      data
+    };
+
+    this.units.set(unitId, entry);
+    this.recordedUnits++;
+    this.usedUnits.set(unitId, fingerprint ?? null);
+
+    if (this.staleUnits.delete(unitId)) {
+      this.rebuiltUnits.push(unitId);
+    }
+
+    const write = this.writeQueue.then(async () => {
+      await fs.ensureDir(this.stageDir);
+      await fs.appendFile(this.manifestPath, JSON.stringify(entry) + '\n', 'utf8');
+    });
+
+    // Keep the queue alive after a failed write; the caller still sees the error
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Fingerprint of this run's inputs and of every unit it reused or produced,
+   * which is what downstream stages compare against to decide whether to rerun
+   */
+  getOutputFingerprint(stageFingerprint = null) {
+    return hashValue({
+      stage: stageFingerprint,
+      units: [...this.usedUnits].sort(([a], [b]) => a.localeCompare(b))
+    });
+  }
+
+  /**
+   * Get checkpoint statistics for reporting
+   */
+  getStats() {
+    return {
+      completedUnits: this.units.size,
+      reusedUnits: this.reusedUnits,
+      recordedUnits: this.recordedUnits,
+      rebuiltUnits: this.rebuiltUnits.length,
+      newUnits: this.recordedUnits - this.rebuiltUnits.length,
+      rebuilt: [...this.rebuiltUnits].sort()
+    };
+  }
+}
+
+ProgressManifest.MANIFEST_FILE = MANIFEST_FILE;
+
+module.exports = ProgressManifest;
@@ -0,0 +1,291 @@
+/**
+ * Project Manifest - Client and shoot details shared by every stage
+ *
+ * A project file (photo-workflow.project.json) records who the shoot is for
+ * and where and when it happened, so culling prompts get context, group
+ * names use the shoot's time zone, and the delivery README and XMP sidecars
+ * carry the client, studio and copyright instead of generic text. Stages
+ * find it by walking up from the input and output directories.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const PROJECT_FILE = 'photo-workflow.project.json';
+
+class ProjectManifestError extends Error {
+  constructor(source, errors) {
+    const details = errors.map(e => `  - ${e.key}: ${e.message}`).join('\n');
+    super(`Invalid project file ${source}:\n${details}`);
+    this.name = 'ProjectManifestError';
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+class ProjectManifest {
+  constructor(definition, source = null) {
+    this.source = source;
+    this.clientNames = definition.clientNames;
+    this.shootDate = definition.shootDate;
+    this.timeZone = definition.timeZone;
+    this.venue = definition.venue || null;
+    this.shootType = definition.shootType || null;
+    this.studio = {
+      name: definition.studio?.name || null,
+      copyright: definition.studio?.copyright || null
+    };
+    this.shooters = {
+      primary: definition.shooters?.primary || null,
+      second: definition.shooters?.second || null
+    };
+  }
+
+  /**
+   * The machine's time zone, used when none is given
+   */
+  static defaultTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  }
+
+  /**
+   * Find the nearest project file in, or above, any of the given directories
+   */
+  static async find(startDirs) {
+    for (const startDir of startDirs.filter(Boolean)) {
+      let dir = path.resolve(startDir);
+
+      while (true) {
+        const candidate = path.join(dir, PROJECT_FILE);
+        if (await fs.pathExists(candidate)) {
+          return candidate;
+        }
+
+        const parent = path.dirname(dir);
+        if (parent === dir) break;
+        dir = parent;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Load and validate a project file
+   */
+  static async load(filePath) {
+    const source = path.resolve(filePath);
+
+    if (!await fs.pathExists(source)) {
+      throw new Error(`Project file not found: ${source}`);
+    }
+
+    let raw;
+    try {
+      raw = await fs.readJson(source);
+    } catch (error) {
+      throw new ProjectManifestError(source, [{ key: '(file)', message: `could not be parsed as JSON: ${error.message}` }]);
+    }
+
+    return new ProjectManifest(ProjectManifest.validate(raw, source), source);
+  }
+
+  /**
+   * Validate a project definition, naming every wrong key
+   */
+  static validate(raw, source) {
+    const errors = [];
+    const fail = (key, message) => errors.push({ key, message });
+    const optionalString = (value, key) => {
+      if (value !== undefined && value !== null && (typeof value !== 'string' || !value.trim())) {
+        fail(key, 'must be a non-empty string');
+      }
+    };
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new ProjectManifestError(source, [{ key: '(root)', message: 'must be an object' }]);
+    }
+
+    const known = ['clientNames', 'shootDate', 'timeZone', 'venue', 'shootType', 'studio', 'shooters'];
+    for (const key of Object.keys(raw)) {
+      if (!known.includes(key)) {
+        fail(key, `unknown key (expected ${known.join(', ')})`);
+      }
+    }
+
+    if (!Array.isArray(raw.clientNames) || raw.clientNames.length === 0 ||
+        !raw.clientNames.every(name => typeof name === 'string' && name.trim())) {
+      fail('clientNames', 'must be a non-empty list of names');
+    }
+
+    if (typeof raw.shootDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(raw.shootDate) ||
+        isNaN(new Date(`${raw.shootDate}T00:00:00Z`).getTime())) {
+      fail('shootDate', 'must be a date like 2024-06-01');
+    }
+
+    if (!ProjectManifest.isTimeZone(raw.timeZone)) {
+      fail('timeZone', 'must be an IANA time zone like America/New_York');
+    }
+
+    optionalString(raw.venue, 'venue');
+    optionalString(raw.shootType, 'shootType');
+
+    for (const [group, fields] of [['studio', ['name', 'copyright']], ['shooters', ['primary', 'second']]]) {
+      const value = raw[group];
+      if (value === undefined || value === null) continue;
+
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        fail(group, `must be an object with ${fields.join(', ')}`);
+        continue;
+      }
+
+      for (const key of Object.keys(value)) {
+        if (!fields.includes(key)) {
+          fail(`${group}.${key}`, `unknown key (expected ${fields.join(', ')})`);
+        } else {
+          optionalString(value[key], `${group}.${key}`);
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ProjectManifestError(source, errors);
+    }
+
+    return raw;
+  }
+
+  /**
+   * Check whether a value is a time zone Intl understands
+   */
+  static isTimeZone(value) {
+    if (typeof value !== 'string' || !value) {
+      return false;
+    }
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Write the project file into a directory
+   */
+  async save(dir, { overwrite = false } = {}) {
+    const target = path.join(path.resolve(dir), PROJECT_FILE);
+
+    if (!overwrite && await fs.pathExists(target)) {
+      throw new Error(`Project file already exists: ${target} (use --force to overwrite)`);
+    }
+
+    await fs.ensureDir(path.dirname(target));
+    await fs.writeJson(target, this.toJSON(), { spaces: 2 });
+    this.source = target;
+
+    return target;
+  }
+
+  /**
+   * Client names for display, e.g. "Alyssa & Jesse"
+   */
+  getClientLabel() {
+    const names = this.clientNames;
+    return names.length > 1
+      ? `${names.slice(0, -1).join(', ')} & ${names[names.length - 1]}`
+      : names[0];
+  }
+
+  /**
+   * Shoot date for display, e.g. "June 1, 2024"
+   */
+  getShootDateLabel() {
+    return new Date(`${this.shootDate}T12:00:00Z`).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      timeZone: 'UTC'
+    });
+  }
+
+  /**
+   * Photographers credited as creators, primary shooter first
+   */
+  getCreators() {
+    return [this.shooters.primary, this.shooters.second].filter(Boolean);
+  }
+
+  /**
+   * Copyright notice, falling back to the studio name and shoot year
+   */
+  getCopyright() {
+    if (this.studio.copyright) {
+      return this.studio.copyright;
+    }
+
+    return this.studio.name ? `© ${this.shootDate.substring(0, 4)} ${this.studio.name}` : null;
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD_HH-MM in the shoot's time zone
+   */
+  formatLocalTimestamp(date) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-CA', {
+        timeZone: this.timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }).formatToParts(date).map(part => [part.type, part.value])
+    );
+
+    return `${parts.year}-${parts.month}-${parts.day}_${parts.hour}-${parts.minute}`;
+  }
+
+  /**
+   * Plain-text shoot summary for AI prompts
+   */
+  describe() {
+    const lines = [
+      `Client: ${this.getClientLabel()}`,
+      this.shootType && `Shoot type: ${this.shootType}`,
+      `Date: ${this.getShootDateLabel()} (${this.timeZone})`,
+      this.venue && `Venue: ${this.venue}`,
+      this.getCreators().length > 0 && `Photographers: ${this.getCreators().join(', ')}`
+    ];
+
+    return lines.filter(Boolean).join('\n');
+  }
+
+  /**
+   * Serializable form, as written to the project file
+   */
+  toJSON() {
+    const json = {
+      clientNames: this.clientNames,
+      shootDate: this.shootDate,
+      timeZone: this.timeZone
+    };
+
+    if (this.venue) json.venue = this.venue;
+    if (this.shootType) json.shootType = this.shootType;
+    if (this.studio.name || this.studio.copyright) {
+      json.studio = Object.fromEntries(Object.entries(this.studio).filter(([, value]) => value));
+    }
+    if (this.shooters.primary || this.shooters.second) {
+      json.shooters = Object.fromEntries(Object.entries(this.shooters).filter(([, value]) => value));
+    }
+
+    return json;
+  }
+}
+
+ProjectManifest.PROJECT_FILE = PROJECT_FILE;
+ProjectManifest.ProjectManifestError = ProjectManifestError;
+
+module.exports = ProjectManifest;
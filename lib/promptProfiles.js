@@ -0,0 +1,70 @@
+/**
+ * Prompt Profiles - Resolve named contextual culling prompts
+ *
+ * A prompt profile is a contextual culling prompt tuned for a shoot type.
+ * Profiles live in prompts/ as gemini-contextual-<profile>-culling.txt, and
+ * the "default" profile is the original gemini-contextual-culling.txt.
+ * Every profile must return the contextual JSON format (selected_images,
+ * culled_images...) because the cull stage reviews images as a set.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+const DEFAULT_PROFILE = 'default';
+const PROFILE_PATTERN = /^gemini-contextual-(.+)-culling\.txt$/;
+
+/**
+ * Get the prompt file name for a profile
+ */
+function getPromptFileName(profile = DEFAULT_PROFILE) {
+  return profile === DEFAULT_PROFILE
+    ? 'gemini-contextual-culling.txt'
+    : `gemini-contextual-${profile}-culling.txt`;
+}
+
+/**
+ * Get the absolute prompt path for a profile
+ */
+function getPromptPath(profile = DEFAULT_PROFILE) {
+  return path.join(PROMPTS_DIR, getPromptFileName(profile));
+}
+
+/**
+ * List the profiles available in the prompts directory
+ */
+function listPromptProfiles() {
+  const profiles = [DEFAULT_PROFILE];
+
+  try {
+    for (const file of fs.readdirSync(PROMPTS_DIR).sort()) {
+      const match = file.match(PROFILE_PATTERN);
+      if (match) {
+        profiles.push(match[1]);
+      }
+    }
+  } catch {
+    // Missing prompts directory leaves only the embedded default
+  }
+
+  return profiles;
+}
+
+/**
+ * Check whether a profile has a prompt file
+ */
+function hasPromptProfile(profile) {
+  return typeof profile === 'string' &&
+    /^[a-z0-9][a-z0-9_-]*$/i.test(profile) &&
+    fs.existsSync(getPromptPath(profile));
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  PROMPTS_DIR,
+  getPromptFileName,
+  getPromptPath,
+  listPromptProfiles,
+  hasPromptProfile
+};
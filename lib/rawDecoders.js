@@ -0,0 +1,410 @@
+/**
+ * RAW Decoders - External tools that develop a RAW file into a JPEG
+ *
+ * Convert uses a decoder for files without a usable embedded JPEG. dcraw
+ * cannot read CR3 or many newer bodies, so each backend below declares the
+ * tools it runs, the extensions it reads (the support matrix) and how to run
+ * it. detect() finds the installed tools; pick() then chooses, per file,
+ * the first usable backend in preference order that reads the file's
+ * extension. The rawDecoder setting moves one backend to the front.
+ *
+ * Tools run in a temp_ folder next to the output, on a link to the RAW file,
+ * so tools that write beside their input never touch the source media.
+ * Backends that write TIFF need Python PIL to encode the JPEG;
+ * darktable-cli and rawtherapee-cli write JPEGs themselves.
+ *
+ * Each file is developed with a development profile (see
+ * lib/developmentProfiles.js). dcraw and dcraw_emu apply all of it;
+ * RawTherapee and darktable only its output format, developing the rest
+ * with their own defaults, and the settings they leave out are logged and
+ * returned with the result.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const processRunner = require('./processRunner');
+const DevelopmentProfiles = require('./developmentProfiles');
+
+// Extensions dcraw reads; the other backends read these and CR3
+const DCRAW_FORMATS = [
+  '.arw', '.srf', '.sr2', '.cr2', '.crw', '.nef', '.nrw', '.orf', '.dng', '.raw', '.raf',
+  '.rw2', '.pef', '.srw', '.mrw', '.kdc', '.dcr', '.3fr', '.erf', '.mef', '.mos', '.iiq'
+];
+
+// dcraw's -o numbers for the output colour spaces
+const DCRAW_COLOR_SPACES = { sRGB: 1, AdobeRGB: 2, ProPhoto: 4 };
+
+// output: jpeg tools write the output path they are given, tiff tools write
+// beside their input (encoded to JPEG with PIL); resizes: the tool applies
+// the resize itself; develops: the profile settings the tool applies
+const DECODERS = {
+  libraw: {
+    label: 'LibRaw',
+    tools: ['dcraw_emu', 'simple_dcraw'],
+    formats: [...DCRAW_FORMATS, '.cr3'],
+    output: 'tiff',
+    resizes: false,
+    develops: tool => tool === 'dcraw_emu' ? DevelopmentProfiles.DEVELOP_SETTINGS : [],
+    args: (tool, input, { profile }) => tool === 'dcraw_emu'
+      ? [...dcrawDevelopArgs(profile), input]
+      : ['-T', input]
+  },
+  dcraw: {
+    label: 'dcraw',
+    tools: ['dcraw'],
+    formats: DCRAW_FORMATS,
+    output: 'tiff',
+    resizes: false,
+    develops: () => DevelopmentProfiles.DEVELOP_SETTINGS,
+    args: (tool, input, { profile }) => [...dcrawDevelopArgs(profile), input]
+  },
+  rawtherapee: {
+    label: 'RawTherapee',
+    tools: ['rawtherapee-cli'],
+    formats: [...DCRAW_FORMATS, '.cr3'],
+    output: 'jpeg',
+    resizes: false,
+    develops: () => ['output'],
+    args: (tool, input, { output, quality, profile }) => [
+      '-o', output,
+      ...(profile.output === 'tiff16' ? ['-t', '-b16'] : [`-j${quality}`]),
+      '-Y', '-d', '-c', input
+    ]
+  },
+  darktable: {
+    label: 'darktable',
+    tools: ['darktable-cli'],
+    formats: [...DCRAW_FORMATS, '.cr3'],
+    output: 'jpeg',
+    resizes: true,
+    develops: () => ['output'],
+    // darktable picks the format from the output's extension
+    args: (tool, input, { output, quality, size, workDir, profile }) => [
+      input,
+      output,
+      ...(size ? ['--width', String(size.width), '--height', String(size.height)] : []),
+      '--core',
+      '--configdir', path.join(workDir, 'darktable'),
+      '--library', ':memory:',
+      '--conf', profile.output === 'tiff16'
+        ? 'plugins/imageio/format/tiff/bpp=16'
+        : `plugins/imageio/format/jpeg/quality=${quality}`
+    ]
+  }
+};
+
+// Tried in this order unless the rawDecoder setting names one
+const DEFAULT_ORDER = ['libraw', 'dcraw', 'rawtherapee', 'darktable'];
+
+// A decode that takes longer than this has hung
+const DECODE_TIMEOUT = 10 * 60 * 1000;
+
+// Encodes the decoded image as a JPEG: src dst quality width height
+const PIL_ENCODE_SCRIPT = `
+import json, sys
+from PIL import Image
+
+src, dst = sys.argv[1], sys.argv[2]
+quality, width, height = int(sys.argv[3]), int(sys.argv[4]), int(sys.argv[5])
+
+img = Image.open(src)
+# Keep the colour space the decoder tagged the image with
+icc = img.info.get('icc_profile')
+if img.mode not in ('RGB', 'L'):
+    img = img.convert('RGB')
+if width and height:
+    img.thumbnail((width, height), Image.LANCZOS)
+img.save(dst, 'JPEG', quality=quality, optimize=True, **({'icc_profile': icc} if icc else {}))
+print(json.dumps({'width': img.width, 'height': img.height}))
+`;
+
+/**
+ * dcraw and dcraw_emu options for a development profile; both write a TIFF
+ * beside the input, tagged with the profile's colour space
+ */
+function dcrawDevelopArgs(profile) {
+  const args = [];
+
+  if (profile.whiteBalance === 'custom') {
+    const [red, green, blue, green2 = green] = profile.multipliers;
+    args.push('-r', red, green, blue, green2);
+  } else {
+    args.push(profile.whiteBalance === 'auto' ? '-a' : '-w');
+  }
+
+  args.push('-H', profile.highlights, '-o', DCRAW_COLOR_SPACES[profile.colorSpace]);
+
+  if (profile.exposure) {
+    // dcraw brightens by a factor, not in stops
+    args.push('-b', (2 ** profile.exposure).toFixed(3));
+  }
+  if (profile.noiseThreshold) {
+    args.push('-n', profile.noiseThreshold);
+  }
+  if (profile.output === 'tiff16') {
+    args.push('-6');
+  }
+
+  return [...args, '-q', '3', '-T'];
+}
+
+class RawDecoders {
+  constructor(auditLogger = null, options = {}) {
+    this.auditLogger = auditLogger;
+    const preferred = options.preferred && options.preferred !== 'auto' ? options.preferred : null;
+    this.order = preferred ? [preferred, ...DEFAULT_ORDER.filter(name => name !== preferred)] : DEFAULT_ORDER;
+    // Backend name -> { tool, path } for the installed ones, set by detect()
+    this.installed = {};
+    this.pythonAvailable = false;
+  }
+
+  /**
+   * Get a copy of these decoders that logs to another audit logger
+   * (used by worker pool tasks, which each log to their own buffer)
+   */
+  withLogger(auditLogger) {
+    return Object.assign(Object.create(Object.getPrototypeOf(this)), this, { auditLogger });
+  }
+
+  /**
+   * Find the installed tools of every backend, and Python PIL
+   */
+  async detect() {
+    this.installed = {};
+
+    for (const name of this.order) {
+      for (const tool of DECODERS[name].tools) {
+        const toolPath = await processRunner.locate(tool);
+        if (toolPath) {
+          this.installed[name] = { tool, path: toolPath };
+          break;
+        }
+      }
+    }
+
+    this.pythonAvailable = await processRunner.hasPythonPil();
+
+    const decoders = this.describe();
+    this.auditLogger?.logEvent('raw_decoders_detected', {
+      order: this.order,
+      usable: decoders.filter(d => d.usable).map(d => `${d.name} (${d.tool})`),
+      unusable: decoders.filter(d => !d.usable).map(d => `${d.name}: ${d.reason}`),
+      pythonPil: this.pythonAvailable
+    });
+
+    return decoders;
+  }
+
+  /**
+   * Why a backend cannot be used to write the output format (a profile's
+   * output: jpeg or tiff16), or null if it can
+   */
+  getUnusableReason(name, output = 'jpeg') {
+    const decoder = DECODERS[name];
+
+    if (!this.installed[name]) {
+      return `${decoder.tools.join(' or ')} not installed`;
+    }
+
+    if (output === 'tiff16' && !decoder.develops(this.installed[name].tool).includes('output')) {
+      return `${this.installed[name].tool} cannot write 16-bit TIFFs`;
+    }
+
+    if (output === 'jpeg' && decoder.output !== 'jpeg' && !this.pythonAvailable) {
+      return 'needs Python PIL to write JPEGs';
+    }
+
+    return null;
+  }
+
+  /**
+   * Every backend in preference order, with whether it can be used
+   */
+  describe() {
+    return this.order.map(name => {
+      const reason = this.getUnusableReason(name);
+      return {
+        name,
+        label: DECODERS[name].label,
+        tool: this.installed[name]?.tool || null,
+        usable: !reason,
+        reason,
+        formats: DECODERS[name].formats
+      };
+    });
+  }
+
+  /**
+   * Which backends read each extension, in preference order
+   */
+  getSupportMatrix() {
+    const matrix = {};
+
+    for (const name of this.order) {
+      for (const format of DECODERS[name].formats) {
+        (matrix[format] = matrix[format] || []).push(name);
+      }
+    }
+
+    return matrix;
+  }
+
+  /**
+   * Choose the backend for a file and output format: { name, label, tool },
+   * or null when no usable backend reads its extension
+   */
+  pick(filePath, output = 'jpeg') {
+    const format = path.extname(filePath).toLowerCase();
+    const name = this.order.find(candidate =>
+      DECODERS[candidate].formats.includes(format) && !this.getUnusableReason(candidate, output));
+
+    return name ? { name, label: DECODERS[name].label, tool: this.installed[name].tool } : null;
+  }
+
+  /**
+   * Explain why no backend can decode a file, naming the ones that could
+   */
+  explainMissing(filePath, output = 'jpeg') {
+    const format = path.extname(filePath).toLowerCase();
+    const readers = this.getSupportMatrix()[format] || [];
+
+    if (readers.length === 0) {
+      return `no RAW decoder reads ${format || 'files without an extension'}`;
+    }
+
+    return `no usable RAW decoder for ${format} (${readers.map(name => `${name}: ${this.getUnusableReason(name, output)}`).join('; ')})`;
+  }
+
+  /**
+   * Develop a RAW file with a development profile into a JPEG (or, for a
+   * tiff16 profile, a 16-bit TIFF) at outputPath with the picked backend
+   */
+  async decode(inputPath, outputPath, { quality = 90, resize = null, profile = DevelopmentProfiles.BASE_PROFILE } = {}) {
+    const decoder = this.pick(inputPath, profile.output);
+
+    if (!decoder) {
+      throw new Error(`Cannot convert ${path.basename(inputPath)}: ${this.explainMissing(inputPath, profile.output)}`);
+    }
+
+    const startTime = Date.now();
+    const backend = DECODERS[decoder.name];
+    const tiff16 = profile.output === 'tiff16';
+    const size = tiff16 ? null : RawDecoders.parseSize(resize);
+    const ignored = DevelopmentProfiles.getChangedSettings(profile)
+      .filter(setting => !backend.develops(decoder.tool).includes(setting));
+    const workDir = await fs.mkdtemp(path.join(path.dirname(outputPath), 'temp_decode_'));
+
+    this.auditLogger?.logDecision('raw_decoder_selected',
+      { file: path.basename(inputPath), order: this.order, output: profile.output },
+      decoder.name,
+      `${decoder.label} (${decoder.tool}) is the first usable decoder that reads ${path.extname(inputPath).toLowerCase()}`
+    );
+
+    if (ignored.length > 0) {
+      this.auditLogger?.logDecision('profile_settings_ignored',
+        { file: path.basename(inputPath), decoder: decoder.name, profile: profile.name || null },
+        ignored,
+        `${decoder.label} (${decoder.tool}) does not apply ${ignored.join(', ')}; dcraw or LibRaw's dcraw_emu would`
+      );
+    }
+
+    if (tiff16 && resize) {
+      this.auditLogger?.logDecision('resize_skipped',
+        { file: path.basename(inputPath), decoder: decoder.name, resize },
+        'full_size',
+        '16-bit TIFFs are kept at full size for retouching'
+      );
+    }
+
+    try {
+      const input = await RawDecoders.linkInput(inputPath, workDir);
+      const toolOutput = path.join(workDir, tiff16 ? 'decoded.tif' : 'decoded.jpg');
+
+      await processRunner.run(this.installed[decoder.name].path,
+        backend.args(decoder.tool, input, { output: toolOutput, quality, size, workDir, profile }),
+        { cwd: workDir, timeout: DECODE_TIMEOUT, auditLogger: this.auditLogger });
+
+      const decoded = backend.output === 'jpeg'
+        ? toolOutput
+        : await RawDecoders.findToolOutput(workDir, input);
+
+      if (!decoded || !await fs.pathExists(decoded)) {
+        throw new Error(`${decoder.tool} wrote no image`);
+      }
+
+      let dimensions = null;
+      const needsResize = size && !backend.resizes;
+
+      if (tiff16 || (backend.output === 'jpeg' && (!needsResize || !this.pythonAvailable))) {
+        if (needsResize) {
+          this.auditLogger?.logDecision('resize_skipped',
+            { file: path.basename(inputPath), decoder: decoder.name, resize },
+            'full_size',
+            `${decoder.label} does not resize and Python PIL is not available`
+          );
+        }
+        await fs.move(decoded, outputPath, { overwrite: true });
+      } else {
+        const { stdout } = await processRunner.run('python3', [
+          '-c', PIL_ENCODE_SCRIPT, decoded, outputPath, quality, size?.width || 0, size?.height || 0
+        ], { timeout: DECODE_TIMEOUT, auditLogger: this.auditLogger });
+        dimensions = JSON.parse(stdout);
+      }
+
+      const stats = await fs.stat(outputPath);
+
+      return {
+        success: true,
+        method: 'full_conversion',
+        decoder: decoder.name,
+        tool: decoder.tool,
+        ignoredSettings: ignored,
+        duration: Date.now() - startTime,
+        size: stats.size,
+        dimensions,
+        path: outputPath
+      };
+    } finally {
+      await fs.remove(workDir).catch(() => {});
+    }
+  }
+
+  /**
+   * Link the RAW file into the work folder (copy it where links are not
+   * allowed), keeping its name so tools recognize the format
+   */
+  static async linkInput(inputPath, workDir) {
+    const link = path.join(workDir, path.basename(inputPath));
+
+    try {
+      await fs.symlink(path.resolve(inputPath), link);
+    } catch {
+      await fs.copy(inputPath, link);
+    }
+
+    return link;
+  }
+
+  /**
+   * The TIFF (or PPM) a tool wrote beside its input
+   */
+  static async findToolOutput(workDir, input) {
+    const files = await fs.readdir(workDir);
+    const written = files.find(file => /\.(ppm|pgm|tiff?)$/i.test(file) && path.join(workDir, file) !== input);
+    return written ? path.join(workDir, written) : null;
+  }
+
+  /**
+   * Parse a WIDTHxHEIGHT resize into { width, height }
+   */
+  static parseSize(resize) {
+    const match = /^(\d+)x(\d+)$/.exec(resize || '');
+    return match ? { width: parseInt(match[1], 10), height: parseInt(match[2], 10) } : null;
+  }
+}
+
+RawDecoders.DECODERS = DECODERS;
+RawDecoders.NAMES = Object.keys(DECODERS);
+RawDecoders.DEFAULT_ORDER = DEFAULT_ORDER;
+
+module.exports = RawDecoders;
@@ -0,0 +1,431 @@
+/**
+ * RAW Preview Extractor - Embedded JPEG previews read straight from RAW files
+ *
+ * Cameras store one or more JPEG previews inside each RAW file, the largest
+ * usually full size or close to it. This reads the container itself, with no
+ * external tools: the TIFF IFDs of ARW, NEF, CR2, DNG and ORF files (IFD
+ * chain, SubIFDs and, for ORF, the Olympus maker note) and the header of RAF
+ * files. The largest JPEG found is copied byte for byte to the output path;
+ * the RAW file is only ever read. Lossless JPEG streams, which is how CR2 and
+ * DNG store the sensor data, are not previews and are skipped.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// TIFF tags that locate images and further IFDs
+const TAGS = {
+  compression: 0x0103,
+  stripOffsets: 0x0111,
+  stripByteCounts: 0x0117,
+  subIfds: 0x014a,
+  jpegOffset: 0x0201,
+  jpegLength: 0x0202,
+  exifIfd: 0x8769,
+  makerNote: 0x927c
+};
+
+// Olympus maker note: the camera settings IFD and the preview tags inside it
+const OLYMPUS_TAGS = {
+  cameraSettings: 0x2020,
+  previewOffset: 0x0101,
+  previewLength: 0x0102
+};
+
+// TIFF magic numbers: standard, and Olympus ORF ("RO" and "RS")
+const TIFF_MAGIC = [42, 0x4f52, 0x5352];
+
+// Fujifilm RAF header: magic, and where the JPEG offset and length are kept
+const RAF_MAGIC = 'FUJIFILMCCD-RAW ';
+const RAF_JPEG_POINTER = 84;
+
+// Bytes per value of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+
+// JPEG frame markers (SOFn) that carry the image size, and the lossless ones
+const SOF_MARKERS = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+const LOSSLESS_MARKERS = [0xc3, 0xc7, 0xcb, 0xcf];
+
+// Limits that keep a corrupt file from sending the parser in circles
+const MAX_IFDS = 64;
+const MAX_ENTRIES = 1000;
+const MAX_VALUES = 256;
+const MAX_SEGMENTS = 64;
+
+class RawPreviewExtractor {
+  constructor(auditLogger = null) {
+    this.auditLogger = auditLogger;
+  }
+
+  /**
+   * Get a copy of this extractor that logs to another audit logger
+   * (used by worker pool tasks, which each log to their own buffer)
+   */
+  withLogger(auditLogger) {
+    return Object.assign(Object.create(Object.getPrototypeOf(this)), this, { auditLogger });
+  }
+
+  /**
+   * Copy the largest embedded JPEG of a RAW file to outputPath
+   */
+  async extract(inputPath, outputPath) {
+    const startTime = Date.now();
+    let previews;
+
+    try {
+      previews = await this.findPreviews(inputPath);
+    } catch (error) {
+      return { success: false, reason: `Could not read ${path.basename(inputPath)}: ${error.message}` };
+    }
+
+    if (previews.length === 0) {
+      return { success: false, reason: 'No embedded JPEG found' };
+    }
+
+    const largest = previews.reduce((best, preview) => {
+      const area = preview.width * preview.height;
+      const bestArea = best.width * best.height;
+      return area > bestArea || (area === bestArea && preview.length > best.length) ? preview : best;
+    });
+
+    this.auditLogger?.logDecision('embedded_preview_selected',
+      {
+        file: path.basename(inputPath),
+        previews: previews.map(p => `${p.width}x${p.height} (${p.source}, ${p.length} bytes)`)
+      },
+      `${largest.width}x${largest.height}`,
+      'Largest embedded JPEG in the RAW file'
+    );
+
+    try {
+      await fs.ensureDir(path.dirname(outputPath));
+      await pipeline(
+        fs.createReadStream(inputPath, { start: largest.offset, end: largest.offset + largest.length - 1 }),
+        fs.createWriteStream(outputPath)
+      );
+    } catch (error) {
+      await fs.remove(outputPath).catch(() => {});
+      return { success: false, reason: `Could not write the embedded JPEG: ${error.message}` };
+    }
+
+    return {
+      success: true,
+      method: 'embedded_jpeg',
+      duration: Date.now() - startTime,
+      size: largest.length,
+      dimensions: { width: largest.width, height: largest.height },
+      source: largest.source,
+      path: outputPath
+    };
+  }
+
+  /**
+   * List the embedded JPEGs of a RAW file as { offset, length, width,
+   * height, source }; an unrecognized container has none
+   */
+  async findPreviews(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+
+    try {
+      const { size } = await handle.stat();
+      const reader = new FileReader(handle, size);
+      const header = await reader.read(0, Math.min(size, 16));
+      let candidates = [];
+
+      if (header.length >= 16 && header.toString('latin1', 0, 16) === RAF_MAGIC) {
+        candidates = await this.findRafCandidates(reader);
+      } else if (header.length >= 8 && ['II', 'MM'].includes(header.toString('latin1', 0, 2))) {
+        const little = header[0] === 0x49;
+        if (TIFF_MAGIC.includes(readUInt16(header, 2, little))) {
+          candidates = await this.findTiffCandidates(reader, readUInt32(header, 4, little), little);
+        }
+      }
+
+      const previews = [];
+      const seen = new Set();
+
+      for (const candidate of candidates) {
+        if (seen.has(candidate.offset)) {
+          continue;
+        }
+        seen.add(candidate.offset);
+
+        const frame = await this.readJpegFrame(reader, candidate.offset, candidate.length);
+        if (frame) {
+          previews.push({ ...candidate, ...frame });
+        }
+      }
+
+      return previews;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * RAF keeps one JPEG, located by two big-endian numbers in its header
+   */
+  async findRafCandidates(reader) {
+    const pointer = await reader.read(RAF_JPEG_POINTER, 8);
+    return [{ offset: pointer.readUInt32BE(0), length: pointer.readUInt32BE(4), source: 'RAF' }];
+  }
+
+  /**
+   * Walk the TIFF IFDs breadth first, collecting every image that may be a
+   * JPEG. Offsets inside an Olympus maker note are relative to its start
+   * (base), and the maker note may use its own byte order.
+   */
+  async findTiffCandidates(reader, firstIfd, little) {
+    const candidates = [];
+    const visited = new Set();
+    const queue = [{ offset: firstIfd, little, base: 0, kind: 'chain', source: 'IFD0' }];
+    let chainIndex = 0;
+
+    // A damaged entry hides only what it points to; the walk goes on with
+    // the candidates found so far
+    const safely = async (read, fallback = []) => {
+      try {
+        return await read();
+      } catch {
+        return fallback;
+      }
+    };
+
+    while (queue.length > 0 && visited.size < MAX_IFDS) {
+      const ref = queue.shift();
+
+      if (!ref.offset || visited.has(ref.offset)) {
+        continue;
+      }
+      visited.add(ref.offset);
+
+      let ifd;
+      try {
+        ifd = await this.readIfd(reader, ref);
+      } catch {
+        // A damaged IFD hides only what it points to
+        continue;
+      }
+
+      candidates.push(...await safely(() => this.getIfdImages(reader, ifd, ref)));
+
+      const refTo = (tag, kind, source) => safely(async () => (await this.readNumbers(reader, ifd.entries.get(tag), ref.little))
+        .map(offset => ({ offset: ref.base + offset, little: ref.little, base: ref.base, kind, source })));
+
+      if (ref.kind === 'chain' && ifd.next) {
+        chainIndex++;
+        queue.push({ ...ref, offset: ifd.next, source: `IFD${chainIndex}` });
+      }
+
+      if (ref.kind === 'chain' || ref.kind === 'sub') {
+        queue.push(...await refTo(TAGS.subIfds, 'sub', 'SubIFD'));
+        queue.push(...await refTo(TAGS.exifIfd, 'exif', 'EXIF'));
+      }
+
+      if (ref.kind === 'exif' && ifd.entries.has(TAGS.makerNote)) {
+        const makerNote = await safely(() => this.readOlympusMakerNote(reader, ifd.entries.get(TAGS.makerNote), ref), null);
+        if (makerNote) {
+          queue.push(makerNote);
+        }
+      }
+
+      if (ref.kind === 'makernote') {
+        queue.push(...await refTo(OLYMPUS_TAGS.cameraSettings, 'camera-settings', 'MakerNote'));
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Images an IFD points to: a JPEG by offset and length, a single-strip
+   * JPEG-compressed image, or the Olympus camera settings preview
+   */
+  async getIfdImages(reader, ifd, ref) {
+    const first = async tag => (await this.readNumbers(reader, ifd.entries.get(tag), ref.little))[0];
+    const images = [];
+
+    if (ref.kind === 'camera-settings') {
+      const offset = await first(OLYMPUS_TAGS.previewOffset);
+      const length = await first(OLYMPUS_TAGS.previewLength);
+      if (offset && length) {
+        images.push({ offset: ref.base + offset, length, source: ref.source });
+      }
+      return images;
+    }
+
+    const jpegOffset = await first(TAGS.jpegOffset);
+    const jpegLength = await first(TAGS.jpegLength);
+    if (jpegOffset && jpegLength) {
+      images.push({ offset: ref.base + jpegOffset, length: jpegLength, source: ref.source });
+    }
+
+    // Old-style (6) and new-style (7) JPEG compression; multi-strip images are not previews
+    const compression = await first(TAGS.compression);
+    if (compression === 6 || compression === 7) {
+      const strips = await this.readNumbers(reader, ifd.entries.get(TAGS.stripOffsets), ref.little);
+      const counts = await this.readNumbers(reader, ifd.entries.get(TAGS.stripByteCounts), ref.little);
+      if (strips.length === 1 && counts.length === 1 && counts[0] > 0) {
+        images.push({ offset: ref.base + strips[0], length: counts[0], source: ref.source });
+      }
+    }
+
+    return images;
+  }
+
+  /**
+   * Find the IFD of an Olympus maker note ("OLYMPUS", "OM SYSTEM" or the
+   * older "OLYMP" layout); other makers' notes are not read
+   */
+  async readOlympusMakerNote(reader, entry, ref) {
+    if (entry.count < 16) {
+      return null;
+    }
+
+    const header = await reader.read(entry.valueOffset, 16);
+    const signature = header.toString('latin1', 0, 16);
+    const start = entry.valueOffset;
+
+    if (signature.startsWith('OLYMPUS\0')) {
+      return { offset: start + 12, little: header[8] === 0x49, base: start, kind: 'makernote', source: 'MakerNote' };
+    }
+
+    if (signature.startsWith('OM SYSTEM\0')) {
+      return { offset: start + 16, little: header[12] === 0x49, base: start, kind: 'makernote', source: 'MakerNote' };
+    }
+
+    if (signature.startsWith('OLYMP\0')) {
+      return { offset: start + 8, little: ref.little, base: ref.base, kind: 'makernote', source: 'MakerNote' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Read an IFD's entries ({ type, count, valueOffset } by tag) and the
+   * offset of the next IFD in the chain
+   */
+  async readIfd(reader, ref) {
+    const count = readUInt16(await reader.read(ref.offset, 2), 0, ref.little);
+
+    if (count === 0 || count > MAX_ENTRIES) {
+      throw new Error(`IFD at ${ref.offset} has ${count} entries`);
+    }
+
+    const table = await reader.read(ref.offset + 2, Math.min(count * 12 + 4, reader.size - ref.offset - 2));
+    const entries = new Map();
+
+    for (let i = 0; i < count && (i + 1) * 12 <= table.length; i++) {
+      const at = i * 12;
+      const type = readUInt16(table, at + 2, ref.little);
+      const valueCount = readUInt32(table, at + 4, ref.little);
+      const inline = (TYPE_SIZES[type] || 1) * valueCount <= 4;
+
+      entries.set(readUInt16(table, at, ref.little), {
+        type,
+        count: valueCount,
+        valueOffset: inline ? ref.offset + 2 + at + 8 : ref.base + readUInt32(table, at + 8, ref.little)
+      });
+    }
+
+    const next = table.length >= count * 12 + 4 ? readUInt32(table, count * 12, ref.little) : 0;
+
+    return { entries, next: next ? ref.base + next : 0 };
+  }
+
+  /**
+   * Read an entry's SHORT, LONG or IFD values; other types read as none
+   */
+  async readNumbers(reader, entry, little) {
+    if (!entry || ![3, 4, 13].includes(entry.type) || entry.count === 0) {
+      return [];
+    }
+
+    const size = TYPE_SIZES[entry.type];
+    const count = Math.min(entry.count, MAX_VALUES);
+    const values = await reader.read(entry.valueOffset, count * size);
+
+    return Array.from({ length: count }, (_, i) =>
+      size === 2 ? readUInt16(values, i * 2, little) : readUInt32(values, i * 4, little));
+  }
+
+  /**
+   * Check that offset holds a JPEG that is not lossless and read its size
+   * from the frame header; null when it is not a usable preview
+   */
+  async readJpegFrame(reader, offset, length) {
+    const end = offset + length;
+
+    if (length < 4 || end > reader.size) {
+      return null;
+    }
+
+    const start = await reader.read(offset, 2);
+    if (start[0] !== 0xff || start[1] !== 0xd8) {
+      return null;
+    }
+
+    let at = offset + 2;
+    for (let i = 0; i < MAX_SEGMENTS && at + 9 <= end; i++) {
+      const segment = await reader.read(at, 9);
+
+      if (segment[0] !== 0xff) {
+        return null;
+      }
+
+      const marker = segment[1];
+      if (marker === 0xff) {
+        // Fill byte before a marker
+        at++;
+        continue;
+      }
+
+      if (SOF_MARKERS.includes(marker)) {
+        if (LOSSLESS_MARKERS.includes(marker)) {
+          return null;
+        }
+        return { height: segment.readUInt16BE(5), width: segment.readUInt16BE(7) };
+      }
+
+      // Image data before any frame header: not a JPEG we can use
+      if (marker === 0xda || marker === 0xd9) {
+        return null;
+      }
+
+      at += 2 + segment.readUInt16BE(2);
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Bounds-checked reads from an open file
+ */
+class FileReader {
+  constructor(handle, size) {
+    this.handle = handle;
+    this.size = size;
+  }
+
+  async read(offset, length) {
+    if (offset < 0 || length < 0 || offset + length > this.size) {
+      throw new Error(`read of ${length} bytes at ${offset} is outside the file`);
+    }
+
+    const buffer = Buffer.alloc(length);
+    await this.handle.read(buffer, 0, length, offset);
+    return buffer;
+  }
+}
+
+function readUInt16(buffer, offset, little) {
+  return little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+}
+
+function readUInt32(buffer, offset, little) {
+  return little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+}
+
+module.exports = RawPreviewExtractor;
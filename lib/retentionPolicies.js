@@ -0,0 +1,118 @@
+/**
+ * Retention Policies - What `clean` keeps once a project has shipped
+ *
+ * Every stage keeps a full copy of the JPEGs it produced, so a finished
+ * project holds several copies of each photo. A retention policy says, per
+ * stage, whether to keep its output or prune it. Pruning removes image files
+ * only: reports, completion markers and logs stay, so status and the audit
+ * trail still describe the run. temp_* scratch files are removed under every
+ * policy. Ingested originals are never pruned: once the cards are formatted
+ * they are the only copy besides the backup.
+ */
+
+const path = require('path');
+
+const KEEP = 'keep';
+const PRUNE = 'prune';
+
+const IMAGE_EXTENSIONS = new Set([
+  '.jpg', '.jpeg', '.png', '.tif', '.tiff', '.webp', '.heic',
+  '.arw', '.cr2', '.cr3', '.nef', '.dng', '.raf', '.orf', '.rw2'
+]);
+
+// builtins/plugins give the action for stages the policy does not name
+const POLICIES = {
+  temp: {
+    description: 'Remove only temp_* scratch files',
+    stages: {},
+    builtins: KEEP,
+    plugins: KEEP
+  },
+  'final-only': {
+    description: 'Keep finalize and social-select outputs, reports and logs; remove every intermediate copy of the images',
+    stages: { finalize: KEEP, 'social-select': KEEP },
+    builtins: PRUNE,
+    plugins: KEEP
+  },
+  'keep-convert': {
+    description: 'Keep convert JPEGs and finalize and social-select outputs; cull, group and Imagen stages keep only their reports',
+    stages: { convert: KEEP, finalize: KEEP, 'social-select': KEEP },
+    builtins: PRUNE,
+    plugins: KEEP
+  }
+};
+
+const DEFAULT_POLICY = 'temp';
+
+// Stages whose output every policy keeps
+const PROTECTED_STAGES = ['ingest'];
+
+/**
+ * List policy names with their descriptions
+ */
+function listPolicies() {
+  return Object.entries(POLICIES).map(([name, policy]) => ({ name, description: policy.description }));
+}
+
+/**
+ * Get a named policy
+ */
+function getPolicy(name = DEFAULT_POLICY) {
+  const policy = POLICIES[name];
+
+  if (!policy) {
+    throw new Error(`Unknown retention policy: ${name}. Available policies: ${Object.keys(POLICIES).join(', ')}`);
+  }
+
+  return { name, ...policy };
+}
+
+/**
+ * Build a policy that keeps the listed stages and prunes every other one
+ */
+function createKeepPolicy(stageNames) {
+  return {
+    name: `keep:${stageNames.join(',')}`,
+    description: `Keep ${stageNames.join(', ')}; other stages keep only their reports`,
+    stages: Object.fromEntries(stageNames.map(name => [name, KEEP])),
+    builtins: PRUNE,
+    plugins: PRUNE
+  };
+}
+
+/**
+ * What a policy does with a stage's output: keep or prune
+ */
+function getStageAction(policy, stageName, builtin) {
+  if (PROTECTED_STAGES.includes(stageName)) {
+    return KEEP;
+  }
+
+  return policy.stages[stageName] || (builtin ? policy.builtins : policy.plugins);
+}
+
+/**
+ * Check whether a file is a photo (removed when its stage is pruned)
+ */
+function isImageFile(filePath) {
+  return IMAGE_EXTENSIONS.has(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Check whether a file is scratch output (removed under every policy)
+ */
+function isTempFile(filePath) {
+  return path.basename(filePath).startsWith('temp_');
+}
+
+module.exports = {
+  KEEP,
+  PRUNE,
+  DEFAULT_POLICY,
+  listPolicies,
+  getPolicy,
+  createKeepPolicy,
+  getStageAction,
+  isImageFile,
+  isTempFile
+};
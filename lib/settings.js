@@ -0,0 +1,332 @@
+/**
+ * Settings - Typed, validated configuration shared by every stage
+ *
+ * Each setting documented in .env.example has one definition here: its type,
+ * default and environment variable. A value is taken from the first layer
+ * that sets it:
+ *
+ *   1. the command line: --set maxApiRetries=5 (or the `settings` run option)
+ *   2. the config file: a `settings:` block in the pipeline file
+ *      (settings: { maxCullingBatchSize: 10 })
+ *   3. the environment, including .env: MAX_CULLING_BATCH_SIZE=10
+ *   4. the default below
+ *
+ * Empty environment variables count as unset, so a copied .env.example with
+ * blank lines keeps the defaults. A relative file setting in a pipeline file
+ * is relative to that file's folder; elsewhere, to the working directory. Stage options typed for one run (--quality,
+ * a pipeline stage's `quality`) still win over the matching default here.
+ * Plugins load before the command line is read, so the plugin settings come
+ * from the environment only. Settings marked reserved are validated and
+ * shown but not used yet.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const RawDecoders = require('./rawDecoders');
+
+const RAW_FORMATS = ['.arw', '.cr2', '.cr3', '.nef', '.nrw', '.orf', '.dng', '.raw', '.raf', '.rw2', '.pef', '.srw'];
+const IMAGE_FORMATS = ['.jpg', '.jpeg', '.png', '.tiff', '.tif'];
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const DEFINITIONS = {
+  // AI services
+  geminiApiKey: { env: 'GEMINI_API_KEY', type: 'string', secret: true, default: null, section: 'AI services', description: 'Gemini API key for culling' },
+  imagenApiKey: { env: 'IMAGEN_API_KEY', type: 'string', secret: true, default: null, section: 'AI services', description: 'Imagen API key for enhancement' },
+  imagenApiUrl: { env: 'IMAGEN_API_URL', type: 'url', default: 'https://api.imagen-ai.com/v1', section: 'AI services', description: 'Imagen API base URL' },
+
+  // Development and testing
+  enableMockAi: { env: 'ENABLE_MOCK_AI', type: 'boolean', default: false, section: 'Development', description: 'Run every stage in mock mode, as with --mock' },
+  mockResponseDelay: { env: 'MOCK_RESPONSE_DELAY', type: 'integer', min: 0, default: 0, unit: 'ms', section: 'Development', description: 'Delay before mocked Imagen uploads and downloads' },
+
+  // Processing defaults
+  defaultJpegQuality: { env: 'DEFAULT_JPEG_QUALITY', type: 'integer', min: 1, max: 100, default: 90, section: 'Processing', description: 'JPEG quality for RAW conversion' },
+  defaultResize: { env: 'DEFAULT_RESIZE', type: 'size', default: null, section: 'Processing', description: 'Resize converted images to WIDTHxHEIGHT' },
+  rawDecoder: { env: 'RAW_DECODER', type: 'enum', values: ['auto', ...RawDecoders.NAMES], default: 'auto', section: 'Processing', description: 'RAW decoder tried first for files without a usable embedded JPEG' },
+  developmentProfile: { env: 'DEVELOPMENT_PROFILE', type: 'string', default: 'default', section: 'Processing', description: 'Development profile for RAW files whose camera has none assigned' },
+  defaultCullingThreshold: { env: 'DEFAULT_CULLING_THRESHOLD', type: 'number', min: 0, max: 1, default: 0.7, section: 'Processing', description: 'Score a photo needs to be kept' },
+  defaultTimeGroupingThreshold: { env: 'DEFAULT_TIME_GROUPING_THRESHOLD', type: 'integer', min: 1, default: 15, unit: 'minutes', section: 'Processing', description: 'Gap that starts a new group' },
+  defaultSocialSelectCount: { env: 'DEFAULT_SOCIAL_SELECT_COUNT', type: 'integer', min: 1, default: 5, section: 'Processing', description: 'Images social-select picks for a sneak peek' },
+
+  // Metadata preservation
+  strictTimestampPreservation: { env: 'STRICT_TIMESTAMP_PRESERVATION', type: 'boolean', default: false, section: 'Metadata', description: 'Fail a conversion whose capture time is not preserved' },
+  useFileTimeFallback: { env: 'USE_FILE_TIME_FALLBACK', type: 'boolean', default: true, section: 'Metadata', description: 'Use file modification times when EXIF times are missing' },
+
+  // Performance and reliability
+  maxCullingBatchSize: { env: 'MAX_CULLING_BATCH_SIZE', type: 'integer', min: 1, default: 25, section: 'Performance', description: 'Images sent to Gemini per culling request' },
+  apiRequestTimeout: { env: 'API_REQUEST_TIMEOUT', type: 'integer', min: 1, default: 120000, unit: 'ms', section: 'Performance', description: 'Timeout for each Gemini and Imagen request' },
+  maxApiRetries: { env: 'MAX_API_RETRIES', type: 'integer', min: 0, default: 3, section: 'Performance', description: 'Retries after a failed Gemini or Imagen request' },
+  apiRetryDelay: { env: 'API_RETRY_DELAY', type: 'integer', min: 0, default: 5000, unit: 'ms', section: 'Performance', description: 'Delay before the first retry, doubling each time' },
+
+  // Output and reporting
+  enableDetailedAudit: { env: 'ENABLE_DETAILED_AUDIT', type: 'boolean', default: true, section: 'Output', description: 'Write the full event logs, not just summaries and errors' },
+  includeDebugInfo: { env: 'INCLUDE_DEBUG_INFO', type: 'boolean', default: false, section: 'Output', description: 'Add settings and environment details to log summaries' },
+  auditLogLevel: { env: 'AUDIT_LOG_LEVEL', type: 'enum', values: LOG_LEVELS, default: 'info', section: 'Output', description: 'Lowest level written to the audit logs' },
+
+  // File handling
+  supportedRawFormats: { env: 'SUPPORTED_RAW_FORMATS', type: 'extensions', default: RAW_FORMATS, section: 'Files', description: 'RAW extensions converted' },
+  supportedImageFormats: { env: 'SUPPORTED_IMAGE_FORMATS', type: 'extensions', default: IMAGE_FORMATS, section: 'Files', description: 'Image extensions culled, grouped, uploaded and finalized' },
+  deleteOriginalsAfterProcessing: { env: 'DELETE_ORIGINALS_AFTER_PROCESSING', type: 'boolean', default: false, reserved: true, section: 'Files', description: 'Delete RAW originals after processing' },
+  createBackupBeforeProcessing: { env: 'CREATE_BACKUP_BEFORE_PROCESSING', type: 'boolean', default: true, section: 'Files', description: 'Make ingest require a backup destination' },
+  backupDestination: { env: 'BACKUP_DESTINATION', type: 'string', default: null, section: 'Files', description: 'Folder ingest writes a verified second copy of the cards to' },
+
+  // Advanced
+  customCullingPromptPath: { env: 'CUSTOM_CULLING_PROMPT_PATH', type: 'file', default: null, section: 'Advanced', description: 'Culling prompt used instead of the prompt profile' },
+  developmentProfilesPath: { env: 'DEVELOPMENT_PROFILES_PATH', type: 'file', default: null, section: 'Advanced', description: 'JSON or YAML file with more development profiles and the camera each is assigned to' },
+  enableVisualSimilarityGrouping: { env: 'ENABLE_VISUAL_SIMILARITY_GROUPING', type: 'boolean', default: false, reserved: true, section: 'Advanced', description: 'Group by visual similarity' },
+  visualSimilarityThreshold: { env: 'VISUAL_SIMILARITY_THRESHOLD', type: 'number', min: 0, max: 1, default: 0.8, reserved: true, section: 'Advanced', description: 'Similarity needed to share a group' },
+  pluginDir: { env: 'PHOTO_WORKFLOW_PLUGIN_DIR', type: 'string', envOnly: true, default: null, section: 'Advanced', description: 'Directory scanned for stage plugins (./plugins when unset)' },
+  plugins: { env: 'PHOTO_WORKFLOW_PLUGINS', type: 'list', envOnly: true, default: [], section: 'Advanced', description: 'Extra stage plugin modules to load' },
+
+  // Monitoring and alerting
+  enablePerformanceMonitoring: { env: 'ENABLE_PERFORMANCE_MONITORING', type: 'boolean', default: true, section: 'Monitoring', description: 'Record operation timings in the audit logs' },
+  slowOperationThreshold: { env: 'SLOW_OPERATION_THRESHOLD', type: 'integer', min: 0, default: 10000, unit: 'ms', section: 'Monitoring', description: 'Warn about operations slower than this' },
+  enableErrorAlerting: { env: 'ENABLE_ERROR_ALERTING', type: 'boolean', default: false, section: 'Monitoring', description: 'Post failures to errorAlertWebhookUrl' },
+  errorAlertWebhookUrl: { env: 'ERROR_ALERT_WEBHOOK_URL', type: 'url', default: null, section: 'Monitoring', description: 'Webhook receiving failure alerts' },
+
+  // Cloud storage (future expansion)
+  cloudStorageProvider: { env: 'CLOUD_STORAGE_PROVIDER', type: 'enum', values: ['aws', 'gcp', 'azure', 'none'], default: 'none', reserved: true, section: 'Cloud storage', description: 'Cloud storage provider' },
+  cloudStorageBucket: { env: 'CLOUD_STORAGE_BUCKET', type: 'string', default: null, reserved: true, section: 'Cloud storage', description: 'Bucket or container name' },
+  cloudStorageRegion: { env: 'CLOUD_STORAGE_REGION', type: 'string', default: null, reserved: true, section: 'Cloud storage', description: 'Storage region' },
+  cloudStorageAccessKey: { env: 'CLOUD_STORAGE_ACCESS_KEY', type: 'string', secret: true, default: null, reserved: true, section: 'Cloud storage', description: 'Access key' },
+  cloudStorageSecretKey: { env: 'CLOUD_STORAGE_SECRET_KEY', type: 'string', secret: true, default: null, reserved: true, section: 'Cloud storage', description: 'Secret key' }
+};
+
+class SettingsError extends Error {
+  constructor(source, errors) {
+    const details = errors.map(e => `  - ${e.key}: ${e.message}`).join('\n');
+    super(`Invalid settings in ${source}:\n${details}`);
+    this.name = 'SettingsError';
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+class Settings {
+  constructor(values, sources) {
+    this.values = values;
+    this.sources = sources;
+  }
+
+  /**
+   * Resolve every setting from the layers, highest first: overrides (command
+   * line), the config file's settings block, then the environment. Relative
+   * paths in the config file's block resolve against fileDir, its folder.
+   * Throws a SettingsError naming each bad value.
+   */
+  static resolve({ overrides = {}, file = {}, fileSource = 'config file', fileDir = null, env = process.env } = {}) {
+    const errors = [];
+    const values = {};
+    const sources = {};
+
+    for (const [key, definition] of Object.entries(DEFINITIONS)) {
+      if (definition.envOnly && (overrides?.[key] !== undefined || file?.[key] !== undefined)) {
+        errors.push({ key, message: `can only be set in the environment (${definition.env})` });
+        continue;
+      }
+
+      const layers = [
+        { raw: overrides?.[key], source: 'command line', label: `--set ${key}` },
+        { raw: file?.[key], source: fileSource, label: `settings.${key}`, baseDir: fileDir },
+        { raw: env[definition.env] === '' ? undefined : env[definition.env], source: 'environment', label: definition.env }
+      ];
+
+      const layer = layers.find(candidate => candidate.raw !== undefined && candidate.raw !== null);
+      if (!layer) {
+        values[key] = definition.default;
+        sources[key] = { source: 'default', label: null };
+        continue;
+      }
+
+      try {
+        values[key] = Settings.parseValue(definition, layer.raw, layer.baseDir || undefined);
+        sources[key] = { source: layer.source, label: layer.label };
+      } catch (error) {
+        const at = layer.source === 'command line' ? layer.label : `${layer.label} (${layer.source})`;
+        errors.push({ key: at, message: `${error.message} (got ${JSON.stringify(layer.raw)})` });
+      }
+    }
+
+    const unknown = [
+      ...Object.keys(overrides || {}).map(key => [key, `--set ${key}`]),
+      ...Object.keys(file || {}).map(key => [key, `settings.${key} (${fileSource})`])
+    ];
+    for (const [key, label] of unknown) {
+      if (!DEFINITIONS[key]) {
+        errors.push({ key: label, message: 'unknown setting (see `config show` for the list)' });
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new SettingsError('configuration', errors);
+    }
+
+    return new Settings(values, sources);
+  }
+
+  /**
+   * Check a config file's settings block, reporting problems through fail()
+   * like the rest of the pipeline file; relative paths resolve against baseDir
+   */
+  static validateBlock(block, at, fail, baseDir = undefined) {
+    if (!block || typeof block !== 'object' || Array.isArray(block)) {
+      fail(at, 'must be an object of setting names and values');
+      return {};
+    }
+
+    const validated = {};
+    for (const [key, value] of Object.entries(block)) {
+      if (!DEFINITIONS[key]) {
+        fail(`${at}.${key}`, 'unknown setting (see `config show` for the list)');
+        continue;
+      }
+
+      if (DEFINITIONS[key].envOnly) {
+        fail(`${at}.${key}`, `can only be set in the environment (${DEFINITIONS[key].env})`);
+        continue;
+      }
+
+      try {
+        Settings.parseValue(DEFINITIONS[key], value, baseDir);
+        validated[key] = value;
+      } catch (error) {
+        fail(`${at}.${key}`, `${error.message} (got ${JSON.stringify(value)})`);
+      }
+    }
+
+    return validated;
+  }
+
+  /**
+   * Parse --set key=value pairs into an overrides object
+   */
+  static parseAssignments(assignments = []) {
+    const overrides = {};
+
+    for (const assignment of assignments) {
+      const match = /^([A-Za-z]\w*)=(.*)$/.exec(assignment);
+      if (!match) {
+        throw new SettingsError('--set', [{ key: assignment, message: 'must look like name=value, e.g. maxApiRetries=5' }]);
+      }
+      overrides[match[1]] = match[2];
+    }
+
+    return overrides;
+  }
+
+  /**
+   * Turn a raw value (a string from the environment or command line, or a
+   * typed value from a config file) into the setting's type; a relative file
+   * path resolves against baseDir
+   */
+  static parseValue(definition, raw, baseDir = process.cwd()) {
+    const text = typeof raw === 'string' ? raw.trim() : raw;
+    const range = () => {
+      if (definition.min !== undefined && definition.max !== undefined) return ` between ${definition.min} and ${definition.max}`;
+      if (definition.min !== undefined) return ` of at least ${definition.min}`;
+      return '';
+    };
+
+    switch (definition.type) {
+      case 'boolean':
+        if (typeof text === 'boolean') return text;
+        if (['true', 'false'].includes(String(text).toLowerCase())) return String(text).toLowerCase() === 'true';
+        throw new Error('must be true or false');
+
+      case 'integer':
+      case 'number': {
+        const value = typeof text === 'number' ? text : (text === '' ? NaN : Number(text));
+        const valid = definition.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+        if (!valid || (definition.min !== undefined && value < definition.min) || (definition.max !== undefined && value > definition.max)) {
+          throw new Error(`must be ${definition.type === 'integer' ? 'a whole number' : 'a number'}${range()}`);
+        }
+        return value;
+      }
+
+      case 'enum':
+        if (!definition.values.includes(String(text).toLowerCase())) {
+          throw new Error(`must be one of: ${definition.values.join(', ')}`);
+        }
+        return String(text).toLowerCase();
+
+      case 'size':
+        if (!/^\d+x\d+$/.test(String(text))) throw new Error('must be a size like 2048x1536');
+        return String(text);
+
+      case 'url':
+        if (!/^https?:\/\/\S+$/.test(String(text))) throw new Error('must be an http:// or https:// URL');
+        return String(text);
+
+      case 'file': {
+        const filePath = path.resolve(baseDir, String(text));
+        if (!fs.existsSync(filePath)) throw new Error(`file not found: ${filePath}`);
+        return filePath;
+      }
+
+      case 'list':
+      case 'extensions': {
+        const items = (Array.isArray(text) ? text : String(text).split(','))
+          .map(item => String(item).trim())
+          .filter(Boolean);
+        if (definition.type === 'list') return items;
+        if (items.length === 0) throw new Error('must list at least one file extension, e.g. .arw,.cr2');
+        return items.map(item => (item.startsWith('.') ? item : `.${item}`).toLowerCase());
+      }
+
+      default:
+        if (typeof text !== 'string') throw new Error('must be a string');
+        return text;
+    }
+  }
+
+  /**
+   * The effective value of a setting
+   */
+  get(key) {
+    if (!DEFINITIONS[key]) {
+      throw new Error(`Unknown setting "${key}"`);
+    }
+
+    return this.values[key];
+  }
+
+  /**
+   * Every setting with its value and where it came from, for `config show`
+   */
+  describe() {
+    return Object.entries(DEFINITIONS).map(([key, definition]) => ({
+      key,
+      env: definition.env,
+      section: definition.section,
+      description: definition.description,
+      unit: definition.unit || null,
+      reserved: Boolean(definition.reserved),
+      value: definition.secret ? Settings.mask(this.values[key]) : this.values[key],
+      source: this.sources[key].source,
+      from: this.sources[key].label
+    }));
+  }
+
+  /**
+   * Values with secrets masked, safe for logs
+   */
+  toJSON() {
+    return Object.fromEntries(this.describe().map(({ key, value }) => [key, value]));
+  }
+
+  /**
+   * Hide a secret but show that it is set
+   */
+  static mask(value) {
+    if (!value) {
+      return value;
+    }
+
+    return value.length > 8 ? `****${value.slice(-4)}` : '****';
+  }
+}
+
+Settings.DEFINITIONS = DEFINITIONS;
+Settings.LOG_LEVELS = LOG_LEVELS;
+Settings.SettingsError = SettingsError;
+
+module.exports = Settings;
@@ -0,0 +1,204 @@
+/**
+ * Stage History - Snapshots of stage outputs taken before they are replaced
+ *
+ * A forced rerun rebuilds a stage's output directory from scratch, so a bad
+ * prompt tweak would otherwise destroy a good cull. Before that happens the
+ * current output (images, stage_result.json, completion marker and
+ * checkpoints) is hardlinked into <output>/.history/<stage>/<run>/, which
+ * costs no extra disk space until the rerun writes new files. Rolling back
+ * moves a snapshot back into place, after snapshotting whatever it replaces.
+ *
+ * Snapshots are numbered per stage (1, 2, 3...) and described by
+ * snapshot.json inside each snapshot directory.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { glob } = require('glob');
+
+const HISTORY_DIR = '.history';
+const SNAPSHOT_FILE = 'snapshot.json';
+
+class StageHistory {
+  constructor(options = {}) {
+    this.outputDir = options.outputDir;
+    this.auditLogger = options.auditLogger || null;
+    this.historyDir = path.join(this.outputDir, HISTORY_DIR);
+  }
+
+  /**
+   * Directory holding a stage's snapshots
+   */
+  getStageHistoryDir(stageName) {
+    return path.join(this.historyDir, stageName);
+  }
+
+  /**
+   * A stage's snapshots, oldest first. Snapshots already restored keep
+   * their record (so run numbers are never reused) and are only listed with
+   * includeRestored.
+   */
+  async list(stageName, { includeRestored = false } = {}) {
+    const stageHistoryDir = this.getStageHistoryDir(stageName);
+
+    if (!await fs.pathExists(stageHistoryDir)) {
+      return [];
+    }
+
+    const snapshots = [];
+    for (const name of await fs.readdir(stageHistoryDir)) {
+      try {
+        snapshots.push(await fs.readJson(path.join(stageHistoryDir, name, SNAPSHOT_FILE)));
+      } catch {
+        // Left behind by a snapshot that was interrupted; not restorable
+      }
+    }
+
+    return snapshots
+      .filter(snapshot => includeRestored || !snapshot.restoredAt)
+      .sort((a, b) => a.run - b.run);
+  }
+
+  /**
+   * Find a snapshot by run number, or by the start of its workflow id
+   */
+  async find(stageName, run) {
+    const snapshots = await this.list(stageName);
+    const wanted = String(run).trim();
+    const matches = snapshots.filter(snapshot =>
+      String(snapshot.run) === wanted || (wanted.length >= 4 && snapshot.workflowId?.startsWith(wanted)));
+
+    if (matches.length === 0) {
+      const available = snapshots.map(snapshot => snapshot.run).join(', ') || 'none';
+      throw new Error(`No ${stageName} snapshot "${run}" (available runs: ${available}); see \`history ${stageName}\``);
+    }
+
+    if (matches.length > 1) {
+      throw new Error(`"${run}" matches several ${stageName} snapshots (runs ${matches.map(snapshot => snapshot.run).join(', ')}); use the run number`);
+    }
+
+    return matches[0];
+  }
+
+  /**
+   * Snapshot a stage's current output and empty its directory. With
+   * keepFiles the output stays in place (a resumed rerun reuses it) and the
+   * snapshot is a copy instead, since the rerun may rewrite files in place.
+   * Returns the snapshot, or null if the stage has no output yet.
+   */
+  async snapshot(stageName, { reason, keepFiles = false } = {}) {
+    const stageDir = path.join(this.outputDir, stageName);
+    const files = await this.listFiles(stageDir);
+
+    if (files.length === 0) {
+      return null;
+    }
+
+    const previous = await this.list(stageName, { includeRestored: true });
+    const run = previous.length > 0 ? previous[previous.length - 1].run + 1 : 1;
+    const snapshotDir = path.join(this.getStageHistoryDir(stageName), String(run));
+    const result = await this.readJson(path.join(stageDir, 'stage_result.json'));
+    const marker = await this.readJson(path.join(stageDir, '.stage_completed'));
+
+    await fs.remove(snapshotDir);
+    let linked = 0;
+    for (const file of files) {
+      linked += await this.transferFile(path.join(stageDir, file), path.join(snapshotDir, 'output', file), keepFiles ? 'copy' : 'link');
+    }
+
+    const snapshot = {
+      stage: stageName,
+      run,
+      workflowId: result?.workflowId || marker?.workflowId || null,
+      ranAt: result?.timestamp || marker?.completedAt || null,
+      snapshotAt: new Date().toISOString(),
+      reason: reason || null,
+      completed: Boolean(marker),
+      success: result ? result.success !== false : null,
+      filesProcessed: result?.filesProcessed ?? marker?.result?.filesProcessed ?? null,
+      files: files.length,
+      linked
+    };
+
+    // Written last: a snapshot without it was interrupted and is ignored
+    await fs.writeJson(path.join(snapshotDir, SNAPSHOT_FILE), snapshot, { spaces: 2 });
+
+    if (!keepFiles) {
+      await fs.emptyDir(stageDir);
+    }
+
+    this.auditLogger?.logDecision('stage_snapshot',
+      { stage: stageName, run, files: files.length, linked, reason },
+      'snapshotted',
+      `Saved ${stageName} output as run ${run} before replacing it${reason ? ` (${reason})` : ''}`
+    );
+
+    return snapshot;
+  }
+
+  /**
+   * Move a snapshot back into the stage directory, replacing its contents.
+   * The snapshot leaves the history: it is the current output again.
+   */
+  async restore(stageName, snapshot) {
+    const stageDir = path.join(this.outputDir, stageName);
+    const snapshotDir = path.join(this.getStageHistoryDir(stageName), String(snapshot.run));
+    const snapshotOutput = path.join(snapshotDir, 'output');
+
+    await fs.emptyDir(stageDir);
+    for (const file of await this.listFiles(snapshotOutput)) {
+      await fs.move(path.join(snapshotOutput, file), path.join(stageDir, file));
+    }
+
+    await fs.remove(snapshotOutput);
+    await fs.writeJson(path.join(snapshotDir, SNAPSHOT_FILE), { ...snapshot, restoredAt: new Date().toISOString() }, { spaces: 2 });
+  }
+
+  /**
+   * Hardlink (or copy) one file; returns 1 if it was linked. Falls back to
+   * copying where links are not possible, e.g. across file systems.
+   */
+  async transferFile(source, destination, mode) {
+    await fs.ensureDir(path.dirname(destination));
+
+    if (mode === 'link') {
+      try {
+        await fs.link(source, destination);
+        return 1;
+      } catch (error) {
+        if (!['EXDEV', 'EPERM', 'EMLINK', 'ENOTSUP'].includes(error.code)) {
+          throw error;
+        }
+      }
+    }
+
+    await fs.copy(source, destination, { preserveTimestamps: true });
+    return 0;
+  }
+
+  /**
+   * Every file under a directory, as relative paths
+   */
+  async listFiles(dir) {
+    if (!await fs.pathExists(dir)) {
+      return [];
+    }
+
+    return (await glob('**/*', { cwd: dir, nodir: true, dot: true })).sort();
+  }
+
+  /**
+   * Read a JSON file, or null if it is missing or unreadable
+   */
+  async readJson(filePath) {
+    try {
+      return await fs.readJson(filePath);
+    } catch {
+      return null;
+    }
+  }
+}
+
+StageHistory.HISTORY_DIR = HISTORY_DIR;
+
+module.exports = StageHistory;
@@ -0,0 +1,262 @@
+/**
+ * Stage Hooks - Shell commands and JS modules run before and after a stage
+ *
+ * For steps too small for a plugin, such as syncing convert's output to a
+ * NAS or pinging a chat channel once cull is done. Hooks are listed per
+ * stage in the pipeline file:
+ *
+ *   stages:
+ *     - name: convert
+ *       hooks:
+ *         post: rsync -a "$PHOTO_WORKFLOW_OUTPUT/" nas:/shoots/smith/
+ *     - name: cull
+ *       hooks:
+ *         pre: { command: ./scripts/check-disk.sh, timeout: 30 }
+ *         post: [{ module: ./hooks/slack.js }]
+ *
+ * A command receives the hook context as JSON on stdin and in PHOTO_WORKFLOW_*
+ * environment variables; a module exports a function (may be async) that is
+ * called with the context: { hook, stage, workflowId, inputDir, outputDir,
+ * inputPath, outputPath, dryRun, result }. result is the stage result and is
+ * only set for post hooks. Commands run and modules resolve from the
+ * pipeline file's folder.
+ *
+ * A pre hook that exits non-zero (a module that throws or returns false)
+ * vetoes the stage, which then fails without running. A failing post hook
+ * fails the run once the stage has completed, so later stages do not run.
+ * Hooks only run when the stage does: a stage skipped as up to date, or a
+ * dry run, runs none. Every hook run goes to the audit log with its exit
+ * code and output.
+ */
+
+const path = require('path');
+const { exec } = require('child_process');
+
+const WHEN = ['pre', 'post'];
+
+// Seconds a hook may run before it is stopped and counted as failed
+const DEFAULT_TIMEOUT = 600;
+
+// Characters of a command's stdout and stderr kept in the audit log
+const OUTPUT_LIMIT = 4000;
+
+class StageHookError extends Error {
+  constructor(when, stage, hook, detail) {
+    super(when === 'pre'
+      ? `Stage ${stage} was vetoed by its pre hook ${hook.name}: ${detail}`
+      : `Stage ${stage} completed, but its post hook ${hook.name} failed: ${detail}`);
+    this.name = 'StageHookError';
+    this.code = when === 'pre' ? 'HOOK_VETO' : 'HOOK_FAILED';
+    this.stage = stage;
+    this.hook = hook.name;
+  }
+}
+
+class StageHooks {
+  constructor(options = {}) {
+    // { stageName: { pre: [hook], post: [hook] } }, as validated by validateBlock()
+    this.hooks = options.hooks || {};
+    this.baseDir = options.baseDir || process.cwd();
+    this.auditLogger = options.auditLogger || null;
+  }
+
+  /**
+   * Validate one stage's hooks block ({ pre, post }, each a hook or a list
+   * of hooks) and normalize every hook to { name, command, module, timeout }
+   */
+  static validateBlock(raw, at, fail) {
+    const hooks = { pre: [], post: [] };
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      fail(at, 'must be an object with "pre" and/or "post" hooks');
+      return hooks;
+    }
+
+    for (const [when, entries] of Object.entries(raw)) {
+      if (!WHEN.includes(when)) {
+        fail(`${at}.${when}`, 'unknown key (expected pre, post)');
+        continue;
+      }
+
+      const list = Array.isArray(entries) ? entries : [entries];
+      list.forEach((entry, index) => {
+        const key = Array.isArray(entries) ? `${at}.${when}[${index}]` : `${at}.${when}`;
+        const hook = StageHooks.validateHook(entry, key, fail);
+        if (hook) {
+          hooks[when].push(hook);
+        }
+      });
+    }
+
+    return hooks;
+  }
+
+  /**
+   * Validate a single hook: a shell command string, or an object with a
+   * command or a module plus an optional timeout (seconds) and name
+   */
+  static validateHook(entry, key, fail) {
+    const hook = typeof entry === 'string' ? { command: entry } : entry;
+
+    if (!hook || typeof hook !== 'object' || Array.isArray(hook)) {
+      fail(key, 'must be a shell command or an object with a command or a module');
+      return null;
+    }
+
+    for (const field of Object.keys(hook)) {
+      if (!['command', 'module', 'timeout', 'name'].includes(field)) {
+        fail(`${key}.${field}`, 'unknown key (expected command, module, timeout, name)');
+      }
+    }
+
+    if (Boolean(hook.command) === Boolean(hook.module)) {
+      fail(key, 'needs either a command or a module');
+      return null;
+    }
+
+    for (const field of ['command', 'module', 'name']) {
+      if (hook[field] !== undefined && (typeof hook[field] !== 'string' || hook[field].trim() === '')) {
+        fail(`${key}.${field}`, 'must be a non-empty string');
+        return null;
+      }
+    }
+
+    if (hook.timeout !== undefined && (typeof hook.timeout !== 'number' || hook.timeout <= 0)) {
+      fail(`${key}.timeout`, 'must be a number of seconds greater than 0');
+      return null;
+    }
+
+    return {
+      name: hook.name || hook.command || hook.module,
+      command: hook.command || null,
+      module: hook.module || null,
+      timeout: hook.timeout ?? DEFAULT_TIMEOUT
+    };
+  }
+
+  /**
+   * Get a stage's pre or post hooks
+   */
+  get(when, stageName) {
+    return this.hooks[stageName]?.[when] || [];
+  }
+
+  /**
+   * Run a stage's pre or post hooks in order, stopping at the first that
+   * fails with a StageHookError. Resolves with each hook's outcome.
+   */
+  async run(when, stageName, context, { dryRun = false } = {}) {
+    const hooks = this.get(when, stageName);
+    const outcomes = [];
+
+    for (const hook of hooks) {
+      if (dryRun) {
+        this.auditLogger?.logDecision('hook_skipped',
+          { stage: stageName, hook: hook.name, when },
+          'skipped',
+          'Hooks do not run in dry-run mode'
+        );
+        continue;
+      }
+
+      const payload = { hook: when, stage: stageName, ...context };
+      const startTime = Date.now();
+      const outcome = hook.command
+        ? await this.runCommand(hook, payload)
+        : await this.runModule(hook, payload);
+
+      outcome.duration = Date.now() - startTime;
+      this.auditLogger?.logHook({ stage: stageName, when, hook: hook.name, type: hook.command ? 'command' : 'module', ...outcome });
+      outcomes.push(outcome);
+
+      if (!outcome.ok) {
+        throw new StageHookError(when, stageName, hook, outcome.error);
+      }
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * Run a shell command with the context on stdin and in the environment
+   */
+  runCommand(hook, payload) {
+    return new Promise(resolve => {
+      const child = exec(hook.command, {
+        cwd: this.baseDir,
+        timeout: hook.timeout * 1000,
+        maxBuffer: 16 * 1024 * 1024,
+        env: {
+          ...process.env,
+          PHOTO_WORKFLOW_HOOK: payload.hook,
+          PHOTO_WORKFLOW_STAGE: payload.stage,
+          PHOTO_WORKFLOW_ID: payload.workflowId || '',
+          PHOTO_WORKFLOW_INPUT: payload.inputPath || '',
+          PHOTO_WORKFLOW_OUTPUT: payload.outputPath || '',
+          PHOTO_WORKFLOW_OUTPUT_DIR: payload.outputDir || ''
+        }
+      }, (error, stdout, stderr) => {
+        const exitCode = error ? (typeof error.code === 'number' ? error.code : null) : 0;
+        const detail = error?.killed ? `timed out after ${hook.timeout}s` : `exit code ${exitCode}`;
+        const lastLine = stderr.trim().split('\n').pop();
+
+        resolve({
+          ok: !error,
+          exitCode,
+          stdout: StageHooks.truncate(stdout),
+          stderr: StageHooks.truncate(stderr),
+          error: error ? (lastLine ? `${detail}: ${lastLine}` : detail) : null
+        });
+      });
+
+      // A command that ignores stdin closes it early; that is not a failure
+      child.stdin.on('error', () => {});
+      child.stdin.end(JSON.stringify(payload));
+    });
+  }
+
+  /**
+   * Call a module's exported function with the context; throwing or
+   * returning false counts as failing
+   */
+  async runModule(hook, payload) {
+    let timer = null;
+
+    try {
+      const exported = require(path.resolve(this.baseDir, hook.module));
+      const fn = typeof exported === 'function' ? exported : exported?.default;
+
+      if (typeof fn !== 'function') {
+        throw new Error(`${hook.module} does not export a function`);
+      }
+
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${hook.timeout}s`)), hook.timeout * 1000);
+      });
+      const value = await Promise.race([fn(payload), timeout]);
+
+      return {
+        ok: value !== false,
+        exitCode: value === false ? 1 : 0,
+        returned: value === undefined ? null : value,
+        error: value === false ? 'returned false' : null
+      };
+    } catch (error) {
+      return { ok: false, exitCode: 1, returned: null, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Keep the end of long output, where errors usually are
+   */
+  static truncate(output = '') {
+    return output.length > OUTPUT_LIMIT ? `…${output.slice(-OUTPUT_LIMIT)}` : output;
+  }
+}
+
+StageHooks.WHEN = WHEN;
+StageHooks.StageHookError = StageHookError;
+
+module.exports = StageHooks;
@@ -2,26 +2,67 @@
  * Stage Orchestrator - Manages workflow stages and coordination
  * 
  * Handles stage execution, dependency checking, data flow between stages,
- * and provides unified error handling and logging.
+ * and provides unified error handling and logging. Emits stageStart,
+ * stageComplete and stageFailed as each stage runs, and sends the same
+ * milestones to the run's notifier (webhooks and commands), if it has one;
+ * it prints nothing, so the CLI shows those events as it sees fit.
+ * Stage processors are created with the run's settings (lib/settings.js).
+ * The pipeline's pre and post hooks (lib/stageHooks.js) run around each
+ * stage that actually executes; a failing pre hook vetoes the stage.
  */
 
 const fs = require('fs-extra');
 const path = require('path');
-const chalk = require('chalk');
+const { EventEmitter } = require('events');
+const { glob } = require('glob');
 const { v4: uuidv4 } = require('uuid');
+const ProgressManifest = require('./progressManifest');
+const Fingerprinter = require('./fingerprint');
+const StageRegistry = require('./stageRegistry');
+const WorkerPool = require('./workerPool');
+const RetentionPolicies = require('./retentionPolicies');
+const StageHistory = require('./stageHistory');
+const Settings = require('./settings');
+const { getDefaultPrices, costOf } = require('./pricing');
 
-class StageOrchestrator {
+class StageOrchestrator extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.inputDir = options.inputDir;
     this.outputDir = options.outputDir;
     this.auditLogger = options.auditLogger;
     this.dryRun = options.dryRun || false;
     this.force = options.force || false;
+    this.resume = options.resume || false;
+    this.jobs = WorkerPool.resolveConcurrency(options.jobs);
+    this.registry = options.registry || new StageRegistry({ auditLogger: this.auditLogger });
+    this.project = options.project || null;
+    // AbortSignal that cancels the run between stages, batches and files
+    this.signal = options.signal || null;
+    // BudgetTracker that paid stages reserve their API calls against
+    this.budget = options.budget || null;
+    this.notifier = options.notifier || null;
+    // StageHooks with the pipeline's pre and post hooks, if it has any
+    this.hooks = options.hooks || null;
+    this.settings = options.settings || this.auditLogger?.settings || Settings.resolve();
+    this.fingerprints = new Fingerprinter({ cacheDir: this.outputDir, auditLogger: this.auditLogger });
+    this.fingerprintsLoaded = false;
+    // Snapshots of stage outputs replaced by forced reruns, for rollback
+    this.history = new StageHistory({ outputDir: this.outputDir, auditLogger: this.auditLogger });
     
     // Stage processors (loaded lazily)
     this.stageProcessors = {};
     this.stageResults = {};
     this.workflowId = uuidv4();
+
+    if (this.notifier) {
+      Object.assign(this.notifier.context, {
+        workflowId: this.workflowId,
+        inputDir: this.inputDir,
+        outputDir: this.outputDir,
+        project: this.project
+      });
+    }
   }
 
   /**
@@ -33,7 +74,10 @@ class StageOrchestrator {
       inputDir: this.inputDir,
       outputDir: this.outputDir,
       dryRun: this.dryRun,
-      force: this.force
+      force: this.force,
+      resume: this.resume,
+      jobs: this.jobs,
+      project: this.project?.source || null
     });
 
     // Validate input directory
@@ -43,9 +87,14 @@ class StageOrchestrator {
 
     // Ensure output directory exists
     await fs.ensureDir(this.outputDir);
+
+    if (!this.fingerprintsLoaded) {
+      await this.fingerprints.load();
+      this.fingerprintsLoaded = true;
+    }
     
     // Create stage directories
-    const stages = ['convert', 'cull', 'group', 'imagen-upload', 'imagen-download', 'finalize'];
+    const stages = this.registry.getRunOrder();
     for (const stage of stages) {
       await fs.ensureDir(path.join(this.outputDir, stage));
     }
@@ -57,50 +106,100 @@ class StageOrchestrator {
 
   /**
    * Run a specific stage
+   *
+   * stageInput overrides the default input path, which is how a pipeline
+   * that drops stages feeds each stage the previous stage's output.
    */
-  async runStage(stageName, options = {}) {
+  async runStage(stageName, options = {}, stageInput = null) {
     await this.initialize();
     
     this.auditLogger.startStage();
     this.auditLogger.logEvent('stage_execution_start', {
       stage: stageName,
-      options,
+      options: this.summarizeForLog(options),
       workflowId: this.workflowId
     });
+    this.emit('stageStart', { stage: stageName, workflowId: this.workflowId });
+    this.notifier?.notify('stage_started', `Stage ${stageName} started`, { stage: stageName });
 
     try {
-      // Check if stage already completed (unless force flag is set)
-      if (!this.force && await this.isStageCompleted(stageName)) {
-        this.auditLogger.logDecision('stage_skip', 
-          { stage: stageName, reason: 'already_completed' },
-          'skipped',
-          `Stage ${stageName} already completed and --force not specified`
-        );
-        return this.getStageResult(stageName);
-      }
-
       // Load stage processor
       const processor = await this.loadStageProcessor(stageName);
       
       // Prepare stage input/output paths
-      const stageInput = await this.getStageInputPath(stageName);
+      const { inputPath, inputArtefact, artefacts } = stageInput
+        ? { ...stageInput, inputPath: await this.validateStageInputPath(stageName, stageInput.inputPath) }
+        : await this.getStageInput(stageName);
       const stageOutput = path.join(this.outputDir, stageName);
       
       this.auditLogger.logEvent('stage_paths', {
         stage: stageName,
-        input: stageInput,
+        input: inputPath,
+        inputArtefact,
+        artefacts,
         output: stageOutput
       });
 
-      // Execute stage
+      // Skip the stage when its inputs and options match its last successful run
+      const fingerprint = await this.getStageFingerprint(stageName, processor, inputPath, options);
+
+      if (!this.force && await this.isStageUpToDate(stageName, fingerprint)) {
+        this.auditLogger.logDecision('stage_skip', 
+          { stage: stageName, reason: 'up_to_date', fingerprint },
+          'skipped',
+          `Stage ${stageName} inputs and options are unchanged since its last run`
+        );
+
+        const previous = await this.getStageResult(stageName);
+        await this.auditLogger.endStage({
+          stage: stageName,
+          success: true,
+          upToDate: true
+        });
+
+        return this.completeStage(stageName, { ...previous, upToDate: true });
+      }
+
+      this.signal?.throwIfAborted();
+
+      const hookContext = {
+        workflowId: this.workflowId,
+        inputDir: this.inputDir,
+        outputDir: this.outputDir,
+        inputPath,
+        outputPath: stageOutput,
+        dryRun: this.dryRun
+      };
+      await this.hooks?.run('pre', stageName, hookContext, { dryRun: this.dryRun });
+
+      // A forced rerun replaces the stage's output; keep the old one for rollback
+      if (this.force && !this.dryRun) {
+        await this.history.snapshot(stageName, { reason: 'forced rerun', keepFiles: this.resume });
+      }
+
+      // Load checkpoints from an interrupted run, or start a fresh manifest
+      const progress = await this.prepareProgressManifest(stageName, stageOutput);
+
+      // Execute stage, counting the errors and fallbacks it logs for status
+      const auditBefore = this.getAuditCounts();
       this.auditLogger.startOperation(`${stageName}_execution`);
       
       const result = await processor.execute({
-        inputPath: stageInput,
+        inputPath,
         outputPath: stageOutput,
         auditLogger: this.auditLogger,
         dryRun: this.dryRun,
-        ...options
+        progress,
+        ...options,
+        inputArtefact,
+        artefacts,
+        jobs: this.jobs,
+        fingerprints: this.fingerprints,
+        project: this.project,
+        signal: this.signal,
+        budget: this.budget,
+        notifier: this.notifier,
+        settings: this.settings
       });
 
       this.auditLogger.endOperation({
@@ -108,12 +207,37 @@ class StageOrchestrator {
         errors: result.errors || 0
       });
 
+      const auditAfter = this.getAuditCounts();
+      result.audit = {
+        errors: auditAfter.errors - auditBefore.errors,
+        fallbacks: auditAfter.fallbacks - auditBefore.fallbacks
+      };
+
+      result.checkpoints = progress.getStats();
+      this.auditLogger.logEvent('stage_checkpoints', {
+        stage: stageName,
+        ...this.summarizeForLog(result.checkpoints)
+      });
+
       // Store result
       this.stageResults[stageName] = result;
       await this.saveStageResult(stageName, result);
+
+      // A failed or cancelled stage keeps its checkpoints but is never marked
+      // completed, so the next run picks it up from the first unfinished unit
+      this.signal?.throwIfAborted();
+
+      if (result.success === false) {
+        throw new Error(`Stage ${stageName} failed: ${result.error || 'unknown error'}`);
+      }
       
-      // Mark stage as completed
-      await this.markStageCompleted(stageName, result);
+      // Mark stage as completed. A stage that skipped failed files keeps no
+      // input fingerprint, so the next run retries them instead of skipping it.
+      const hadErrors = Array.isArray(result.errors) ? result.errors.length > 0 : Boolean(result.errors);
+      await this.markStageCompleted(stageName, result, {
+        fingerprint: hadErrors ? null : fingerprint,
+        outputFingerprint: progress.getOutputFingerprint(fingerprint)
+      });
 
       this.auditLogger.logEvent('stage_execution_success', {
         stage: stageName,
@@ -124,6 +248,9 @@ class StageOrchestrator {
         }
       });
 
+      // The stage stays completed if a post hook fails; the run stops here
+      await this.hooks?.run('post', stageName, { ...hookContext, result }, { dryRun: this.dryRun });
+
       await this.auditLogger.endStage({
         stage: stageName,
         success: true,
@@ -131,9 +258,11 @@ class StageOrchestrator {
         outputPath: stageOutput
       });
 
-      return result;
+      return this.completeStage(stageName, result);
 
     } catch (error) {
+      this.notifyFailure('stage', stageName, error);
+
       this.auditLogger.logError(error, {
         stage: stageName,
         operation: 'stage_execution',
@@ -146,7 +275,57 @@ class StageOrchestrator {
         error: error.message
       });
 
+      this.emit('stageFailed', { stage: stageName, workflowId: this.workflowId, error });
+
       throw error;
+    } finally {
+      await this.fingerprints.save();
+    }
+  }
+
+  /**
+   * Announce a finished stage and hand back its result
+   */
+  completeStage(stageName, result) {
+    const rebuild = this.describeRebuild(result);
+
+    this.emit('stageComplete', {
+      stage: stageName,
+      workflowId: this.workflowId,
+      result,
+      rebuild
+    });
+
+    this.notifier?.notify('stage_completed', `Stage ${stageName} completed (${rebuild})`, {
+      stage: stageName,
+      filesProcessed: result?.filesProcessed || 0,
+      duration: result?.duration || 0,
+      upToDate: Boolean(result?.upToDate),
+      rebuild
+    });
+
+    return result;
+  }
+
+  /**
+   * Notify that a stage or run failed, stopped at its budget or was cancelled
+   */
+  notifyFailure(scope, name, error) {
+    if (!this.notifier) {
+      return;
+    }
+
+    const label = scope === 'run' ? `Run ${name}` : `Stage ${name}`;
+    const data = { [scope]: name, spend: this.budget?.getUsage() || null };
+
+    if (error.code === 'BUDGET_EXCEEDED') {
+      // The stage reports the budget; the run just failed because of it
+      const event = scope === 'run' ? 'run_failed' : 'budget_reached';
+      this.notifier.notify(event, `${label} stopped at the budget limit`, data, error);
+    } else if (this.signal?.aborted) {
+      this.notifier.notify(`${scope}_failed`, `${label} was cancelled`, { ...data, cancelled: true }, error);
+    } else {
+      this.notifier.notify(`${scope}_failed`, `${label} failed: ${error.message}`, data, error);
     }
   }
 
@@ -160,27 +339,35 @@ class StageOrchestrator {
       workflowId: this.workflowId,
       stages: stages.map(s => s.name)
     });
+    this.notifier?.notify('run_started', `Run started: ${stages.map(s => s.name).join(', ')}`, {
+      stages: stages.map(s => s.name)
+    });
 
     const results = {};
     let currentInput = this.inputDir;
 
     try {
       for (const stage of stages) {
-        console.log(chalk.blue(`\n🔄 Running stage: ${stage.name}`));
+        this.signal?.throwIfAborted();
+
+        // Read the artefacts an earlier stage of this workflow produced,
+        // otherwise the previous stage's output (or the input directory)
+        const resolved = this.registry.resolveInputs(stage.name, Object.keys(results), this.outputDir);
+        if (resolved.inputPath) {
+          currentInput = resolved.inputPath;
+        }
         
         const stageOptions = {
           ...stage.options,
           input: currentInput
         };
 
-        const result = await this.runStage(stage.name, stageOptions);
+        const result = await this.runStage(stage.name, stageOptions, { ...resolved, inputPath: currentInput });
         results[stage.name] = result;
         
         // Set next stage input to current stage output
         currentInput = path.join(this.outputDir, stage.name);
         
-        console.log(chalk.green(`✓ Stage ${stage.name} completed`));
-        
         // Log progress
         this.auditLogger.logEvent('workflow_progress', {
           completedStage: stage.name,
@@ -201,9 +388,19 @@ class StageOrchestrator {
         }, {})
       });
 
+      this.notifier?.notify('run_completed', `Run completed: ${stages.length} stage(s)`, {
+        stages: Object.fromEntries(Object.entries(results).map(([stage, result]) => [stage, {
+          filesProcessed: result?.filesProcessed || 0,
+          rebuild: this.describeRebuild(result)
+        }])),
+        spend: this.budget?.getUsage() || null
+      });
+
       return results;
 
     } catch (error) {
+      this.notifyFailure('run', 'full-workflow', error);
+
       this.auditLogger.logError(error, {
         operation: 'full_workflow',
         workflowId: this.workflowId,
@@ -214,6 +411,136 @@ class StageOrchestrator {
     }
   }
 
+  /**
+   * Estimate the paid API calls and cost of running the stages, without
+   * running anything. Up-to-date stages are free. The others are estimated
+   * by their estimate() hook from the files on disk (reusing checkpointed
+   * units), or from the previous stage's estimate when that stage still has
+   * to run.
+   */
+  async planRun(stages, prices = getDefaultPrices()) {
+    if (!await fs.pathExists(this.inputDir)) {
+      throw new Error(`Input directory does not exist: ${this.inputDir}`);
+    }
+
+    if (!this.fingerprintsLoaded) {
+      await this.fingerprints.load();
+      this.fingerprintsLoaded = true;
+    }
+
+    const planned = [];
+    let currentInput = this.inputDir;
+    // Image count flowing out of the previous stage when it still has to run
+    let upstreamPending = false;
+    let projectedImages = null;
+
+    for (const stage of stages) {
+      const resolved = this.registry.resolveInputs(stage.name, planned.map(entry => entry.stage), this.outputDir);
+      if (resolved.inputPath) {
+        currentInput = resolved.inputPath;
+      }
+
+      const processor = await this.loadStageProcessor(stage.name);
+      const options = { ...stage.options, input: currentInput };
+      const onDisk = !upstreamPending && await fs.pathExists(currentInput);
+
+      const fingerprint = onDisk && !this.force
+        ? await this.getStageFingerprint(stage.name, processor, currentInput, options)
+        : null;
+
+      if (await this.isStageUpToDate(stage.name, fingerprint)) {
+        planned.push({ stage: stage.name, upToDate: true, images: null, usage: {}, cost: 0 });
+        currentInput = path.join(this.outputDir, stage.name);
+        continue;
+      }
+
+      const estimate = typeof processor.estimate === 'function' && (onDisk || projectedImages !== null)
+        ? await processor.estimate({
+          inputPath: currentInput,
+          outputPath: path.join(this.outputDir, stage.name),
+          imageCount: onDisk ? null : projectedImages,
+          progress: onDisk ? await this.loadPlanProgress(stage.name) : null,
+          fingerprints: this.fingerprints,
+          project: this.project,
+          ...options
+        })
+        : { images: projectedImages, outputImages: projectedImages, usage: {} };
+
+      const usage = estimate.usage || {};
+      planned.push({
+        stage: stage.name,
+        upToDate: false,
+        // Counts derived from an earlier stage's estimate rather than files
+        projected: !onDisk,
+        ...estimate,
+        usage,
+        cost: Object.entries(usage).reduce((sum, [service, counts]) => sum + costOf(prices, service, counts), 0)
+      });
+
+      upstreamPending = true;
+      projectedImages = estimate.outputImages ?? null;
+      currentInput = path.join(this.outputDir, stage.name);
+    }
+
+    const services = {};
+    for (const { usage } of planned) {
+      for (const [service, counts] of Object.entries(usage)) {
+        const total = services[service] || (services[service] = { calls: 0, images: 0 });
+        total.calls += counts.calls || 0;
+        total.images += counts.images || 0;
+      }
+    }
+
+    return {
+      stages: planned,
+      totals: {
+        calls: Object.values(services).reduce((sum, counts) => sum + counts.calls, 0),
+        cost: planned.reduce((sum, entry) => sum + entry.cost, 0),
+        services
+      },
+      prices
+    };
+  }
+
+  /**
+   * Read a stage's checkpoints for planning, without changing them
+   */
+  async loadPlanProgress(stageName) {
+    if (this.force && !this.resume) {
+      return null;
+    }
+
+    const progress = new ProgressManifest({
+      stageName,
+      stageDir: path.join(this.outputDir, stageName),
+      auditLogger: this.auditLogger
+    });
+    await progress.load();
+
+    return progress;
+  }
+
+  /**
+   * Errors and fallbacks logged so far in this session
+   */
+  getAuditCounts() {
+    return {
+      errors: this.auditLogger.errors?.length || 0,
+      fallbacks: this.auditLogger.fallbacks?.length || 0
+    };
+  }
+
+  /**
+   * Shorten long lists (watch mode's file list, rebuilt units) for logging
+   */
+  summarizeForLog(values) {
+    return Object.fromEntries(
+      Object.entries(values).map(([key, value]) =>
+        Array.isArray(value) && value.length > 10 ? [key, `[${value.length} items]`] : [key, value]
+      )
+    );
+  }
+
   /**
    * Load stage processor dynamically
    */
@@ -223,27 +550,17 @@ class StageOrchestrator {
     }
 
     try {
-      // Map stage names to their actual file names
-      const stageFileMap = {
-        'convert': 'convertStage',
-        'cull': 'cullStage',
-        'group': 'groupStage',
-        'imagen-upload': 'imagenUploadStage',
-        'imagen-download': 'imagenDownloadStage',
-        'finalize': 'finalizeStage'
-      };
-      
-      const stageFileName = stageFileMap[stageName] || `${stageName}Stage`;
-      const stageModulePath = path.join(__dirname, '..', 'stages', stageFileName);
-      const StageProcessor = require(stageModulePath);
+      const definition = this.registry.get(stageName);
       
-      this.stageProcessors[stageName] = new StageProcessor({
-        auditLogger: this.auditLogger
+      this.stageProcessors[stageName] = this.registry.createProcessor(stageName, {
+        auditLogger: this.auditLogger,
+        settings: this.settings
       });
       
       this.auditLogger.logEvent('stage_processor_loaded', {
         stage: stageName,
-        modulePath: stageModulePath
+        modulePath: definition.modulePath,
+        plugin: !definition.builtin
       });
       
       return this.stageProcessors[stageName];
@@ -259,26 +576,48 @@ class StageOrchestrator {
   }
 
   /**
-   * Get input path for a specific stage
+   * Resolve a stage's inputs when it runs on its own, from the earlier
+   * stages that have completed
    */
-  async getStageInputPath(stageName) {
-    const stageDependencies = {
-      'convert': this.inputDir,
-      'cull': path.join(this.outputDir, 'convert'),
-      'group': path.join(this.outputDir, 'cull'),
-      'imagen-upload': path.join(this.outputDir, 'group'),
-      'imagen-download': path.join(this.outputDir, 'imagen-upload'),
-      'finalize': path.join(this.outputDir, 'imagen-download')
+  async getStageInput(stageName) {
+    const available = await this.getAvailableStages(stageName);
+    const resolved = this.registry.resolveInputs(stageName, available, this.outputDir);
+    const inputPath = this.registry.getInputPath(stageName, this.inputDir, this.outputDir, available);
+
+    return {
+      ...resolved,
+      inputPath: await this.validateStageInputPath(stageName, inputPath)
     };
+  }
 
-    const inputPath = stageDependencies[stageName];
-    
-    if (!inputPath) {
-      throw new Error(`Unknown stage: ${stageName}`);
+  /**
+   * Stages before a stage in run order that have completed; initialize()
+   * creates every stage folder, so an existing folder proves nothing
+   */
+  async getAvailableStages(stageName) {
+    const order = this.registry.getRunOrder();
+    const earlier = order.slice(0, Math.max(order.indexOf(stageName), 0));
+    const available = [];
+
+    for (const stage of earlier) {
+      if (await this.readCompletionMarker(stage)) {
+        available.push(stage);
+      }
     }
 
-    // Validate that input path exists (except for first stage)
-    if (stageName !== 'convert' && !await fs.pathExists(inputPath)) {
+    return available;
+  }
+
+  /**
+   * Validate that a stage input path exists
+   */
+  async validateStageInputPath(stageName, inputPath) {
+    // The first stage reads the user's input directory, checked in initialize()
+    if (inputPath === this.inputDir) {
+      return inputPath;
+    }
+
+    if (!await fs.pathExists(inputPath)) {
       this.auditLogger.logError(new Error(`Stage input path does not exist: ${inputPath}`), {
         stage: stageName,
         expectedPath: inputPath,
@@ -291,6 +630,97 @@ class StageOrchestrator {
     return inputPath;
   }
 
+  /**
+   * Fingerprint a stage run: its input, its options and anything else the
+   * stage declares (e.g. prompt text). Null when the input cannot be
+   * fingerprinted, which means the stage always runs.
+   */
+  async getStageFingerprint(stageName, processor, inputPath, options) {
+    const inputFingerprint = await this.getInputFingerprint(inputPath);
+    if (!inputFingerprint) {
+      return null;
+    }
+
+    const settings = typeof processor.getFingerprintInputs === 'function'
+      ? await processor.getFingerprintInputs({ ...options, project: this.project })
+      : this.getDeclaredOptions(stageName, options);
+
+    return Fingerprinter.hashValue({ stage: stageName, input: inputFingerprint, settings });
+  }
+
+  /**
+   * Fingerprint a stage's input: another stage's output inherits that stage's
+   * output fingerprint, anything else is hashed file by file
+   */
+  async getInputFingerprint(inputPath) {
+    const upstream = path.relative(this.outputDir, inputPath);
+
+    if (this.registry.has(upstream)) {
+      const marker = await this.readCompletionMarker(upstream);
+      return marker?.outputFingerprint || null;
+    }
+
+    return this.fingerprints.forDirectory(inputPath);
+  }
+
+  /**
+   * Pick the options a plugin stage declares (plus mock) out of the run options
+   */
+  getDeclaredOptions(stageName, options) {
+    const names = [...this.registry.getOptionNames(stageName), 'mock'];
+    return Object.fromEntries(names.map(name => [name, options[name]]));
+  }
+
+  /**
+   * Describe what a stage run reused and rebuilt, e.g. "12 reused, 3 rebuilt, 2 new"
+   */
+  describeRebuild(result) {
+    if (result?.upToDate) {
+      return 'up to date';
+    }
+
+    const stats = result?.checkpoints;
+    if (!stats) {
+      return 'no checkpoints';
+    }
+
+    return `${stats.reusedUnits} reused, ${stats.rebuiltUnits} rebuilt, ${stats.newUnits} new`;
+  }
+
+  /**
+   * Create the per-unit progress manifest for a stage run. Recorded units
+   * are reused while their fingerprints match; --force starts from scratch
+   * unless --resume is also given.
+   */
+  async prepareProgressManifest(stageName, stageOutput) {
+    const progress = new ProgressManifest({
+      stageName,
+      stageDir: stageOutput,
+      auditLogger: this.auditLogger
+    });
+
+    if (this.dryRun) {
+      return progress;
+    }
+
+    if (this.force && !this.resume) {
+      await progress.reset();
+      return progress;
+    }
+
+    const completedUnits = await progress.load();
+    
+    this.auditLogger.logDecision('stage_resume',
+      { stage: stageName, completedUnits },
+      completedUnits > 0 ? 'resumed' : 'fresh_start',
+      completedUnits > 0
+        ? `Reusing ${stageName} units whose fingerprints still match (${completedUnits} recorded)`
+        : `No checkpoints found for ${stageName}, starting from the beginning`
+    );
+
+    return progress;
+  }
+
   /**
    * Check if stage is already completed
    */
@@ -299,15 +729,40 @@ class StageOrchestrator {
     return await fs.pathExists(completionMarker);
   }
 
+  /**
+   * Check whether a stage's last successful run had the same fingerprint
+   */
+  async isStageUpToDate(stageName, fingerprint) {
+    if (!fingerprint) {
+      return false;
+    }
+
+    const marker = await this.readCompletionMarker(stageName);
+    return marker?.fingerprint === fingerprint;
+  }
+
+  /**
+   * Read a stage's completion marker, or null if it has none
+   */
+  async readCompletionMarker(stageName) {
+    try {
+      return await fs.readJson(path.join(this.outputDir, stageName, '.stage_completed'));
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Mark stage as completed
    */
-  async markStageCompleted(stageName, result) {
+  async markStageCompleted(stageName, result, { fingerprint = null, outputFingerprint = null } = {}) {
     const completionMarker = path.join(this.outputDir, stageName, '.stage_completed');
     const completionData = {
       stage: stageName,
       completedAt: new Date().toISOString(),
       workflowId: this.workflowId,
+      fingerprint,
+      outputFingerprint,
       result: {
         success: result.success,
         filesProcessed: result.filesProcessed || 0,
@@ -337,8 +792,14 @@ class StageOrchestrator {
    * Get stage result from file
    */
   async getStageResult(stageName) {
+    const resultFile = path.join(this.outputDir, stageName, 'stage_result.json');
+
+    // A stage that never ran has no result; only unreadable files are errors
+    if (!await fs.pathExists(resultFile)) {
+      return null;
+    }
+
     try {
-      const resultFile = path.join(this.outputDir, stageName, 'stage_result.json');
       return await fs.readJson(resultFile);
     } catch (error) {
       this.auditLogger.logError(error, {
@@ -350,16 +811,24 @@ class StageOrchestrator {
   }
 
   /**
-   * Get workflow status
+   * Get workflow status: each stage's state, last result, completion marker
+   * and any stage-specific details (e.g. pending Imagen tasks)
    */
   async getWorkflowStatus() {
-    const stages = ['convert', 'cull', 'group', 'imagen-upload', 'imagen-download', 'finalize'];
+    const stages = this.registry.getRunOrder();
     const status = {};
     
     for (const stage of stages) {
+      const marker = await this.readCompletionMarker(stage);
+      const result = await this.getStageResult(stage);
+
       status[stage] = {
+        state: await this.getStageState(stage, marker, result),
         completed: await this.isStageCompleted(stage),
-        result: await this.getStageResult(stage)
+        completedAt: marker?.completedAt || null,
+        cleaned: marker?.cleaned || null,
+        result,
+        details: await this.getStageDetails(stage)
       };
     }
     
@@ -372,36 +841,147 @@ class StageOrchestrator {
   }
 
   /**
-   * Clean up temporary files and incomplete stages
+   * Classify a stage as completed, failed, incomplete (checkpoints from an
+   * interrupted run) or not_started
    */
-  async cleanup(keepLogs = true) {
+  async getStageState(stageName, marker, result) {
+    if (result?.success === false) {
+      return 'failed';
+    }
+
+    if (marker || await this.isStageCompleted(stageName)) {
+      return 'completed';
+    }
+
+    const manifestPath = path.join(this.outputDir, stageName, ProgressManifest.MANIFEST_FILE);
+    if (result || await fs.pathExists(manifestPath)) {
+      return 'incomplete';
+    }
+
+    return 'not_started';
+  }
+
+  /**
+   * Stage-specific status from the stage's optional getStatus({ inputPath, outputPath })
+   */
+  async getStageDetails(stageName) {
+    try {
+      const processor = await this.loadStageProcessor(stageName);
+      if (typeof processor.getStatus !== 'function') {
+        return null;
+      }
+
+      const available = await this.getAvailableStages(stageName);
+      const { inputArtefact, artefacts } = this.registry.resolveInputs(stageName, available, this.outputDir);
+
+      return await processor.getStatus({
+        inputPath: this.registry.getInputPath(stageName, this.inputDir, this.outputDir, available),
+        outputPath: path.join(this.outputDir, stageName),
+        inputArtefact,
+        artefacts
+      });
+    } catch (error) {
+      this.auditLogger.logError(error, {
+        stage: stageName,
+        operation: 'get_stage_details'
+      });
+      return null;
+    }
+  }
+
+  /**
+   * A stage's snapshots plus its current output, for `history`
+   */
+  async getStageHistory(stageName) {
+    if (!this.registry.has(stageName)) {
+      throw new Error(`Unknown stage "${stageName}" (expected one of: ${this.registry.getRunOrder().join(', ')})`);
+    }
+
+    const marker = await this.readCompletionMarker(stageName);
+    const result = await this.getStageResult(stageName);
+
+    return {
+      stage: stageName,
+      current: marker || result ? {
+        workflowId: result?.workflowId || marker?.workflowId || null,
+        ranAt: result?.timestamp || marker?.completedAt || null,
+        state: await this.getStageState(stageName, marker, result),
+        filesProcessed: result?.filesProcessed ?? marker?.result?.filesProcessed ?? null
+      } : null,
+      snapshots: await this.history.list(stageName)
+    };
+  }
+
+  /**
+   * Restore a stage's output from a snapshot (by run number or workflow id).
+   * The output it replaces is snapshotted first, and every stage downstream
+   * loses its completion marker so the next run rebuilds it from the
+   * restored output.
+   */
+  async rollbackStage(stageName, run) {
+    if (!this.registry.has(stageName)) {
+      throw new Error(`Unknown stage "${stageName}" (expected one of: ${this.registry.getRunOrder().join(', ')})`);
+    }
+
+    const snapshot = await this.history.find(stageName, run);
+    const replaced = await this.history.snapshot(stageName, { reason: `replaced by rollback to run ${snapshot.run}` });
+    await this.history.restore(stageName, snapshot);
+
+    const invalidated = [];
+    for (const downstream of this.registry.getDownstreamStages(stageName)) {
+      const completionMarker = path.join(this.outputDir, downstream, '.stage_completed');
+
+      if (await fs.pathExists(completionMarker)) {
+        await fs.remove(completionMarker);
+        invalidated.push(downstream);
+      }
+    }
+
+    this.auditLogger.logDecision('stage_rollback',
+      { stage: stageName, run: snapshot.run, workflowId: snapshot.workflowId, replacedAs: replaced?.run ?? null, invalidated },
+      'restored',
+      `Restored ${stageName} output from run ${snapshot.run}${invalidated.length > 0 ? `; ${invalidated.join(', ')} must rerun` : ''}`
+    );
+
+    return { stage: stageName, restored: snapshot, replaced, invalidated };
+  }
+
+  /**
+   * Apply a retention policy (see retentionPolicies.js): remove temp_* files
+   * and the images of stages the policy prunes. A stage is only pruned once
+   * it and every stage downstream of it have completed, so nothing a later
+   * stage still needs is deleted. Returns the plan, with what was freed.
+   */
+  async cleanup(policy = RetentionPolicies.getPolicy(), { dryRun = this.dryRun, keepLogs = true } = {}) {
     this.auditLogger.logEvent('cleanup_start', {
+      policy: policy.name,
+      dryRun,
       keepLogs
     });
 
     try {
-      // Clean up temporary files in each stage directory
-      const stages = ['convert', 'cull', 'group', 'imagen-upload', 'imagen-download', 'finalize'];
-      
-      for (const stage of stages) {
-        const stageDir = path.join(this.outputDir, stage);
-        if (await fs.pathExists(stageDir)) {
-          // Remove temporary files but keep completed results
-          const tempPattern = path.join(stageDir, 'temp_*');
-          // Implementation would use glob to find and remove temp files
+      const plan = await this.planCleanup(policy);
+
+      if (!dryRun) {
+        for (const stagePlan of plan.stages) {
+          await this.applyStageCleanup(stagePlan, policy);
         }
-      }
 
-      if (!keepLogs) {
-        // Remove log files
-        const logsDir = path.join(this.outputDir, 'logs');
-        await fs.remove(logsDir);
+        if (!keepLogs) {
+          await fs.remove(path.join(this.outputDir, 'logs'));
+        }
       }
 
       this.auditLogger.logEvent('cleanup_complete', {
-        keepLogs
+        policy: policy.name,
+        dryRun,
+        filesRemoved: plan.files,
+        bytesFreed: plan.bytes,
+        skippedStages: plan.stages.filter(stagePlan => stagePlan.skipped).map(stagePlan => stagePlan.stage)
       });
 
+      return { ...plan, dryRun };
+
     } catch (error) {
       this.auditLogger.logError(error, {
         operation: 'cleanup'
@@ -409,6 +989,183 @@ class StageOrchestrator {
       throw error;
     }
   }
+
+  /**
+   * Work out which files a retention policy would remove, stage by stage
+   */
+  async planCleanup(policy) {
+    const stages = this.registry.getRunOrder();
+    const states = {};
+
+    for (const stage of stages) {
+      states[stage] = await this.getStageState(stage, await this.readCompletionMarker(stage), await this.getStageResult(stage));
+    }
+
+    const plan = { policy: policy.name, stages: [], files: 0, bytes: 0 };
+    // Snapshots hardlink the images they keep; count each file's space once
+    const counted = new Set();
+    // Symlinks into a stage's output (thumbnails from older finalize runs)
+    // would be left dangling if it were pruned
+    const linkedFrom = await this.findLinkingStages(stages);
+
+    for (const stage of stages) {
+      const stageDir = path.join(this.outputDir, stage);
+      if (!await fs.pathExists(stageDir)) continue;
+
+      const action = RetentionPolicies.getStageAction(policy, stage, this.registry.get(stage).builtin);
+      const files = await glob('**/*', { cwd: stageDir, nodir: true, dot: true });
+      let skipped = null;
+
+      // Never prune output that is unfinished or still needed downstream:
+      // a stage that would read it must have completed, and no later stage
+      // may be part-way through a run that could need it again
+      if (action === RetentionPolicies.PRUNE && states[stage] !== 'not_started') {
+        const available = stages.filter(name => states[name] !== 'not_started');
+        const waiting = this.registry.getDownstreamStages(stage)
+          .filter(name => !this.isSkippedStage(name, stages, states))
+          .filter(name =>
+            this.registry.resolveInputs(name, available, this.outputDir).suppliers.includes(stage)
+              ? states[name] !== 'completed'
+              : ['incomplete', 'failed'].includes(states[name])
+          );
+
+        if (states[stage] !== 'completed') {
+          skipped = `${stage} has not completed`;
+        } else if (waiting.length > 0) {
+          skipped = `still needed by ${waiting.map(name => `${name} (${states[name].replace('_', ' ')})`).join(', ')}`;
+        } else if (linkedFrom[stage]) {
+          skipped = `linked to from ${[...linkedFrom[stage]].join(', ')}`;
+        }
+      }
+
+      // temp_* files of a stage that may still be running are left alone
+      const removable = files.filter(file =>
+        (RetentionPolicies.isTempFile(file) && states[stage] !== 'incomplete') ||
+        (action === RetentionPolicies.PRUNE && !skipped && RetentionPolicies.isImageFile(file))
+      );
+
+      // A pruned stage's snapshots go too, or their links would keep the images
+      const prunable = action === RetentionPolicies.PRUNE && !skipped;
+      const historyFiles = prunable
+        ? (await this.history.listFiles(this.history.getStageHistoryDir(stage)))
+          .map(file => path.relative(stageDir, path.join(this.history.getStageHistoryDir(stage), file)))
+        : [];
+
+      const stagePlan = { stage, action, skipped, history: historyFiles.length > 0, files: [], bytes: 0 };
+      for (const file of [...removable.sort(), ...historyFiles]) {
+        const { size, dev, ino } = await fs.stat(path.join(stageDir, file));
+        stagePlan.files.push({ path: file, size });
+
+        if (!counted.has(`${dev}:${ino}`)) {
+          counted.add(`${dev}:${ino}`);
+          stagePlan.bytes += size;
+        }
+      }
+
+      plan.stages.push(stagePlan);
+      plan.files += stagePlan.files.length;
+      plan.bytes += stagePlan.bytes;
+    }
+
+    return plan;
+  }
+
+  /**
+   * Whether a stage that never ran is left out of these runs rather than
+   * still to come: optional stages only run when a pipeline lists them, and
+   * a stage is skipped when a later stage has already run without it
+   */
+  isSkippedStage(name, stages, states) {
+    if (states[name] !== 'not_started') {
+      return false;
+    }
+
+    return Boolean(this.registry.get(name).optional) ||
+      stages.slice(stages.indexOf(name) + 1).some(later => states[later] !== 'not_started');
+  }
+
+  /**
+   * Stages whose output other stages symlink to: { target: Set of stages }
+   */
+  async findLinkingStages(stages) {
+    const linkedFrom = {};
+
+    for (const stage of stages) {
+      const stageDir = path.join(this.outputDir, stage);
+      if (!await fs.pathExists(stageDir)) continue;
+
+      for (const file of await glob('**/*', { cwd: stageDir, nodir: true, dot: true })) {
+        const filePath = path.join(stageDir, file);
+        if (!(await fs.lstat(filePath)).isSymbolicLink()) continue;
+
+        const target = path.resolve(path.dirname(filePath), await fs.readlink(filePath));
+        const relative = path.relative(path.resolve(this.outputDir), target);
+        const targetStage = relative.split(path.sep)[0];
+
+        if (targetStage !== stage && stages.includes(targetStage) && !relative.startsWith('..')) {
+          (linkedFrom[targetStage] = linkedFrom[targetStage] || new Set()).add(stage);
+        }
+      }
+    }
+
+    return linkedFrom;
+  }
+
+  /**
+   * Delete a stage's planned files. A pruned stage loses its checkpoints and
+   * input fingerprint, so a later run rebuilds it instead of trusting
+   * outputs that are gone; its output fingerprint is kept so downstream
+   * stages stay up to date.
+   */
+  async applyStageCleanup(stagePlan, policy) {
+    const stageDir = path.join(this.outputDir, stagePlan.stage);
+
+    for (const file of stagePlan.files) {
+      await fs.remove(path.join(stageDir, file.path));
+    }
+
+    // Drop folders the removed images leave empty (e.g. Group_* folders)
+    const dirs = (await glob('**/', { cwd: stageDir, dot: true }))
+      .filter(dir => dir !== '.' && dir !== '')
+      .sort((a, b) => b.length - a.length);
+    for (const dir of dirs) {
+      const dirPath = path.join(stageDir, dir);
+      if ((await fs.readdir(dirPath)).length === 0) {
+        await fs.remove(dirPath);
+      }
+    }
+
+    if (stagePlan.history) {
+      await fs.remove(this.history.getStageHistoryDir(stagePlan.stage));
+    }
+
+    const pruned = stagePlan.files.some(file => RetentionPolicies.isImageFile(file.path));
+    if (!pruned) {
+      return;
+    }
+
+    await fs.remove(path.join(stageDir, ProgressManifest.MANIFEST_FILE));
+
+    const marker = await this.readCompletionMarker(stagePlan.stage);
+    if (marker) {
+      await fs.writeJson(path.join(stageDir, '.stage_completed'), {
+        ...marker,
+        fingerprint: null,
+        cleaned: {
+          policy: policy.name,
+          cleanedAt: new Date().toISOString(),
+          filesRemoved: stagePlan.files.length,
+          bytesFreed: stagePlan.bytes
+        }
+      }, { spaces: 2 });
+    }
+
+    this.auditLogger.logDecision('stage_pruned',
+      { stage: stagePlan.stage, policy: policy.name, files: stagePlan.files.length, bytes: stagePlan.bytes },
+      'pruned',
+      `Removed ${stagePlan.files.length} image file(s) from ${stagePlan.stage} under the ${policy.name} retention policy`
+    );
+  }
 }
 
 module.exports = StageOrchestrator;
\ No newline at end of file
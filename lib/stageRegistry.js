@@ -0,0 +1,585 @@
+/**
+ * Stage Registry - Built-in stages and external stage plugins
+ *
+ * Holds every stage the orchestrator can run: the built-in stages plus
+ * plugins discovered from a local plugins directory or from npm packages.
+ * Each stage declares the artefacts it consumes and produces. A stage reads
+ * its first input from the latest earlier stage that produced it, so a
+ * pipeline may drop stages (convert → cull → group → finalize skips Imagen)
+ * and run-all ordering and input paths still come from the registry instead
+ * of hardcoded maps. Built-in dependencies are derived from the artefacts.
+ * Optional built-in stages (ingest, social-select) only run when a pipeline
+ * file lists them or when they are run on their own.
+ *
+ * An input is an artefact name, alternatives in order of preference
+ * ('enhanced-jpeg|groups|jpeg'), or optional with a trailing '?'.
+ *
+ * Plugin contract (module.exports of a plugin file or package):
+ *
+ *   {
+ *     name: 'watermark',                    // CLI command and output folder
+ *     description: 'Watermark final images',
+ *     dependsOn: ['finalize'],              // first entry supplies the input
+ *     inputs: ['delivery'],                 // artefacts consumed; without
+ *                                           // dependsOn the first one does
+ *     outputs: ['jpeg'],                    // declared artefacts produced
+ *     options: [{ flags: '--text <text>', description: 'Watermark text', defaultValue: '©' }],
+ *     async execute(options) { ... }        // or Stage: class with execute()
+ *   }
+ *
+ * execute() receives the same options as built-in stages (inputPath,
+ * outputPath, auditLogger, dryRun, progress, settings, artefacts (artefact
+ * name to the folder of the stage that produced it), inputArtefact, plus the
+ * stage's CLI options) and returns { success, filesProcessed, ... }.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Option } = require('commander');
+const Settings = require('./settings');
+
+const NPM_PLUGIN_PATTERN = /^(@[^/]+\/)?photo-workflow-plugin-/;
+const STAGE_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+// Artefacts a pipeline's first stage can read straight from --input
+const INPUT_ARTEFACTS = ['card', 'raw', 'jpeg', 'groups'];
+
+const BUILTIN_STAGES = [
+  {
+    name: 'ingest',
+    module: 'ingestStage',
+    description: 'Copy RAW files from cards with SHA-256 verification and a backup',
+    inputs: ['card'],
+    outputs: ['raw'],
+    optional: true
+  },
+  {
+    name: 'convert',
+    module: 'convertStage',
+    description: 'Convert RAW files to JPEG with metadata preservation',
+    inputs: ['raw'],
+    outputs: ['jpeg']
+  },
+  {
+    name: 'cull',
+    module: 'cullStage',
+    description: 'AI-powered photo culling using Gemini',
+    inputs: ['jpeg'],
+    outputs: ['jpeg', 'cull-report']
+  },
+  {
+    name: 'group',
+    module: 'groupStage',
+    description: 'Smart grouping by time and visual similarity',
+    inputs: ['jpeg', 'cull-report?'],
+    outputs: ['groups']
+  },
+  {
+    name: 'social-select',
+    module: 'socialSelectStage',
+    description: 'Pick a few strong, varied images and export them at social sizes',
+    inputs: ['groups|jpeg', 'cull-report?'],
+    outputs: ['social'],
+    optional: true
+  },
+  {
+    name: 'imagen-upload',
+    module: 'imagenUploadStage',
+    description: 'Upload photos to Imagen AI for enhancement',
+    inputs: ['groups'],
+    outputs: ['upload-tracking']
+  },
+  {
+    name: 'imagen-download',
+    module: 'imagenDownloadStage',
+    description: 'Download enhanced photos from Imagen AI',
+    inputs: ['upload-tracking'],
+    outputs: ['enhanced-jpeg']
+  },
+  {
+    name: 'finalize',
+    module: 'finalizeStage',
+    description: 'Apply XMP metadata and finalize export',
+    inputs: ['enhanced-jpeg|groups|jpeg'],
+    outputs: ['delivery']
+  }
+];
+
+class StageRegistry {
+  constructor(options = {}) {
+    this.auditLogger = options.auditLogger || null;
+    this.stages = new Map();
+    this.loadErrors = [];
+
+    for (const definition of BUILTIN_STAGES) {
+      this.stages.set(definition.name, {
+        ...definition,
+        // Every earlier built-in whose output this stage can read
+        dependsOn: this.getProducers(StageRegistry.parseInputs(definition.inputs)),
+        builtin: true,
+        options: [],
+        modulePath: path.join(__dirname, '..', 'stages', definition.module)
+      });
+    }
+  }
+
+  /**
+   * Parse declared inputs into { alternatives, optional } entries
+   */
+  static parseInputs(inputs = []) {
+    return inputs.map(input => ({
+      alternatives: input.replace(/\?$/, '').split('|').map(name => name.trim()).filter(Boolean),
+      optional: input.endsWith('?')
+    }));
+  }
+
+  /**
+   * Create a registry with built-in stages and every discoverable plugin
+   * (from the pluginDir and plugins settings unless given)
+   */
+  static discover(options = {}) {
+    const registry = new StageRegistry(options);
+    const cwd = options.cwd || process.cwd();
+    const settings = options.settings || Settings.resolve();
+
+    const pluginDir = options.pluginDir || settings.get('pluginDir') || path.join(cwd, 'plugins');
+    registry.loadFromDirectory(path.resolve(cwd, pluginDir));
+
+    const listed = options.plugins || (settings.get('plugins').length > 0 ? settings.get('plugins') : null);
+    for (const packageName of registry.findPluginPackages(cwd, listed)) {
+      registry.loadFromPackage(packageName, cwd);
+    }
+
+    registry.validateDependencies();
+    return registry;
+  }
+
+  /**
+   * Load every plugin in a local directory (files or package folders)
+   */
+  loadFromDirectory(pluginDir) {
+    if (!fs.existsSync(pluginDir)) {
+      return;
+    }
+
+    for (const entry of fs.readdirSync(pluginDir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+      const entryPath = path.join(pluginDir, entry.name);
+
+      if (entry.isFile() && /\.(c?js)$/.test(entry.name)) {
+        this.loadPlugin(entryPath, entryPath);
+      } else if (entry.isDirectory() && !entry.name.startsWith('.')) {
+        this.loadPlugin(entryPath, entryPath);
+      }
+    }
+  }
+
+  /**
+   * Load a plugin published as an npm package
+   */
+  loadFromPackage(packageName, cwd) {
+    let modulePath;
+
+    try {
+      modulePath = require.resolve(packageName, { paths: [cwd] });
+    } catch (error) {
+      this.recordLoadError(packageName, new Error(`package not installed (${error.code || error.message})`));
+      return;
+    }
+
+    this.loadPlugin(modulePath, packageName);
+  }
+
+  /**
+   * Find plugin package names from package.json and an explicit list
+   * (an array or comma-separated names)
+   */
+  findPluginPackages(cwd, listed = null) {
+    const names = new Set();
+
+    if (listed) {
+      for (const name of String(listed).split(',').map(n => n.trim()).filter(Boolean)) {
+        names.add(name);
+      }
+    }
+
+    const packageJsonPath = path.join(cwd, 'package.json');
+    if (fs.existsSync(packageJsonPath)) {
+      try {
+        const pkg = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+        const dependencies = { ...pkg.dependencies, ...pkg.devDependencies };
+
+        for (const name of Object.keys(dependencies).sort()) {
+          if (NPM_PLUGIN_PATTERN.test(name)) {
+            names.add(name);
+          }
+        }
+      } catch (error) {
+        this.recordLoadError(packageJsonPath, error);
+      }
+    }
+
+    return [...names];
+  }
+
+  /**
+   * Require a plugin module and register it
+   */
+  loadPlugin(modulePath, source) {
+    try {
+      const plugin = require(modulePath);
+      this.register(plugin && plugin.default ? plugin.default : plugin, { source, modulePath });
+    } catch (error) {
+      this.recordLoadError(source, error);
+    }
+  }
+
+  /**
+   * Register a stage plugin after checking it against the contract
+   */
+  register(plugin, meta = {}) {
+    const source = meta.source || plugin?.name || 'inline plugin';
+
+    if (!plugin || typeof plugin !== 'object') {
+      throw new Error(`Plugin ${source} must export an object`);
+    }
+
+    const { name } = plugin;
+
+    if (typeof name !== 'string' || !STAGE_NAME_PATTERN.test(name)) {
+      throw new Error(`Plugin ${source} needs a lowercase "name" (letters, digits and dashes)`);
+    }
+
+    if (this.stages.has(name)) {
+      const existing = this.stages.get(name);
+      throw new Error(`Plugin ${source} uses the stage name "${name}", already registered by ${existing.builtin ? 'a built-in stage' : existing.source}`);
+    }
+
+    const hasExecute = typeof plugin.execute === 'function';
+    const hasStageClass = typeof plugin.Stage === 'function' && typeof plugin.Stage.prototype.execute === 'function';
+
+    if (!hasExecute && !hasStageClass) {
+      throw new Error(`Plugin ${source} must export execute(options) or a Stage class with an execute method`);
+    }
+
+    for (const field of ['dependsOn', 'inputs', 'outputs']) {
+      const value = plugin[field];
+      if (value !== undefined && (!Array.isArray(value) || !value.every(v => typeof v === 'string'))) {
+        throw new Error(`Plugin ${source}: "${field}" must be a list of strings`);
+      }
+    }
+
+    const options = plugin.options || [];
+    if (!Array.isArray(options) || !options.every(o => o && typeof o.flags === 'string')) {
+      throw new Error(`Plugin ${source}: "options" must be a list of { flags, description, defaultValue }`);
+    }
+
+    this.stages.set(name, {
+      name,
+      description: plugin.description || `Plugin stage ${name}`,
+      dependsOn: plugin.dependsOn || [],
+      inputs: plugin.inputs || [],
+      outputs: plugin.outputs || [],
+      options,
+      builtin: false,
+      plugin,
+      source,
+      modulePath: meta.modulePath || null
+    });
+
+    this.auditLogger?.logEvent('stage_plugin_registered', {
+      stage: name,
+      source,
+      dependsOn: plugin.dependsOn || []
+    });
+
+    return this.stages.get(name);
+  }
+
+  /**
+   * Keep going when a plugin fails to load, but remember why
+   */
+  recordLoadError(source, error) {
+    // Module resolution errors append a multi-line require stack
+    this.loadErrors.push({ source, error: error.message.split('\n')[0] });
+
+    this.auditLogger?.logError(error, {
+      operation: 'load_stage_plugin',
+      source
+    });
+  }
+
+  /**
+   * Drop plugins whose dependencies are unknown or circular
+   */
+  validateDependencies() {
+    for (const definition of [...this.stages.values()]) {
+      const missing = definition.dependsOn.filter(dep => !this.stages.has(dep));
+
+      if (missing.length > 0) {
+        this.stages.delete(definition.name);
+        this.recordLoadError(definition.source,
+          new Error(`stage "${definition.name}" depends on unknown stage(s): ${missing.join(', ')}`));
+      }
+    }
+
+    try {
+      this.getRunOrder();
+    } catch (error) {
+      // Keep the built-ins usable; a plugin cycle only removes the plugins
+      for (const definition of [...this.stages.values()]) {
+        if (!definition.builtin) {
+          this.stages.delete(definition.name);
+        }
+      }
+      this.recordLoadError('plugins', error);
+    }
+  }
+
+  /**
+   * Check whether a stage is registered
+   */
+  has(stageName) {
+    return this.stages.has(stageName);
+  }
+
+  /**
+   * Get a stage definition
+   */
+  get(stageName) {
+    const definition = this.stages.get(stageName);
+
+    if (!definition) {
+      throw new Error(`Unknown stage: ${stageName}`);
+    }
+
+    return definition;
+  }
+
+  /**
+   * List stage names in registration order
+   */
+  getStageNames() {
+    return [...this.stages.keys()];
+  }
+
+  /**
+   * List plugin definitions (built-ins excluded)
+   */
+  getPlugins() {
+    return [...this.stages.values()].filter(definition => !definition.builtin);
+  }
+
+  /**
+   * Get the stage whose output a stage reads when its inputs resolve to
+   * nothing (a plugin's first dependency)
+   */
+  getPrimaryDependency(stageName) {
+    return this.get(stageName).dependsOn[0] || null;
+  }
+
+  /**
+   * Get a stage's parsed inputs
+   */
+  getInputs(stageName) {
+    return StageRegistry.parseInputs(this.get(stageName).inputs);
+  }
+
+  /**
+   * Names of the registered stages producing any artefact the inputs
+   * accept, most preferred artefact first
+   */
+  getProducers(inputs) {
+    const producers = [];
+
+    for (const artefact of inputs.flatMap(input => input.alternatives)) {
+      for (const [name, definition] of this.stages) {
+        if (definition.outputs.includes(artefact) && !producers.includes(name)) {
+          producers.push(name);
+        }
+      }
+    }
+
+    return producers;
+  }
+
+  /**
+   * Check whether a stage can read the --input directory: its first input
+   * accepts something a user supplies (RAW files, JPEGs...), or it declares
+   * neither inputs nor dependencies
+   */
+  canReadInput(stageName) {
+    const [primary] = this.getInputs(stageName);
+
+    if (!primary) {
+      return this.get(stageName).dependsOn.length === 0;
+    }
+
+    return primary.alternatives.some(artefact => INPUT_ARTEFACTS.includes(artefact));
+  }
+
+  /**
+   * Resolve a stage's inputs from the stages whose output is available
+   * (in run order). Each artefact comes from the latest stage producing it.
+   * inputPath is null when nothing available supplies the first input;
+   * suppliers lists every available stage whose output the stage reads.
+   */
+  resolveInputs(stageName, availableStages, outputDir) {
+    const definition = this.get(stageName);
+    const artefacts = {};
+    const producers = {};
+
+    for (const name of availableStages) {
+      if (name === stageName || !this.stages.has(name)) continue;
+
+      for (const artefact of this.get(name).outputs) {
+        artefacts[artefact] = path.join(outputDir, name);
+        producers[artefact] = name;
+      }
+    }
+
+    // Plugins that name a dependency keep reading its output
+    if (!definition.builtin && definition.dependsOn.length > 0) {
+      const dependency = availableStages.includes(definition.dependsOn[0]) ? definition.dependsOn[0] : null;
+      return {
+        inputPath: dependency ? path.join(outputDir, dependency) : null,
+        inputArtefact: null,
+        from: dependency,
+        artefacts,
+        suppliers: dependency ? [dependency] : []
+      };
+    }
+
+    const inputs = this.getInputs(stageName);
+    const found = inputs[0]?.alternatives.find(artefact => artefacts[artefact]);
+    const suppliers = inputs
+      .flatMap(input => input.alternatives)
+      .map(artefact => producers[artefact])
+      .filter((name, index, names) => name && names.indexOf(name) === index);
+
+    return {
+      inputPath: found ? artefacts[found] : null,
+      inputArtefact: found || null,
+      from: found ? producers[found] : null,
+      artefacts,
+      suppliers
+    };
+  }
+
+  /**
+   * Get every stage a stage depends on, directly or transitively
+   */
+  getUpstreamStages(stageName) {
+    const upstream = new Set();
+    const pending = [...this.get(stageName).dependsOn];
+
+    while (pending.length > 0) {
+      const name = pending.shift();
+      if (!upstream.has(name) && this.stages.has(name)) {
+        upstream.add(name);
+        pending.push(...this.get(name).dependsOn);
+      }
+    }
+
+    return [...upstream];
+  }
+
+  /**
+   * Get every stage that depends on a stage, directly or transitively
+   */
+  getDownstreamStages(stageName) {
+    return this.getStageNames().filter(name => this.getUpstreamStages(name).includes(stageName));
+  }
+
+  /**
+   * Order stages so every stage runs after its dependencies.
+   * Ties keep registration order, so built-ins stay in their usual sequence
+   * and plugins follow once the stages they depend on have run.
+   */
+  getRunOrder(stageNames = null) {
+    const names = stageNames || this.getStageNames();
+    const selected = new Set(names);
+    const registrationOrder = this.getStageNames();
+    const order = [];
+    const done = new Set();
+
+    while (order.length < selected.size) {
+      const next = registrationOrder.find(name =>
+        selected.has(name) &&
+        !done.has(name) &&
+        this.get(name).dependsOn.every(dep => !selected.has(dep) || done.has(dep))
+      );
+
+      if (!next) {
+        const blocked = [...selected].filter(name => !done.has(name));
+        throw new Error(`Circular stage dependencies between: ${blocked.join(', ')}`);
+      }
+
+      order.push(next);
+      done.add(next);
+    }
+
+    return order;
+  }
+
+  /**
+   * Get the input path for a stage when it runs on its own, given the
+   * stages whose output is available: a resolved input, else --input when
+   * the stage can read it, else the output of the stage it needs
+   */
+  getInputPath(stageName, inputDir, outputDir, availableStages = []) {
+    const { inputPath } = this.resolveInputs(stageName, availableStages, outputDir);
+    if (inputPath) {
+      return inputPath;
+    }
+
+    if (this.canReadInput(stageName)) {
+      return inputDir;
+    }
+
+    const dependency = this.getPrimaryDependency(stageName);
+    return dependency ? path.join(outputDir, dependency) : inputDir;
+  }
+
+  /**
+   * Get the option attribute names a plugin accepts (as commander names them)
+   */
+  getOptionNames(stageName) {
+    return this.get(stageName).options.map(o => new Option(o.flags).attributeName());
+  }
+
+  /**
+   * Instantiate the processor for a stage
+   */
+  createProcessor(stageName, options = {}) {
+    const definition = this.get(stageName);
+
+    if (definition.builtin) {
+      const StageProcessor = require(definition.modulePath);
+      return new StageProcessor(options);
+    }
+
+    const { plugin } = definition;
+
+    if (typeof plugin.Stage === 'function') {
+      return new plugin.Stage(options);
+    }
+
+    return {
+      execute: stageOptions => plugin.execute.call(plugin, stageOptions),
+      getFingerprintInputs: typeof plugin.getFingerprintInputs === 'function'
+        ? stageOptions => plugin.getFingerprintInputs.call(plugin, stageOptions)
+        : undefined,
+      getStatus: typeof plugin.getStatus === 'function'
+        ? paths => plugin.getStatus.call(plugin, paths)
+        : undefined,
+      estimate: typeof plugin.estimate === 'function'
+        ? stageOptions => plugin.estimate.call(plugin, stageOptions)
+        : undefined
+    };
+  }
+}
+
+StageRegistry.BUILTIN_STAGES = BUILTIN_STAGES.map(definition => definition.name);
+StageRegistry.INPUT_ARTEFACTS = INPUT_ARTEFACTS;
+
+module.exports = StageRegistry;
@@ -0,0 +1,176 @@
+/**
+ * Worker Pool - Bounded concurrency for independent per-file work
+ *
+ * Runs a worker over a list of items with at most N in flight (--jobs,
+ * defaulting to the CPU count). Each task gets its own buffered audit logger
+ * whose entries are replayed onto the stage logger in input order, so logs
+ * and per-file errors come out the same no matter which file finishes first.
+ * When the run is cancelled, items not yet started fail with the cancel
+ * reason instead of running. Progress (items done, the file just started)
+ * goes straight to the stage logger as it happens.
+ */
+
+const os = require('os');
+const path = require('path');
+
+/**
+ * Audit logger stand-in that records calls for later, ordered replay
+ */
+class BufferedAuditLogger {
+  constructor(target) {
+    this.target = target;
+    this.calls = [];
+    this.currentOperation = null;
+  }
+
+  logEvent(...args) {
+    this.calls.push(['logEvent', args]);
+  }
+
+  logDecision(...args) {
+    this.calls.push(['logDecision', args]);
+  }
+
+  logError(...args) {
+    this.calls.push(['logError', args]);
+  }
+
+  logFallback(...args) {
+    this.calls.push(['logFallback', args]);
+  }
+
+  logPerformance(...args) {
+    this.calls.push(['logPerformance', args]);
+  }
+
+  logProgress(...args) {
+    this.calls.push(['logProgress', args]);
+  }
+
+  /**
+   * Time an operation here, since the shared logger can only time one at once
+   */
+  startOperation(operationName) {
+    this.currentOperation = { name: operationName, startTime: Date.now() };
+    this.logEvent('operation_start', { operation: operationName });
+  }
+
+  /**
+   * Record the operation duration measured by this task
+   */
+  endOperation(metadata = {}) {
+    if (!this.currentOperation) {
+      return;
+    }
+
+    const { name, startTime } = this.currentOperation;
+    const duration = Date.now() - startTime;
+
+    this.logPerformance(name, duration, metadata);
+    this.logEvent('operation_end', { operation: name, duration });
+    this.currentOperation = null;
+  }
+
+  /**
+   * Write the recorded calls to the shared logger
+   */
+  replay() {
+    for (const [method, args] of this.calls) {
+      this.target[method](...args);
+    }
+    this.calls = [];
+  }
+}
+
+class WorkerPool {
+  constructor(options = {}) {
+    this.concurrency = WorkerPool.resolveConcurrency(options.concurrency);
+    this.auditLogger = options.auditLogger || null;
+    this.name = options.name || 'worker_pool';
+    this.unit = options.unit || 'files';
+    this.signal = options.signal || null;
+  }
+
+  /**
+   * Default concurrency: one task per CPU core
+   */
+  static defaultConcurrency() {
+    return Math.max(1, os.cpus().length);
+  }
+
+  /**
+   * Turn a --jobs value into a usable concurrency
+   */
+  static resolveConcurrency(value) {
+    const jobs = parseInt(value, 10);
+    return Number.isInteger(jobs) && jobs > 0 ? jobs : WorkerPool.defaultConcurrency();
+  }
+
+  /**
+   * Run worker(item, { index, auditLogger }) over every item.
+   * Returns one { index, item, value, error } outcome per item, in input order.
+   * A failing item never stops the others; its error is captured in its outcome.
+   */
+  async run(items, worker) {
+    const outcomes = new Array(items.length);
+    const buffers = new Array(items.length);
+    const workers = Math.min(this.concurrency, items.length);
+    let nextIndex = 0;
+    let nextReplay = 0;
+    let done = 0;
+
+    this.auditLogger?.logEvent(`${this.name}_start`, {
+      items: items.length,
+      concurrency: workers
+    });
+
+    // Replay every finished task that has no unfinished task before it
+    const replayFinished = () => {
+      while (nextReplay < items.length && outcomes[nextReplay]) {
+        buffers[nextReplay]?.replay();
+        buffers[nextReplay] = null;
+        nextReplay++;
+      }
+    };
+
+    const runTasks = async () => {
+      while (nextIndex < items.length && !this.signal?.aborted) {
+        const index = nextIndex++;
+        const item = items[index];
+        const taskLogger = this.auditLogger ? new BufferedAuditLogger(this.auditLogger) : null;
+        buffers[index] = taskLogger;
+
+        this.auditLogger?.logProgress({
+          done,
+          total: items.length,
+          unit: this.unit,
+          current: typeof item === 'string' ? path.basename(item) : null
+        });
+
+        try {
+          const value = await worker(item, { index, auditLogger: taskLogger });
+          outcomes[index] = { index, item, value, error: null };
+        } catch (error) {
+          outcomes[index] = { index, item, value: undefined, error };
+        }
+
+        this.auditLogger?.logProgress({ done: ++done, total: items.length });
+        replayFinished();
+      }
+    };
+
+    await Promise.all(Array.from({ length: workers }, runTasks));
+
+    // Items never started because the run was cancelled
+    for (let index = nextIndex; index < items.length; index++) {
+      outcomes[index] = { index, item: items[index], value: undefined, error: this.signal.reason };
+    }
+    replayFinished();
+
+    return outcomes;
+  }
+}
+
+WorkerPool.BufferedAuditLogger = BufferedAuditLogger;
+
+module.exports = WorkerPool;
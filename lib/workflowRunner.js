@@ -0,0 +1,196 @@
+/**
+ * Workflow Runner - One stage or pipeline run for an input/output pair
+ *
+ * Shared by the job server and the batch queue. Every run gets its own audit
+ * logger writing to its own output directory and its own StageOrchestrator,
+ * so runs never share logs, checkpoints or fingerprint caches. Runs whose
+ * output directories overlap must not run at the same time; callers use
+ * outputsOverlap() to keep them apart.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const AuditLogger = require('./auditLogger');
+const StageOrchestrator = require('./stageOrchestrator');
+const PipelineConfig = require('./pipelineConfig');
+const ProjectManifest = require('./projectManifest');
+const BudgetTracker = require('./budgetTracker');
+const Notifier = require('./notifier');
+const Settings = require('./settings');
+const StageHooks = require('./stageHooks');
+const { getDefaultPrices, loadPrices, mergePrices } = require('./pricing');
+
+const RUN_ALL = 'run-all';
+
+/**
+ * Resolve a run's directories and load its pipeline, price, notification and
+ * project files, so a bad request fails before it is queued. project may be
+ * a path or an already loaded ProjectManifest; prices a path or a price
+ * table; notify a path or notification settings; settings the command-line
+ * setting overrides, layered over the pipeline file's and the environment's.
+ */
+async function loadRunContext({ input, output, config = null, project = null, prices = null, notify = null, settings = null }, registry) {
+  const inputDir = path.resolve(input);
+  const outputDir = path.resolve(output);
+
+  if (!await fs.pathExists(inputDir)) {
+    throw new Error(`Input directory does not exist: ${inputDir}`);
+  }
+
+  const pipeline = config
+    ? await PipelineConfig.load(config, registry)
+    : PipelineConfig.createDefault(registry);
+
+  const resolvedSettings = settings instanceof Settings
+    ? settings
+    : Settings.resolve({
+      overrides: settings || {},
+      file: pipeline.settings,
+      fileSource: pipeline.source,
+      fileDir: path.dirname(pipeline.source)
+    });
+
+  let priceTable = getDefaultPrices();
+  if (typeof prices === 'string') {
+    priceTable = await loadPrices(prices);
+  } else if (prices) {
+    priceTable = mergePrices(prices);
+  }
+
+  let notifications = null;
+  if (typeof notify === 'string') {
+    notifications = await Notifier.load(notify);
+  } else if (notify) {
+    notifications = Notifier.validate(notify);
+  }
+
+  if (project instanceof ProjectManifest) {
+    return { inputDir, outputDir, pipeline, priceTable, notifications, settings: resolvedSettings, project };
+  }
+
+  const projectPath = project || await ProjectManifest.find([inputDir, outputDir]);
+
+  return {
+    inputDir,
+    outputDir,
+    pipeline,
+    priceTable,
+    notifications,
+    settings: resolvedSettings,
+    project: projectPath ? await ProjectManifest.load(projectPath) : null
+  };
+}
+
+/**
+ * Create the audit logger and orchestrator for a run, with a budget for its
+ * paid API calls (maxCost and maxCalls are unlimited when not set) and a
+ * notifier for the run's notification targets plus the alerting webhook
+ * from the settings. Callers flush orchestrator.notifier when done. The
+ * pipeline's stage hooks run from the pipeline file's folder.
+ */
+function createRun(run, { registry, verbose = false, signal = null }) {
+  const settings = run.settings || Settings.resolve();
+  const notifier = Notifier.create(run.notifications, { settings });
+
+  const auditLogger = new AuditLogger({
+    outputDir: run.outputDir,
+    stageName: run.stage === RUN_ALL ? 'full-workflow' : run.stage,
+    verbose,
+    notifier,
+    settings
+  });
+  notifier.auditLogger = auditLogger;
+
+  const orchestrator = new StageOrchestrator({
+    inputDir: run.inputDir,
+    outputDir: run.outputDir,
+    auditLogger,
+    dryRun: run.dryRun || false,
+    force: run.force || false,
+    resume: run.resume || false,
+    jobs: run.jobs,
+    registry,
+    project: run.project,
+    settings,
+    signal,
+    notifier,
+    hooks: createHooks(run.pipeline, auditLogger),
+    budget: createBudget(run)
+  });
+
+  return { auditLogger, orchestrator };
+}
+
+/**
+ * The pipeline's stage hooks, run from the pipeline file's folder
+ */
+function createHooks(pipeline, auditLogger) {
+  return new StageHooks({
+    hooks: pipeline.getHooks(),
+    baseDir: pipeline.source === 'default' ? process.cwd() : path.dirname(pipeline.source),
+    auditLogger
+  });
+}
+
+/**
+ * A budget for a run's paid API calls ({ priceTable, maxCost, maxCalls });
+ * unlimited when neither limit is set
+ */
+function createBudget({ priceTable = null, maxCost = null, maxCalls = null }) {
+  return new BudgetTracker({ prices: priceTable, maxCost, maxCalls });
+}
+
+/**
+ * Run the stage, or every pipeline stage, and return results by stage name
+ */
+async function executeRun(run, orchestrator) {
+  if (run.stage === RUN_ALL) {
+    return orchestrator.runAllStages(run.pipeline.buildStageSequence({ mock: run.mock }));
+  }
+
+  const result = await orchestrator.runStage(run.stage, {
+    ...run.pipeline.getStageOptions(run.stage),
+    ...run.options,
+    ...(run.mock && { mock: true })
+  });
+
+  return { [run.stage]: result };
+}
+
+/**
+ * Reduce stage results to counts for APIs and summaries
+ */
+function summarizeResults(orchestrator, results) {
+  return Object.fromEntries(
+    Object.entries(results).map(([stage, result]) => [stage, {
+      success: result?.success !== false,
+      filesProcessed: result?.filesProcessed || 0,
+      duration: result?.duration || 0,
+      upToDate: Boolean(result?.upToDate),
+      rebuild: orchestrator.describeRebuild(result)
+    }])
+  );
+}
+
+/**
+ * Two output directories overlap when one is, or contains, the other
+ */
+function outputsOverlap(a, b) {
+  const inside = (parent, child) => {
+    const relative = path.relative(parent, child);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+  };
+
+  return inside(a, b) || inside(b, a);
+}
+
+module.exports = {
+  RUN_ALL,
+  loadRunContext,
+  createRun,
+  createHooks,
+  createBudget,
+  executeRun,
+  summarizeResults,
+  outputsOverlap
+};
@@ -4,15 +4,17 @@
  * Photo Workflow CLI - Stage-based photo processing pipeline
  * 
  * Stages:
+ * 0. ingest     - Verified copy from cards with a backup (optional)
  * 1. convert    - RAW to JPEG with metadata preservation
  * 2. cull       - AI culling with Gemini
  * 3. group      - Smart grouping by time and similarity
+ *    social-select - Sneak-peek picks at social sizes (optional)
  * 4. imagen-upload   - Upload to Imagen AI for enhancement
  * 5. imagen-download - Download enhanced images from Imagen AI
  * 6. finalize   - Apply XMP metadata and export
  */
 
-const { Command } = require('commander');
+const { Command, InvalidArgumentError } = require('commander');
 const chalk = require('chalk');
 const ora = require('ora');
 const path = require('path');
@@ -22,17 +24,36 @@ require('dotenv').config();
 // Import stage processors and utilities
 const AuditLogger = require('./lib/auditLogger');
 const StageOrchestrator = require('./lib/stageOrchestrator');
+const PipelineConfig = require('./lib/pipelineConfig');
+const StageRegistry = require('./lib/stageRegistry');
+const HotFolderWatcher = require('./lib/hotFolderWatcher');
+const ProjectManifest = require('./lib/projectManifest');
+const JobServer = require('./lib/jobServer');
+const RetentionPolicies = require('./lib/retentionPolicies');
+const BatchQueue = require('./lib/batchQueue');
+const PhotoWorkflow = require('./lib/photoWorkflow');
+const { formatCost, loadPrices } = require('./lib/pricing');
+const Notifier = require('./lib/notifier');
+const ProgressDisplay = require('./lib/progressDisplay');
+const Settings = require('./lib/settings');
 
 // Import individual stage processors
 const ConvertStage = require('./stages/convertStage');
 const CullStage = require('./stages/cullStage');
 const GroupStage = require('./stages/groupStage');
+const SocialSelectStage = require('./stages/socialSelectStage');
 const ImagenUploadStage = require('./stages/imagenUploadStage');
 const ImagenDownloadStage = require('./stages/imagenDownloadStage');
 const FinalizeStage = require('./stages/finalizeStage');
 
 const program = new Command();
 
+// Built-in stages plus plugins from ./plugins or photo-workflow-plugin-* packages
+const stageRegistry = discoverStages();
+
+// Stage and pipeline runs go through the library, which the CLI wraps
+const workflow = new PhotoWorkflow({ registry: stageRegistry });
+
 // CLI Configuration
 program
   .name('photo-workflow')
@@ -43,21 +64,40 @@ program
 program
   .option('-i, --input <path>', 'Input directory path (required)')
   .option('-o, --output <path>', 'Output directory path (defaults to ./output)')
-  .option('--stage <stage>', 'Run specific stage (convert|cull|group|imagen-upload|imagen-download|finalize)')
+  .option('--stage <stage>', 'Run specific stage (ingest|convert|cull|group|social-select|imagen-upload|imagen-download|finalize)')
   .option('--run-all', 'Run all stages in sequence')
   .option('--verbose', 'Enable verbose logging')
   .option('--dry-run', 'Simulate operations without making changes')
-  .option('--force', 'Force processing even if stage already completed')
-  .option('--config <path>', 'Custom configuration file path');
+  .option('--force', 'Rebuild every output, even those whose inputs and options are unchanged')
+  .option('-j, --jobs <n>', 'Parallel workers for per-file work (defaults to the CPU count)', parseWholeNumber)
+  .option('--config <path>', 'Pipeline file (JSON or YAML) declaring stages and their options')
+  .option('--project <path>', `Project file with client and shoot details (defaults to the nearest ${ProjectManifest.PROJECT_FILE})`)
+  .option('--prices <path>', 'Price file (JSON or YAML) for Gemini and Imagen cost estimates')
+  .option('--max-cost <amount>', 'Stop before a paid AI request would take the run past this estimated cost', parseAmount)
+  .option('--max-calls <n>', 'Stop before making more than this many paid AI requests', parseWholeNumber)
+  .option('--notify <path>', 'Notification file (JSON or YAML) listing webhooks and commands to tell about runs')
+  .option('--set <name=value>', 'Override a setting for this run, e.g. --set maxApiRetries=5 (repeatable; see `config show`)', collectSetting, []);
 
 // Stage-specific commands
+program
+  .command('ingest')
+  .description('Stage 0: Copy RAW files from cards into the project, verified by SHA-256, with a backup copy')
+  .option('-i, --input <path>', 'Card or folder to copy from')
+  .option('-o, --output <path>', 'Output directory (copies land in <output>/ingest)')
+  .option('--sources <paths...>', 'More cards or folders to copy from, e.g. each camera\'s second card')
+  .option('--backup <path>', 'Folder receiving a second verified copy (defaults to the backupDestination setting)')
+  .action(async (options, command) => {
+    await runStage('ingest', options, command);
+  });
+
 program
   .command('convert')
   .description('Stage 1: Convert RAW files to JPEG with metadata preservation')
   .option('-i, --input <path>', 'Input directory containing RAW files')
   .option('-o, --output <path>', 'Output directory for converted JPEGs')
-  .option('--quality <number>', 'JPEG quality (1-100)', '90')
-  .option('--resize <size>', 'Resize images (e.g., 2048x1536)', null)
+  .option('--quality <number>', 'JPEG quality (1-100; defaults to the defaultJpegQuality setting)')
+  .option('--resize <size>', 'Resize images (e.g., 2048x1536; defaults to the defaultResize setting)')
+  .option('--profile <name>', 'Development profile for every file (defaults to each camera\'s profile, then the developmentProfile setting)')
   .option('--mock', 'Use mock mode for testing (skip actual file processing)')
   .action(async (options, command) => {
     await runStage('convert', options, command);
@@ -68,7 +108,7 @@ program
   .description('Stage 2: AI-powered photo culling using Gemini')
   .option('-i, --input <path>', 'Input directory containing converted JPEGs')
   .option('-o, --output <path>', 'Output directory for culled photos')
-  .option('--threshold <number>', 'Culling threshold (0-1)', '0.7')
+  .option('--threshold <number>', 'Culling threshold (0-1; defaults to the defaultCullingThreshold setting)')
   .option('--mock', 'Use mock mode for testing')
   .action(async (options, command) => {
     await runStage('cull', options, command);
@@ -79,12 +119,23 @@ program
   .description('Stage 3: Smart grouping by time and visual similarity')
   .option('-i, --input <path>', 'Input directory containing culled photos')
   .option('-o, --output <path>', 'Output directory for grouped photos')
-  .option('--time-threshold <minutes>', 'Time threshold for grouping (minutes)', '15')
+  .option('--time-threshold <minutes>', 'Time threshold for grouping (minutes; defaults to the defaultTimeGroupingThreshold setting)')
   .option('--mock', 'Use mock mode for testing')
   .action(async (options, command) => {
     await runStage('group', options, command);
   });
 
+program
+  .command('social-select')
+  .description('Pick a few strong, varied images from cull or group output and export them at social sizes')
+  .option('-i, --input <path>', 'Input directory containing culled or grouped photos')
+  .option('-o, --output <path>', 'Output directory (picks land in <output>/social-select)')
+  .option('--count <number>', 'Images to pick (defaults to the defaultSocialSelectCount setting)')
+  .option('--formats <formats>', `Comma-separated export sizes (${SocialSelectStage.SOCIAL_FORMATS.join(', ')}; default all)`)
+  .action(async (options, command) => {
+    await runStage('social-select', options, command);
+  });
+
 program
   .command('imagen-upload')
   .description('Stage 4: Upload photos to Imagen AI for enhancement')
@@ -108,7 +159,7 @@ program
 program
   .command('finalize')
   .description('Stage 6: Apply XMP metadata and finalize export')
-  .option('-i, --input <path>', 'Input directory containing enhanced photos')
+  .option('-i, --input <path>', 'Input directory containing enhanced, grouped or culled photos')
   .option('-o, --output <path>', 'Output directory for final photos')
   .option('--mock', 'Use mock mode for testing')
   .action(async (options, command) => {
@@ -120,19 +171,247 @@ program
   .description('Run all stages in sequence')
   .option('-i, --input <path>', 'Input directory containing RAW files')
   .option('-o, --output <path>', 'Output directory for final photos')
+  .option('--resume', 'With --force, still reuse files and batches already completed')
   .option('--mock', 'Use mock mode for testing')
+  .option('--tui', 'Show a full-screen progress view while the pipeline runs')
   .action(async (options, command) => {
     await runAllStages(options, command);
   });
 
+program
+  .command('watch')
+  .description('Watch a hot folder and convert, cull and group RAW files as they land')
+  .option('-i, --input <path>', 'Hot folder receiving RAW files')
+  .option('-o, --output <path>', 'Output directory')
+  .option('--batch-size <n>', 'New frames to collect before culling and grouping', parseWholeNumber, 20)
+  .option('--settle <seconds>', 'Process a smaller increment once no frames have arrived for this long', parseSeconds, 60)
+  .option('--interval <seconds>', 'How often to check the folder for new files', parseSeconds, 2)
+  .option('--quality <number>', 'JPEG quality (1-100; defaults to the defaultJpegQuality setting)')
+  .option('--resize <size>', 'Resize images (e.g., 2048x1536; defaults to the defaultResize setting)')
+  .option('--profile <name>', 'Development profile for every file (defaults to each camera\'s profile, then the developmentProfile setting)')
+  .option('--threshold <number>', 'Culling threshold (0-1; defaults to the defaultCullingThreshold setting)')
+  .option('--time-threshold <minutes>', 'Time threshold for grouping (minutes; defaults to the defaultTimeGroupingThreshold setting)')
+  .option('--mock', 'Use mock mode for testing')
+  .action(async (options, command) => {
+    await watchFolder(options, command);
+  });
+
+program
+  .command('serve')
+  .description('Start a local HTTP API for starting, following and cancelling runs')
+  .option('--port <n>', 'Port to listen on', parseWholeNumber, 4780)
+  .option('--host <host>', 'Address to listen on', '127.0.0.1')
+  .option('--max-jobs <n>', 'Runs allowed at once (runs sharing an output directory always queue)', parseWholeNumber, 2)
+  .option('--token <token>', 'Token clients must send (defaults to PHOTO_WORKFLOW_API_TOKEN, else a new random one)')
+  .option('--allow-origin <origins...>', 'Browser origins allowed to call the API, e.g. http://localhost:3000')
+  .option('--allow-hooks', 'Let jobs run the stage hooks of the pipeline files they name')
+  .action(async (options) => {
+    await serveJobs(options);
+  });
+
+const queueCommand = program
+  .command('queue')
+  .description('Process several shoots one after another, each with its own output directory')
+  .option('--queue-file <path>', 'Queue file shared by every queue command', BatchQueue.QUEUE_FILE);
+
+queueCommand
+  .command('add <inputs...>')
+  .description('Queue shoot folders (or their project files); each gets its own output directory')
+  .option('-o, --output <path>', 'Output directory (one input only; defaults to <input>-output beside each input)')
+  .option('--name <name>', 'Name shown in the queue (one input only; defaults to the folder name)')
+  .option('--priority <n>', 'Higher priorities run first', parseInteger, 0)
+  .action(async (inputs, options, command) => {
+    await addToQueue(inputs, options, command);
+  });
+
+queueCommand
+  .command('list')
+  .description('Show queued, finished and failed shoots in run order')
+  .action(async (options, command) => {
+    await listQueue(command);
+  });
+
+queueCommand
+  .command('run')
+  .description('Run pending shoots until the queue is empty or paused (Ctrl+C pauses)')
+  .option('--mock', 'Use mock mode for testing')
+  .action(async (options, command) => {
+    await runQueue(options, command);
+  });
+
+queueCommand
+  .command('pause')
+  .description('Stop the running queue after its current stage; the shoot resumes from its checkpoints')
+  .action(async (options, command) => {
+    await pauseQueue(command);
+  });
+
+queueCommand
+  .command('resume')
+  .description('Clear the pause and run the queue')
+  .option('--mock', 'Use mock mode for testing')
+  .action(async (options, command) => {
+    await getQueue(command).resume();
+    await runQueue(options, command);
+  });
+
+queueCommand
+  .command('priority <id>')
+  .description('Change the priority of a queued shoot')
+  .argument('<priority>', 'New priority (higher runs first)', parseInteger)
+  .action(async (id, priority, options, command) => {
+    await updateQueue(command, queue => queue.setPriority(id, priority),
+      job => `Shoot #${job.id} (${job.name}) now has priority ${job.priority}`);
+  });
+
+queueCommand
+  .command('retry <id>')
+  .description('Queue a failed shoot again; it resumes from its checkpoints')
+  .action(async (id, options, command) => {
+    await updateQueue(command, queue => queue.retry(id),
+      job => `Shoot #${job.id} (${job.name}) is pending again`);
+  });
+
+queueCommand
+  .command('remove <id>')
+  .description('Remove a shoot from the queue (its output directory is left alone)')
+  .action(async (id, options, command) => {
+    await updateQueue(command, queue => queue.remove(id),
+      job => `Removed shoot #${job.id} (${job.name})`);
+  });
+
+program
+  .command('clean')
+  .description('Free disk space by removing intermediate stage outputs under a retention policy')
+  .option('-o, --output <path>', 'Output directory of the run (defaults to ./output)')
+  .option('--policy <name>', `Retention policy (${RetentionPolicies.listPolicies().map(p => p.name).join(', ')})`, RetentionPolicies.DEFAULT_POLICY)
+  .option('--keep <stages...>', 'Keep these stages and prune every other one (instead of --policy)')
+  .option('--list', 'List every file that is removed')
+  .option('--list-policies', 'Describe the available retention policies')
+  .action(async (options, command) => {
+    await cleanOutputs(options, command);
+  });
+
+const projectCommand = program
+  .command('project')
+  .description('Manage the project file with client and shoot details');
+
+projectCommand
+  .command('init')
+  .description(`Create ${ProjectManifest.PROJECT_FILE} for a shoot`)
+  .requiredOption('--client <names...>', 'Client name(s), e.g. --client Alyssa Jesse')
+  .requiredOption('--date <date>', 'Shoot date (YYYY-MM-DD)')
+  .option('--time-zone <zone>', 'IANA time zone of the shoot', ProjectManifest.defaultTimeZone())
+  .option('--venue <name>', 'Venue or location')
+  .option('--type <type>', 'Shoot type, e.g. wedding or portrait')
+  .option('--studio <name>', 'Studio name')
+  .option('--copyright <notice>', 'Copyright notice (defaults to "© YEAR studio")')
+  .option('--primary-shooter <name>', 'Primary photographer')
+  .option('--second-shooter <name>', 'Second photographer')
+  .option('--dir <path>', 'Directory to write the project file to (defaults to the current directory)')
+  .action(async (options) => {
+    await initProject(options);
+  });
+
+const configCommand = program
+  .command('config')
+  .description('Inspect the settings from .env, the environment, the pipeline file and --set');
+
+configCommand
+  .command('show')
+  .description('Print every setting\'s effective value and where it came from')
+  .option('--json', 'Print the settings as JSON for scripts')
+  .action(async (options) => {
+    await showSettings(options);
+  });
+
+const notify = program
+  .command('notify')
+  .description('Check the webhooks and commands from --notify and the errorAlertWebhookUrl setting');
+
+notify
+  .command('test')
+  .description('Send a test notification to every target and report each delivery')
+  .option('--event <event>', `Event to send (${Notifier.EVENTS.join(', ')})`, 'run_completed')
+  .option('--all', 'Send to every target, even those not subscribed to the event')
+  .action(async (options) => {
+    await testNotifications(options);
+  });
+
+program
+  .command('history <stage>')
+  .description('List the snapshots a stage keeps of outputs replaced by forced reruns')
+  .option('-o, --output <path>', 'Output directory of the run (defaults to ./output)')
+  .option('--json', 'Print the history as JSON for scripts')
+  .action(async (stage, options) => {
+    await showHistory(stage, options);
+  });
+
+program
+  .command('rollback <stage>')
+  .description('Restore a stage\'s output from a snapshot; later stages rerun on the next run')
+  .requiredOption('--to <run>', 'Run number from `history` (or the start of its workflow id)')
+  .option('-o, --output <path>', 'Output directory of the run (defaults to ./output)')
+  .action(async (stage, options) => {
+    await rollbackStage(stage, options);
+  });
+
+program
+  .command('plan')
+  .alias('estimate')
+  .description('Count the images, batches and paid AI calls a run would make, and estimate their cost')
+  .option('-i, --input <path>', 'Input directory containing RAW files')
+  .option('-o, --output <path>', 'Output directory of the run (defaults to ./output)')
+  .option('--mock', 'Plan the pipeline as run-all --mock would run it')
+  .option('--json', 'Print the plan as JSON for scripts')
+  .action(async (options) => {
+    await showPlan(options);
+  });
+
 program
   .command('status')
-  .description('Show processing status and logs')
-  .option('-i, --input <path>', 'Input directory to check status')
+  .description('Show per-stage results, errors, fallbacks and pending Imagen tasks')
+  .option('-o, --output <path>', 'Output directory of the run (defaults to ./output)')
+  .option('--json', 'Print the status as JSON for scripts')
   .action(async (options, command) => {
     await showStatus(options, command);
   });
 
+// Plugin stages become commands alongside the built-in ones
+registerPluginCommands();
+
+/**
+ * Register a CLI command for every plugin stage
+ */
+function registerPluginCommands() {
+  for (const { source, error } of stageRegistry.loadErrors) {
+    console.error(chalk.yellow(`⚠ Skipping stage plugin ${source}: ${error}`));
+  }
+
+  for (const plugin of stageRegistry.getPlugins()) {
+    if (program.commands.some(cmd => cmd.name() === plugin.name)) {
+      console.error(chalk.yellow(`⚠ Skipping stage plugin ${plugin.source}: "${plugin.name}" is already a command`));
+      continue;
+    }
+
+    const command = program
+      .command(plugin.name)
+      .description(`Plugin: ${plugin.description}`)
+      .option('-i, --input <path>', 'Input directory')
+      .option('-o, --output <path>', 'Output directory');
+
+    for (const option of plugin.options) {
+      command.option(option.flags, option.description || '', option.defaultValue);
+    }
+
+    command
+      .option('--mock', 'Use mock mode for testing')
+      .action(async (options, cmd) => {
+        await runStage(plugin.name, options, cmd);
+      });
+  }
+}
+
 /**
  * Run a specific stage
  */
@@ -155,38 +434,59 @@ async function runStage(stageName, options, command) {
       throw new Error('Input directory is required (use -i or --input)');
     }
 
+    // Options from the pipeline file fill in anything not given on the command line
+    if (mergedOptions.config) {
+      const pipeline = await PipelineConfig.load(mergedOptions.config, stageRegistry);
+      applyPipelineOptions(mergedOptions, pipeline.getStageOptions(stageName), command);
+    }
+
     // Set default output directory
     const outputDir = mergedOptions.output || path.join(process.cwd(), 'output');
-    
-    // Initialize audit logger
-    const auditLogger = new AuditLogger({
-      outputDir,
-      stageName,
-      verbose: mergedOptions.verbose || false
-    });
-
-    // Initialize stage orchestrator
-    const orchestrator = new StageOrchestrator({
-      inputDir: mergedOptions.input,
-      outputDir,
-      auditLogger,
-      dryRun: mergedOptions.dryRun || false,
-      force: mergedOptions.force || false
-    });
+    mergedOptions.project = await loadProject(mergedOptions, outputDir);
 
     spinner.text = `Running ${stageName} stage...`;
 
+    let rebuild = null;
+    let spend = null;
+    workflow.once('stageComplete', event => { rebuild = event.rebuild; });
+    workflow.once('runComplete', event => { spend = event.spend; });
+
     // Execute the specific stage with merged options
-    await orchestrator.runStage(stageName, mergedOptions);
+    await workflow.runStage(stageName, {
+      input: mergedOptions.input,
+      output: outputDir,
+      config: mergedOptions.config,
+      project: mergedOptions.project,
+      options: mergedOptions,
+      dryRun: mergedOptions.dryRun,
+      force: mergedOptions.force,
+      resume: mergedOptions.resume,
+      jobs: mergedOptions.jobs,
+      prices: mergedOptions.prices,
+      maxCost: mergedOptions.maxCost,
+      maxCalls: mergedOptions.maxCalls,
+      notify: mergedOptions.notify,
+      settings: Settings.parseAssignments(mergedOptions.set),
+      verbose: mergedOptions.verbose
+    });
 
     spinner.succeed(chalk.green(`✓ ${stageName} stage completed successfully`));
     
     console.log(chalk.blue(`\n📊 Stage Summary:`));
     console.log(chalk.gray(`Input: ${mergedOptions.input}`));
     console.log(chalk.gray(`Output: ${outputDir}`));
+    console.log(chalk.gray(`Rebuild: ${rebuild}`));
+    printSpend(spend);
     console.log(chalk.gray(`Logs: ${path.join(outputDir, 'logs')}`));
 
   } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      spinner.warn(chalk.yellow(`${stageName} stage stopped at the budget limit`));
+      console.error(chalk.yellow(error.message));
+      printSpend(error.usage);
+      process.exit(1);
+    }
+
     spinner.fail(chalk.red(`✗ ${stageName} stage failed`));
     console.error(chalk.red(`Error: ${error.message}`));
     
@@ -202,7 +502,8 @@ async function runStage(stageName, options, command) {
  * Run all stages in sequence
  */
 async function runAllStages(options, command) {
-  const spinner = ora('Initializing full workflow...').start();
+  const spinner = ora('Initializing full workflow...');
+  let display = null;
   
   try {
     // Merge command options with parent options
@@ -221,50 +522,74 @@ async function runAllStages(options, command) {
 
     // Set default output directory
     const outputDir = mergedOptions.output || path.join(process.cwd(), 'output');
-    
-    // Initialize audit logger for full workflow
-    const auditLogger = new AuditLogger({
-      outputDir,
-      stageName: 'full-workflow',
-      verbose: mergedOptions.verbose || false
-    });
+    const project = await loadProject(mergedOptions, outputDir);
 
-    // Initialize stage orchestrator
-    const orchestrator = new StageOrchestrator({
-      inputDir: mergedOptions.input,
-      outputDir,
-      auditLogger,
-      dryRun: mergedOptions.dryRun || false,
-      force: mergedOptions.force || false
-    });
+    // The progress view replaces the spinner and the verbose audit lines
+    let signal;
+    if (mergedOptions.tui && !ProgressDisplay.isSupported()) {
+      console.warn(chalk.yellow('--tui needs an interactive terminal; showing plain progress instead'));
+    } else if (mergedOptions.tui) {
+      display = new ProgressDisplay();
+      signal = cancelOnInterrupt(display);
+      display.start(workflow);
+    }
 
-    spinner.text = 'Running full photo workflow...';
+    if (!display) {
+      spinner.start();
+      workflow.on('stageStart', printStageStart);
+      workflow.on('stageComplete', printStageComplete);
+    }
 
-    // Define stage sequence with merged options
-    const stages = [
-      { name: 'convert', options: { quality: mergedOptions.quality || 90, mock: mergedOptions.mock } },
-      { name: 'cull', options: { threshold: mergedOptions.threshold || 0.7, mock: mergedOptions.mock } },
-      { name: 'group', options: { timeThreshold: mergedOptions.timeThreshold || 15, mock: mergedOptions.mock } },
-      { name: 'imagen-upload', options: { mock: mergedOptions.mock } },
-      { name: 'imagen-download', options: { mock: mergedOptions.mock } },
-      { name: 'finalize', options: { mock: mergedOptions.mock } }
-    ];
+    let spend = null;
+    workflow.once('runStart', ({ pipeline }) => {
+      spinner.text = `Running ${pipeline} pipeline...`;
+    });
+    workflow.once('runComplete', event => { spend = event.spend; });
 
-    // Execute all stages
-    await orchestrator.runAllStages(stages);
+    // The pipeline file, or the built-in six-stage pipeline; --mock on the
+    // command line applies to every stage
+    await workflow.runPipeline({
+      input: mergedOptions.input,
+      output: outputDir,
+      config: mergedOptions.config,
+      project,
+      mock: mergedOptions.mock,
+      dryRun: mergedOptions.dryRun,
+      force: mergedOptions.force,
+      resume: mergedOptions.resume,
+      jobs: mergedOptions.jobs,
+      prices: mergedOptions.prices,
+      maxCost: mergedOptions.maxCost,
+      maxCalls: mergedOptions.maxCalls,
+      notify: mergedOptions.notify,
+      settings: Settings.parseAssignments(mergedOptions.set),
+      signal,
+      verbose: display ? false : mergedOptions.verbose
+    });
 
+    display?.stop();
     spinner.succeed(chalk.green('✓ Full workflow completed successfully'));
     
     console.log(chalk.blue('\n🎉 Workflow Complete!'));
     console.log(chalk.gray(`Input: ${mergedOptions.input}`));
     console.log(chalk.gray(`Output: ${outputDir}`));
+    printSpend(spend);
     console.log(chalk.gray(`Logs: ${path.join(outputDir, 'logs')}`));
 
   } catch (error) {
+    display?.stop();
+
+    if (error.code === 'BUDGET_EXCEEDED') {
+      spinner.warn(chalk.yellow('Workflow stopped at the budget limit'));
+      console.error(chalk.yellow(error.message));
+      printSpend(error.usage);
+      process.exit(1);
+    }
+
     spinner.fail(chalk.red('✗ Workflow failed'));
     console.error(chalk.red(`Error: ${error.message}`));
     
-    if (mergedOptions.verbose || program.opts().verbose) {
+    if (options.verbose || program.opts().verbose) {
       console.error(chalk.gray(error.stack));
     }
     
@@ -273,61 +598,1075 @@ async function runAllStages(options, command) {
 }
 
 /**
- * Show processing status
+ * Print a pipeline stage starting, for run-all and the queue
  */
-async function showStatus(options, command) {
+function printStageStart({ stage }) {
+  console.log(chalk.blue(`\n🔄 Running stage: ${stage}`));
+}
+
+/**
+ * Print a pipeline stage finishing, with what it reused and rebuilt
+ */
+function printStageComplete({ stage, rebuild }) {
+  console.log(chalk.green(`✓ Stage ${stage} completed (${rebuild})`));
+}
+
+/**
+ * Cancel the run on Ctrl+C, noting it in the progress view; a second
+ * Ctrl+C closes the view and quits at once
+ */
+function cancelOnInterrupt(display) {
+  const controller = new AbortController();
+
+  process.once('SIGINT', () => {
+    display.note('Stopping after the current step (Ctrl+C again to quit now)...');
+    controller.abort(new Error('Run cancelled; run it again to resume from its checkpoints'));
+    process.once('SIGINT', () => {
+      display.stop();
+      process.exit(130);
+    });
+  });
+
+  return controller.signal;
+}
+
+/**
+ * Watch a hot folder until interrupted
+ */
+async function watchFolder(options, command) {
   try {
-    const inputDir = options.input || process.cwd();
-    const outputDir = path.join(inputDir, 'output');
-    
-    console.log(chalk.blue('📊 Photo Workflow Status\n'));
-    
-    // Check if output directory exists
-    if (!await fs.pathExists(outputDir)) {
-      console.log(chalk.yellow('No workflow runs found.'));
-      console.log(chalk.gray(`Expected output directory: ${outputDir}`));
-      return;
+    const globalOpts = program.opts();
+    const mergedOptions = {
+      ...globalOpts,
+      ...options,
+      input: options.input || globalOpts.input,
+      output: options.output || globalOpts.output
+    };
+
+    if (!mergedOptions.input) {
+      throw new Error('Input directory is required (use -i or --input)');
     }
-    
-    // Check for stage completion markers
-    const stages = ['convert', 'cull', 'group', 'imagen-upload', 'imagen-download', 'finalize'];
-    
-    for (const stage of stages) {
-      const stageDir = path.join(outputDir, stage);
-      const logFile = path.join(outputDir, 'logs', `${stage}.json`);
-      
-      const stageExists = await fs.pathExists(stageDir);
-      const logExists = await fs.pathExists(logFile);
-      
-      if (stageExists && logExists) {
-        console.log(chalk.green(`✓ ${stage.padEnd(15)} - Completed`));
-        
-        // Show basic stats from log
-        try {
-          const logData = await fs.readJson(logFile);
-          const lastEntry = logData[logData.length - 1];
-          if (lastEntry && lastEntry.summary) {
-            console.log(chalk.gray(`    ${JSON.stringify(lastEntry.summary, null, 0)}`));
-          }
-        } catch (error) {
-          // Ignore log parsing errors
-        }
-      } else if (stageExists) {
-        console.log(chalk.yellow(`⚠ ${stage.padEnd(15)} - Incomplete (no logs)`));
-      } else {
-        console.log(chalk.gray(`○ ${stage.padEnd(15)} - Not started`));
+
+    const outputDir = mergedOptions.output || path.join(process.cwd(), 'output');
+    const project = await loadProject(mergedOptions, outputDir);
+
+    const pipeline = mergedOptions.config ? await PipelineConfig.load(mergedOptions.config, stageRegistry) : null;
+    const settings = resolveSettings(pipeline);
+    const mock = mergedOptions.mock || settings.get('enableMockAi');
+
+    const stageOptions = {
+      convert: { quality: mergedOptions.quality, resize: mergedOptions.resize, profile: mergedOptions.profile, mock },
+      cull: { threshold: mergedOptions.threshold, mock },
+      group: { timeThreshold: mergedOptions.timeThreshold, mock }
+    };
+
+    // Options from the pipeline file fill in anything not given on the command line
+    if (pipeline) {
+      for (const [stageName, stageOpts] of Object.entries(stageOptions)) {
+        applyPipelineOptions(stageOpts, pipeline.getStageOptions(stageName), command);
       }
     }
-    
-    console.log(chalk.blue(`\n📂 Output Directory: ${outputDir}`));
-    console.log(chalk.blue(`📄 Logs Directory: ${path.join(outputDir, 'logs')}`));
-    
+
+    const notifier = Notifier.create(mergedOptions.notify ? await Notifier.load(mergedOptions.notify) : null, { settings });
+    const auditLogger = new AuditLogger({
+      outputDir,
+      stageName: 'watch',
+      verbose: mergedOptions.verbose || false,
+      notifier,
+      settings
+    });
+    notifier.auditLogger = auditLogger;
+
+    const watcher = new HotFolderWatcher({
+      inputDir: mergedOptions.input,
+      outputDir,
+      auditLogger,
+      registry: stageRegistry,
+      jobs: mergedOptions.jobs,
+      dryRun: mergedOptions.dryRun || false,
+      project,
+      notifier,
+      settings,
+      pipeline,
+      prices: mergedOptions.prices ? await loadPrices(mergedOptions.prices) : null,
+      maxCost: mergedOptions.maxCost,
+      maxCalls: mergedOptions.maxCalls,
+      stageOptions,
+      interval: mergedOptions.interval,
+      batchSize: mergedOptions.batchSize,
+      settle: mergedOptions.settle
+    });
+
+    // First Ctrl+C finishes the current step; a second one quits immediately
+    process.once('SIGINT', () => {
+      console.log(chalk.yellow('\n⏹  Stopping after the current step (Ctrl+C again to quit now)...'));
+      watcher.stop();
+      process.once('SIGINT', () => process.exit(130));
+    });
+
+    watcher.on('framesConverting', ({ frames, retry }) => {
+      console.log(chalk.blue(retry
+        ? `\n📥 Retrying ${frames} frame(s) that failed to convert`
+        : `\n📥 ${frames} new frame(s) - converting`));
+    });
+    watcher.on('incrementStart', ({ frames }) => {
+      console.log(chalk.blue(`\n🔄 Processing increment of ${frames} frame(s)`));
+    });
+    watcher.on('stageComplete', ({ stage, result, rebuild }) => {
+      console.log(chalk.green(`✓ ${stage}: ${result.filesProcessed || 0} file(s), ${rebuild}`));
+    });
+    watcher.on('budgetReached', ({ stage, error }) => {
+      console.error(chalk.yellow(`⏹  ${stage} stopped at the budget limit; stopping the watch`));
+      console.error(chalk.yellow(error.message));
+    });
+    watcher.on('stageFailed', ({ stage, error, retryIn }) => {
+      console.error(chalk.red(`✗ ${stage} failed: ${error.message}`));
+      console.error(chalk.gray(`  Still watching; retrying within ${formatDuration(retryIn)}.`));
+    });
+
+    console.log(chalk.blue(`👀 Watching ${mergedOptions.input} for RAW files`));
+    console.log(chalk.gray(`Output: ${outputDir}`));
+    console.log(chalk.gray(`Culling and grouping every ${mergedOptions.batchSize} new frames, or after ${mergedOptions.settle}s without new frames`));
+
+    const stats = await watcher.start();
+
+    console.log(chalk.blue('\n📊 Watch Summary:'));
+    console.log(chalk.gray(`Frames seen: ${stats.filesSeen}`));
+    console.log(chalk.gray(`Increments processed: ${stats.increments}`));
+    if (stats.pendingFrames > 0) {
+      console.log(chalk.yellow(`Frames not yet culled: ${stats.pendingFrames} (they are picked up when watch restarts)`));
+    }
+    if (stats.failures > 0) {
+      console.log(chalk.yellow(`Failed stage runs: ${stats.failures} (see ${path.join(outputDir, 'logs')})`));
+    }
+    printSpend(stats.spend);
+
+    if (stats.stoppedAtBudget) {
+      process.exitCode = 1;
+    }
+
   } catch (error) {
-    console.error(chalk.red(`Error checking status: ${error.message}`));
+    console.error(chalk.red(`Error: ${error.message}`));
+
+    if (options.verbose || program.opts().verbose) {
+      console.error(chalk.gray(error.stack));
+    }
+
     process.exit(1);
   }
 }
 
+/**
+ * Serve the job API until interrupted
+ */
+async function serveJobs(options) {
+  try {
+    const globalOpts = program.opts();
+    const settings = Settings.parseAssignments(globalOpts.set);
+
+    // Checked once, so a bad --set stops the server from starting
+    Settings.resolve({ overrides: settings });
+
+    const server = new JobServer({
+      host: options.host,
+      port: options.port,
+      registry: stageRegistry,
+      maxConcurrent: options.maxJobs,
+      token: options.token || process.env.PHOTO_WORKFLOW_API_TOKEN,
+      allowedOrigins: options.allowOrigin,
+      allowHooks: options.allowHooks || false,
+      // --max-cost and --max-calls are each job's default and upper limit
+      maxCost: globalOpts.maxCost,
+      maxCalls: globalOpts.maxCalls,
+      // Loaded once, so a bad file stops the server from starting
+      prices: globalOpts.prices ? await loadPrices(globalOpts.prices) : null,
+      notify: globalOpts.notify ? await Notifier.load(globalOpts.notify) : null,
+      settings,
+      verbose: globalOpts.verbose || false
+    });
+
+    const { url } = await server.start();
+
+    console.log(chalk.blue(`🌐 Job API listening on ${url}/api`));
+    console.log(chalk.gray(`Up to ${options.maxJobs} run(s) at once; runs sharing an output directory queue`));
+    console.log(chalk.gray(`API token: ${server.token} (send Authorization: Bearer <token>)`));
+    if (globalOpts.maxCost === undefined && globalOpts.maxCalls === undefined) {
+      console.log(chalk.yellow('⚠ Jobs may make unlimited paid AI calls; set --max-cost or --max-calls to cap them.'));
+    }
+    if (!['127.0.0.1', 'localhost', '::1'].includes(options.host)) {
+      console.log(chalk.yellow('⚠ The API is plain HTTP; only expose it on a trusted network.'));
+    }
+
+    // First Ctrl+C cancels runs and waits for them to stop; a second one quits immediately
+    process.once('SIGINT', async () => {
+      console.log(chalk.yellow('\n⏹  Cancelling runs and shutting down (Ctrl+C again to quit now)...'));
+      process.once('SIGINT', () => process.exit(130));
+      await server.stop();
+      process.exit(0);
+    });
+
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Open the queue file given with --queue-file
+ */
+function getQueue(command) {
+  const { queueFile, verbose } = command.optsWithGlobals();
+
+  return new BatchQueue({
+    queuePath: queueFile,
+    registry: stageRegistry,
+    verbose: verbose || false
+  });
+}
+
+/**
+ * Add shoot folders to the queue
+ */
+async function addToQueue(inputs, options, command) {
+  try {
+    const globalOpts = command.optsWithGlobals();
+    const output = options.output || globalOpts.output;
+
+    // One output, name or project file cannot be shared by several shoots
+    if (inputs.length > 1 && (output || options.name || globalOpts.project)) {
+      throw new Error('--output, --name and --project apply to a single input; add the shoots one at a time');
+    }
+
+    const added = await getQueue(command).add(inputs.map(input => ({
+      input,
+      output,
+      name: options.name,
+      priority: options.priority,
+      config: globalOpts.config,
+      project: globalOpts.project
+    })));
+
+    for (const job of added) {
+      console.log(chalk.green(`✓ Queued #${job.id} ${job.name} (priority ${job.priority})`));
+      console.log(chalk.gray(`  ${job.input} → ${job.output}`));
+    }
+    console.log(chalk.gray('Start it with: photo-workflow queue run'));
+
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Print the queue in run order
+ */
+async function listQueue(command) {
+  try {
+    const queue = getQueue(command);
+    const state = await queue.load();
+
+    if (state.jobs.length === 0) {
+      console.log(chalk.gray(`The queue is empty (${queue.queuePath})`));
+      return;
+    }
+
+    console.log(chalk.blue(`📋 Queue (${queue.queuePath})`));
+    if (state.paused) {
+      console.log(chalk.yellow('Paused; `photo-workflow queue resume` continues'));
+    } else if (state.runner && queue.isProcessAlive(state.runner.pid)) {
+      console.log(chalk.gray(`Running in process ${state.runner.pid} since ${state.runner.startedAt}`));
+    }
+
+    const running = state.jobs.filter(job => job.status === 'running');
+    const finished = state.jobs.filter(job => job.status === 'succeeded' || job.status === 'failed');
+
+    for (const job of [...running, ...queue.getPendingJobs(state), ...finished]) {
+      printQueuedShoot(job);
+    }
+
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Run the queue until it is empty or paused, then print the combined summary
+ */
+async function runQueue(options, command) {
+  try {
+    const globalOpts = command.optsWithGlobals();
+    const queue = getQueue(command);
+
+    // First Ctrl+C pauses after the current stage; a second one quits immediately
+    process.once('SIGINT', () => {
+      console.log(chalk.yellow('\n⏸  Pausing the queue after the current stage (Ctrl+C again to quit now)...'));
+      queue.stop();
+      process.once('SIGINT', () => process.exit(130));
+    });
+
+    const summary = await queue.run({
+      mock: options.mock || false,
+      dryRun: globalOpts.dryRun || false,
+      force: globalOpts.force || false,
+      jobs: globalOpts.jobs,
+      prices: globalOpts.prices,
+      maxCost: globalOpts.maxCost,
+      maxCalls: globalOpts.maxCalls,
+      notify: globalOpts.notify,
+      settings: Settings.parseAssignments(globalOpts.set)
+    }, {
+      onJobStart: job => {
+        console.log(chalk.blue(`\n▶ #${job.id} ${job.name}`));
+        console.log(chalk.gray(`  ${job.input} → ${job.output}`));
+      },
+      onJobEnd: job => printQueuedShoot(job),
+      onStageStart: printStageStart,
+      onStageComplete: printStageComplete
+    });
+
+    console.log(chalk.blue('\n📊 Queue Summary:'));
+    const { totals } = summary;
+    console.log(chalk.gray(`Shoots: ${totals.succeeded} succeeded, ${totals.failed} failed, ${totals.pending} pending`));
+    console.log(chalk.gray(`Files processed: ${totals.filesProcessed}`));
+    for (const shoot of summary.shoots.filter(shoot => shoot.status === 'failed')) {
+      console.log(chalk.red(`  ✗ #${shoot.id} ${shoot.name}: see ${shoot.logs}`));
+    }
+    if (summary.paused && totals.pending > 0) {
+      console.log(chalk.yellow('Paused; `photo-workflow queue resume` continues'));
+    }
+    console.log(chalk.gray(`Summary: ${queue.summaryPath}`));
+
+    if (totals.failed > 0) {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Pause the queue; a running queue stops after its current stage
+ */
+async function pauseQueue(command) {
+  try {
+    const queue = getQueue(command);
+    const runner = await queue.pause();
+
+    if (runner && queue.isProcessAlive(runner.pid)) {
+      console.log(chalk.yellow(`⏸  Pausing: process ${runner.pid} stops after its current stage`));
+    } else {
+      console.log(chalk.yellow('⏸  Queue paused'));
+    }
+    console.log(chalk.gray('Continue with: photo-workflow queue resume'));
+
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Apply a change to one queued shoot and report it
+ */
+async function updateQueue(command, change, describe) {
+  try {
+    const job = await change(getQueue(command));
+    console.log(chalk.green(`✓ ${describe(job)}`));
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Print one line per queued shoot, plus its error if it has one
+ */
+function printQueuedShoot(job) {
+  const marks = {
+    pending: chalk.gray('○'),
+    running: chalk.blue('▶'),
+    succeeded: chalk.green('✓'),
+    failed: chalk.red('✗')
+  };
+  const duration = job.startedAt && job.finishedAt
+    ? `, ${formatDuration(Date.parse(job.finishedAt) - Date.parse(job.startedAt))}`
+    : '';
+
+  console.log(`  ${marks[job.status]} #${job.id} ${job.name} ${chalk.gray(`[${job.status}, priority ${job.priority}${duration}]`)}`);
+  console.log(chalk.gray(`      ${job.input} → ${job.output}`));
+  if (job.error) {
+    console.log((job.status === 'failed' ? chalk.red : chalk.yellow)(`      ${job.error}`));
+  }
+}
+
+/**
+ * Load the project file given with --project, or the nearest one above the
+ * input or output directory. Returns null when there is none.
+ */
+async function loadProject(mergedOptions, outputDir) {
+  const projectPath = typeof mergedOptions.project === 'string'
+    ? mergedOptions.project
+    : await ProjectManifest.find([mergedOptions.input, outputDir]);
+
+  if (!projectPath) {
+    return null;
+  }
+
+  const project = await ProjectManifest.load(projectPath);
+  console.log(chalk.gray(`Project: ${project.getClientLabel()}, ${project.shootDate} (${path.relative(process.cwd(), project.source) || project.source})`));
+
+  return project;
+}
+
+/**
+ * Create a project file from the command line
+ */
+async function initProject(options) {
+  try {
+    const definition = {
+      clientNames: options.client,
+      shootDate: options.date,
+      timeZone: options.timeZone,
+      venue: options.venue,
+      shootType: options.type,
+      studio: { name: options.studio, copyright: options.copyright },
+      shooters: { primary: options.primaryShooter, second: options.secondShooter }
+    };
+
+    const dir = options.dir || process.cwd();
+    const source = path.join(path.resolve(dir), ProjectManifest.PROJECT_FILE);
+    // Round-trip through toJSON so unset options are dropped before validating
+    const project = new ProjectManifest(definition);
+    ProjectManifest.validate(project.toJSON(), source);
+
+    const written = await project.save(dir, { overwrite: program.opts().force || false });
+
+    console.log(chalk.green(`✓ Created ${written}`));
+    console.log(chalk.gray(project.describe()));
+
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Discover stages, reporting bad plugin settings without a stack trace
+ */
+function discoverStages() {
+  try {
+    return StageRegistry.discover();
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Collect repeated --set name=value options
+ */
+function collectSetting(value, previous) {
+  try {
+    Settings.parseAssignments([value]);
+  } catch (error) {
+    throw new InvalidArgumentError('Must look like name=value, e.g. maxApiRetries=5.');
+  }
+
+  return [...previous, value];
+}
+
+/**
+ * Resolve the settings from --set, a loaded pipeline file and the environment
+ */
+function resolveSettings(pipeline = null) {
+  return Settings.resolve({
+    overrides: Settings.parseAssignments(program.opts().set),
+    file: pipeline?.settings,
+    fileSource: pipeline?.source,
+    fileDir: pipeline && path.dirname(pipeline.source)
+  });
+}
+
+/**
+ * Parse and validate a whole-number option (--jobs, --batch-size)
+ */
+function parseWholeNumber(value) {
+  const jobs = parseInt(value, 10);
+
+  if (!Number.isInteger(jobs) || jobs < 1 || String(jobs) !== String(value).trim()) {
+    throw new InvalidArgumentError('Must be a whole number of 1 or more.');
+  }
+
+  return jobs;
+}
+
+/**
+ * Parse and validate a whole number that may be zero or negative
+ */
+function parseInteger(value) {
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || String(value).trim() === '') {
+    throw new InvalidArgumentError('Must be a whole number.');
+  }
+
+  return number;
+}
+
+/**
+ * Parse and validate an amount of money (--max-cost)
+ */
+function parseAmount(value) {
+  const amount = Number(value);
+
+  if (!Number.isFinite(amount) || amount < 0 || String(value).trim() === '') {
+    throw new InvalidArgumentError('Must be an amount of 0 or more.');
+  }
+
+  return amount;
+}
+
+/**
+ * Parse and validate a duration in seconds
+ */
+function parseSeconds(value) {
+  const seconds = Number(value);
+
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    throw new InvalidArgumentError('Must be a number of seconds greater than 0.');
+  }
+
+  return seconds;
+}
+
+/**
+ * Merge pipeline stage options into the command options.
+ * Values typed on the command line win over the pipeline file; commander
+ * defaults (e.g. a plugin option's default value) do not.
+ */
+function applyPipelineOptions(mergedOptions, stageOptions, command) {
+  if (!stageOptions) {
+    return mergedOptions;
+  }
+
+  for (const [key, value] of Object.entries(stageOptions)) {
+    if (command?.getOptionValueSource(key) !== 'cli') {
+      mergedOptions[key] = value;
+    }
+  }
+
+  return mergedOptions;
+}
+
+/**
+ * Remove intermediate outputs under a retention policy (--dry-run only lists them)
+ */
+async function cleanOutputs(options, command) {
+  try {
+    if (options.listPolicies) {
+      for (const policy of RetentionPolicies.listPolicies()) {
+        console.log(`${chalk.bold(policy.name.padEnd(14))} ${policy.description}`);
+      }
+      return;
+    }
+
+    const globalOpts = program.opts();
+    const outputDir = path.resolve(options.output || globalOpts.output || path.join(process.cwd(), 'output'));
+    const dryRun = globalOpts.dryRun || false;
+
+    if (!await fs.pathExists(outputDir)) {
+      throw new Error(`Output directory does not exist: ${outputDir}`);
+    }
+
+    if (options.keep && command.getOptionValueSource('policy') === 'cli') {
+      throw new Error('Use either --policy or --keep, not both');
+    }
+
+    for (const stage of options.keep || []) {
+      if (!stageRegistry.has(stage)) {
+        throw new Error(`Unknown stage in --keep: ${stage} (expected ${stageRegistry.getRunOrder().join(', ')})`);
+      }
+    }
+
+    const policy = options.keep
+      ? RetentionPolicies.createKeepPolicy(options.keep)
+      : RetentionPolicies.getPolicy(options.policy);
+
+    const auditLogger = new AuditLogger({
+      outputDir,
+      stageName: 'clean',
+      verbose: globalOpts.verbose || false
+    });
+
+    const orchestrator = new StageOrchestrator({
+      inputDir: globalOpts.input,
+      outputDir,
+      auditLogger,
+      dryRun,
+      registry: stageRegistry
+    });
+
+    const plan = await orchestrator.cleanup(policy, { dryRun });
+    await auditLogger.flushLogs();
+
+    console.log(chalk.blue(`🧹 ${dryRun ? 'Dry run: ' : ''}${policy.name} - ${policy.description}\n`));
+
+    for (const stagePlan of plan.stages) {
+      const name = stagePlan.stage.padEnd(16);
+
+      if (stagePlan.files.length > 0) {
+        console.log(chalk.green(`✓ ${name} ${stagePlan.files.length} file(s), ${formatBytes(stagePlan.bytes)}`));
+      } else {
+        console.log(chalk.gray(`○ ${name} ${stagePlan.action === RetentionPolicies.KEEP || stagePlan.skipped ? 'kept' : 'nothing to remove'}`));
+      }
+
+      if (stagePlan.skipped) {
+        console.log(chalk.yellow(`    Images kept: ${stagePlan.skipped}`));
+      }
+
+      if (options.list) {
+        for (const file of stagePlan.files) {
+          console.log(chalk.gray(`    ${path.join(stagePlan.stage, file.path)} (${formatBytes(file.size)})`));
+        }
+      }
+    }
+
+    console.log(chalk.blue(`\n${dryRun ? 'Would free' : 'Freed'} ${formatBytes(plan.bytes)} in ${plan.files} file(s)`));
+    if (dryRun && plan.files > 0) {
+      console.log(chalk.gray('Run again without --dry-run to remove them.'));
+    }
+
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Format a byte count, e.g. "1.4 GB"
+ */
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+}
+
+/**
+ * Show processing status from each stage's result and completion marker
+ */
+async function showStatus(options, command) {
+  try {
+    const globalOpts = program.opts();
+    const outputDir = path.resolve(options.output || globalOpts.output || path.join(process.cwd(), 'output'));
+
+    if (!await fs.pathExists(outputDir)) {
+      if (options.json) {
+        console.log(JSON.stringify({ outputDir, found: false }, null, 2));
+        return;
+      }
+
+      console.log(chalk.yellow('No workflow runs found.'));
+      console.log(chalk.gray(`Expected output directory: ${outputDir} (use --output to choose another)`));
+      return;
+    }
+
+    const orchestrator = new StageOrchestrator({
+      inputDir: globalOpts.input,
+      outputDir,
+      auditLogger: new AuditLogger({ outputDir, stageName: 'status' }),
+      registry: stageRegistry
+    });
+
+    const status = await orchestrator.getWorkflowStatus();
+
+    if (options.json) {
+      console.log(JSON.stringify({ found: true, ...status }, null, 2));
+      return;
+    }
+
+    console.log(chalk.blue('📊 Photo Workflow Status\n'));
+
+    for (const [stage, stageStatus] of Object.entries(status.stages)) {
+      printStageStatus(stage, stageStatus, orchestrator);
+    }
+
+    console.log(chalk.blue(`\n📂 Output Directory: ${outputDir}`));
+    console.log(chalk.blue(`📄 Logs Directory: ${path.join(outputDir, 'logs')}`));
+
+  } catch (error) {
+    console.error(chalk.red(`Error checking status: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Print one stage's status line and counts
+ */
+function printStageStatus(stage, { state, completedAt, cleaned, result, details }, orchestrator) {
+  const name = stage.padEnd(16);
+
+  switch (state) {
+    case 'completed':
+      console.log(chalk.green(`✓ ${name} Completed ${completedAt ? new Date(completedAt).toLocaleString() : ''}`));
+      if (cleaned) {
+        console.log(chalk.gray(`    Images removed by clean (${cleaned.policy}); rerunning rebuilds this stage`));
+      }
+      break;
+    case 'failed':
+      console.log(chalk.red(`✗ ${name} Failed: ${result.error || 'see logs'}`));
+      break;
+    case 'incomplete':
+      console.log(chalk.yellow(`◐ ${name} Incomplete (rerun to continue from its checkpoints)`));
+      break;
+    default:
+      console.log(chalk.gray(`○ ${name} Not started`));
+  }
+
+  if (result) {
+    // Imagen stages count uploads and downloads rather than processed files
+    const files = result.filesProcessed ?? result.filesUploaded ?? result.filesDownloaded ?? 0;
+    const failedFiles = Array.isArray(result.errors) ? result.errors.length : Number(result.errors) || 0;
+    const counts = [
+      `${files} files`,
+      formatDuration(result.duration || 0),
+      failedFiles > 0 ? `${failedFiles} failed` : null,
+      result.audit ? `${result.audit.errors} error(s) logged` : null,
+      result.audit ? `${result.audit.fallbacks} fallback(s)` : null,
+      result.checkpoints ? orchestrator.describeRebuild(result) : null
+    ];
+    console.log(chalk.gray(`    ${counts.filter(Boolean).join(' · ')}`));
+  }
+
+  const tasks = details?.imagenTasks;
+  if (tasks) {
+    const color = tasks.pending > 0 || tasks.failed > 0 ? chalk.yellow : chalk.gray;
+    console.log(color(`    Imagen tasks: ${tasks.total} total, ${tasks.completed} downloaded, ${tasks.pending} pending, ${tasks.failed} failed${tasks.mockMode ? ' (mock)' : ''}`));
+  }
+}
+
+/**
+ * Send a sample event to the notification targets
+ */
+async function testNotifications(options) {
+  try {
+    const globalOpts = program.opts();
+
+    if (!Notifier.EVENTS.includes(options.event)) {
+      throw new Error(`Unknown event "${options.event}" (expected one of: ${Notifier.EVENTS.join(', ')})`);
+    }
+
+    const notifications = globalOpts.notify ? await Notifier.load(globalOpts.notify) : null;
+    const pipeline = globalOpts.config ? await PipelineConfig.load(globalOpts.config, stageRegistry) : null;
+    const notifier = Notifier.create(notifications, { settings: resolveSettings(pipeline) });
+
+    if (!notifier.hasTargets()) {
+      throw new Error('No notification targets; pass --notify <file> or set ENABLE_ERROR_ALERTING=true and ERROR_ALERT_WEBHOOK_URL');
+    }
+
+    if (options.all) {
+      notifier.targets = notifier.targets.map(target => ({ ...target, events: Notifier.EVENTS }));
+    }
+
+    const skipped = notifier.targets.filter(target => !target.events.includes(options.event));
+    const spinner = ora(`Sending ${options.event} test notification...`).start();
+
+    Object.assign(notifier.context, {
+      workflowId: 'test',
+      inputDir: globalOpts.input ? path.resolve(globalOpts.input) : null,
+      outputDir: globalOpts.output ? path.resolve(globalOpts.output) : null
+    });
+    const outcomes = await notifier.notify(options.event, `Test notification from photo-workflow (${options.event})`, { test: true });
+    spinner.stop();
+
+    for (const outcome of outcomes) {
+      if (outcome.ok) {
+        console.log(chalk.green(`✓ ${outcome.target}${outcome.attempts > 1 ? ` (after ${outcome.attempts} attempts)` : ''}`));
+      } else {
+        console.log(chalk.red(`✗ ${outcome.target}: ${outcome.error} (${outcome.attempts} attempt(s))`));
+      }
+    }
+    for (const target of skipped) {
+      console.log(chalk.gray(`○ ${target.name}: not subscribed to ${options.event} (use --all to send anyway)`));
+    }
+
+    if (outcomes.some(outcome => !outcome.ok)) {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Print every setting with its value and source, grouped by section
+ */
+async function showSettings(options) {
+  try {
+    const globalOpts = program.opts();
+    const pipeline = globalOpts.config ? await PipelineConfig.load(globalOpts.config, stageRegistry) : null;
+    const settings = resolveSettings(pipeline).describe();
+
+    if (options.json) {
+      console.log(JSON.stringify(settings, null, 2));
+      return;
+    }
+
+    const sourceLabel = ({ source, from }) => {
+      if (source === 'default') return 'default';
+      if (source === 'command line') return from;
+      if (source === 'environment') return `environment (${from})`;
+      return `pipeline file (${from})`;
+    };
+    const formatValue = ({ value, unit }) => {
+      if (value === null || (Array.isArray(value) && value.length === 0)) return '(not set)';
+      const text = Array.isArray(value) ? value.join(',') : String(value);
+      return unit ? `${text} ${unit}` : text;
+    };
+
+    const keyWidth = Math.max(...settings.map(setting => setting.key.length)) + 2;
+    const valueWidth = Math.min(40, Math.max(...settings.map(setting => formatValue(setting).length))) + 2;
+
+    console.log(chalk.blue('⚙️  Settings'));
+    console.log(chalk.gray('Highest first: --set, the pipeline file\'s settings block, the environment and .env, defaults'));
+
+    for (const section of [...new Set(settings.map(setting => setting.section))]) {
+      console.log(chalk.blue(`\n${section}`));
+
+      for (const setting of settings.filter(candidate => candidate.section === section)) {
+        const color = setting.source === 'default' ? chalk.gray : chalk.white;
+        const reserved = setting.reserved ? chalk.gray(' (not used yet)') : '';
+        console.log(`  ${setting.key.padEnd(keyWidth)}${color(formatValue(setting).padEnd(valueWidth))}${chalk.gray(sourceLabel(setting))}${reserved}`);
+      }
+    }
+
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Create an orchestrator for an existing output directory (status, history...)
+ */
+async function openOutput(options, stageName) {
+  const globalOpts = program.opts();
+  const outputDir = path.resolve(options.output || globalOpts.output || path.join(process.cwd(), 'output'));
+
+  if (!await fs.pathExists(outputDir)) {
+    throw new Error(`Output directory does not exist: ${outputDir}`);
+  }
+
+  const auditLogger = new AuditLogger({
+    outputDir,
+    stageName,
+    verbose: globalOpts.verbose || false
+  });
+
+  const orchestrator = new StageOrchestrator({
+    inputDir: globalOpts.input,
+    outputDir,
+    auditLogger,
+    registry: stageRegistry
+  });
+
+  return { outputDir, auditLogger, orchestrator };
+}
+
+/**
+ * List a stage's snapshots, newest first
+ */
+async function showHistory(stageName, options) {
+  try {
+    const { orchestrator } = await openOutput(options, 'history');
+    const history = await orchestrator.getStageHistory(stageName);
+
+    if (options.json) {
+      console.log(JSON.stringify(history, null, 2));
+      return;
+    }
+
+    console.log(chalk.blue(`🕘 ${stageName} history\n`));
+
+    if (history.current) {
+      const { current } = history;
+      console.log(chalk.green(`● current  ${formatRunTime(current.ranAt)} · ${current.state.replace('_', ' ')} · ${current.filesProcessed ?? '?'} files · ${shortId(current.workflowId)}`));
+    } else {
+      console.log(chalk.gray('○ current  no output'));
+    }
+
+    for (const snapshot of [...history.snapshots].reverse()) {
+      const state = snapshot.success === false ? 'failed' : snapshot.completed ? 'completed' : 'incomplete';
+      console.log(`  ${chalk.bold(`run ${snapshot.run}`.padEnd(7))}  ${formatRunTime(snapshot.ranAt)} · ${state} · ${snapshot.filesProcessed ?? '?'} files · ${shortId(snapshot.workflowId)}`);
+      console.log(chalk.gray(`           Saved ${formatRunTime(snapshot.snapshotAt)}${snapshot.reason ? ` (${snapshot.reason})` : ''}`));
+    }
+
+    if (history.snapshots.length === 0) {
+      console.log(chalk.gray('\nNo snapshots yet; one is taken each time --force reruns this stage.'));
+    } else {
+      console.log(chalk.gray(`\nRestore one with: rollback ${stageName} --to <run>`));
+    }
+
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Restore a stage from a snapshot and invalidate the stages after it
+ */
+async function rollbackStage(stageName, options) {
+  try {
+    const { auditLogger, orchestrator } = await openOutput(options, 'rollback');
+    let rollback;
+
+    try {
+      rollback = await orchestrator.rollbackStage(stageName, options.to);
+    } finally {
+      await auditLogger.flushLogs();
+    }
+
+    const { restored, replaced, invalidated } = rollback;
+    console.log(chalk.green(`✓ Restored ${stageName} from run ${restored.run} (${formatRunTime(restored.ranAt)}, ${restored.filesProcessed ?? '?'} files)`));
+
+    if (replaced) {
+      console.log(chalk.gray(`  The output it replaced is saved as run ${replaced.run}`));
+    }
+    if (invalidated.length > 0) {
+      console.log(chalk.yellow(`  ${invalidated.join(', ')} will rerun from the restored output on the next run`));
+    }
+    console.log(chalk.gray(`  Runs without --force keep it while ${stageName}'s inputs and options match run ${restored.run}'s`));
+
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Format a run's timestamp for history listings
+ */
+function formatRunTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : 'unknown time';
+}
+
+/**
+ * First part of a workflow id, as shown in history
+ */
+function shortId(workflowId) {
+  return workflowId ? workflowId.slice(0, 8) : 'no workflow id';
+}
+
+/**
+ * Estimate a run's paid AI calls and cost without running it
+ */
+async function showPlan(options) {
+  try {
+    const globalOpts = program.opts();
+    const input = options.input || globalOpts.input;
+
+    if (!input) {
+      throw new Error('Input directory is required (use -i or --input)');
+    }
+
+    const outputDir = path.resolve(options.output || globalOpts.output || path.join(process.cwd(), 'output'));
+    const plan = await workflow.planPipeline({
+      input,
+      output: outputDir,
+      config: globalOpts.config,
+      project: globalOpts.project,
+      prices: globalOpts.prices,
+      maxCost: globalOpts.maxCost,
+      maxCalls: globalOpts.maxCalls,
+      mock: options.mock,
+      force: globalOpts.force,
+      settings: Settings.parseAssignments(globalOpts.set),
+      verbose: globalOpts.verbose
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(plan, null, 2));
+      return;
+    }
+
+    const { prices, totals } = plan;
+    console.log(chalk.blue(`🧮 Plan for the ${plan.pipeline} pipeline\n`));
+
+    for (const entry of plan.stages) {
+      const name = entry.stage.padEnd(16);
+
+      if (entry.upToDate) {
+        console.log(chalk.gray(`○ ${name} Up to date`));
+        continue;
+      }
+
+      // Counts projected from an earlier stage that has not run yet
+      const about = entry.projected ? '~' : '';
+      const counts = [
+        entry.images !== null && entry.images !== undefined ? `${about}${entry.images} images` : 'image count unknown until earlier stages run',
+        entry.batches ? `${about}${entry.batches} batch(es)${entry.reusedBatches ? `, ${entry.reusedBatches} checkpointed` : ''}` : null,
+        entry.usage.gemini ? `${about}${entry.usage.gemini.calls} Gemini call(s)` : null,
+        entry.usage.imagen ? `${about}${entry.usage.imagen.images} Imagen upload(s)` : null,
+        entry.cost > 0 ? formatCost(prices, entry.cost) : null
+      ];
+      console.log(chalk.green(`▶ ${name} ${counts.filter(Boolean).join(' · ')}`));
+
+      if (entry.note) {
+        console.log(chalk.yellow(`    ${entry.note}`));
+      }
+    }
+
+    console.log(chalk.blue(`\nPaid AI calls: ${totals.calls}`));
+    console.log(chalk.blue(`Estimated cost: ${formatCost(prices, totals.cost)}`));
+    console.log(chalk.gray(`Prices: ${globalOpts.prices ? path.resolve(globalOpts.prices) : 'built-in defaults (use --prices for your own rates)'}`));
+
+    if (plan.maxCalls !== null && totals.calls > plan.maxCalls) {
+      console.log(chalk.yellow(`⚠ More than --max-calls ${plan.maxCalls}; the run will stop at the limit`));
+    }
+    if (plan.maxCost !== null && totals.cost > plan.maxCost) {
+      console.log(chalk.yellow(`⚠ Over --max-cost ${formatCost(prices, plan.maxCost)}; the run will stop at the limit`));
+    }
+
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Print a run's paid AI calls and their estimated cost, if it made any
+ */
+function printSpend(spend) {
+  if (!spend || spend.calls === 0) {
+    return;
+  }
+
+  console.log(chalk.gray(`AI spend: ${spend.calls} call(s), about ${formatCost(spend, spend.cost)}`));
+}
+
+/**
+ * Format milliseconds as e.g. "850ms", "12.4s" or "3m 5s"
+ */
+function formatDuration(ms) {
+  if (ms < 1000) {
+    return `${ms}ms`;
+  }
+
+  if (ms < 60000) {
+    return `${(ms / 1000).toFixed(1)}s`;
+  }
+
+  return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+}
+
 // Handle unhandled rejections
 process.on('unhandledRejection', (reason, promise) => {
   console.error(chalk.red('Unhandled Rejection at:'), promise, chalk.red('reason:'), reason);
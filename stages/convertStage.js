@@ -1,8 +1,18 @@
 /**
- * Convert Stage - Simplified RAW to JPEG conversion using only dcraw
+ * Convert Stage - Simplified RAW to JPEG conversion
  * 
  * Removed Sharp dependency since it doesn't support Sony ARW files.
- * Uses dcraw for all RAW conversions with metadata preservation.
+ * Each RAW file's largest embedded JPEG is used where it has one, read
+ * without external tools; files without one are developed by the first
+ * installed RAW decoder that reads their format (lib/rawDecoders.js), which
+ * conversion_report.json records per file. Metadata is preserved either way.
+ *
+ * Every file gets a development profile (lib/developmentProfiles.js): the
+ * one named for the run, else its camera's, else the developmentProfile
+ * setting. The report records which one and why. A profile with 16-bit TIFF
+ * output writes the TIFF to tiff16/<name>.tif for retouching, plus
+ * <name>.jpg as a proxy for the later stages, which Gemini cannot cull from
+ * a TIFF; later stages leave the tiff16 folder alone.
  */
 
 const fs = require('fs-extra');
@@ -10,13 +20,26 @@ const path = require('path');
 const { glob } = require('glob');
 const MetadataPreserver = require('../lib/metadataPreserver');
 const DcrawConverter = require('../lib/dcrawConverter');
+const WorkerPool = require('../lib/workerPool');
+const DevelopmentProfiles = require('../lib/developmentProfiles');
+const Settings = require('../lib/settings');
+
+// Folder of the convert output holding 16-bit TIFFs for retouching
+const MASTERS_DIR = 'tiff16';
 
 class ConvertStage {
   constructor(options = {}) {
     this.auditLogger = options.auditLogger;
-    this.supportedFormats = ['.arw', '.cr2', '.nef', '.orf', '.dng', '.raw', '.raf'];
-    this.metadataPreserver = new MetadataPreserver(this.auditLogger);
-    this.dcrawConverter = new DcrawConverter(this.auditLogger);
+    this.settings = options.settings || Settings.resolve();
+    this.supportedFormats = this.settings.get('supportedRawFormats');
+    this.metadataPreserver = new MetadataPreserver(this.auditLogger, {
+      useFileTimeFallback: this.settings.get('useFileTimeFallback')
+    });
+    this.dcrawConverter = new DcrawConverter(this.auditLogger, {
+      decoder: this.settings.get('rawDecoder')
+    });
+    // Built-ins until execute() loads the developmentProfilesPath file
+    this.developmentProfiles = new DevelopmentProfiles();
   }
 
   /**
@@ -24,31 +47,38 @@ class ConvertStage {
    */
   async execute(options) {
     const startTime = Date.now();
-    const { inputPath, outputPath, auditLogger, dryRun = false, mock = false } = options;
+    const { inputPath, outputPath, auditLogger, dryRun = false, mock = false, progress = null, jobs, fingerprints = null, signal = null } = options;
     
     // Configuration
-    const quality = parseInt(options.quality) || 90;
-    const resize = options.resize || null;
+    const { quality, resize, profile, defaultProfile } = this.getConversionSettings(options);
     
     auditLogger.logEvent('convert_stage_start', {
       inputPath,
       outputPath,
       quality,
       resize,
+      profile,
+      defaultProfile,
       dryRun,
       mock
     });
 
     try {
-      // Initialize dcraw converter
-      const dcrawAvailable = await this.dcrawConverter.initialize();
-      
-      if (!dcrawAvailable && !mock) {
-        throw new Error('dcraw is not installed. Install with: brew install dcraw');
+      this.developmentProfiles = await this.loadDevelopmentProfiles();
+
+      for (const name of [profile, defaultProfile].filter(Boolean)) {
+        if (!this.developmentProfiles.has(name)) {
+          throw new Error(`Unknown development profile: ${name}. Available profiles: ${this.developmentProfiles.names().join(', ')}`);
+        }
       }
 
-      // Find all RAW files
-      const rawFiles = await this.findRawFiles(inputPath);
+      // Without a decoder, files with no usable embedded JPEG fail one by one
+      await this.dcrawConverter.initialize();
+
+      // Find all RAW files, unless the caller (watch mode) names them
+      const rawFiles = options.files
+        ? [...new Set(options.files)].sort()
+        : await this.findRawFiles(inputPath);
       
       if (rawFiles.length === 0) {
         auditLogger.logEvent('no_raw_files_found', { inputPath });
@@ -67,117 +97,35 @@ class ConvertStage {
       // Ensure output directory exists
       await fs.ensureDir(outputPath);
 
-      // Process files
+      // Process files in parallel; outcomes come back in input order
       const results = [];
       const errors = [];
+      const pool = new WorkerPool({ concurrency: jobs, auditLogger, name: 'convert_pool', signal });
       
-      for (const rawFile of rawFiles) {
-        const fileName = path.basename(rawFile, path.extname(rawFile));
-        const jpegFile = path.join(outputPath, `${fileName}.jpg`);
-        
-        // Process this file
-        auditLogger.startOperation(`convert_${path.basename(rawFile)}`);
-        
-        try {
-            // Extract metadata first
-            auditLogger.logEvent('metadata_extraction_start', {
-              file: path.basename(rawFile),
-              operation: 'comprehensive_exif_read'
-            });
-            
-            const metadata = await this.metadataPreserver.extractMetadata(rawFile);
-            
-            // Log extracted metadata details
-            if (metadata?.timestamps?.primary) {
-              auditLogger.logEvent('metadata_extracted_enhanced', {
-                file: path.basename(rawFile),
-                camera: metadata.full?.Make ? `${metadata.full.Make} ${metadata.full.Model}` : 'Unknown',
-                iso: metadata.full?.ISO || 'Unknown',
-                aperture: metadata.full?.FNumber || metadata.full?.ApertureValue || 'Unknown',
-                shutterSpeed: metadata.full?.ExposureTime || metadata.full?.ShutterSpeedValue || 'Unknown',
-                primaryTimestamp: metadata.timestamps.primary.value,
-                timestampFields: Object.keys(metadata.timestamps.available).length,
-                totalMetadataFields: Object.keys(metadata.full || {}).length
-              });
-            }
-
-            if (dryRun) {
-              auditLogger.logDecision('dry_run_skip', 'skip', {
-                file: rawFile,
-                wouldConvertTo: jpegFile
-              });
-              results.push({ 
-                input: rawFile, 
-                output: jpegFile, 
-                dryRun: true,
-                metadata: metadata?.timestamps?.primary
-              });
-              continue;
-            }
-
-            // Convert using dcraw
-            const conversionResult = await this.dcrawConverter.convert(
-              rawFile,
-              jpegFile,
-              { quality, resize, method: 'auto' }
-            );
-
-            // Re-embed critical EXIF metadata (especially timestamps) after dcraw conversion
-            if (metadata && metadata.timestamps) {
-              auditLogger.logEvent('preserving_timestamps', {
-                file: path.basename(jpegFile),
-                originalTimestamp: metadata.timestamps.primary?.value
-              });
-              
-              try {
-                await this.metadataPreserver.reembedMetadata(jpegFile, metadata);
-                auditLogger.logEvent('timestamps_preserved', {
-                  file: path.basename(jpegFile),
-                  success: true
-                });
-              } catch (embedError) {
-                auditLogger.logError(embedError, {
-                  operation: 'timestamp_preservation',
-                  file: path.basename(jpegFile)
-                });
-              }
-            }
-
-            // Verify metadata preservation
-            const outputMetadata = await this.metadataPreserver.extractMetadata(jpegFile);
-            const metadataPreserved = this.verifyMetadataPreservation(metadata, outputMetadata);
-
-            results.push({
-              input: rawFile,
-              output: jpegFile,
-              success: true,
-              method: conversionResult.method,
-              size: conversionResult.size,
-              metadataPreserved,
-              timestamp: metadata?.timestamps?.primary?.value
-            });
-
-            auditLogger.logEvent('file_converted', {
-              input: path.basename(rawFile),
-              output: path.basename(jpegFile),
-              method: conversionResult.method,
-              size: conversionResult.size,
-              metadataPreserved
-            });
-
-          } catch (error) {
-            errors.push({
-              file: rawFile,
-              error: error.message
-            });
-            
-            auditLogger.logError(error, `Failed to convert ${path.basename(rawFile)}`);
-            
-            // Log fallback attempts
-            auditLogger.logFallback('dcraw_conversion', 'skip_file', error.message, false);
-          }
-          
-          auditLogger.endOperation();
+      const outcomes = await pool.run(rawFiles, (rawFile, task) =>
+        this.convertFile(rawFile, {
+          inputPath,
+          outputPath,
+          quality,
+          resize,
+          profile,
+          defaultProfile,
+          dryRun,
+          progress,
+          fingerprints,
+          auditLogger: task.auditLogger
+        })
+      );
+      
+      for (const outcome of outcomes) {
+        if (outcome.error) {
+          errors.push({
+            file: outcome.item,
+            error: outcome.error.message
+          });
+        } else {
+          results.push(outcome.value);
+        }
       }
 
       // Generate conversion report
@@ -194,6 +142,14 @@ class ConvertStage {
             Math.round((Date.now() - startTime) / results.length) : 0
         },
         fileFormats: this.getFormatBreakdown(rawFiles),
+        decoders: this.dcrawConverter.decoders.describe().map(({ formats, ...decoder }) => decoder),
+        decodersUsed: this.countDecodersUsed(results),
+        developmentProfiles: {
+          file: this.developmentProfiles.source,
+          run: profile,
+          default: defaultProfile,
+          used: this.countProfilesUsed(results)
+        },
         errors,
         outputFiles: results,
         metadataPreservation: {
@@ -223,6 +179,7 @@ class ConvertStage {
       return {
         filesProcessed: results.length,
         success: true,
+        errors: errors.length,
         duration: Date.now() - startTime
       };
 
@@ -232,6 +189,326 @@ class ConvertStage {
     }
   }
 
+  /**
+   * Convert a single RAW file (runs inside a worker pool task)
+   */
+  async convertFile(rawFile, options) {
+    const { inputPath, outputPath, quality, resize, profile, defaultProfile, dryRun, progress, fingerprints, auditLogger } = options;
+    const fileName = path.basename(rawFile, path.extname(rawFile));
+    const unitId = path.relative(inputPath, rawFile);
+    const fingerprint = await fingerprints?.forFiles([rawFile], {
+      quality,
+      resize,
+      profile,
+      defaultProfile,
+      developmentProfiles: this.developmentProfiles.toJSON()
+    });
+    
+    // Skip files already converted from the same RAW with the same settings
+    const previous = progress?.get(unitId);
+    if (progress?.has(unitId, fingerprint) && previous?.output && await fs.pathExists(previous.output) &&
+      (!previous.master || await fs.pathExists(previous.master))) {
+      return progress.reuse(unitId, auditLogger);
+    }
+    
+    // Shared helpers log through this task's logger
+    const metadataPreserver = this.metadataPreserver.withLogger(auditLogger);
+    const dcrawConverter = this.dcrawConverter.withLogger(auditLogger);
+    
+    auditLogger.startOperation(`convert_${path.basename(rawFile)}`);
+    
+    try {
+      // Extract metadata first
+      auditLogger.logEvent('metadata_extraction_start', {
+        file: path.basename(rawFile),
+        operation: 'comprehensive_exif_read'
+      });
+      
+      const metadata = await metadataPreserver.extractMetadata(rawFile);
+      
+      // Log extracted metadata details
+      if (metadata?.timestamps?.primary) {
+        auditLogger.logEvent('metadata_extracted_enhanced', {
+          file: path.basename(rawFile),
+          camera: metadata.full?.Make ? `${metadata.full.Make} ${metadata.full.Model}` : 'Unknown',
+          iso: metadata.full?.ISO || 'Unknown',
+          aperture: metadata.full?.FNumber || metadata.full?.ApertureValue || 'Unknown',
+          shutterSpeed: metadata.full?.ExposureTime || metadata.full?.ShutterSpeedValue || 'Unknown',
+          primaryTimestamp: metadata.timestamps.primary.iso,
+          timestampFields: Object.keys(metadata.timestamps.available).length,
+          totalMetadataFields: Object.keys(metadata.full || {}).length
+        });
+      }
+
+      // The run's profile, else the camera's, else the default
+      const developmentProfile = this.developmentProfiles.resolve({
+        run: profile,
+        fallback: defaultProfile,
+        make: metadata?.full?.Make,
+        model: metadata?.full?.Model
+      });
+      const outputFile = path.join(outputPath, `${fileName}.jpg`);
+      const masterFile = developmentProfile.output === 'tiff16'
+        ? path.join(outputPath, MASTERS_DIR, `${fileName}.tif`)
+        : null;
+
+      auditLogger.logDecision('development_profile_selected',
+        { file: path.basename(rawFile), camera: developmentProfile.camera },
+        developmentProfile.name,
+        this.describeProfileChoice(developmentProfile)
+      );
+
+      if (dryRun) {
+        auditLogger.logDecision('dry_run_skip',
+          { file: rawFile, wouldConvertTo: outputFile, master: masterFile, profile: developmentProfile.name },
+          'skip',
+          'Dry run - conversion skipped'
+        );
+        auditLogger.endOperation({ dryRun: true });
+        
+        return { 
+          input: rawFile, 
+          output: outputFile, 
+          master: masterFile,
+          dryRun: true,
+          profile: {
+            name: developmentProfile.name,
+            chosenBy: developmentProfile.chosenBy,
+            camera: developmentProfile.camera,
+            output: developmentProfile.output
+          },
+          metadata: metadata?.timestamps?.primary
+        };
+      }
+
+      if (masterFile) {
+        await fs.ensureDir(path.dirname(masterFile));
+      }
+
+      // Convert from the embedded JPEG, or develop the RAW data; only
+      // profiles that allow it use the embedded JPEG
+      const conversionResult = await dcrawConverter.convert(
+        rawFile,
+        masterFile || outputFile,
+        {
+          quality,
+          resize,
+          method: developmentProfile.embeddedPreview ? 'auto' : 'full',
+          profile: developmentProfile
+        }
+      );
+
+      // The JPEG proxy of a TIFF master: the embedded JPEG, else developed
+      // with the same profile
+      const proxyResult = masterFile
+        ? await this.convertProxy(dcrawConverter, rawFile, outputFile, { quality, resize, profile: developmentProfile })
+        : null;
+
+      // Re-embed critical EXIF metadata (especially timestamps) after conversion
+      for (const file of [outputFile, masterFile].filter(Boolean)) {
+        if (!metadata || !metadata.timestamps) break;
+
+        auditLogger.logEvent('preserving_timestamps', {
+          file: path.basename(file),
+          originalTimestamp: metadata.timestamps.primary?.iso
+        });
+        
+        try {
+          await metadataPreserver.reembedMetadata(file, metadata);
+          auditLogger.logEvent('timestamps_preserved', {
+            file: path.basename(file),
+            success: true
+          });
+        } catch (embedError) {
+          auditLogger.logError(embedError, {
+            operation: 'timestamp_preservation',
+            file: path.basename(file)
+          });
+        }
+      }
+
+      // Verify metadata preservation
+      const outputMetadata = await metadataPreserver.extractMetadata(outputFile);
+      const metadataPreserved = this.verifyMetadataPreservation(metadata, outputMetadata);
+
+      if (!metadataPreserved && this.settings.get('strictTimestampPreservation')) {
+        // A JPEG without its capture time would be grouped and named wrongly
+        await fs.remove(outputFile);
+        throw new Error(`Capture time of ${path.basename(rawFile)} was not preserved in ${path.basename(outputFile)} (strictTimestampPreservation is on)`);
+      }
+
+      const fileResult = {
+        input: rawFile,
+        output: outputFile,
+        master: masterFile,
+        success: true,
+        method: conversionResult.method,
+        decoder: conversionResult.decoder || null,
+        proxy: proxyResult && { method: proxyResult.method, decoder: proxyResult.decoder || null },
+        profile: {
+          name: developmentProfile.name,
+          chosenBy: developmentProfile.chosenBy,
+          camera: developmentProfile.camera,
+          output: developmentProfile.output,
+          ignoredSettings: conversionResult.ignoredSettings || []
+        },
+        size: conversionResult.size,
+        metadataPreserved,
+        timestamp: metadata?.timestamps?.primary?.iso
+      };
+
+      // A profile change from TIFF output back to JPEG leaves the old TIFF behind
+      for (const stale of [previous?.output, previous?.master]) {
+        if (stale && ![outputFile, masterFile].includes(stale)) {
+          await fs.remove(stale);
+          auditLogger.logEvent('previous_output_removed', {
+            file: path.basename(stale),
+            replacedBy: path.basename(masterFile || outputFile)
+          });
+        }
+      }
+
+      await progress?.record(unitId, fileResult, fingerprint);
+
+      auditLogger.logEvent('file_converted', {
+        input: path.basename(rawFile),
+        output: path.basename(outputFile),
+        master: masterFile && path.relative(outputPath, masterFile),
+        method: conversionResult.method,
+        decoder: conversionResult.decoder || null,
+        profile: developmentProfile.name,
+        size: conversionResult.size,
+        metadataPreserved
+      });
+      
+      auditLogger.endOperation();
+      return fileResult;
+
+    } catch (error) {
+      auditLogger.logError(error, `Failed to convert ${path.basename(rawFile)}`);
+      
+      // Log fallback attempts
+      auditLogger.logFallback('dcraw_conversion', 'skip_file', error.message, false);
+      auditLogger.endOperation();
+      
+      throw error;
+    }
+  }
+
+  /**
+   * Write the JPEG that cull and the later stages read for a file developed
+   * to a 16-bit TIFF
+   */
+  async convertProxy(dcrawConverter, rawFile, proxyFile, { quality, resize, profile }) {
+    try {
+      return await dcrawConverter.convert(rawFile, proxyFile, {
+        quality,
+        resize,
+        method: 'auto',
+        profile: { ...profile, output: 'jpeg' }
+      });
+    } catch (error) {
+      throw new Error(`Wrote the 16-bit TIFF of ${path.basename(rawFile)}, but no JPEG for culling: ${error.message}`);
+    }
+  }
+
+  /**
+   * Normalized conversion settings from the stage options, defaulting
+   * from the settings
+   */
+  getConversionSettings(options) {
+    return {
+      quality: parseInt(options.quality) || this.settings.get('defaultJpegQuality'),
+      resize: options.resize || this.settings.get('defaultResize'),
+      // The profile named for this run; null lets each camera's profile apply
+      profile: options.profile || null,
+      defaultProfile: this.settings.get('developmentProfile')
+    };
+  }
+
+  /**
+   * Load the developmentProfilesPath file over the built-in profiles
+   */
+  async loadDevelopmentProfiles() {
+    const profiles = await DevelopmentProfiles.load(this.settings.get('developmentProfilesPath'));
+
+    this.auditLogger?.logEvent('development_profiles_loaded', {
+      source: profiles.source || 'built-in',
+      profiles: profiles.names(),
+      cameras: Object.keys(profiles.cameras).length
+    });
+
+    return profiles;
+  }
+
+  /**
+   * Why a file got its development profile, for the audit log
+   */
+  describeProfileChoice(profile) {
+    if (profile.chosenBy === 'run') {
+      return 'Profile named for this run';
+    }
+
+    if (profile.chosenBy === 'camera') {
+      return `Profile assigned to ${profile.camera}`;
+    }
+
+    return `No run or camera profile${profile.camera ? ` for ${profile.camera}` : ''}; developmentProfile setting`;
+  }
+
+  /**
+   * Count the RAW files a run would convert; conversion makes no paid calls
+   */
+  async estimate(options) {
+    const images = options.files
+      ? new Set(options.files).size
+      : options.imageCount ?? (await this.findRawFiles(options.inputPath)).length;
+
+    return { images, outputImages: images, usage: {} };
+  }
+
+  /**
+   * Settings that decide the stage output, for incremental rebuilds
+   */
+  async getFingerprintInputs(options) {
+    return {
+      ...this.getConversionSettings(options),
+      developmentProfiles: (await DevelopmentProfiles.load(this.settings.get('developmentProfilesPath'))).toJSON(),
+      formats: this.supportedFormats,
+      rawDecoder: this.settings.get('rawDecoder'),
+      strictTimestamps: this.settings.get('strictTimestampPreservation'),
+      files: options.files ? [...new Set(options.files)].sort() : null
+    };
+  }
+
+  /**
+   * Count converted files by how they were made: the decoder name, or
+   * embedded for files taken from their embedded JPEG
+   */
+  countDecodersUsed(results) {
+    const counts = {};
+
+    for (const result of results.filter(r => !r.dryRun)) {
+      const used = result.decoder || 'embedded';
+      counts[used] = (counts[used] || 0) + 1;
+    }
+
+    return counts;
+  }
+
+  /**
+   * Count files by the development profile chosen for them
+   */
+  countProfilesUsed(results) {
+    const counts = {};
+
+    for (const result of results.filter(r => !r.dryRun && r.profile)) {
+      counts[result.profile.name] = (counts[result.profile.name] || 0) + 1;
+    }
+
+    return counts;
+  }
+
   /**
    * Find all RAW files in input directory
    */
@@ -246,7 +523,8 @@ class ConvertStage {
       files.push(...matches);
     }
     
-    return files;
+    // glob order varies between runs; sort so logs and reports are stable
+    return [...new Set(files)].sort();
   }
 
   /**
@@ -269,12 +547,14 @@ class ConvertStage {
       return false;
     }
     
-    // Check if primary timestamp matches
-    const origTime = originalMeta.timestamps.primary.value;
-    const convTime = convertedMeta.timestamps.primary.value;
+    // Check if primary timestamp matches (to the second)
+    const origTime = originalMeta.timestamps.primary.unix;
+    const convTime = convertedMeta.timestamps.primary.unix;
     
-    return origTime === convTime;
+    return Math.abs(origTime - convTime) < 1000;
   }
 }
 
+ConvertStage.MASTERS_DIR = MASTERS_DIR;
+
 module.exports = ConvertStage;
\ No newline at end of file
@@ -8,13 +8,29 @@
 const fs = require('fs-extra');
 const path = require('path');
 const axios = require('axios');
+const crypto = require('crypto');
 const { glob } = require('glob');
+const { DEFAULT_PROFILE, getPromptPath, hasPromptProfile, listPromptProfiles } = require('../lib/promptProfiles');
+const { hashValue } = require('../lib/fingerprint');
+const { BudgetExceededError } = require('../lib/budgetTracker');
+const Settings = require('../lib/settings');
+const { withRetry } = require('../lib/apiRetry');
+
+// Image formats Gemini reads, by extension
+const GEMINI_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png'
+};
 
 class CullStage {
   constructor(options = {}) {
     this.auditLogger = options.auditLogger;
-    this.geminiApiKey = process.env.GEMINI_API_KEY;
-    this.supportedFormats = ['.jpg', '.jpeg']; // Only JPEG from Stage 1
+    this.settings = options.settings || Settings.resolve();
+    this.geminiApiKey = this.settings.get('geminiApiKey');
+    this.supportedFormats = this.settings.get('supportedImageFormats').filter(ext => GEMINI_MIME_TYPES[ext]);
+    // Images per contextual Gemini request; smaller batches give more reliable responses
+    this.batchSize = this.settings.get('maxCullingBatchSize');
     this.enableQACheck = options.enableQACheck !== false; // Default true
     this.targetKeeperRate = options.targetKeeperRate || 0.4; // 40% default
   }
@@ -24,20 +40,25 @@ class CullStage {
    */
   async execute(options) {
     const startTime = Date.now();
-    const { inputPath, outputPath, auditLogger, dryRun = false } = options;
+    const { inputPath, outputPath, auditLogger, dryRun = false, progress = null, fingerprints = null, project = null, signal = null, budget = null, notifier = null } = options;
     
     // Configuration
-    const threshold = parseFloat(options.threshold) || 0.7; // 0-1 rating threshold
+    const { threshold, promptProfile } = this.getCullSettings(options);
     
     // Validate threshold
     if (isNaN(threshold) || threshold < 0 || threshold > 1) {
       throw new Error(`Invalid threshold value: ${options.threshold}. Threshold must be between 0 and 1.`);
     }
     
+    if (!hasPromptProfile(promptProfile)) {
+      throw new Error(`Unknown prompt profile: ${promptProfile}. Available profiles: ${listPromptProfiles().join(', ')}`);
+    }
+    
     auditLogger.logEvent('cull_stage_start', {
       inputPath,
       outputPath,
       threshold,
+      promptProfile,
       dryRun,
       hasApiKey: !!this.geminiApiKey
     });
@@ -45,7 +66,7 @@ class CullStage {
     try {
       // Check API key - required for operation
       if (!this.geminiApiKey) {
-        const error = new Error('Gemini API key is required. Set GEMINI_API_KEY environment variable.');
+        const error = new Error('Gemini API key is required. Set GEMINI_API_KEY environment variable or the geminiApiKey setting.');
         auditLogger.logError(error, {
           operation: 'api_key_check',
           suggestion: 'Set GEMINI_API_KEY in .env file'
@@ -85,7 +106,13 @@ class CullStage {
       const curationResults = await this.performContextualCulling(imageFiles, {
         auditLogger,
         threshold,
-        dryRun
+        promptProfile,
+        project,
+        dryRun,
+        progress,
+        fingerprints,
+        signal,
+        budget
       });
 
       // PASS 2: Quality Assurance Check (if enabled)
@@ -97,11 +124,30 @@ class CullStage {
 
         const qaResults = await this.performQACheck(curationResults.selectedImages, {
           auditLogger,
-          dryRun
+          project,
+          dryRun,
+          progress,
+          fingerprints,
+          budget
         });
 
         // Merge QA results with curation results
         finalResults = this.mergeQAResults(curationResults, qaResults, auditLogger);
+        auditLogger.logProgress({
+          current: 'QA check',
+          kept: finalResults.selectedImages.length,
+          culled: imageFiles.length - finalResults.selectedImages.length
+        });
+
+        // The QA gate pulled keepers; someone may want to review them
+        if (qaResults.failed?.length > 0) {
+          notifier?.notify('quality_gate', `QA check rejected ${qaResults.failed.length} of ${curationResults.selectedImages.length} selected images`, {
+            stage: 'cull',
+            gate: 'qa_check',
+            selected: curationResults.selectedImages.length,
+            rejected: qaResults.failed.map(image => ({ filename: image.filename, reason: image.reason || null }))
+          });
+        }
       }
 
       // Prepare final results structure
@@ -110,7 +156,8 @@ class CullStage {
         file: img.path || path.join(inputPath, img.filename),
         filename: img.filename,
         rating: img.technical_score || img.score || 0.8,
-        reasoning: img.reason
+        reasoning: img.reason,
+        isHeroShot: img.isHeroShot || false
       }));
       
       const results = {
@@ -133,6 +180,11 @@ class CullStage {
         await this.copySelectedFiles(results.selectedFiles, outputPath, auditLogger);
       }
 
+      // Drop earlier selections a re-cull no longer keeps
+      if (!dryRun) {
+        await this.removeDeselectedFiles(results.selectedFiles, outputPath, auditLogger);
+      }
+
       results.duration = Date.now() - startTime;
       
       // Log culling summary
@@ -155,6 +207,12 @@ class CullStage {
       return results;
 
     } catch (error) {
+      // Reaching the budget is a planned stop, not a failure; finished
+      // batches stay checkpointed for the next run
+      if (error instanceof BudgetExceededError) {
+        throw error;
+      }
+
       auditLogger.logError(error, {
         operation: 'cull_stage_execution',
         inputPath,
@@ -170,6 +228,100 @@ class CullStage {
     }
   }
 
+  /**
+   * Normalized culling settings from the stage options, defaulting from
+   * the settings
+   */
+  getCullSettings(options) {
+    return {
+      threshold: parseFloat(options.threshold) || this.settings.get('defaultCullingThreshold'), // 0-1 rating threshold
+      promptProfile: options.promptProfile || DEFAULT_PROFILE
+    };
+  }
+
+  /**
+   * Settings that decide the stage output, including the prompt text, so
+   * editing a prompt file reruns culling but not the stages before it
+   */
+  async getFingerprintInputs(options) {
+    const { threshold, promptProfile } = this.getCullSettings(options);
+
+    return {
+      threshold,
+      promptProfile,
+      batchSize: this.batchSize,
+      prompt: hashValue(await this.loadContextualPrompt(promptProfile, options.project)),
+      qaPrompt: this.enableQACheck ? hashValue(await this.loadQAPrompt(options.project)) : null
+    };
+  }
+
+  /**
+   * Estimate the Gemini requests a run would make: one per contextual batch
+   * plus one QA request for the selected images not checked yet. With the
+   * input on disk, batches checkpointed with matching fingerprints are free;
+   * otherwise imageCount is the previous stage's estimate.
+   */
+  async estimate(options) {
+    const { threshold, promptProfile } = this.getCullSettings(options);
+    const { imageCount = null, progress = null, fingerprints = null, project = null } = options;
+
+    const imageFiles = imageCount === null ? await this.findImageFiles(options.inputPath) : null;
+    const images = imageFiles ? imageFiles.length : imageCount;
+    let batches = Math.ceil(images / this.batchSize);
+    const expectedKeepers = Math.round(images * this.targetKeeperRate);
+
+    let pendingBatches = batches;
+    let pendingImages = images;
+    let selected = null;
+
+    if (imageFiles && progress) {
+      const promptHash = hashValue(await this.loadContextualPrompt(promptProfile, project));
+      selected = [];
+
+      const plan = await this.planBatches(imageFiles, { threshold, promptProfile, prompt: promptHash }, { progress, fingerprints });
+      batches = plan.length;
+      pendingBatches = plan.length;
+
+      for (const { unitId, files, fingerprint } of plan) {
+        if (progress.has(unitId, fingerprint)) {
+          pendingBatches--;
+          pendingImages -= files.length;
+          selected.push(...(progress.get(unitId)?.selectedImages || []));
+        }
+      }
+
+      // The keepers are only known once every batch is checkpointed
+      if (pendingBatches > 0) {
+        selected = null;
+      }
+    }
+
+    // The QA request only covers keepers no checkpointed QA pass has checked
+    let qa = { calls: 0, images: 0 };
+    if (this.enableQACheck && images > 0) {
+      qa = { calls: 1, images: selected ? selected.length : Math.round(pendingImages * this.targetKeeperRate) };
+
+      if (selected && pendingBatches === 0) {
+        const imagePaths = selected.map(img => img.path || img.filename);
+        const qaPrompt = hashValue(await this.loadQAPrompt(project));
+        const { pending } = await this.planUnits(imagePaths, 'qa:', { qaPrompt }, { progress, fingerprints });
+
+        qa = { calls: pending.length > 0 ? 1 : 0, images: pending.length };
+      }
+    }
+
+    return {
+      images,
+      batches,
+      reusedBatches: batches - pendingBatches,
+      outputImages: selected && pendingBatches === 0 ? selected.length : expectedKeepers,
+      usage: {
+        gemini: { calls: pendingBatches + qa.calls, images: pendingImages + qa.images }
+      },
+      note: this.geminiApiKey ? null : 'GEMINI_API_KEY is not set; the stage will fail'
+    };
+  }
+
   /**
    * Find all image files in directory
    */
@@ -209,6 +361,51 @@ class CullStage {
     return batches;
   }
 
+  /**
+   * Split the images into Gemini batches. A checkpointed batch keeps its
+   * images while they are all still here and unchanged, so frames added
+   * later (a hot folder increment) form batches of their own instead of
+   * shifting every later batch and having it billed again; the other
+   * images are batched in name order. Returns [{ unitId, files, fingerprint }].
+   */
+  async planBatches(imageFiles, inputs, options = {}) {
+    const { units, pending } = await this.planUnits(imageFiles, 'batch:', inputs, options);
+
+    for (const files of this.createBatches(pending, this.batchSize)) {
+      const fingerprint = await options.fingerprints?.forFiles(files, inputs);
+      units.push({ unitId: this.getBatchUnitId(files), files, fingerprint });
+    }
+
+    return units.sort((a, b) => a.files[0].localeCompare(b.files[0]));
+  }
+
+  /**
+   * Find the checkpointed units (ids starting with prefix) that still cover
+   * exactly the files they were recorded with, unchanged, and the files none
+   * of them covers. Where two units share a file, the newer one counts.
+   */
+  async planUnits(files, prefix, inputs, { progress = null, fingerprints = null } = {}) {
+    const byName = new Map(files.map(file => [path.basename(file), file]));
+    const covered = new Set();
+    const units = [];
+
+    for (const entry of progress?.list(prefix) || []) {
+      const unitFiles = (entry.data?.files || []).map(name => byName.get(name));
+
+      if (unitFiles.length === 0 || unitFiles.some(file => !file || covered.has(file))) {
+        continue;
+      }
+
+      const fingerprint = await fingerprints?.forFiles(unitFiles, inputs);
+      if (progress.has(entry.unit, fingerprint)) {
+        unitFiles.forEach(file => covered.add(file));
+        units.push({ unitId: entry.unit, files: unitFiles, fingerprint });
+      }
+    }
+
+    return { units, pending: files.filter(file => !covered.has(file)) };
+  }
+
   /**
    * Process a batch of images
    */
@@ -304,7 +501,7 @@ class CullStage {
       // Prepare Gemini API request
       const prompt = await this.createCullingPrompt();
       
-      const response = await axios.post(
+      const response = await withRetry(() => axios.post(
         `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${this.geminiApiKey}`,
         {
           contents: [{
@@ -323,9 +520,9 @@ class CullStage {
           headers: {
             'Content-Type': 'application/json'
           },
-          timeout: 30000 // 30 second timeout
+          timeout: this.settings.get('apiRequestTimeout')
         }
-      );
+      ), { settings: this.settings, auditLogger, operation: 'gemini_rate_image' });
 
       // Parse response
       const responseText = response.data.candidates[0].content.parts[0].text;
@@ -364,13 +561,11 @@ class CullStage {
    * Perform contextual culling on all images together
    */
   async performContextualCulling(imageFiles, options) {
-    const { auditLogger, threshold, dryRun } = options;
+    const { auditLogger, threshold, promptProfile, project, dryRun, progress, fingerprints, signal, budget } = options;
     
     try {
       auditLogger.startOperation('contextual_culling');
       
-      // Process in batches for large sets
-      const BATCH_SIZE = 25; // Reduced for more reliable responses
       const results = {
         selectedImages: [],
         culledImages: [],
@@ -379,26 +574,57 @@ class CullStage {
         qualityIssues: []
       };
       
-      if (imageFiles.length > BATCH_SIZE) {
+      // Load contextual culling prompt; its text is part of every batch fingerprint
+      const prompt = await this.loadContextualPrompt(promptProfile, project);
+      const promptHash = hashValue(prompt);
+
+      const batches = await this.planBatches(imageFiles, { threshold, promptProfile, prompt: promptHash }, { progress, fingerprints });
+      const totalBatches = batches.length;
+      let imagesDone = 0;
+      
+      if (totalBatches > 1) {
         auditLogger.logEvent('batch_processing_start', {
           totalImages: imageFiles.length,
-          batchSize: BATCH_SIZE,
-          totalBatches: Math.ceil(imageFiles.length / BATCH_SIZE)
+          batchSize: this.batchSize,
+          totalBatches
+        });
+      }
+      
+      for (let i = 0; i < totalBatches; i++) {
+        // A cancelled run stops before paying for another batch
+        signal?.throwIfAborted();
+
+        const { unitId, files: batch, fingerprint } = batches[i];
+        const batchNumber = i + 1;
+
+        // Images not selected so far count as culled, listed by Gemini or not
+        auditLogger.logProgress({
+          done: imagesDone,
+          total: imageFiles.length,
+          unit: 'images',
+          current: `batch ${batchNumber}/${totalBatches}`,
+          kept: results.selectedImages.length,
+          culled: imagesDone - results.selectedImages.length
         });
         
-        // Process in multiple batches
-        for (let i = 0; i < imageFiles.length; i += BATCH_SIZE) {
-          const batch = imageFiles.slice(i, Math.min(i + BATCH_SIZE, imageFiles.length));
-          const batchNumber = Math.floor(i / BATCH_SIZE) + 1;
-          const totalBatches = Math.ceil(imageFiles.length / BATCH_SIZE);
-          
-          auditLogger.logEvent('processing_batch', {
-            batchNumber,
-            totalBatches,
-            batchSize: batch.length,
-            startIndex: i
-          });
+        let batchResults;
+        
+        if (progress?.has(unitId, fingerprint)) {
+          // Same images, prompt and threshold as a batch already paid for
+          batchResults = progress.reuse(unitId);
+        } else {
+          if (totalBatches > 1) {
+            auditLogger.logEvent('processing_batch', {
+              batchNumber,
+              totalBatches,
+              batchSize: batch.length,
+              startIndex: imagesDone
+            });
+          }
           
+          // Stop before a request the budget cannot cover
+          budget?.reserve('gemini', { images: batch.length }, auditLogger);
+
           // Prepare batch images for Gemini
           const imagesData = [];
           for (const imagePath of batch) {
@@ -407,33 +633,45 @@ class CullStage {
               path: imagePath,
               filename: path.basename(imagePath),
               base64: imageBase64,
-              mimeType: 'image/jpeg'
+              mimeType: this.getMimeType(path.extname(imagePath))
             });
           }
           
-          // Load contextual culling prompt
-          const prompt = await this.loadContextualPrompt();
-          
           // Call Gemini for this batch
-          const response = await this.callGeminiContextual(imagesData, prompt, auditLogger);
+          const response = await this.callGeminiContextual(imagesData, prompt, auditLogger, budget);
           
           // Process batch response
-          const batchResults = this.processContextualResponse(response, batch, threshold, auditLogger);
-          
-          // Aggregate results
-          results.selectedImages.push(...(batchResults.selectedImages || []));
-          results.culledImages.push(...(batchResults.culledImages || []));
-          results.duplicateGroups.push(...(batchResults.duplicateGroups || []));
-          results.suggestedGroupings.push(...(batchResults.suggestedGroupings || []));
-          results.qualityIssues.push(...(batchResults.qualityIssues || []));
+          batchResults = this.processContextualResponse(response, batch, threshold, auditLogger);
           
+          // The batch's images, so later runs keep it together
+          await progress?.record(unitId, { ...batchResults, files: batch.map(file => path.basename(file)) }, fingerprint);
+        }
+        
+        // Aggregate results
+        results.selectedImages.push(...(batchResults.selectedImages || []));
+        results.culledImages.push(...(batchResults.culledImages || []));
+        results.duplicateGroups.push(...(batchResults.duplicateGroups || []));
+        results.suggestedGroupings.push(...(batchResults.suggestedGroupings || []));
+        results.qualityIssues.push(...(batchResults.qualityIssues || []));
+
+        imagesDone += batch.length;
+        auditLogger.logProgress({
+          done: imagesDone,
+          total: imageFiles.length,
+          kept: results.selectedImages.length,
+          culled: imagesDone - results.selectedImages.length
+        });
+        
+        if (totalBatches > 1) {
           auditLogger.logEvent('batch_processed', {
             batchNumber,
             selected: batchResults.selectedImages?.length || 0,
             culled: batchResults.culledImages?.length || 0
           });
         }
-        
+      }
+      
+      if (totalBatches > 1) {
         // Post-process to ensure global duplicate detection
         results.duplicateGroups = this.consolidateDuplicateGroups(results.duplicateGroups);
         
@@ -442,33 +680,8 @@ class CullStage {
           totalCulled: results.culledImages.length,
           selectionRate: ((results.selectedImages.length / imageFiles.length) * 100).toFixed(1) + '%'
         });
-        
-      } else {
-        // Small batch - process all at once
-        const imagesData = [];
-        for (const imagePath of imageFiles) {
-          const imageBase64 = await fs.readFile(imagePath, 'base64');
-          imagesData.push({
-            path: imagePath,
-            filename: path.basename(imagePath),
-            base64: imageBase64,
-            mimeType: 'image/jpeg'
-          });
-        }
-        
-        const prompt = await this.loadContextualPrompt();
-        const response = await this.callGeminiContextual(imagesData, prompt, auditLogger);
-        const singleResults = this.processContextualResponse(response, imageFiles, threshold, auditLogger);
-        
-        // Use single batch results
-        results.selectedImages = singleResults.selectedImages || [];
-        results.culledImages = singleResults.culledImages || [];
-        results.duplicateGroups = singleResults.duplicateGroups || [];
-        results.suggestedGroupings = singleResults.suggestedGroupings || [];
-        results.qualityIssues = singleResults.qualityIssues || [];
       }
       
-      
       auditLogger.endOperation({
         selected: results.selectedImages?.length || 0,
         culled: results.culledImages?.length || 0,
@@ -477,45 +690,79 @@ class CullStage {
       
       return results;
     } catch (error) {
-      auditLogger.logError(error, { operation: 'contextual_culling' });
+      if (!(error instanceof BudgetExceededError)) {
+        auditLogger.logError(error, { operation: 'contextual_culling' });
+      }
       throw error;
     }
   }
 
   /**
-   * Perform QA check on selected images
+   * Build a stable checkpoint id for a batch from its file names
+   */
+  getBatchUnitId(batch, prefix = 'batch') {
+    const hash = crypto.createHash('sha1');
+    batch.forEach(file => hash.update(path.basename(file) + '\n'));
+    return `${prefix}:${hash.digest('hex').substring(0, 16)}`;
+  }
+
+  /**
+   * Perform QA check on selected images. Keepers a checkpointed QA pass
+   * already checked keep its verdict; only the others go to Gemini.
    */
   async performQACheck(selectedImages, options) {
-    const { auditLogger, dryRun } = options;
+    const { auditLogger, project, dryRun, progress, fingerprints, budget } = options;
+    const results = { passed: [], failed: [], issues: [] };
+    let pendingImages = selectedImages || [];
     
     try {
       if (!selectedImages || selectedImages.length === 0) {
-        return { passed: [], failed: [], issues: [] };
+        return results;
+      }
+      
+      // Load QA prompt
+      const qaPrompt = await this.loadQAPrompt(project);
+      const inputs = { qaPrompt: hashValue(qaPrompt) };
+      
+      const imagePaths = selectedImages.map(img => img.path || img.filename);
+      const { units, pending } = await this.planUnits(imagePaths, 'qa:', inputs, { progress, fingerprints });
+      for (const { unitId } of units) {
+        this.addQAResults(results, progress.reuse(unitId));
+      }
+
+      pendingImages = selectedImages.filter(img => pending.includes(img.path || img.filename));
+      if (pendingImages.length === 0) {
+        return results;
+      }
+      
+      const unitId = this.getBatchUnitId(pending, 'qa');
+      const fingerprint = await fingerprints?.forFiles(pending, inputs);
+      if (progress?.has(unitId, fingerprint)) {
+        return this.addQAResults(results, progress.reuse(unitId));
       }
       
+      budget?.reserve('gemini', { images: pendingImages.length }, auditLogger);
       auditLogger.startOperation('qa_check');
       
       // Prepare selected images for QA
       const imagesData = [];
-      for (const image of selectedImages) {
+      for (const image of pendingImages) {
         const imagePath = image.path || image.filename;
         const imageBase64 = await fs.readFile(imagePath, 'base64');
         imagesData.push({
           path: imagePath,
           filename: path.basename(imagePath),
           base64: imageBase64,
-          mimeType: 'image/jpeg'
+          mimeType: this.getMimeType(path.extname(imagePath))
         });
       }
       
-      // Load QA prompt
-      const qaPrompt = await this.loadQAPrompt();
-      
       // Call Gemini for QA check
-      const response = await this.callGeminiQA(imagesData, qaPrompt, auditLogger);
+      const response = await this.callGeminiQA(imagesData, qaPrompt, auditLogger, budget);
       
-      // Process QA results
-      const qaResults = this.processQAResponse(response, selectedImages, auditLogger);
+      // Process QA results; the checked images let later runs reuse them
+      const qaResults = this.processQAResponse(response, pendingImages, auditLogger);
+      await progress?.record(unitId, { ...qaResults, files: pending.map(file => path.basename(file)) }, fingerprint);
       
       auditLogger.endOperation({
         passed: qaResults.passed?.length || 0,
@@ -523,14 +770,28 @@ class CullStage {
         issues: qaResults.issues?.length || 0
       });
       
-      return qaResults;
+      return this.addQAResults(results, qaResults);
     } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        throw error;
+      }
+
       auditLogger.logError(error, { operation: 'qa_check' });
-      // QA failure shouldn't block process
-      return { passed: selectedImages, failed: [], issues: [] };
+      // QA failure shouldn't block process; unchecked keepers pass
+      return this.addQAResults(results, { passed: pendingImages });
     }
   }
 
+  /**
+   * Add one QA pass's verdicts to the run's
+   */
+  addQAResults(results, qaResults) {
+    results.passed.push(...(qaResults.passed || []));
+    results.failed.push(...(qaResults.failed || []));
+    results.issues.push(...(qaResults.issues || []));
+    return results;
+  }
+
   /**
    * Consolidate duplicate groups across batches
    */
@@ -595,7 +856,8 @@ class CullStage {
    */
   async createCullingPrompt() {
     try {
-      const promptPath = path.join(__dirname, '..', 'prompts', 'gemini-culling.txt');
+      const promptPath = this.settings.get('customCullingPromptPath') ||
+        path.join(__dirname, '..', 'prompts', 'gemini-culling.txt');
       
       // Check if custom prompt file exists
       if (await fs.pathExists(promptPath)) {
@@ -612,7 +874,7 @@ class CullStage {
     } catch (error) {
       this.auditLogger?.logError(error, {
         operation: 'load_custom_prompt',
-        promptPath: 'prompts/gemini-culling.txt'
+        promptPath: this.settings.get('customCullingPromptPath') || 'prompts/gemini-culling.txt'
       });
       
       this.auditLogger?.logFallback('prompt_loading',
@@ -767,6 +1029,27 @@ Be critical but fair. A score of 0.7+ indicates the photo should be kept for the
     }
   }
 
+  /**
+   * Remove images left in the output directory that are no longer selected
+   */
+  async removeDeselectedFiles(selectedFiles, outputPath, auditLogger) {
+    if (!await fs.pathExists(outputPath)) {
+      return;
+    }
+
+    const selectedNames = new Set(selectedFiles.map(selected => path.basename(selected.file)));
+    const existingFiles = await this.findImageFiles(outputPath);
+
+    for (const file of existingFiles) {
+      if (selectedNames.has(path.basename(file))) continue;
+
+      await fs.remove(file);
+      auditLogger.logEvent('deselected_file_removed', {
+        file: path.basename(file)
+      });
+    }
+  }
+
   /**
    * Basic filtering fallback
    */
@@ -820,13 +1103,9 @@ Be critical but fair. A score of 0.7+ indicates the photo should be kept for the
    * Get MIME type from file extension
    */
   getMimeType(ext) {
-    const mimeTypes = {
-      '.jpg': 'image/jpeg',
-      '.jpeg': 'image/jpeg'
-    };
-    const mimeType = mimeTypes[ext.toLowerCase()];
+    const mimeType = GEMINI_MIME_TYPES[ext.toLowerCase()];
     if (!mimeType) {
-      throw new Error(`Unsupported file extension: ${ext}. Only JPEG files are supported.`);
+      throw new Error(`Unsupported file extension: ${ext}. Gemini reads ${Object.keys(GEMINI_MIME_TYPES).join(', ')} files.`);
     }
     return mimeType;
   }
@@ -844,39 +1123,66 @@ Be critical but fair. A score of 0.7+ indicates the photo should be kept for the
   }
 
   /**
-   * Load contextual culling prompt
+   * Load contextual culling prompt for a prompt profile (or the
+   * customCullingPromptPath file, which replaces every profile)
    */
-  async loadContextualPrompt() {
+  async loadContextualPrompt(promptProfile = DEFAULT_PROFILE, project = null) {
+    const customPath = this.settings.get('customCullingPromptPath');
+
+    if (customPath) {
+      // Settings checked the file exists; a read error should stop the run
+      const prompt = await fs.readFile(customPath, 'utf-8');
+      this.auditLogger?.logEvent('prompt_loaded', {
+        source: 'custom_culling_prompt',
+        promptPath: customPath,
+        projectContext: !!project
+      });
+      return this.addProjectContext(prompt, project);
+    }
+
     try {
-      const promptPath = path.join(__dirname, '..', 'prompts', 'gemini-contextual-culling.txt');
+      const promptPath = getPromptPath(promptProfile);
       const prompt = await fs.readFile(promptPath, 'utf-8');
       this.auditLogger?.logEvent('prompt_loaded', {
         source: 'contextual_culling',
-        promptPath: 'gemini-contextual-culling.txt'
+        promptProfile,
+        promptPath: path.basename(promptPath),
+        projectContext: !!project
       });
-      return prompt;
+      return this.addProjectContext(prompt, project);
     } catch (error) {
-      return this.getDefaultContextualPrompt();
+      return this.addProjectContext(this.getDefaultContextualPrompt(), project);
     }
   }
 
   /**
    * Load QA check prompt
    */
-  async loadQAPrompt() {
+  async loadQAPrompt(project = null) {
     try {
       const promptPath = path.join(__dirname, '..', 'prompts', 'gemini-qa-check.txt');
       const prompt = await fs.readFile(promptPath, 'utf-8');
-      return prompt;
+      return this.addProjectContext(prompt, project);
     } catch (error) {
-      return this.getDefaultQAPrompt();
+      return this.addProjectContext(this.getDefaultQAPrompt(), project);
     }
   }
 
   /**
-   * Call Gemini for contextual analysis
+   * Put the shoot details from the project file ahead of a prompt
    */
-  async callGeminiContextual(imagesData, prompt, auditLogger) {
+  addProjectContext(prompt, project) {
+    if (!project) {
+      return prompt;
+    }
+
+    return `SHOOT CONTEXT (from the project file):\n${project.describe()}\n\n${prompt}`;
+  }
+
+  /**
+   * Call Gemini for contextual analysis; each retry is reserved in the budget
+   */
+  async callGeminiContextual(imagesData, prompt, auditLogger, budget = null) {
     try {
       // Check for invalid API key
       if (!this.geminiApiKey || this.geminiApiKey === 'mock-api-key-for-testing') {
@@ -902,18 +1208,27 @@ Be critical but fair. A score of 0.7+ indicates the photo should be kept for the
         });
       });
 
-      const response = await axios.post(
+      const response = await withRetry(() => axios.post(
         `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${this.geminiApiKey}`,
         {
           contents: [{
             parts
           }]
         },
-        { timeout: 120000 }
-      );
+        { timeout: this.settings.get('apiRequestTimeout') }
+      ), {
+        settings: this.settings,
+        auditLogger,
+        operation: 'gemini_contextual_call',
+        beforeRetry: () => budget?.reserve('gemini', { images: imagesData.length }, auditLogger)
+      });
 
       return response.data;
     } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        throw error;
+      }
+
       // Log more detailed error information
       if (error.response) {
         auditLogger.logError(error, {
@@ -934,9 +1249,9 @@ Be critical but fair. A score of 0.7+ indicates the photo should be kept for the
   }
 
   /**
-   * Call Gemini for QA check
+   * Call Gemini for QA check; each retry is reserved in the budget
    */
-  async callGeminiQA(imagesData, prompt, auditLogger) {
+  async callGeminiQA(imagesData, prompt, auditLogger, budget = null) {
     try {
       const parts = [{ text: prompt }];
       
@@ -952,18 +1267,27 @@ Be critical but fair. A score of 0.7+ indicates the photo should be kept for the
         });
       });
 
-      const response = await axios.post(
+      const response = await withRetry(() => axios.post(
         `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${this.geminiApiKey}`,
         {
           contents: [{
             parts
           }]
         },
-        { timeout: 30000 }
-      );
+        { timeout: this.settings.get('apiRequestTimeout') }
+      ), {
+        settings: this.settings,
+        auditLogger,
+        operation: 'gemini_qa_call',
+        beforeRetry: () => budget?.reserve('gemini', { images: imagesData.length }, auditLogger)
+      });
 
       return response.data;
     } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        throw error;
+      }
+
       auditLogger.logError(error, {
         operation: 'gemini_qa_call'
       });
@@ -1201,7 +1525,8 @@ Be critical but fair. A score of 0.7+ indicates the photo should be kept for the
       selectedFiles: results.selectedFiles?.map(f => ({
         file: path.basename(f.file),
         rating: f.rating,
-        reasoning: f.reasoning
+        reasoning: f.reasoning,
+        isHeroShot: f.isHeroShot || false
       })) || [],
       duplicateGroups: results.duplicateGroups || [],
       qualityIssues: results.qualityIssues || [],
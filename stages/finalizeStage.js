@@ -2,7 +2,8 @@
  * Finalize Stage - Apply XMP metadata and prepare final export
  * 
  * Applies XMP metadata to enhanced images, organizes final output,
- * and creates delivery-ready photo collections.
+ * and creates delivery-ready photo collections. When the pipeline skips
+ * Imagen, the grouped or culled JPEGs are finalized instead.
  */
 
 const fs = require('fs-extra');
@@ -10,11 +11,17 @@ const path = require('path');
 const xml2js = require('xml2js');
 const exifr = require('exifr');
 const { glob } = require('glob');
+const WorkerPool = require('../lib/workerPool');
+const Settings = require('../lib/settings');
+
+// Export folders the stage can produce, in delivery order
+const OUTPUT_MODES = ['high-resolution', 'web-optimized', 'thumbnails'];
 
 class FinalizeStage {
   constructor(options = {}) {
     this.auditLogger = options.auditLogger;
-    this.supportedFormats = ['.jpg', '.jpeg', '.png', '.tiff', '.tif'];
+    this.settings = options.settings || Settings.resolve();
+    this.supportedFormats = this.settings.get('supportedImageFormats');
   }
 
   /**
@@ -22,57 +29,47 @@ class FinalizeStage {
    */
   async execute(options) {
     const startTime = Date.now();
-    const { inputPath, outputPath, auditLogger, dryRun = false } = options;
+    const { inputPath, outputPath, auditLogger, dryRun = false, progress = null, jobs, fingerprints = null, project = null, signal = null } = options;
+    const { outputs } = this.getFingerprintInputs(options);
     
     auditLogger.logEvent('finalize_stage_start', {
       inputPath,
       outputPath,
+      outputs,
       dryRun
     });
 
     try {
-      // Load download results and enhanced mappings
-      const downloadResults = await this.loadDownloadResults(inputPath);
+      // Enhanced images when Imagen ran, otherwise the grouped or culled JPEGs
+      const source = await this.loadImageSource(inputPath, options.inputArtefact, options.artefacts);
+      const { images, mappings } = source;
       
-      if (!downloadResults) {
-        auditLogger.logDecision('no_download_results',
-          { inputPath },
+      auditLogger.logEvent('data_loaded', {
+        imageSource: source.kind,
+        images: images.length,
+        mappings: mappings.length,
+        totalCompletedTasks: source.downloadResults?.downloadResults?.completedTasks?.length ?? null,
+        mockMode: source.downloadResults?.mockMode ?? null
+      });
+
+      if (images.length === 0) {
+        auditLogger.logDecision('no_images',
+          { inputPath, imageSource: source.kind },
           'skip_finalize',
-          'No download results found - run imagen-download stage first'
+          'No images found to finalize'
         );
         
         return {
           success: false,
-          error: 'No download results found',
+          error: `No images found to finalize in ${inputPath}`,
           filesProcessed: 0,
           filesFinalized: 0,
           duration: Date.now() - startTime
         };
       }
 
-      const enhancedMappings = await this.loadEnhancedMappings(inputPath);
-      
-      auditLogger.logEvent('data_loaded', {
-        totalCompletedTasks: downloadResults.downloadResults.completedTasks.length,
-        enhancedMappings: enhancedMappings ? enhancedMappings.length : 0,
-        mockMode: downloadResults.mockMode
-      });
-
-      // Find all enhanced images
-      const enhancedImages = await this.findEnhancedImages(inputPath);
-      
-      if (enhancedImages.length === 0) {
-        auditLogger.logDecision('no_enhanced_images',
-          { inputPath },
-          'create_fallback_export',
-          'No enhanced images found, creating export from original images'
-        );
-        
-        return await this.createFallbackExport(downloadResults, outputPath, options);
-      }
-
       // Create final output structure
-      await this.createOutputStructure(outputPath);
+      await this.createOutputStructure(outputPath, outputs);
       
       // Process enhanced images
       const results = {
@@ -82,35 +79,49 @@ class FinalizeStage {
         errors: [],
         finalizedFiles: [],
         duration: 0,
+        outputs,
+        imageSource: source.kind,
+        enhanced: source.enhanced,
         exportPaths: {
-          highRes: path.join(outputPath, 'high-resolution'),
-          webOptimized: path.join(outputPath, 'web-optimized'),
-          thumbnails: path.join(outputPath, 'thumbnails')
+          highRes: outputs.includes('high-resolution') ? path.join(outputPath, 'high-resolution') : null,
+          webOptimized: outputs.includes('web-optimized') ? path.join(outputPath, 'web-optimized') : null,
+          thumbnails: outputs.includes('thumbnails') ? path.join(outputPath, 'thumbnails') : null
         }
       };
 
-      for (const enhancedImage of enhancedImages) {
-        try {
-          const result = await this.processEnhancedImage(
-            enhancedImage,
-            enhancedMappings,
-            outputPath,
-            { auditLogger, dryRun }
-          );
-          
-          if (result.success) {
-            results.filesFinalized++;
-            results.finalizedFiles.push(result);
-          } else {
-            results.errors.push({
-              file: enhancedImage,
-              error: result.error
-            });
-          }
-          
-          results.filesProcessed++;
-          
-        } catch (error) {
+      // Finalize images in parallel; outcomes come back in input order
+      const pool = new WorkerPool({ concurrency: jobs, auditLogger, name: 'finalize_pool', unit: 'images', signal });
+      const outcomes = await pool.run(images, async (enhancedImage, task) => {
+        const unitId = `finalize:${path.basename(enhancedImage)}`;
+        const fingerprint = await fingerprints?.forFiles([enhancedImage], {
+          outputs,
+          mapping: this.findMapping(mappings, enhancedImage) || null,
+          project: project?.toJSON() || null
+        });
+        
+        // Skip images already finalized from the same file and settings
+        if (progress?.has(unitId, fingerprint)) {
+          return progress.reuse(unitId, task.auditLogger);
+        }
+        
+        const result = await this.processEnhancedImage(
+          enhancedImage,
+          mappings,
+          outputPath,
+          { auditLogger: task.auditLogger, dryRun, outputs, project, enhanced: source.enhanced }
+        );
+        
+        if (result.success && !result.dryRun) {
+          await progress?.record(unitId, result, fingerprint);
+        }
+        
+        return result;
+      });
+
+      for (const { item: enhancedImage, value: result, error } of outcomes) {
+        results.filesProcessed++;
+        
+        if (error) {
           auditLogger.logError(error, {
             file: enhancedImage,
             operation: 'process_enhanced_image'
@@ -120,7 +131,14 @@ class FinalizeStage {
             file: enhancedImage,
             error: error.message
           });
-          results.filesProcessed++;
+        } else if (result.success) {
+          results.filesFinalized++;
+          results.finalizedFiles.push(result);
+        } else {
+          results.errors.push({
+            file: enhancedImage,
+            error: result.error
+          });
         }
       }
 
@@ -128,12 +146,13 @@ class FinalizeStage {
       
       // Create delivery packages
       if (!dryRun && results.filesFinalized > 0) {
-        await this.createDeliveryPackages(results, outputPath, auditLogger);
+        await this.createDeliveryPackages(results, outputPath, auditLogger, outputs, project);
       }
       
       // Log finalization summary
       auditLogger.logEvent('finalize_stage_complete', {
-        totalEnhancedImages: enhancedImages.length,
+        imageSource: source.kind,
+        totalImages: images.length,
         filesProcessed: results.filesProcessed,
         filesFinalized: results.filesFinalized,
         errors: results.errors.length,
@@ -142,7 +161,7 @@ class FinalizeStage {
       });
 
       // Create finalization report
-      await this.createFinalizationReport(outputPath, results, downloadResults);
+      await this.createFinalizationReport(outputPath, results, source.downloadResults);
 
       return results;
 
@@ -162,6 +181,84 @@ class FinalizeStage {
     }
   }
 
+  /**
+   * Work out which images to finalize: enhanced images when the input is
+   * Imagen's download folder, the uploaded originals when Imagen returned
+   * nothing, or the JPEGs of a grouped or culled folder when the pipeline
+   * skipped Imagen. Mappings link each image to its original file.
+   */
+  async loadImageSource(inputPath, inputArtefact = null, artefacts = {}) {
+    const downloadResults = await this.loadDownloadResults(inputPath);
+
+    if (!downloadResults) {
+      return this.loadPlainImages(inputPath, inputArtefact || 'jpeg');
+    }
+
+    const enhancedImages = await this.findEnhancedImages(inputPath);
+    if (enhancedImages.length > 0) {
+      return {
+        kind: 'enhanced',
+        enhanced: true,
+        images: enhancedImages,
+        mappings: await this.loadEnhancedMappings(inputPath) || [],
+        downloadResults
+      };
+    }
+
+    const originals = [];
+    for (const task of downloadResults.originalUploadData?.uploadTasks || []) {
+      if (task.originalPath && await fs.pathExists(task.originalPath)) {
+        originals.push(task.originalPath);
+      }
+    }
+
+    this.auditLogger?.logDecision('no_enhanced_images',
+      { inputPath, originals: originals.length },
+      originals.length > 0 ? 'export_originals' : 'export_unenhanced',
+      'No enhanced images found, finalizing the images Imagen was sent'
+    );
+
+    if (originals.length > 0) {
+      return {
+        kind: 'originals',
+        enhanced: false,
+        images: originals,
+        mappings: originals.map(file => ({ file, originalFile: file })),
+        downloadResults
+      };
+    }
+
+    const fallback = artefacts?.groups ? 'groups' : 'jpeg';
+    const source = artefacts?.[fallback]
+      ? await this.loadPlainImages(artefacts[fallback], fallback)
+      : { kind: 'none', enhanced: false, images: [], mappings: [] };
+
+    return { ...source, downloadResults };
+  }
+
+  /**
+   * Images from a grouped (Group_* folders) or flat JPEG folder; each image
+   * is its own original
+   */
+  async loadPlainImages(folder, kind) {
+    // convert's tiff16 folder holds the TIFF masters of its JPEGs
+    const files = await glob(this.supportedFormats.map(ext => `**/*${ext}`), {
+      cwd: folder,
+      nocase: true,
+      absolute: true,
+      ignore: ['tiff16/**']
+    });
+    const images = [...new Set(files)].filter(file => !path.basename(file).startsWith('temp_')).sort();
+
+    return {
+      kind,
+      enhanced: false,
+      images,
+      mappings: images.map(file => ({ file, originalFile: file })),
+      downloadResults: null
+    };
+  }
+
   /**
    * Load download results
    */
@@ -234,14 +331,55 @@ class FinalizeStage {
     }
   }
 
+  /**
+   * Settings that decide the stage output, for incremental rebuilds
+   */
+  getFingerprintInputs(options) {
+    return {
+      outputs: this.resolveOutputModes(options.outputs),
+      project: options.project?.toJSON() || null
+    };
+  }
+
+  /**
+   * Find the mapping (original file, group...) for an image being finalized
+   */
+  findMapping(mappings, enhancedImagePath) {
+    const fileName = path.basename(enhancedImagePath);
+
+    return mappings?.find(m => m.file
+      ? m.file === enhancedImagePath
+      : path.basename(m.enhancedFile) === fileName || m.enhancedFile === enhancedImagePath
+    );
+  }
+
+  /**
+   * Validate the requested output modes, accepting a list or a comma-separated string
+   */
+  resolveOutputModes(outputs) {
+    if (!outputs) {
+      return [...OUTPUT_MODES];
+    }
+
+    const requested = Array.isArray(outputs)
+      ? outputs
+      : String(outputs).split(',').map(mode => mode.trim()).filter(Boolean);
+    const unknown = requested.filter(mode => !OUTPUT_MODES.includes(mode));
+
+    if (requested.length === 0 || unknown.length > 0) {
+      throw new Error(`Invalid output modes: ${unknown.join(', ') || '(none)'}. Valid modes: ${OUTPUT_MODES.join(', ')}`);
+    }
+
+    // Keep delivery order regardless of how the modes were listed
+    return OUTPUT_MODES.filter(mode => requested.includes(mode));
+  }
+
   /**
    * Create output directory structure
    */
-  async createOutputStructure(outputPath) {
+  async createOutputStructure(outputPath, outputs = OUTPUT_MODES) {
     const directories = [
-      'high-resolution',
-      'web-optimized',
-      'thumbnails',
+      ...outputs,
       'metadata',
       'delivery-packages'
     ];
@@ -252,20 +390,17 @@ class FinalizeStage {
   }
 
   /**
-   * Process a single enhanced image
+   * Process a single image: enhanced unless the pipeline skipped Imagen
    */
   async processEnhancedImage(enhancedImagePath, mappings, outputPath, options) {
-    const { auditLogger, dryRun } = options;
+    const { auditLogger, dryRun, outputs = OUTPUT_MODES, project = null, enhanced = true } = options;
     const fileName = path.basename(enhancedImagePath);
     
     auditLogger.startOperation(`finalize_${fileName}`);
     
     try {
       // Find original image mapping
-      const mapping = mappings?.find(m => 
-        path.basename(m.enhancedFile) === fileName ||
-        m.enhancedFile === enhancedImagePath
-      );
+      const mapping = this.findMapping(mappings, enhancedImagePath);
       
       // Extract original metadata if mapping exists
       let originalMetadata = null;
@@ -303,7 +438,7 @@ class FinalizeStage {
         auditLogger.logEvent('dry_run_finalize', {
           fileName,
           originalMapping: !!mapping,
-          outputFormats: ['high-res', 'web', 'thumbnail']
+          outputFormats: outputs
         });
         
         auditLogger.endOperation({ dryRun: true });
@@ -320,7 +455,8 @@ class FinalizeStage {
         enhancedImagePath,
         outputPath,
         originalMetadata,
-        auditLogger
+        auditLogger,
+        outputs
       );
       
       // Create XMP sidecar file
@@ -329,7 +465,9 @@ class FinalizeStage {
         outputPath,
         originalMetadata,
         mapping,
-        auditLogger
+        auditLogger,
+        project,
+        enhanced
       );
 
       auditLogger.endOperation({
@@ -342,11 +480,11 @@ class FinalizeStage {
         success: true,
         fileName,
         originalFile: mapping?.originalFile,
-        enhancedFile: enhancedImagePath,
+        enhancedFile: enhanced ? enhancedImagePath : null,
         outputFiles,
         xmpFile,
         fileSize: enhancedStats.size,
-        dimensions: `${enhancedMeta.width}x${enhancedMeta.height}`
+        dimensions: `${width}x${height}`
       };
 
     } catch (error) {
@@ -364,53 +502,61 @@ class FinalizeStage {
    * Create different output versions of the image
    * Without Sharp, we'll organize files into folders
    */
-  async createOutputVersions(enhancedImagePath, outputPath, originalMetadata, auditLogger) {
+  async createOutputVersions(enhancedImagePath, outputPath, originalMetadata, auditLogger, outputs = OUTPUT_MODES) {
     const fileName = path.parse(enhancedImagePath).name;
     const ext = path.extname(enhancedImagePath);
     const outputFiles = [];
     
     try {
       // High-resolution version (original file)
-      const highResDir = path.join(outputPath, 'high-resolution');
-      await fs.ensureDir(highResDir);
-      const highResPath = path.join(highResDir, `${fileName}${ext}`);
-      await fs.copy(enhancedImagePath, highResPath);
-      
-      outputFiles.push({
-        type: 'high-resolution',
-        path: highResPath,
-        note: 'Original enhanced image'
-      });
+      if (outputs.includes('high-resolution')) {
+        const highResDir = path.join(outputPath, 'high-resolution');
+        await fs.ensureDir(highResDir);
+        const highResPath = path.join(highResDir, `${fileName}${ext}`);
+        await fs.copy(enhancedImagePath, highResPath);
+        
+        outputFiles.push({
+          type: 'high-resolution',
+          path: highResPath,
+          note: 'Full resolution image'
+        });
+      }
       
       // Web-optimized version (copy for now, could be processed with imagemagick later)
-      const webDir = path.join(outputPath, 'web-optimized');
-      await fs.ensureDir(webDir);
-      const webPath = path.join(webDir, `${fileName}_web${ext}`);
-      await fs.copy(enhancedImagePath, webPath);
-      
-      outputFiles.push({
-        type: 'web-optimized',
-        path: webPath,
-        note: 'Web-ready version (full resolution)'
-      });
-      
-      // Thumbnail version (symlink or copy)
-      const thumbDir = path.join(outputPath, 'thumbnails');
-      await fs.ensureDir(thumbDir);
-      const thumbPath = path.join(thumbDir, `${fileName}_thumb${ext}`);
-      
-      // Try to create symlink, fall back to copy
-      try {
-        await fs.symlink(enhancedImagePath, thumbPath);
-      } catch {
-        await fs.copy(enhancedImagePath, thumbPath);
+      if (outputs.includes('web-optimized')) {
+        const webDir = path.join(outputPath, 'web-optimized');
+        await fs.ensureDir(webDir);
+        const webPath = path.join(webDir, `${fileName}_web${ext}`);
+        await fs.copy(enhancedImagePath, webPath);
+        
+        outputFiles.push({
+          type: 'web-optimized',
+          path: webPath,
+          note: 'Web-ready version (full resolution)'
+        });
       }
       
-      outputFiles.push({
-        type: 'thumbnail',
-        path: thumbPath,
-        note: 'Preview thumbnail'
-      });
+      // Thumbnail version (hardlink or copy)
+      if (outputs.includes('thumbnails')) {
+        const thumbDir = path.join(outputPath, 'thumbnails');
+        await fs.ensureDir(thumbDir);
+        const thumbPath = path.join(thumbDir, `${fileName}_thumb${ext}`);
+        
+        // A hardlink, unlike a symlink, keeps working when cleanup prunes
+        // the stage the image came from; copy where links are not possible
+        await fs.remove(thumbPath);
+        try {
+          await fs.link(enhancedImagePath, thumbPath);
+        } catch {
+          await fs.copy(enhancedImagePath, thumbPath);
+        }
+        
+        outputFiles.push({
+          type: 'thumbnail',
+          path: thumbPath,
+          note: 'Preview thumbnail'
+        });
+      }
       
       auditLogger.logEvent('output_versions_created', {
         fileName,
@@ -432,13 +578,13 @@ class FinalizeStage {
   /**
    * Create XMP sidecar file with metadata
    */
-  async createXMPSidecar(enhancedImagePath, outputPath, originalMetadata, mapping, auditLogger) {
+  async createXMPSidecar(enhancedImagePath, outputPath, originalMetadata, mapping, auditLogger, project = null, enhanced = true) {
     const fileName = path.parse(enhancedImagePath).name;
     const xmpPath = path.join(outputPath, 'metadata', `${fileName}.xmp`);
     
     try {
       // Build XMP metadata
-      const xmpData = this.buildXMPMetadata(enhancedImagePath, originalMetadata, mapping);
+      const xmpData = this.buildXMPMetadata(enhancedImagePath, originalMetadata, mapping, project, enhanced);
       
       // Convert to XML
       const builder = new xml2js.Builder({
@@ -473,7 +619,7 @@ class FinalizeStage {
   /**
    * Build XMP metadata structure
    */
-  buildXMPMetadata(enhancedImagePath, originalMetadata, mapping) {
+  buildXMPMetadata(enhancedImagePath, originalMetadata, mapping, project = null, enhanced = true) {
     const now = new Date().toISOString();
     const fileName = path.basename(enhancedImagePath);
     
@@ -488,14 +634,16 @@ class FinalizeStage {
           'xmlns:xmp': 'http://ns.adobe.com/xap/1.0/',
           'xmlns:dc': 'http://purl.org/dc/elements/1.1/',
           'xmlns:photoshop': 'http://ns.adobe.com/photoshop/1.0/',
-          'xmlns:xmpMM': 'http://ns.adobe.com/xap/1.0/mm/'
+          'xmlns:xmpMM': 'http://ns.adobe.com/xap/1.0/mm/',
+          'xmlns:xmpRights': 'http://ns.adobe.com/xap/1.0/rights/',
+          'xmlns:Iptc4xmpCore': 'http://iptc.org/std/Iptc4xmpCore/1.0/xmlns/'
         },
         'rdf:Description': {
           '$': {
             'rdf:about': `file:///${fileName}`,
             'xmp:CreateDate': originalMetadata?.DateTime || now,
             'xmp:ModifyDate': now,
-            'xmp:CreatorTool': 'Photo Workflow CLI + Imagen AI',
+            'xmp:CreatorTool': enhanced ? 'Photo Workflow CLI + Imagen AI' : 'Photo Workflow CLI',
             'dc:format': 'image/jpeg',
             'photoshop:DateCreated': originalMetadata?.DateTimeOriginal || now,
             'xmpMM:DocumentID': `uuid:${this.generateUUID()}`,
@@ -528,18 +676,59 @@ class FinalizeStage {
     }
 
     // Add processing info
-    xmpData['rdf:RDF']['rdf:Description']['$']['xmp:Label'] = 'Enhanced with Imagen AI';
-    xmpData['rdf:RDF']['rdf:Description']['$']['photoshop:Instructions'] = 
-      'AI-enhanced image processed through Photo Workflow CLI';
+    if (enhanced) {
+      xmpData['rdf:RDF']['rdf:Description']['$']['xmp:Label'] = 'Enhanced with Imagen AI';
+      xmpData['rdf:RDF']['rdf:Description']['$']['photoshop:Instructions'] = 
+        'AI-enhanced image processed through Photo Workflow CLI';
+    } else {
+      xmpData['rdf:RDF']['rdf:Description']['$']['photoshop:Instructions'] = 
+        'Image processed through Photo Workflow CLI';
+    }
 
     // Add original file reference if available
     if (mapping?.originalFile) {
       xmpData['rdf:RDF']['rdf:Description']['$']['photoshop:Source'] = mapping.originalFile;
     }
 
+    // Credit the photographers and studio from the project file
+    if (project) {
+      this.addProjectXMP(xmpData['rdf:RDF']['rdf:Description'], project);
+    }
+
     return xmpData;
   }
 
+  /**
+   * Add creator, copyright and location fields from the project file
+   */
+  addProjectXMP(description, project) {
+    const creators = project.getCreators();
+    const copyright = project.getCopyright();
+
+    if (creators.length > 0) {
+      description['dc:creator'] = { 'rdf:Seq': { 'rdf:li': creators } };
+    }
+
+    if (copyright) {
+      description['dc:rights'] = {
+        'rdf:Alt': { 'rdf:li': { '_': copyright, '$': { 'xml:lang': 'x-default' } } }
+      };
+      description['$']['xmpRights:Marked'] = 'True';
+    }
+
+    if (project.studio.name) {
+      description['$']['photoshop:Credit'] = project.studio.name;
+    }
+
+    if (project.venue) {
+      description['$']['Iptc4xmpCore:Location'] = project.venue;
+    }
+
+    description['$']['photoshop:Headline'] = project.shootType
+      ? `${project.getClientLabel()} - ${project.shootType}`
+      : project.getClientLabel();
+  }
+
   /**
    * Generate simple UUID
    */
@@ -554,7 +743,7 @@ class FinalizeStage {
   /**
    * Create delivery packages
    */
-  async createDeliveryPackages(results, outputPath, auditLogger) {
+  async createDeliveryPackages(results, outputPath, auditLogger, outputs = OUTPUT_MODES, project = null) {
     auditLogger.startOperation('create_delivery_packages');
     
     try {
@@ -564,9 +753,10 @@ class FinalizeStage {
       const manifest = {
         created: new Date().toISOString(),
         totalFiles: results.filesFinalized,
-        packages: {
+        enhanced: results.enhanced !== false,
+        packages: this.pickPackages({
           'high-resolution': {
-            description: 'Full resolution enhanced images for print',
+            description: `Full resolution ${results.enhanced !== false ? 'enhanced ' : ''}images for print`,
             path: '../high-resolution',
             fileCount: results.finalizedFiles.length,
             quality: 95
@@ -585,7 +775,7 @@ class FinalizeStage {
             quality: 80,
             maxDimension: '300px'
           }
-        },
+        }, outputs),
         metadata: {
           xmpFiles: '../metadata',
           description: 'XMP sidecar files with complete metadata'
@@ -604,7 +794,7 @@ class FinalizeStage {
       await fs.writeJson(manifestPath, manifest, { spaces: 2 });
       
       // Create README for client
-      const readme = this.createClientReadme(manifest);
+      const readme = this.createClientReadme(manifest, project);
       const readmePath = path.join(packagesDir, 'README.txt');
       await fs.writeFile(readmePath, readme, 'utf8');
       
@@ -626,42 +816,49 @@ class FinalizeStage {
   }
 
   /**
-   * Create client README file
+   * Keep only the delivery packages for the selected output modes
    */
-  createClientReadme(manifest) {
-    return `PHOTO DELIVERY - ENHANCED COLLECTION
-====================================
-
-Delivery Date: ${new Date(manifest.created).toLocaleDateString()}
-Total Photos: ${manifest.totalFiles}
+  pickPackages(packages, outputs) {
+    return Object.fromEntries(
+      Object.entries(packages).filter(([mode]) => outputs.includes(mode))
+    );
+  }
 
-PACKAGE CONTENTS:
-================
+  /**
+   * Create client README file, personalised when a project file is loaded
+   */
+  createClientReadme(manifest, project = null) {
+    const sections = [];
+    const { packages } = manifest;
 
-HIGH-RESOLUTION FOLDER:
-- ${manifest.packages['high-resolution'].fileCount} full-resolution images
+    if (packages['high-resolution']) {
+      sections.push(`HIGH-RESOLUTION FOLDER:
+- ${packages['high-resolution'].fileCount} full-resolution images
 - Quality: 95% JPEG
 - Suitable for printing up to large formats
-- Use these for professional printing
+- Use these for professional printing`);
+    }
 
-WEB-OPTIMIZED FOLDER:
-- ${manifest.packages['web-optimized'].fileCount} web-ready images
+    if (packages['web-optimized']) {
+      sections.push(`WEB-OPTIMIZED FOLDER:
+- ${packages['web-optimized'].fileCount} web-ready images
 - Quality: 85% JPEG
-- Maximum dimension: ${manifest.packages['web-optimized'].maxDimension}
-- Perfect for social media, websites, and email sharing
+- Maximum dimension: ${packages['web-optimized'].maxDimension}
+- Perfect for social media, websites, and email sharing`);
+    }
 
-THUMBNAILS FOLDER:
-- ${manifest.packages['thumbnails'].fileCount} thumbnail images
+    if (packages['thumbnails']) {
+      sections.push(`THUMBNAILS FOLDER:
+- ${packages['thumbnails'].fileCount} thumbnail images
 - Quality: 80% JPEG
-- Maximum dimension: ${manifest.packages['thumbnails'].maxDimension}
-- For quick previews and galleries
-
-METADATA FOLDER:
-- XMP sidecar files with complete image metadata
-- Contains original camera settings and processing information
-- For professional archival and organization
+- Maximum dimension: ${packages['thumbnails'].maxDimension}
+- For quick previews and galleries`);
+    }
 
-ENHANCEMENT NOTES:
+    const title = project
+      ? `${project.getClientLabel()}${project.shootType ? ` - ${project.shootType}` : ''}`.toUpperCase()
+      : manifest.enhanced ? 'PHOTO DELIVERY - ENHANCED COLLECTION' : 'PHOTO DELIVERY';
+    const enhancementNotes = manifest.enhanced ? `ENHANCEMENT NOTES:
 ==================
 All images have been enhanced using advanced AI technology to:
 - Improve exposure and color balance
@@ -669,106 +866,50 @@ All images have been enhanced using advanced AI technology to:
 - Optimize overall visual quality
 - Preserve natural look and feel
 
-USAGE RECOMMENDATIONS:
+` : '';
+    const shootDetails = project
+      ? [
+          `Shoot Date: ${project.getShootDateLabel()}`,
+          project.venue && `Venue: ${project.venue}`,
+          project.getCreators().length > 0 && `Photographers: ${project.getCreators().join(', ')}`
+        ].filter(Boolean).map(line => `${line}\n`).join('')
+      : '';
+    const thanks = project?.studio.name
+      ? `Thank you for choosing ${project.studio.name}!`
+      : 'Thank you for choosing our photo workflow service!';
+    const copyright = project?.getCopyright() ? `\n${project.getCopyright()}. All rights reserved.\n` : '';
+
+    return `${title}
+${'='.repeat(title.length)}
+
+${shootDetails}Delivery Date: ${new Date(manifest.created).toLocaleDateString()}
+Total Photos: ${manifest.totalFiles}
+
+PACKAGE CONTENTS:
+================
+
+${sections.join('\n\n')}
+
+METADATA FOLDER:
+- XMP sidecar files with complete image metadata
+- Contains original camera settings and processing information
+- For professional archival and organization
+
+${enhancementNotes}USAGE RECOMMENDATIONS:
 =====================
 - Use HIGH-RESOLUTION images for printing
 - Use WEB-OPTIMIZED images for online sharing
 - Keep METADATA files with images for future reference
 - Contact us if you need different formats or sizes
 
-Thank you for choosing our photo workflow service!
-`;
-  }
-
-  /**
-   * Create fallback export when no enhanced images available
-   */
-  async createFallbackExport(downloadResults, outputPath, options) {
-    const { auditLogger, dryRun } = options;
-    
-    auditLogger.logEvent('fallback_export_start', {
-      reason: 'no_enhanced_images',
-      originalTasks: downloadResults.originalUploadData?.uploadTasks?.length || 0
-    });
-
-    // Try to find original images from upload tasks
-    const originalFiles = [];
-    
-    if (downloadResults.originalUploadData?.uploadTasks) {
-      for (const task of downloadResults.originalUploadData.uploadTasks) {
-        if (task.originalPath && await fs.pathExists(task.originalPath)) {
-          originalFiles.push(task.originalPath);
-        }
-      }
-    }
-
-    if (originalFiles.length === 0) {
-      return {
-        success: false,
-        error: 'No enhanced images or original files available for export',
-        filesProcessed: 0,
-        filesFinalized: 0,
-        duration: 0
-      };
-    }
-
-    auditLogger.logDecision('fallback_to_originals',
-      { originalFiles: originalFiles.length },
-      'export_originals',
-      'Exporting original images as fallback since no enhanced images available'
-    );
-
-    if (!dryRun) {
-      await this.createOutputStructure(outputPath);
-      
-      // Copy and process original files
-      const results = {
-        success: true,
-        filesProcessed: originalFiles.length,
-        filesFinalized: 0,
-        errors: [],
-        finalizedFiles: [],
-        fallbackMode: true
-      };
-
-      for (const originalFile of originalFiles) {
-        try {
-          const fileName = path.basename(originalFile);
-          const highResPath = path.join(outputPath, 'high-resolution', fileName);
-          
-          await fs.copy(originalFile, highResPath);
-          results.filesFinalized++;
-          
-          auditLogger.logEvent('fallback_file_copied', {
-            original: originalFile,
-            target: highResPath
-          });
-          
-        } catch (error) {
-          results.errors.push({
-            file: originalFile,
-            error: error.message
-          });
-        }
-      }
-
-      return results;
-    }
-
-    return {
-      success: true,
-      filesProcessed: originalFiles.length,
-      filesFinalized: originalFiles.length,
-      fallbackMode: true,
-      dryRun: true,
-      duration: 0
-    };
+${thanks}
+${copyright}`;
   }
 
   /**
    * Create finalization report
    */
-  async createFinalizationReport(outputPath, results, downloadResults) {
+  async createFinalizationReport(outputPath, results, downloadResults = null) {
     const report = {
       stage: 'finalize',
       timestamp: new Date().toISOString(),
@@ -778,12 +919,13 @@ Thank you for choosing our photo workflow service!
         errors: results.errors.length,
         duration: results.duration,
         successRate: ((results.filesFinalized / results.filesProcessed) * 100).toFixed(2) + '%',
-        fallbackMode: results.fallbackMode || false
+        fallbackMode: results.imageSource === 'originals'
       },
+      outputModes: results.outputs || OUTPUT_MODES,
       outputStructure: {
-        highResolution: path.join(outputPath, 'high-resolution'),
-        webOptimized: path.join(outputPath, 'web-optimized'),
-        thumbnails: path.join(outputPath, 'thumbnails'),
+        highResolution: results.exportPaths ? results.exportPaths.highRes : path.join(outputPath, 'high-resolution'),
+        webOptimized: results.exportPaths ? results.exportPaths.webOptimized : path.join(outputPath, 'web-optimized'),
+        thumbnails: results.exportPaths ? results.exportPaths.thumbnails : path.join(outputPath, 'thumbnails'),
         metadata: path.join(outputPath, 'metadata'),
         deliveryPackages: path.join(outputPath, 'delivery-packages')
       },
@@ -797,11 +939,11 @@ Thank you for choosing our photo workflow service!
         dimensions: f.dimensions
       })) || [],
       processingChain: {
-        originalUpload: downloadResults.originalUploadData?.uploadTimestamp,
-        downloadCompleted: downloadResults.downloadTimestamp,
+        originalUpload: downloadResults?.originalUploadData?.uploadTimestamp || null,
+        downloadCompleted: downloadResults?.downloadTimestamp || null,
         finalizationCompleted: new Date().toISOString(),
-        totalStages: 6,
-        enhancementProvider: downloadResults.mockMode ? 'Mock (Testing)' : 'Imagen AI'
+        imageSource: results.imageSource,
+        enhancementProvider: !results.enhanced ? null : downloadResults?.mockMode ? 'Mock (Testing)' : 'Imagen AI'
       },
       deliveryInfo: {
         manifestFile: path.join(outputPath, 'delivery-packages', 'delivery-manifest.json'),
@@ -818,4 +960,6 @@ Thank you for choosing our photo workflow service!
   }
 }
 
+FinalizeStage.OUTPUT_MODES = OUTPUT_MODES;
+
 module.exports = FinalizeStage;
\ No newline at end of file
@@ -11,16 +11,25 @@ const exifr = require('exifr');
 const { glob } = require('glob');
 const { differenceInMinutes, parseISO } = require('date-fns');
 const HtmlReportGenerator = require('../lib/htmlReportGenerator');
+const WorkerPool = require('../lib/workerPool');
+const processRunner = require('../lib/processRunner');
+const Settings = require('../lib/settings');
 
 class GroupStage {
   constructor(options = {}) {
     this.auditLogger = options.auditLogger;
-    this.supportedFormats = ['.jpg', '.jpeg', '.png', '.tiff', '.tif'];
-    this.defaultTimeThreshold = 15; // minutes
-    this.htmlReportGenerator = new HtmlReportGenerator({
-      outputDir: options.outputDir || './output',
-      verbose: options.verbose || false
-    });
+    this.project = null;
+    this.settings = options.settings || Settings.resolve();
+    this.supportedFormats = this.settings.get('supportedImageFormats');
+    this.defaultTimeThreshold = this.settings.get('defaultTimeGroupingThreshold'); // minutes
+    // Without it, images lacking an EXIF capture time share an undated group
+    this.useFileTimeFallback = this.settings.get('useFileTimeFallback');
+    this.verbose = options.verbose || false;
+
+    // Without an explicit outputDir the report goes under the run's output directory
+    this.htmlReportGenerator = options.outputDir
+      ? new HtmlReportGenerator({ outputDir: options.outputDir, verbose: this.verbose })
+      : null;
   }
 
   /**
@@ -28,10 +37,13 @@ class GroupStage {
    */
   async execute(options) {
     const startTime = Date.now();
-    const { inputPath, outputPath, auditLogger, dryRun = false } = options;
+    const { inputPath, outputPath, auditLogger, dryRun = false, progress = null, jobs, fingerprints = null } = options;
     
     // Configuration
-    const timeThreshold = parseInt(options.timeThreshold) || this.defaultTimeThreshold;
+    const { timeThreshold } = this.getFingerprintInputs(options);
+    
+    // Group names use the shoot's time zone from the project file
+    this.project = options.project || null;
     
     auditLogger.logEvent('group_stage_start', {
       inputPath,
@@ -41,8 +53,9 @@ class GroupStage {
     });
 
     try {
-      // Load Stage 2 results if available
-      const stage2Results = await this.loadStage2Results(inputPath, auditLogger);
+      // Load Stage 2 results if available; the culling report comes from
+      // whichever stage produced it, which need not be the image folder
+      const stage2Results = await this.loadStage2Results(options.artefacts?.['cull-report'] || inputPath, auditLogger);
       
       // Find all image files
       const imageFiles = await this.findImageFiles(inputPath);
@@ -74,7 +87,7 @@ class GroupStage {
         usingStage2Data: stage2Results !== null
       });
 
-      const imageMetadata = await this.extractAllMetadata(imageFiles, auditLogger, stage2Results);
+      const imageMetadata = await this.extractAllMetadata(imageFiles, auditLogger, stage2Results, progress, jobs, fingerprints);
       
       // Perform temporal grouping (respecting Stage 2 duplicate groups)
       const temporalGroups = this.createTemporalGroups(imageMetadata, timeThreshold, auditLogger, stage2Results);
@@ -95,7 +108,8 @@ class GroupStage {
       };
 
       if (!dryRun) {
-        await this.organizeFilesIntoGroups(finalGroups, outputPath, auditLogger, representatives);
+        await this.organizeFilesIntoGroups(finalGroups, outputPath, auditLogger, representatives, progress, fingerprints);
+        await this.removeStaleGroupFiles(finalGroups, outputPath, auditLogger);
         results.groups = finalGroups.map(group => ({
           name: group.name,
           fileCount: group.files.length,
@@ -176,7 +190,11 @@ class GroupStage {
       
       // Generate HTML visual report
       try {
-        const reportResult = await this.htmlReportGenerator.generateGroupingReport(
+        const reportGenerator = this.htmlReportGenerator || new HtmlReportGenerator({
+          outputDir: path.dirname(outputPath),
+          verbose: this.verbose
+        });
+        const reportResult = await reportGenerator.generateGroupingReport(
           finalGroups, 
           { duration: results.duration }, 
           auditLogger
@@ -295,10 +313,12 @@ class GroupStage {
       const allFiles = [];
       
       for (const pattern of patterns) {
+        // convert's tiff16 folder holds the TIFF masters of its JPEGs
         const files = await glob(pattern, { 
           cwd: inputPath, 
           nocase: true,
-          absolute: true 
+          absolute: true,
+          ignore: ['tiff16/**']
         });
         allFiles.push(...files);
       }
@@ -314,10 +334,30 @@ class GroupStage {
     }
   }
 
+  /**
+   * Count the images a run would group; every culled image lands in a group
+   */
+  async estimate(options) {
+    const images = options.imageCount ?? (await this.findImageFiles(options.inputPath)).length;
+    return { images, outputImages: images, usage: {} };
+  }
+
+  /**
+   * Settings that decide the stage output, for incremental rebuilds
+   */
+  getFingerprintInputs(options) {
+    return {
+      timeThreshold: parseInt(options.timeThreshold) || this.defaultTimeThreshold,
+      timeZone: options.project?.timeZone || null,
+      formats: this.supportedFormats,
+      useFileTimeFallback: this.useFileTimeFallback
+    };
+  }
+
   /**
    * Extract metadata from all images
    */
-  async extractAllMetadata(imageFiles, auditLogger, stage2Results = null) {
+  async extractAllMetadata(imageFiles, auditLogger, stage2Results = null, progress = null, jobs = null, fingerprints = null) {
     auditLogger.startOperation('extract_all_metadata');
     
     const metadata = [];
@@ -325,9 +365,29 @@ class GroupStage {
     let errors = 0;
     let enrichedFromStage2 = 0;
 
-    for (const file of imageFiles) {
+    // Read EXIF in parallel; outcomes come back in input order
+    const pool = new WorkerPool({ concurrency: jobs, auditLogger, name: 'metadata_pool', unit: 'images' });
+    const outcomes = await pool.run(imageFiles, async (file, task) => {
+      const unitId = `metadata:${path.basename(file)}`;
+      const fingerprint = await fingerprints?.forFiles([file]);
+      
+      // Reuse EXIF already read from the same file
+      if (progress?.has(unitId, fingerprint)) {
+        return { ...progress.reuse(unitId, task.auditLogger) };
+      }
+      
+      const meta = await this.extractImageMetadata(file);
+      await progress?.record(unitId, meta, fingerprint);
+      return meta;
+    });
+
+    for (const { item: file, value, error } of outcomes) {
       try {
-        const meta = await this.extractImageMetadata(file);
+        if (error) {
+          throw error;
+        }
+        
+        const meta = value;
         
         // Enhance with Stage 2 data if available
         if (stage2Results) {
@@ -382,7 +442,9 @@ class GroupStage {
       successRate: ((processed / imageFiles.length) * 100).toFixed(2) + '%'
     });
 
-    return metadata.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    // Undated images (no fallback to file times) sort last
+    return metadata.sort((a, b) =>
+      (a.timestamp === null) - (b.timestamp === null) || new Date(a.timestamp) - new Date(b.timestamp));
   }
 
   /**
@@ -439,16 +501,16 @@ class GroupStage {
    * Get best timestamp from available sources
    */
   getBestTimestamp(exif, fileStats) {
-    // Priority: DateTimeOriginal > DateTime > CreateDate > file mtime
+    // Priority: DateTimeOriginal > DateTime > CreateDate > file mtime (unless disabled)
+    const fallback = this.useFileTimeFallback ? fileStats.mtime.toISOString() : null;
     const candidates = [
       exif?.DateTimeOriginal,
       exif?.DateTime,
-      exif?.CreateDate,
-      fileStats.mtime
+      exif?.CreateDate
     ].filter(Boolean);
 
     if (candidates.length === 0) {
-      return fileStats.mtime.toISOString();
+      return fallback;
     }
 
     // Convert to ISO string if needed
@@ -460,7 +522,7 @@ class GroupStage {
     try {
       return new Date(timestamp).toISOString();
     } catch (error) {
-      return fileStats.mtime.toISOString();
+      return fallback;
     }
   }
 
@@ -473,7 +535,7 @@ class GroupStage {
     return {
       filePath,
       fileName: path.basename(filePath),
-      timestamp: stats.mtime.toISOString(),
+      timestamp: this.useFileTimeFallback ? stats.mtime.toISOString() : null,
       camera: 'Unknown',
       width: null,
       height: null,
@@ -495,8 +557,11 @@ class GroupStage {
     
     // If we have Stage 2 suggested groupings, use them as initial structure
     const suggestedGroupings = stage2Results?.suggestedGroupings || [];
+
+    // Images without a capture time cannot be placed in time
+    const undated = imageMetadata.filter(image => image.timestamp === null);
     
-    for (const image of imageMetadata) {
+    for (const image of imageMetadata.filter(candidate => candidate.timestamp !== null)) {
       const imageTime = new Date(image.timestamp);
       
       if (!currentGroup) {
@@ -543,6 +608,15 @@ class GroupStage {
     if (currentGroup) {
       groups.push(currentGroup);
     }
+
+    if (undated.length > 0) {
+      groups.push(this.createUndatedGroup(undated, groups.length + 1));
+      auditLogger.logDecision('undated_group_created',
+        { files: undated.length, useFileTimeFallback: false },
+        'undated_group',
+        `${undated.length} image(s) have no EXIF capture time and file times are not used`
+      );
+    }
     
     auditLogger.endOperation({
       totalGroups: groups.length,
@@ -680,6 +754,23 @@ class GroupStage {
     };
   }
 
+  /**
+   * Create the trailing group for images without a capture time
+   */
+  createUndatedGroup(files, groupNumber) {
+    return {
+      name: `Group_${groupNumber.toString().padStart(2, '0')}_undated`,
+      files,
+      startTimestamp: null,
+      lastTimestamp: null,
+      averageTimestamp: null,
+      timeSpan: 0,
+      cameras: new Set(files.map(f => f.camera)),
+      locations: files.filter(f => f.gps).map(f => f.gps),
+      undated: true
+    };
+  }
+
   /**
    * Add image to existing group
    */
@@ -717,7 +808,7 @@ class GroupStage {
     for (const group of temporalGroups) {
       // Split very large groups (>50 images) into smaller sub-groups
       // But respect duplicate groups when splitting
-      if (group.files.length > 50) {
+      if (group.files.length > 50 && !group.undated) {
         auditLogger.logDecision('split_large_group',
           { groupName: group.name, size: group.files.length },
           'split',
@@ -930,16 +1021,27 @@ class GroupStage {
   /**
    * Organize files into group directories with simplified structure and macOS tags
    */
-  async organizeFilesIntoGroups(groups, outputPath, auditLogger, representatives = []) {
+  async organizeFilesIntoGroups(groups, outputPath, auditLogger, representatives = [], progress = null, fingerprints = null) {
     auditLogger.startOperation('organize_files_into_groups');
     
     let totalFilesCopied = 0;
-    const { exec } = require('child_process');
-    const { promisify } = require('util');
-    const execAsync = promisify(exec);
+    
+    // Finder tags need xattr (macOS); elsewhere files are grouped untagged
+    const finderTagsAvailable = await processRunner.isAvailable('xattr');
+    if (!finderTagsAvailable) {
+      auditLogger.logDecision('finder_tags_skipped',
+        { tool: 'xattr' },
+        'skipped',
+        'xattr is not installed, so representatives are not tagged in Finder'
+      );
+    }
     
     // Helper function to apply macOS Finder tag
     const applyFinderTag = async (filePath, color) => {
+      if (!finderTagsAvailable) {
+        return;
+      }
+
       try {
         // Use xattr to set Finder tags
         // Green = 2, Blue = 4
@@ -951,11 +1053,10 @@ class GroupStage {
 </array>
 </plist>`;
         
-        // Write plist to temp file and apply with xattr
-        const tempFile = `/tmp/tag_${Date.now()}.plist`;
-        await fs.writeFile(tempFile, plistData);
-        await execAsync(`xattr -w com.apple.metadata:_kMDItemUserTags '${plistData}' "${filePath}"`);
-        await fs.remove(tempFile);
+        await processRunner.run('xattr', ['-w', 'com.apple.metadata:_kMDItemUserTags', plistData, path.resolve(filePath)], {
+          timeout: 10 * 1000,
+          auditLogger
+        });
         
         auditLogger.logEvent('finder_tag_applied', {
           file: path.basename(filePath),
@@ -989,12 +1090,21 @@ class GroupStage {
         const sourcePath = imageFile.filePath;
         const fileName = imageFile.fileName;
         const targetPath = path.join(groupDir, fileName);
+        const unitId = `copy:${group.name}/${fileName}`;
+        const isRepresentative = repFileNames.has(fileName);
+        const fingerprint = await fingerprints?.forFiles([sourcePath], { isRepresentative });
+        
+        // Skip files already copied and tagged the same way
+        if (progress?.has(unitId, fingerprint) && await fs.pathExists(targetPath)) {
+          progress.reuse(unitId);
+          totalFilesCopied++;
+          continue;
+        }
         
         try {
           await fs.copy(sourcePath, targetPath);
           
           // Apply appropriate Finder tag
-          const isRepresentative = repFileNames.has(fileName);
           if (isRepresentative) {
             await applyFinderTag(targetPath, 'green');
             auditLogger.logEvent('representative_tagged', {
@@ -1010,6 +1120,7 @@ class GroupStage {
           }
           
           totalFilesCopied++;
+          await progress?.record(unitId, { source: sourcePath, target: targetPath }, fingerprint);
           
         } catch (error) {
           auditLogger.logError(error, {
@@ -1032,6 +1143,46 @@ class GroupStage {
     });
   }
 
+  /**
+   * Remove group folders and files left over from an earlier grouping, so
+   * re-grouping a growing set (watch mode) leaves only the current groups
+   */
+  async removeStaleGroupFiles(groups, outputPath, auditLogger) {
+    const currentGroups = new Map(
+      groups.map(group => [group.name, new Set(group.files.map(f => f.fileName))])
+    );
+    const entries = await fs.readdir(outputPath, { withFileTypes: true });
+    let removedGroups = 0;
+    let removedFiles = 0;
+
+    for (const entry of entries) {
+      if (!entry.isDirectory() || !entry.name.startsWith('Group_')) continue;
+
+      const groupDir = path.join(outputPath, entry.name);
+      const fileNames = currentGroups.get(entry.name);
+
+      if (!fileNames) {
+        await fs.remove(groupDir);
+        removedGroups++;
+        continue;
+      }
+
+      for (const file of await this.findImageFiles(groupDir)) {
+        if (!fileNames.has(path.basename(file))) {
+          await fs.remove(file);
+          removedFiles++;
+        }
+      }
+    }
+
+    if (removedGroups > 0 || removedFiles > 0) {
+      auditLogger.logEvent('stale_group_files_removed', {
+        removedGroups,
+        removedFiles
+      });
+    }
+  }
+
   /**
    * Create metadata file for each group (enhanced with Stage 2 data)
    */
@@ -1094,9 +1245,13 @@ class GroupStage {
   }
 
   /**
-   * Format timestamp for group names
+   * Format timestamp for group names (shoot time zone if known, else UTC)
    */
   formatTimestamp(date) {
+    if (this.project) {
+      return this.project.formatLocalTimestamp(date);
+    }
+
     return date.toISOString()
       .replace(/T/, '_')
       .replace(/:/g, '-')
@@ -10,16 +10,17 @@ const path = require('path');
 const axios = require('axios');
 const { pipeline } = require('stream');
 const { promisify } = require('util');
+const Settings = require('../lib/settings');
+const { withRetry } = require('../lib/apiRetry');
 
 const streamPipeline = promisify(pipeline);
 
 class ImagenDownloadStage {
   constructor(options = {}) {
     this.auditLogger = options.auditLogger;
-    this.imagenApiKey = process.env.IMAGEN_API_KEY;
-    this.imagenApiUrl = process.env.IMAGEN_API_URL || 'https://api.imagen-ai.com/v1';
-    this.maxRetries = 3;
-    this.retryDelay = 5000; // 5 seconds
+    this.settings = options.settings || Settings.resolve();
+    this.imagenApiKey = this.settings.get('imagenApiKey');
+    this.imagenApiUrl = this.settings.get('imagenApiUrl');
     this.batchSize = 10;
   }
 
@@ -28,7 +29,7 @@ class ImagenDownloadStage {
    */
   async execute(options) {
     const startTime = Date.now();
-    const { inputPath, outputPath, auditLogger, dryRun = false } = options;
+    const { inputPath, outputPath, auditLogger, dryRun = false, progress = null, signal = null } = options;
     
     auditLogger.logEvent('imagen_download_stage_start', {
       inputPath,
@@ -71,7 +72,12 @@ class ImagenDownloadStage {
           true
         );
         
-        return await this.mockDownloadProcess(trackingData, outputPath, options);
+        const results = await this.mockDownloadProcess(trackingData, outputPath, options);
+
+        // Finalize reads these whether or not the downloads were mocked
+        await this.saveDownloadResults(outputPath, results, trackingData);
+        await this.createDownloadReport(outputPath, results, trackingData);
+        return results;
       }
 
       // Check API key for real downloads
@@ -105,8 +111,16 @@ class ImagenDownloadStage {
       const batches = this.createBatches(trackingData.uploadTasks, this.batchSize);
       
       for (let i = 0; i < batches.length; i++) {
+        signal?.throwIfAborted();
+
         const batch = batches[i];
         
+        auditLogger.logProgress({
+          done: results.tasksProcessed,
+          total: trackingData.uploadTasks.length,
+          unit: 'images',
+          current: `batch ${i + 1}/${batches.length}`
+        });
         auditLogger.logEvent('batch_download_start', {
           batch: i + 1,
           totalBatches: batches.length,
@@ -116,7 +130,8 @@ class ImagenDownloadStage {
         try {
           const batchResults = await this.processBatch(batch, outputPath, {
             auditLogger,
-            dryRun
+            dryRun,
+            progress
           });
           
           results.tasksProcessed += batchResults.tasksProcessed;
@@ -141,6 +156,7 @@ class ImagenDownloadStage {
         }
       }
 
+      auditLogger.logProgress({ done: results.tasksProcessed, total: trackingData.uploadTasks.length });
       results.duration = Date.now() - startTime;
       
       // Save download results
@@ -216,7 +232,7 @@ class ImagenDownloadStage {
    * Process a batch of download tasks
    */
   async processBatch(batch, outputPath, options) {
-    const { auditLogger, dryRun } = options;
+    const { auditLogger, dryRun, progress } = options;
     
     const results = {
       tasksProcessed: 0,
@@ -228,6 +244,16 @@ class ImagenDownloadStage {
     };
 
     for (const task of batch) {
+      const unitId = `download:${task.taskId}`;
+      
+      // Skip images already downloaded by an interrupted run
+      if (progress?.has(unitId) && await fs.pathExists(progress.get(unitId).enhancedPath)) {
+        results.tasksProcessed++;
+        results.filesDownloaded++;
+        results.completedTasks.push(progress.reuse(unitId));
+        continue;
+      }
+      
       try {
         const taskResult = await this.processTask(task, outputPath, {
           auditLogger,
@@ -239,6 +265,10 @@ class ImagenDownloadStage {
         if (taskResult.status === 'completed') {
           results.filesDownloaded++;
           results.completedTasks.push(taskResult);
+          
+          if (!taskResult.dryRun) {
+            await progress?.record(unitId, taskResult);
+          }
         } else if (taskResult.status === 'pending') {
           results.pendingTasks.push(taskResult);
         } else {
@@ -278,7 +308,7 @@ class ImagenDownloadStage {
       }
 
       // Check task status
-      const statusResult = await this.checkTaskStatus(task.taskId);
+      const statusResult = await this.checkTaskStatus(task.taskId, auditLogger);
       
       auditLogger.logEvent('task_status_checked', {
         taskId: task.taskId,
@@ -375,17 +405,17 @@ class ImagenDownloadStage {
   /**
    * Check task status via API
    */
-  async checkTaskStatus(taskId) {
+  async checkTaskStatus(taskId, auditLogger = this.auditLogger) {
     try {
-      const response = await axios.get(
+      const response = await withRetry(() => axios.get(
         `${this.imagenApiUrl}/tasks/${taskId}`,
         {
           headers: {
             'Authorization': `Bearer ${this.imagenApiKey}`
           },
-          timeout: 30000
+          timeout: this.settings.get('apiRequestTimeout')
         }
-      );
+      ), { settings: this.settings, auditLogger, operation: 'imagen_task_status' });
 
       return {
         status: response.data.status,
@@ -415,10 +445,10 @@ class ImagenDownloadStage {
     
     try {
       // Download file
-      const response = await axios.get(downloadUrl, {
+      const response = await withRetry(() => axios.get(downloadUrl, {
         responseType: 'stream',
-        timeout: 60000 // 1 minute timeout
-      });
+        timeout: this.settings.get('apiRequestTimeout')
+      }), { settings: this.settings, auditLogger, operation: 'imagen_download' });
 
       // Save to file
       await streamPipeline(response.data, fs.createWriteStream(filePath));
@@ -473,6 +503,12 @@ class ImagenDownloadStage {
       };
     }
 
+    // Stand in for the API round trip
+    const delay = this.settings.get('mockResponseDelay');
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
     // Create mock enhanced image by copying original
     const originalPath = task.originalPath;
     const enhancedFileName = `enhanced_${task.fileName}`;
@@ -532,7 +568,14 @@ class ImagenDownloadStage {
 
     if (!dryRun) {
       // Create mock enhanced images
-      for (const task of trackingData.uploadTasks) {
+      for (const [index, task] of trackingData.uploadTasks.entries()) {
+        auditLogger.logProgress({
+          done: index,
+          total: trackingData.uploadTasks.length,
+          unit: 'images',
+          current: task.fileName
+        });
+
         try {
           const mockResult = await this.processMockTask(task, outputPath, {
             auditLogger,
@@ -603,6 +646,36 @@ class ImagenDownloadStage {
     await fs.writeJson(mappingsPath, mappings, { spaces: 2 });
   }
 
+  /**
+   * Imagen task counts for the status command: tasks uploaded, downloaded,
+   * failed and still pending
+   */
+  async getStatus({ inputPath, outputPath }) {
+    const trackingData = await this.loadUploadTrackingData(inputPath);
+    if (!trackingData) {
+      return null;
+    }
+
+    const resultsPath = path.join(outputPath, 'download_results.json');
+    const downloadResults = await fs.pathExists(resultsPath)
+      ? (await fs.readJson(resultsPath)).downloadResults
+      : null;
+
+    const total = trackingData.uploadTasks?.length || 0;
+    const completed = downloadResults?.completedTasks?.length || 0;
+    const failed = downloadResults?.failedTasks?.length || 0;
+
+    return {
+      imagenTasks: {
+        total,
+        completed,
+        failed,
+        pending: Math.max(0, total - completed - failed),
+        mockMode: trackingData.mockMode || false
+      }
+    };
+  }
+
   /**
    * Create download report
    */
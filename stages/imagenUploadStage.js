@@ -10,13 +10,17 @@ const path = require('path');
 const axios = require('axios');
 const FormData = require('form-data');
 const { glob } = require('glob');
+const { BudgetExceededError } = require('../lib/budgetTracker');
+const Settings = require('../lib/settings');
+const { withRetry, isOutcomeUnknown } = require('../lib/apiRetry');
 
 class ImagenUploadStage {
   constructor(options = {}) {
     this.auditLogger = options.auditLogger;
-    this.imagenApiKey = process.env.IMAGEN_API_KEY;
-    this.imagenApiUrl = process.env.IMAGEN_API_URL || 'https://api.imagen-ai.com/v1';
-    this.supportedFormats = ['.jpg', '.jpeg', '.png', '.tiff', '.tif'];
+    this.settings = options.settings || Settings.resolve();
+    this.imagenApiKey = this.settings.get('imagenApiKey');
+    this.imagenApiUrl = this.settings.get('imagenApiUrl');
+    this.supportedFormats = this.settings.get('supportedImageFormats');
     this.maxFileSize = 50 * 1024 * 1024; // 50MB limit
     this.batchSize = 10; // Upload in batches
   }
@@ -26,7 +30,7 @@ class ImagenUploadStage {
    */
   async execute(options) {
     const startTime = Date.now();
-    const { inputPath, outputPath, auditLogger, dryRun = false } = options;
+    const { inputPath, outputPath, auditLogger, dryRun = false, progress = null, fingerprints = null, signal = null, budget = null } = options;
     
     auditLogger.logEvent('imagen_upload_stage_start', {
       inputPath,
@@ -80,11 +84,23 @@ class ImagenUploadStage {
         duration: 0
       };
 
-      for (const groupDir of groupDirs) {
+      for (const [index, groupDir] of groupDirs.entries()) {
+        signal?.throwIfAborted();
+
+        auditLogger.logProgress({
+          done: index,
+          total: groupDirs.length,
+          unit: 'groups',
+          current: path.basename(groupDir)
+        });
+
         try {
           const groupResult = await this.processGroup(groupDir, outputPath, {
             auditLogger,
-            dryRun
+            dryRun,
+            progress,
+            fingerprints,
+            budget
           });
           
           results.groupsProcessed++;
@@ -93,6 +109,10 @@ class ImagenUploadStage {
           results.errors.push(...groupResult.errors);
           
         } catch (error) {
+          if (error instanceof BudgetExceededError) {
+            throw error;
+          }
+
           auditLogger.logError(error, {
             groupDir,
             operation: 'process_group_upload'
@@ -105,6 +125,7 @@ class ImagenUploadStage {
         }
       }
 
+      auditLogger.logProgress({ done: groupDirs.length, total: groupDirs.length });
       results.duration = Date.now() - startTime;
       
       // Save upload tracking data
@@ -126,6 +147,12 @@ class ImagenUploadStage {
       return results;
 
     } catch (error) {
+      // Reaching the budget is a planned stop, not a failure; uploaded files
+      // stay checkpointed for the next run
+      if (error instanceof BudgetExceededError) {
+        throw error;
+      }
+
       auditLogger.logError(error, {
         operation: 'imagen_upload_stage_execution',
         inputPath,
@@ -141,6 +168,46 @@ class ImagenUploadStage {
     }
   }
 
+  /**
+   * Estimate the Imagen uploads a run would make, one per image. With the
+   * groups on disk, files already uploaded with matching fingerprints are
+   * free; otherwise imageCount is the previous stage's estimate.
+   */
+  async estimate(options) {
+    const { inputPath, imageCount = null, progress = null, fingerprints = null } = options;
+    let images = imageCount;
+    let pending = imageCount;
+
+    if (imageCount === null) {
+      images = 0;
+      pending = 0;
+
+      for (const groupDir of await this.findGroupDirectories(inputPath)) {
+        const groupName = path.basename(groupDir);
+
+        for (const file of await this.findImagesInGroup(groupDir)) {
+          images++;
+          const fingerprint = await fingerprints?.forFiles([file]);
+          if (!progress?.has(`upload:${groupName}/${path.basename(file)}`, fingerprint)) {
+            pending++;
+          }
+        }
+      }
+    }
+
+    // Without an API key the stage only writes mock tracking data
+    if (!this.imagenApiKey) {
+      return { images, outputImages: images, usage: {}, note: 'IMAGEN_API_KEY is not set; uploads are mocked at no cost' };
+    }
+
+    return {
+      images,
+      reusedImages: images - pending,
+      outputImages: images,
+      usage: { imagen: { calls: pending, images: pending } }
+    };
+  }
+
   /**
    * Find all group directories
    */
@@ -171,7 +238,7 @@ class ImagenUploadStage {
    * Process a single group for upload
    */
   async processGroup(groupDir, outputPath, options) {
-    const { auditLogger, dryRun } = options;
+    const { auditLogger, dryRun, progress, fingerprints, budget } = options;
     const groupName = path.basename(groupDir);
     
     auditLogger.startOperation(`upload_group_${groupName}`);
@@ -224,6 +291,7 @@ class ImagenUploadStage {
       for (let i = 0; i < batches.length; i++) {
         const batch = batches[i];
         
+        auditLogger.logProgress({ current: `${groupName} batch ${i + 1}/${batches.length}` });
         auditLogger.logEvent('batch_upload_start', {
           groupName,
           batch: i + 1,
@@ -234,7 +302,10 @@ class ImagenUploadStage {
         try {
           const batchResults = await this.uploadBatch(batch, groupMetadata, {
             auditLogger,
-            groupName
+            groupName,
+            progress,
+            fingerprints,
+            budget
           });
           
           results.filesUploaded += batchResults.filesUploaded;
@@ -242,6 +313,10 @@ class ImagenUploadStage {
           results.errors.push(...batchResults.errors);
           
         } catch (error) {
+          if (error instanceof BudgetExceededError) {
+            throw error;
+          }
+
           auditLogger.logError(error, {
             groupName,
             batch: i + 1,
@@ -320,7 +395,7 @@ class ImagenUploadStage {
    * Upload a batch of files
    */
   async uploadBatch(batch, groupMetadata, options) {
-    const { auditLogger, groupName } = options;
+    const { auditLogger, groupName, progress, fingerprints, budget } = options;
     
     const results = {
       filesUploaded: 0,
@@ -329,12 +404,26 @@ class ImagenUploadStage {
     };
 
     for (const file of batch) {
+      const unitId = `upload:${groupName}/${path.basename(file)}`;
+      const fingerprint = await fingerprints?.forFiles([file]);
+      
+      // Never pay twice to upload the same file
+      if (progress?.has(unitId, fingerprint)) {
+        results.filesUploaded++;
+        results.uploadTasks.push(progress.reuse(unitId));
+        continue;
+      }
+      
+      // Stop before an upload the budget cannot cover
+      budget?.reserve('imagen', { images: 1 }, auditLogger);
+
       try {
-        const uploadResult = await this.uploadSingleFile(file, groupMetadata, auditLogger);
+        const uploadResult = await this.uploadSingleFile(file, groupMetadata, auditLogger, budget);
         
         if (uploadResult.success) {
           results.filesUploaded++;
           results.uploadTasks.push(uploadResult.task);
+          await progress?.record(unitId, uploadResult.task, fingerprint);
           
           auditLogger.logEvent('file_uploaded', {
             fileName: path.basename(file),
@@ -349,6 +438,10 @@ class ImagenUploadStage {
         }
         
       } catch (error) {
+        if (error instanceof BudgetExceededError) {
+          throw error;
+        }
+
         auditLogger.logError(error, {
           file,
           groupName,
@@ -366,33 +459,34 @@ class ImagenUploadStage {
   }
 
   /**
-   * Upload a single file to Imagen
+   * Upload a single file to Imagen. Uploads start paid work, so they are
+   * only repeated (or retried in the fallback settings) when the server
+   * certainly did not take the first one; each repeat is reserved in the
+   * budget.
    */
-  async uploadSingleFile(filePath, groupMetadata, auditLogger) {
+  async uploadSingleFile(filePath, groupMetadata, auditLogger, budget = null) {
     try {
-      // Prepare form data
-      const formData = new FormData();
-      formData.append('image', fs.createReadStream(filePath));
-      formData.append('enhancement_type', 'auto');
-      formData.append('quality', 'high');
-      formData.append('metadata', JSON.stringify({
-        groupName: groupMetadata.groupName,
-        originalTimestamp: groupMetadata.timeSpan.start,
-        cameras: groupMetadata.cameras
-      }));
-
-      // Make API request
-      const response = await axios.post(
-        `${this.imagenApiUrl}/enhance`,
-        formData,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.imagenApiKey}`,
-            ...formData.getHeaders()
-          },
-          timeout: 120000 // 2 minute timeout
-        }
-      );
+      // Make API request (a retry needs a fresh form, as the file stream is consumed)
+      const response = await withRetry(() => {
+        const formData = this.createUploadForm(filePath, 'auto', 'high', groupMetadata);
+        return axios.post(
+          `${this.imagenApiUrl}/enhance`,
+          formData,
+          {
+            headers: {
+              'Authorization': `Bearer ${this.imagenApiKey}`,
+              ...formData.getHeaders()
+            },
+            timeout: this.settings.get('apiRequestTimeout')
+          }
+        );
+      }, {
+        settings: this.settings,
+        auditLogger,
+        operation: 'imagen_api_upload',
+        idempotent: false,
+        beforeRetry: () => budget?.reserve('imagen', { images: 1 }, auditLogger)
+      });
 
       const uploadTask = {
         taskId: response.data.task_id,
@@ -410,20 +504,54 @@ class ImagenUploadStage {
       };
 
     } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        throw error;
+      }
+
       auditLogger.logError(error, {
         file: filePath,
         operation: 'imagen_api_upload'
       });
 
+      // A timed-out upload may still have started a task; uploading again
+      // could pay to enhance the image twice
+      if (isOutcomeUnknown(error)) {
+        return {
+          success: false,
+          error: `${error.message} (not uploaded again: Imagen may have received it)`
+        };
+      }
+
       // Try fallback with different settings
-      return await this.fallbackUpload(filePath, groupMetadata, auditLogger);
+      budget?.reserve('imagen', { images: 1 }, auditLogger);
+      return await this.fallbackUpload(filePath, groupMetadata, auditLogger, budget);
     }
   }
 
+  /**
+   * Build the multipart form for an enhancement request
+   */
+  createUploadForm(filePath, enhancementType, quality, groupMetadata = null) {
+    const formData = new FormData();
+    formData.append('image', fs.createReadStream(filePath));
+    formData.append('enhancement_type', enhancementType);
+    formData.append('quality', quality);
+
+    if (groupMetadata) {
+      formData.append('metadata', JSON.stringify({
+        groupName: groupMetadata.groupName,
+        originalTimestamp: groupMetadata.timeSpan.start,
+        cameras: groupMetadata.cameras
+      }));
+    }
+
+    return formData;
+  }
+
   /**
    * Fallback upload with reduced settings
    */
-  async fallbackUpload(filePath, groupMetadata, auditLogger) {
+  async fallbackUpload(filePath, groupMetadata, auditLogger, budget = null) {
     try {
       auditLogger.logFallback('imagen_upload',
         'high_quality', 'standard_quality',
@@ -431,22 +559,26 @@ class ImagenUploadStage {
         true
       );
 
-      const formData = new FormData();
-      formData.append('image', fs.createReadStream(filePath));
-      formData.append('enhancement_type', 'basic');
-      formData.append('quality', 'standard');
-
-      const response = await axios.post(
-        `${this.imagenApiUrl}/enhance`,
-        formData,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.imagenApiKey}`,
-            ...formData.getHeaders()
-          },
-          timeout: 60000 // 1 minute timeout
-        }
-      );
+      const response = await withRetry(() => {
+        const formData = this.createUploadForm(filePath, 'basic', 'standard');
+        return axios.post(
+          `${this.imagenApiUrl}/enhance`,
+          formData,
+          {
+            headers: {
+              'Authorization': `Bearer ${this.imagenApiKey}`,
+              ...formData.getHeaders()
+            },
+            timeout: this.settings.get('apiRequestTimeout')
+          }
+        );
+      }, {
+        settings: this.settings,
+        auditLogger,
+        operation: 'imagen_fallback_upload',
+        idempotent: false,
+        beforeRetry: () => budget?.reserve('imagen', { images: 1 }, auditLogger)
+      });
 
       const uploadTask = {
         taskId: response.data.task_id,
@@ -465,6 +597,10 @@ class ImagenUploadStage {
       };
 
     } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        throw error;
+      }
+
       return {
         success: false,
         error: error.message
@@ -472,6 +608,17 @@ class ImagenUploadStage {
     }
   }
 
+  /**
+   * Wait the mockResponseDelay setting, standing in for an API round trip
+   */
+  async simulateResponseDelay() {
+    const delay = this.settings.get('mockResponseDelay');
+
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
   /**
    * Mock upload process for testing
    */
@@ -491,8 +638,9 @@ class ImagenUploadStage {
       const imageFiles = await this.findImagesInGroup(groupDir);
       totalFiles += imageFiles.length;
       
-      // Create mock tasks
+      // Create mock tasks, each taking as long as a mocked request
       for (const file of imageFiles) {
+        await this.simulateResponseDelay();
         mockTasks.push({
           taskId: `mock_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
           fileName: path.basename(file),
@@ -0,0 +1,635 @@
+/**
+ * Ingest Stage - Verified copy of RAW files from cards into the project
+ *
+ * Copies RAW files from one or more cards or folders into the ingest output,
+ * keeping each card's folder layout under a folder named after the card
+ * (numbered, e.g. Untitled-2, when an earlier card of the same name left
+ * different files there). A file already in the project is never replaced.
+ * Every copy, and the copy written to the backup destination, is read back
+ * and checked against the source's SHA-256 before it counts as ingested.
+ * Files whose content was already ingested (by an earlier run, or from the
+ * other card of a dual-slot camera) are skipped and their source recorded.
+ * ingest_ledger.json keeps every ingested file with its hash, cards and
+ * camera; ingest_report.json describes the latest run.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { statfs } = require('fs/promises');
+const { glob } = require('glob');
+const exifr = require('exifr');
+const WorkerPool = require('../lib/workerPool');
+const Settings = require('../lib/settings');
+
+const LEDGER_FILE = 'ingest_ledger.json';
+const REPORT_FILE = 'ingest_report.json';
+
+class IngestStage {
+  constructor(options = {}) {
+    this.auditLogger = options.auditLogger;
+    this.settings = options.settings || Settings.resolve();
+    this.supportedFormats = this.settings.get('supportedRawFormats');
+  }
+
+  /**
+   * Execute the ingest stage
+   */
+  async execute(options) {
+    const startTime = Date.now();
+    const { outputPath, auditLogger, dryRun = false, progress = null, jobs, fingerprints = null, signal = null } = options;
+    const cards = this.getCards(options);
+    const backup = this.getBackupPath(options);
+
+    this.checkPaths(cards, outputPath, backup);
+
+    auditLogger.logEvent('ingest_stage_start', {
+      cards: cards.map(card => ({ label: card.label, path: card.path })),
+      outputPath,
+      backup,
+      dryRun
+    });
+
+    try {
+      const files = await this.findCardFiles(cards);
+
+      if (files.length === 0) {
+        auditLogger.logEvent('no_raw_files_found', { cards: cards.map(card => card.path) });
+        return {
+          filesProcessed: 0,
+          success: true,
+          message: 'No RAW files found on the cards'
+        };
+      }
+
+      auditLogger.logEvent('card_files_found', {
+        totalFiles: files.length,
+        perCard: Object.fromEntries(cards.map(card => [card.label, files.filter(f => f.card === card).length]))
+      });
+
+      // Hash every source first, so duplicates are decided in card order
+      // whichever file finishes hashing first
+      const hashPool = new WorkerPool({ concurrency: jobs, auditLogger, name: 'ingest_hash_pool', signal });
+      const hashed = await hashPool.run(files, file =>
+        fingerprints ? fingerprints.hashFile(file.source) : this.hashFile(file.source)
+      );
+
+      const ledger = await this.loadLedger(outputPath);
+      await this.assignCardLabels(cards, files, hashed, ledger, outputPath, backup, auditLogger);
+      const { toCopy, duplicates, alreadyIngested, errors } = this.planCopies(files, hashed, ledger, outputPath, auditLogger);
+
+      if (!dryRun) {
+        await this.checkFreeSpace(toCopy, outputPath, backup);
+      }
+
+      const pool = new WorkerPool({ concurrency: jobs, auditLogger, name: 'ingest_pool', signal });
+      const outcomes = await pool.run(toCopy, (file, task) =>
+        this.ingestFile(file, {
+          outputPath,
+          backup,
+          dryRun,
+          progress,
+          auditLogger: task.auditLogger
+        })
+      );
+
+      const results = [];
+      for (const outcome of outcomes) {
+        if (outcome.error) {
+          // Nothing was kept for this file; a rerun copies it again
+          ledger.delete(outcome.item.sha256);
+          errors.push({
+            card: outcome.item.card.label,
+            file: outcome.item.relative,
+            error: outcome.error.message
+          });
+        } else {
+          results.push(outcome.value);
+          if (!dryRun) {
+            ledger.set(outcome.item.sha256, this.createLedgerEntry(outcome.item, outcome.value, ledger.get(outcome.item.sha256)));
+          }
+        }
+      }
+
+      const report = {
+        stage: 'ingest',
+        timestamp: new Date().toISOString(),
+        summary: {
+          totalCardFiles: files.length,
+          filesCopied: results.length,
+          duplicates: duplicates.length,
+          alreadyIngested: alreadyIngested.length,
+          errors: errors.length,
+          bytesCopied: results.reduce((sum, result) => sum + result.size, 0),
+          backup,
+          duration: Date.now() - startTime
+        },
+        cards: cards.map(card => this.describeCard(card, files, results)),
+        files: results,
+        duplicates,
+        alreadyIngested,
+        errors,
+        dryRun
+      };
+
+      if (!dryRun) {
+        await fs.ensureDir(outputPath);
+        await this.saveLedger(outputPath, ledger);
+        await fs.writeJson(path.join(outputPath, REPORT_FILE), report, { spaces: 2 });
+      }
+
+      auditLogger.logEvent('ingest_stage_complete', report.summary);
+
+      // Converting a partial shoot would hide the missing frames
+      if (errors.length > 0) {
+        throw new Error(`${errors.length} of ${files.length} files failed to ingest (see ${path.join(outputPath, REPORT_FILE)}); the cards are untouched, rerun ingest to retry them`);
+      }
+
+      return {
+        filesProcessed: results.length,
+        success: true,
+        duplicates: duplicates.length,
+        alreadyIngested: alreadyIngested.length,
+        errors: 0,
+        duration: Date.now() - startTime
+      };
+
+    } catch (error) {
+      auditLogger.logError(error, 'Ingest stage failed');
+      throw error;
+    }
+  }
+
+  /**
+   * Cards to read: the input directory plus any extra sources, each labelled
+   * with its folder name (made unique when two cards share one)
+   */
+  getCards(options) {
+    const paths = [options.inputPath, ...this.toList(options.sources)]
+      .filter(Boolean)
+      .map(source => path.resolve(source));
+    const cards = [];
+    const labels = new Set();
+
+    for (const source of [...new Set(paths)]) {
+      const base = path.basename(source) || 'card';
+      let label = base;
+      for (let n = 2; labels.has(label); n++) {
+        label = `${base}-${n}`;
+      }
+
+      labels.add(label);
+      cards.push({ label, path: source });
+    }
+
+    return cards;
+  }
+
+  /**
+   * Relabel cards whose files would land on different files already in the
+   * project or backup under the same label, such as a second card that is
+   * also named Untitled; a card keeps its label while nothing collides
+   */
+  async assignCardLabels(cards, files, hashed, ledger, outputPath, backup, auditLogger) {
+    // Project-relative file -> SHA-256, for everything ingested before
+    const ingested = new Map([...ledger].map(([sha256, entry]) => [entry.file, sha256]));
+    const used = new Set();
+
+    for (const card of cards) {
+      const cardFiles = files
+        .map((file, index) => ({ file, sha256: hashed[index].value }))
+        .filter(({ file, sha256 }) => file.card === card && sha256);
+      const base = card.label;
+      let label = base;
+
+      for (let n = 2; used.has(label) || await this.labelCollides(label, cardFiles, ingested, outputPath, backup); n++) {
+        label = `${base}-${n}`;
+      }
+
+      if (label !== base) {
+        auditLogger.logDecision('card_relabelled',
+          { card: card.path, label: base },
+          label,
+          `Files under ${base}/ from an earlier card differ from this card's files of the same name`
+        );
+      }
+
+      card.label = label;
+      used.add(label);
+    }
+  }
+
+  /**
+   * Whether any of a card's files would land, under this label, on a
+   * different file in the project or the backup
+   */
+  async labelCollides(label, cardFiles, ingested, outputPath, backup) {
+    for (const { file, sha256 } of cardFiles) {
+      const relative = path.join(label, file.relative);
+      const known = ingested.get(relative);
+
+      if (known) {
+        if (known !== sha256) {
+          return true;
+        }
+        continue;
+      }
+
+      for (const dir of [outputPath, backup].filter(Boolean)) {
+        const existing = path.join(dir, relative);
+        if (await fs.pathExists(existing) && await this.hashFile(existing) !== sha256) {
+          return true;
+        }
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * The backup destination; required while createBackupBeforeProcessing is on
+   */
+  getBackupPath(options) {
+    const backup = options.backup || this.settings.get('backupDestination');
+
+    if (!backup && this.settings.get('createBackupBeforeProcessing')) {
+      throw new Error('Ingest needs a backup destination while createBackupBeforeProcessing is on: pass --backup <dir>, set BACKUP_DESTINATION, or set CREATE_BACKUP_BEFORE_PROCESSING=false');
+    }
+
+    return backup ? path.resolve(backup) : null;
+  }
+
+  /**
+   * Refuse cards, project and backup folders that contain one another
+   */
+  checkPaths(cards, outputPath, backup) {
+    const inside = (child, parent) => {
+      const relative = path.relative(parent, child);
+      return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+    };
+    const destinations = [{ name: 'the ingest output', dir: path.resolve(outputPath) }];
+    if (backup) {
+      destinations.push({ name: 'the backup destination', dir: backup });
+    }
+
+    for (const card of cards) {
+      for (const destination of destinations) {
+        if (inside(destination.dir, card.path) || inside(card.path, destination.dir)) {
+          throw new Error(`Card ${card.path} overlaps ${destination.name} ${destination.dir}`);
+        }
+      }
+    }
+
+    if (backup && (inside(backup, destinations[0].dir) || inside(destinations[0].dir, backup))) {
+      throw new Error(`Backup destination ${backup} overlaps the ingest output ${destinations[0].dir}`);
+    }
+  }
+
+  /**
+   * Every RAW file on the cards, card by card in path order
+   */
+  async findCardFiles(cards) {
+    const files = [];
+
+    for (const card of cards) {
+      if (!await fs.pathExists(card.path) || !(await fs.stat(card.path)).isDirectory()) {
+        throw new Error(`Card or source folder not found: ${card.path}`);
+      }
+
+      const patterns = this.supportedFormats.map(ext => `**/*${ext}`);
+      const matches = await glob(patterns, { cwd: card.path, nocase: true, nodir: true });
+
+      for (const relative of [...new Set(matches)].sort()) {
+        files.push({ card, relative, source: path.join(card.path, relative) });
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Decide, in card order, which files to copy and which are already in the
+   * project or duplicated on another card
+   */
+  planCopies(files, hashed, ledger, outputPath, auditLogger) {
+    const toCopy = [];
+    const duplicates = [];
+    const alreadyIngested = [];
+    const errors = [];
+    const seen = new Map();
+
+    hashed.forEach((outcome, index) => {
+      const file = files[index];
+
+      if (outcome.error) {
+        errors.push({ card: file.card.label, file: file.relative, error: outcome.error.message });
+        return;
+      }
+
+      const sha256 = outcome.value;
+      const source = { card: file.card.label, path: file.source };
+      const earlier = seen.get(sha256);
+      const ingested = ledger.get(sha256);
+
+      if (earlier) {
+        earlier.duplicateSources.push(source);
+        duplicates.push({ ...source, file: file.relative, sameAs: `${earlier.card.label}/${earlier.relative}` });
+        auditLogger.logDecision('duplicate_skipped',
+          { file: file.relative, card: file.card.label, sameAs: `${earlier.card.label}/${earlier.relative}` },
+          'skip',
+          'Same content as a file on an earlier card in this run'
+        );
+        return;
+      }
+
+      if (ingested && fs.existsSync(path.join(outputPath, ingested.file))) {
+        if (!ingested.sources.some(known => known.card === source.card && known.path === source.path)) {
+          ingested.sources.push(source);
+        }
+        alreadyIngested.push({ ...source, file: file.relative, ingestedAs: ingested.file, ingestedAt: ingested.ingestedAt });
+        auditLogger.logDecision('already_ingested',
+          { file: file.relative, card: file.card.label, ingestedAs: ingested.file },
+          'skip',
+          `Same content was ingested on ${ingested.ingestedAt}`
+        );
+        return;
+      }
+
+      const planned = { ...file, sha256, duplicateSources: [] };
+      seen.set(sha256, planned);
+      toCopy.push(planned);
+    });
+
+    return { toCopy, duplicates, alreadyIngested, errors };
+  }
+
+  /**
+   * Copy one file into the project and the backup, verifying both copies
+   * (runs inside a worker pool task)
+   */
+  async ingestFile(file, options) {
+    const { outputPath, backup, dryRun, progress, auditLogger } = options;
+    const unitId = `${file.card.label}/${file.relative}`;
+    const target = path.join(outputPath, file.card.label, file.relative);
+    const backupTarget = backup ? path.join(backup, file.card.label, file.relative) : null;
+    const fingerprint = `${file.sha256}:${backupTarget || ''}`;
+    const camera = await this.readCamera(file.source);
+
+    if (dryRun) {
+      auditLogger.logDecision('dry_run_skip',
+        { file: file.source, wouldCopyTo: target, backup: backupTarget },
+        'skip',
+        'Dry run - copy skipped'
+      );
+
+      return { card: file.card.label, source: file.source, file: path.relative(outputPath, target), size: (await fs.stat(file.source)).size, camera, dryRun: true };
+    }
+
+    // Reuse copies a previous (interrupted) run finished and verified
+    if (progress?.has(unitId, fingerprint) && await fs.pathExists(target) &&
+      (!backupTarget || await fs.pathExists(backupTarget))) {
+      return progress.reuse(unitId, auditLogger);
+    }
+
+    auditLogger.startOperation(`ingest_${path.basename(file.source)}`);
+
+    try {
+      const size = await this.copyVerified(file.source, target, file.sha256);
+      if (backupTarget) {
+        await this.copyVerified(file.source, backupTarget, file.sha256);
+      }
+
+      const result = {
+        card: file.card.label,
+        source: file.source,
+        file: path.relative(outputPath, target),
+        backup: backupTarget,
+        sha256: file.sha256,
+        size,
+        camera
+      };
+
+      await progress?.record(unitId, result, fingerprint);
+
+      auditLogger.logEvent('file_ingested', {
+        card: file.card.label,
+        file: file.relative,
+        camera: camera?.name || null,
+        size,
+        verified: true,
+        backup: Boolean(backupTarget)
+      });
+
+      auditLogger.endOperation();
+      return result;
+
+    } catch (error) {
+      auditLogger.logError(error, `Failed to ingest ${unitId}`);
+      auditLogger.endOperation();
+      throw error;
+    }
+  }
+
+  /**
+   * Copy to a temp_ file beside the target, check its SHA-256 and move it
+   * into place; returns the size copied. A different file already at the
+   * target is never replaced.
+   */
+  async copyVerified(source, target, sha256) {
+    // .partial keeps convert from picking up an unfinished copy
+    const temp = path.join(path.dirname(target), `temp_${path.basename(target)}.partial`);
+
+    await fs.ensureDir(path.dirname(target));
+    await fs.copy(source, temp, { overwrite: true, preserveTimestamps: true });
+
+    const copied = await this.hashFile(temp);
+    if (copied !== sha256) {
+      await fs.remove(temp);
+      throw new Error(`SHA-256 of the copy at ${target} does not match the card (expected ${sha256}, got ${copied})`);
+    }
+
+    if (await fs.pathExists(target)) {
+      await fs.remove(temp);
+      if (await this.hashFile(target) !== sha256) {
+        throw new Error(`${target} already holds a different file; it was not overwritten`);
+      }
+      return (await fs.stat(target)).size;
+    }
+
+    await fs.move(temp, target);
+    return (await fs.stat(target)).size;
+  }
+
+  /**
+   * SHA-256 of a file's content
+   */
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const digest = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('data', chunk => digest.update(chunk))
+        .on('error', reject)
+        .on('end', () => resolve(digest.digest('hex')));
+    });
+  }
+
+  /**
+   * Camera make, model and serial number from the RAW's EXIF, or null
+   */
+  async readCamera(filePath) {
+    try {
+      const exif = await exifr.parse(filePath, {
+        pick: ['Make', 'Model', 'SerialNumber', 'BodySerialNumber', 'InternalSerialNumber']
+      });
+
+      if (!exif?.Make && !exif?.Model) {
+        return null;
+      }
+
+      const make = exif.Make ? String(exif.Make).trim() : null;
+      const model = exif.Model ? String(exif.Model).trim() : null;
+      const serial = exif.BodySerialNumber || exif.SerialNumber || exif.InternalSerialNumber || null;
+
+      return {
+        make,
+        model,
+        serial: serial ? String(serial).trim() : null,
+        name: model && make && model.startsWith(make) ? model : [make, model].filter(Boolean).join(' ')
+      };
+    } catch (error) {
+      this.auditLogger?.logEvent('camera_unknown', {
+        file: path.basename(filePath),
+        reason: error.message
+      }, 'debug');
+      return null;
+    }
+  }
+
+  /**
+   * Fail before copying when the project or backup disk is too small
+   */
+  async checkFreeSpace(files, outputPath, backup) {
+    const needed = (await Promise.all(files.map(file => fs.stat(file.source)))).reduce((sum, stats) => sum + stats.size, 0);
+
+    for (const dir of [outputPath, backup].filter(Boolean)) {
+      await fs.ensureDir(dir);
+      const stats = await statfs(dir);
+      const available = stats.bavail * stats.bsize;
+
+      if (needed > available) {
+        throw new Error(`Not enough space in ${dir}: the cards need ${Math.ceil(needed / 1048576)} MB, ${Math.floor(available / 1048576)} MB is free`);
+      }
+    }
+  }
+
+  /**
+   * Card summary for the report: files found and cameras seen
+   */
+  describeCard(card, files, results) {
+    const cameras = results
+      .filter(result => result.card === card.label && result.camera)
+      .map(result => result.camera.serial ? `${result.camera.name} #${result.camera.serial}` : result.camera.name);
+
+    return {
+      label: card.label,
+      path: card.path,
+      files: files.filter(file => file.card === card).length,
+      cameras: [...new Set(cameras)].sort()
+    };
+  }
+
+  /**
+   * Ledger entry for a copied file, keeping sources from an earlier entry
+   */
+  createLedgerEntry(file, result, previous = null) {
+    const sources = [...(previous?.sources || [])];
+    for (const source of [{ card: file.card.label, path: file.source }, ...file.duplicateSources]) {
+      if (!sources.some(known => known.card === source.card && known.path === source.path)) {
+        sources.push(source);
+      }
+    }
+
+    return {
+      file: result.file,
+      size: result.size,
+      camera: result.camera,
+      sources,
+      backup: result.backup,
+      ingestedAt: previous?.ingestedAt || new Date().toISOString()
+    };
+  }
+
+  /**
+   * Load the ledger of files ingested into this project, keyed by SHA-256
+   */
+  async loadLedger(outputPath) {
+    const ledgerPath = path.join(outputPath, LEDGER_FILE);
+
+    if (!await fs.pathExists(ledgerPath)) {
+      return new Map();
+    }
+
+    const ledger = await fs.readJson(ledgerPath);
+    return new Map(Object.entries(ledger.files || {}));
+  }
+
+  /**
+   * Write the ledger, sorted by file for readable diffs
+   */
+  async saveLedger(outputPath, ledger) {
+    const files = Object.fromEntries(
+      [...ledger].sort(([, a], [, b]) => a.file.localeCompare(b.file))
+    );
+
+    await fs.writeJson(path.join(outputPath, LEDGER_FILE), {
+      updatedAt: new Date().toISOString(),
+      files
+    }, { spaces: 2 });
+  }
+
+  /**
+   * Count the RAW files on the cards; ingest makes no paid calls
+   */
+  async estimate(options) {
+    const files = await this.findCardFiles(this.getCards(options));
+    return { images: files.length, outputImages: files.length, usage: {} };
+  }
+
+  /**
+   * Settings that decide the stage output, for incremental rebuilds. Extra
+   * cards are listed by name, size and time, as reading them all again just
+   * to decide whether to run would cost as much as the ingest.
+   */
+  async getFingerprintInputs(options) {
+    const cards = this.getCards({ ...options, inputPath: null });
+    const listings = [];
+
+    for (const card of cards) {
+      const files = await fs.pathExists(card.path) ? await this.findCardFiles([card]) : [];
+      const stats = await Promise.all(files.map(file => fs.stat(file.source)));
+      listings.push({
+        path: card.path,
+        files: files.map((file, i) => [file.relative, stats[i].size, stats[i].mtimeMs])
+      });
+    }
+
+    return {
+      sources: listings,
+      backup: this.getBackupPath(options),
+      formats: this.supportedFormats
+    };
+  }
+
+  /**
+   * Normalize a list option given as an array or comma-separated text
+   */
+  toList(value) {
+    if (!value) return [];
+    return Array.isArray(value) ? value : String(value).split(',').map(item => item.trim()).filter(Boolean);
+  }
+}
+
+IngestStage.LEDGER_FILE = LEDGER_FILE;
+IngestStage.REPORT_FILE = REPORT_FILE;
+
+module.exports = IngestStage;
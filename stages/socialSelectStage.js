@@ -0,0 +1,501 @@
+/**
+ * Social Select Stage - Quick sneak-peek picks for same-night sharing
+ *
+ * Picks the N strongest and most varied images from the cull or group
+ * output: hero shots and high culling scores come first, picks are spread
+ * across groups, and two frames from the same duplicate set are only picked
+ * when nothing else is left. Each pick is exported at social sizes (4:5
+ * feed, square, 9:16 story) with a caption draft to edit before posting.
+ * Resizing crops to fill with Python PIL, as the RAW converter does; without
+ * PIL the picks are copied at full size. social_selection.json lists the
+ * picks, their scores and captions; captions.txt holds the drafts.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { glob } = require('glob');
+const WorkerPool = require('../lib/workerPool');
+const processRunner = require('../lib/processRunner');
+const Settings = require('../lib/settings');
+
+// Export sizes, in the order they are written
+const SOCIAL_FORMATS = {
+  'feed': { width: 1080, height: 1350, description: 'Feed post (4:5)' },
+  'square': { width: 1080, height: 1080, description: 'Square post (1:1)' },
+  'story': { width: 1080, height: 1920, description: 'Stories and reels (9:16)' }
+};
+
+// A hero shot outranks a frame scored up to this much higher
+const HERO_BONUS = 0.25;
+// Each earlier pick from the same group lowers a frame's rank by this much
+const REPEAT_GROUP_PENALTY = 0.2;
+// Score for images the culling report does not rate
+const DEFAULT_SCORE = 0.5;
+const SOCIAL_JPEG_QUALITY = 85;
+// Reasons cull records when Gemini gave none; they say nothing about the image
+const GENERIC_REASONS = ['No reasoning provided', 'Parsed from text response', 'Basic heuristic rating (AI unavailable)'];
+// Longest culling reason quoted in a caption draft
+const CAPTION_REASON_LIMIT = 160;
+
+const SELECTION_FILE = 'social_selection.json';
+const CAPTIONS_FILE = 'captions.txt';
+
+const RESIZE_SCRIPT = `
+import sys
+from PIL import Image, ImageOps
+source, target, width, height, quality = sys.argv[1], sys.argv[2], int(sys.argv[3]), int(sys.argv[4]), int(sys.argv[5])
+img = ImageOps.exif_transpose(Image.open(source)).convert('RGB')
+ImageOps.fit(img, (width, height), Image.Resampling.LANCZOS).save(target, 'JPEG', quality=quality, optimize=True)
+`;
+
+class SocialSelectStage {
+  constructor(options = {}) {
+    this.auditLogger = options.auditLogger;
+    this.settings = options.settings || Settings.resolve();
+    this.supportedFormats = this.settings.get('supportedImageFormats');
+  }
+
+  /**
+   * Execute the social select stage
+   */
+  async execute(options) {
+    const startTime = Date.now();
+    const { inputPath, outputPath, auditLogger, dryRun = false, progress = null, jobs, fingerprints = null, project = null, signal = null } = options;
+    const { count, formats } = this.getSelectSettings(options);
+
+    auditLogger.logEvent('social_select_stage_start', {
+      inputPath,
+      outputPath,
+      count,
+      formats,
+      dryRun
+    });
+
+    try {
+      // The culling report comes from cull even when the images come from group
+      const candidates = await this.loadCandidates(inputPath, options.artefacts?.['cull-report'] || inputPath);
+
+      if (candidates.length === 0) {
+        auditLogger.logEvent('no_images_found', { inputPath });
+        return {
+          success: true,
+          filesProcessed: 0,
+          filesSelected: 0,
+          message: 'No images found to select from'
+        };
+      }
+
+      const picks = this.pickImages(candidates, count);
+      const captions = picks.map((pick, index) => this.draftCaption(pick, index, picks.length, project));
+
+      auditLogger.logDecision('social_selection',
+        { candidates: candidates.length, count, rated: candidates.filter(c => c.rating !== null).length },
+        picks.map(pick => pick.fileName),
+        `Picked ${picks.length} image(s) by culling score and hero flag, spread across groups`
+      );
+
+      const resize = !dryRun && await processRunner.hasPythonPil();
+      if (!dryRun && !resize) {
+        auditLogger.logFallback('social_resize',
+          'pil_crop', 'full_size_copy',
+          'Python PIL is not available; picks are copied at full size',
+          true
+        );
+      }
+
+      if (!dryRun) {
+        await fs.ensureDir(outputPath);
+        await this.removeStaleExports(outputPath, picks, formats, resize);
+      }
+
+      // Export picks in parallel; outcomes come back in pick order
+      const pool = new WorkerPool({ concurrency: jobs, auditLogger, name: 'social_select_pool', unit: 'images', signal });
+      const outcomes = await pool.run(picks, async (pick, task) => {
+        const unitId = `social:${pick.fileName}`;
+        const fingerprint = await fingerprints?.forFiles([pick.path], { formats, resize });
+
+        // Skip picks already exported from the same file and sizes
+        if (progress?.has(unitId, fingerprint)) {
+          return progress.reuse(unitId, task.auditLogger);
+        }
+
+        const result = await this.exportPick(pick, outputPath, { formats, resize, dryRun, auditLogger: task.auditLogger });
+
+        if (!dryRun) {
+          await progress?.record(unitId, result, fingerprint);
+        }
+
+        return result;
+      });
+
+      const errors = [];
+      const selection = {
+        stage: 'social-select',
+        timestamp: new Date().toISOString(),
+        summary: {
+          candidates: candidates.length,
+          picked: picks.length,
+          formats,
+          resized: resize,
+          errors: 0,
+          duration: 0
+        },
+        picks: outcomes.map(({ item: pick, value, error }, index) => {
+          if (error) {
+            auditLogger.logError(error, {
+              file: pick.path,
+              operation: 'export_social_pick'
+            });
+            errors.push({ file: pick.path, error: error.message });
+          }
+
+          return {
+            rank: index + 1,
+            file: pick.fileName,
+            source: pick.path,
+            group: pick.group,
+            score: Number(pick.score.toFixed(3)),
+            rating: pick.rating,
+            isHeroShot: pick.isHeroShot,
+            reasoning: pick.reasoning,
+            caption: captions[index],
+            exports: value?.exports || []
+          };
+        }),
+        errors
+      };
+
+      selection.summary.errors = errors.length;
+      selection.summary.duration = Date.now() - startTime;
+
+      if (!dryRun) {
+        await fs.writeJson(path.join(outputPath, SELECTION_FILE), selection, { spaces: 2 });
+        await fs.writeFile(path.join(outputPath, CAPTIONS_FILE), this.formatCaptions(selection.picks), 'utf8');
+      }
+
+      auditLogger.logEvent('social_select_stage_complete', selection.summary);
+
+      return {
+        success: true,
+        filesProcessed: picks.length,
+        filesSelected: picks.length,
+        picks: selection.picks,
+        errors,
+        duration: selection.summary.duration
+      };
+
+    } catch (error) {
+      auditLogger.logError(error, {
+        operation: 'social_select_stage_execution',
+        inputPath,
+        outputPath
+      }, 'critical');
+
+      return {
+        success: false,
+        error: error.message,
+        filesProcessed: 0,
+        duration: Date.now() - startTime
+      };
+    }
+  }
+
+  /**
+   * Pick count and export sizes, from the stage options or settings
+   */
+  getSelectSettings(options) {
+    return {
+      count: parseInt(options.count) || this.settings.get('defaultSocialSelectCount'),
+      formats: this.resolveFormats(options.formats)
+    };
+  }
+
+  /**
+   * Validate the requested export sizes, accepting a list or a comma-separated string
+   */
+  resolveFormats(formats) {
+    const names = Object.keys(SOCIAL_FORMATS);
+
+    if (!formats) {
+      return names;
+    }
+
+    const requested = Array.isArray(formats)
+      ? formats
+      : String(formats).split(',').map(format => format.trim()).filter(Boolean);
+    const unknown = requested.filter(format => !names.includes(format));
+
+    if (requested.length === 0 || unknown.length > 0) {
+      throw new Error(`Invalid social formats: ${unknown.join(', ') || '(none)'}. Valid formats: ${names.join(', ')}`);
+    }
+
+    return names.filter(format => requested.includes(format));
+  }
+
+  /**
+   * Settings that decide the stage output, for incremental rebuilds
+   */
+  getFingerprintInputs(options) {
+    return {
+      ...this.getSelectSettings(options),
+      project: options.project?.toJSON() || null
+    };
+  }
+
+  /**
+   * Count the images a run would pick from; selection makes no paid calls
+   */
+  async estimate(options) {
+    const { count } = this.getSelectSettings(options);
+    const images = options.imageCount ?? (await this.findImageFiles(options.inputPath)).length;
+
+    return { images, outputImages: Math.min(count, images), usage: {} };
+  }
+
+  /**
+   * Find the images in a grouped (Group_* folders) or flat JPEG folder
+   */
+  async findImageFiles(inputPath) {
+    // convert's tiff16 folder holds the TIFF masters of its JPEGs
+    const files = await glob(this.supportedFormats.map(ext => `**/*${ext}`), {
+      cwd: inputPath,
+      nocase: true,
+      absolute: true,
+      ignore: ['tiff16/**']
+    });
+
+    return [...new Set(files)].filter(file => !path.basename(file).startsWith('temp_')).sort();
+  }
+
+  /**
+   * Load the culling report, or null when the input was never culled
+   */
+  async loadCullingReport(folder) {
+    const reportPath = path.join(folder, 'culling_report.json');
+
+    try {
+      return await fs.pathExists(reportPath) ? await fs.readJson(reportPath) : null;
+    } catch (error) {
+      this.auditLogger?.logError(error, {
+        operation: 'load_culling_report',
+        reportPath
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Every image that could be picked, with its culling score, hero flag,
+   * group (its Group_* folder) and duplicate set
+   */
+  async loadCandidates(inputPath, reportFolder) {
+    const images = await this.findImageFiles(inputPath);
+    const report = await this.loadCullingReport(reportFolder);
+    const rated = new Map((report?.selectedFiles || []).map(entry => [entry.file, entry]));
+    const duplicateSets = new Map();
+
+    for (const [index, set] of (report?.duplicateGroups || []).entries()) {
+      for (const image of set.images || []) {
+        duplicateSets.set(image, set.group_id ?? index);
+      }
+    }
+
+    return images.map(file => {
+      const fileName = path.basename(file);
+      const entry = rated.get(fileName);
+      const rating = typeof entry?.rating === 'number' ? entry.rating : null;
+      const isHeroShot = entry?.isHeroShot === true;
+      const folder = path.dirname(file);
+
+      return {
+        path: file,
+        fileName,
+        group: folder === path.resolve(inputPath) ? null : path.basename(folder),
+        rating,
+        isHeroShot,
+        reasoning: entry?.reasoning || null,
+        duplicateSet: duplicateSets.get(fileName) ?? null,
+        score: (rating ?? DEFAULT_SCORE) + (isHeroShot ? HERO_BONUS : 0)
+      };
+    });
+  }
+
+  /**
+   * Pick up to count images, best first. Each pick is the highest-ranked
+   * image left, where every earlier pick from its group lowers its rank;
+   * frames from a duplicate set already picked wait until nothing else is left.
+   */
+  pickImages(candidates, count) {
+    const remaining = [...candidates].sort((a, b) => b.score - a.score || a.fileName.localeCompare(b.fileName));
+    const picks = [];
+    const groupPicks = new Map();
+    const usedSets = new Set();
+    const rank = candidate => candidate.score - REPEAT_GROUP_PENALTY * (groupPicks.get(candidate.group) || 0);
+
+    while (picks.length < count && remaining.length > 0) {
+      const fresh = remaining.filter(candidate => candidate.duplicateSet === null || !usedSets.has(candidate.duplicateSet));
+      const choices = fresh.length > 0 ? fresh : remaining;
+      const best = choices.reduce((top, candidate) => rank(candidate) > rank(top) ? candidate : top);
+
+      picks.push(best);
+      remaining.splice(remaining.indexOf(best), 1);
+      groupPicks.set(best.group, (groupPicks.get(best.group) || 0) + 1);
+      if (best.duplicateSet !== null) {
+        usedSets.add(best.duplicateSet);
+      }
+    }
+
+    return picks;
+  }
+
+  /**
+   * Draft a caption for a pick: the couple, shoot and venue when a project
+   * file is loaded, then what sets this image apart (hero shot, the moment
+   * of the day it comes from and why culling kept it)
+   */
+  draftCaption(pick, index, total, project = null) {
+    let caption = 'Sneak peek';
+
+    if (project) {
+      caption += project.shootType
+        ? ` from ${project.getClientLabel()}'s ${project.shootType}`
+        : ` from ${project.getClientLabel()}`;
+
+      if (project.venue) {
+        caption += ` at ${project.venue}`;
+      }
+    }
+
+    const lines = [`${caption} (${index + 1}/${total})`, this.describePick(pick)];
+
+    if (project?.studio.name) {
+      lines.push(`Photos: ${project.studio.name}`);
+    }
+
+    return lines.filter(Boolean).join('\n');
+  }
+
+  /**
+   * One line on a pick from its hero flag, group folder (Group_03_2024-06-01_14-32
+   * is moment 3, at 14:32) and culling reason, or null when nothing is known
+   */
+  describePick(pick) {
+    const moment = /^Group_(\d+)_(?:\d{4}-\d{2}-\d{2}_(\d{2})-(\d{2})|undated)$/.exec(pick.group || '');
+    let line = pick.isHeroShot ? 'Hero shot' : '';
+
+    if (moment) {
+      const when = moment[2] ? `, ${moment[2]}:${moment[3]}` : '';
+      line += `${line ? ' from' : 'From'} moment ${Number(moment[1])}${when}`;
+    } else if (pick.group) {
+      line += `${line ? ' from' : 'From'} ${pick.group.replace(/_/g, ' ')}`;
+    }
+
+    const reason = pick.reasoning && !GENERIC_REASONS.includes(pick.reasoning.trim())
+      ? this.shortenReason(pick.reasoning)
+      : null;
+
+    if (reason) {
+      line = line ? `${line}: ${reason}` : reason;
+    }
+
+    return line || null;
+  }
+
+  /**
+   * A culling reason as a caption sentence: its first sentence, capitalised,
+   * cut at a word boundary when long
+   */
+  shortenReason(reasoning) {
+    let reason = reasoning.trim().split(/(?<=[.!?])\s+/)[0].replace(/[.!?]+$/, '');
+
+    if (reason.length > CAPTION_REASON_LIMIT) {
+      reason = `${reason.slice(0, CAPTION_REASON_LIMIT).replace(/[\s,;:]+\S*$/, '')}…`;
+    }
+
+    return `${reason.charAt(0).toUpperCase()}${reason.slice(1)}${reason.endsWith('…') ? '' : '.'}`;
+  }
+
+  /**
+   * captions.txt: each pick's exported file names followed by its caption draft
+   */
+  formatCaptions(picks) {
+    return picks.map(pick => {
+      const files = [...new Set(pick.exports.map(entry => path.basename(entry.path)))];
+      return `#${pick.rank} ${files.join(', ') || pick.file}\n${pick.caption}\n`;
+    }).join('\n');
+  }
+
+  /**
+   * File name of a pick's export: a resized JPEG, or the original's extension when copied
+   */
+  getExportName(pick, resize) {
+    const { name, ext } = path.parse(pick.fileName);
+    return `${name}${resize ? '.jpg' : ext}`;
+  }
+
+  /**
+   * Export one pick at every requested size
+   */
+  async exportPick(pick, outputPath, options) {
+    const { formats, resize, dryRun, auditLogger } = options;
+    const exports = [];
+
+    for (const format of formats) {
+      const { width, height } = SOCIAL_FORMATS[format];
+      const target = path.join(outputPath, format, this.getExportName(pick, resize));
+
+      if (!dryRun) {
+        await fs.ensureDir(path.dirname(target));
+
+        if (resize) {
+          await processRunner.run('python3', ['-c', RESIZE_SCRIPT, pick.path, target, width, height, SOCIAL_JPEG_QUALITY], { auditLogger });
+        } else {
+          await fs.copy(pick.path, target);
+        }
+      }
+
+      exports.push({
+        format,
+        path: target,
+        width: resize ? width : null,
+        height: resize ? height : null
+      });
+    }
+
+    auditLogger.logEvent('social_exports_created', {
+      fileName: pick.fileName,
+      formats,
+      resized: resize,
+      dryRun
+    });
+
+    return { fileName: pick.fileName, exports, dryRun };
+  }
+
+  /**
+   * Remove exports of images no longer picked and of sizes no longer requested
+   */
+  async removeStaleExports(outputPath, picks, formats, resize) {
+    const keep = new Set(picks.map(pick => this.getExportName(pick, resize)));
+
+    for (const format of Object.keys(SOCIAL_FORMATS)) {
+      const folder = path.join(outputPath, format);
+      if (!await fs.pathExists(folder)) continue;
+
+      if (!formats.includes(format)) {
+        await fs.remove(folder);
+        continue;
+      }
+
+      for (const file of await fs.readdir(folder)) {
+        if (!keep.has(file)) {
+          await fs.remove(path.join(folder, file));
+        }
+      }
+    }
+  }
+}
+
+SocialSelectStage.SOCIAL_FORMATS = Object.keys(SOCIAL_FORMATS);
+
+module.exports = SocialSelectStage;
@@ -0,0 +1,84 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFile, spawnSync } = require('child_process');
+const BatchQueue = require('../lib/batchQueue');
+const StageRegistry = require('../lib/stageRegistry');
+
+// Adds shoots one at a time from its own process, as `queue add` does
+const ADD_SCRIPT = `
+const BatchQueue = require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'batchQueue'))});
+const StageRegistry = require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'stageRegistry'))});
+const [queuePath, ...inputs] = process.argv.slice(1);
+const queue = new BatchQueue({ queuePath, registry: new StageRegistry() });
+(async () => {
+  for (const input of inputs) {
+    await queue.add([{ input }]);
+  }
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
+`;
+
+describe('BatchQueue', () => {
+  let dir;
+  let queuePath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'queue-'));
+    queuePath = path.join(dir, BatchQueue.QUEUE_FILE);
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  const createShoots = async (prefix, count) => {
+    const inputs = [];
+    for (let i = 0; i < count; i++) {
+      inputs.push(path.join(dir, `${prefix}-${i}`));
+      await fs.ensureDir(inputs[i]);
+    }
+    return inputs;
+  };
+
+  const addFromProcess = inputs => new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', ADD_SCRIPT, queuePath, ...inputs], { timeout: 60000 }, (error, stdout, stderr) => {
+      (error ? reject(new Error(stderr || error.message)) : resolve());
+    });
+  });
+
+  test('keeps every change when several processes edit the queue at once', async () => {
+    const first = await createShoots('smith', 8);
+    const second = await createShoots('jones', 8);
+
+    await Promise.all([addFromProcess(first), addFromProcess(second)]);
+
+    const state = await new BatchQueue({ queuePath }).load();
+    expect(state.jobs.map(job => job.input).sort()).toEqual([...first, ...second].sort());
+    expect(new Set(state.jobs.map(job => job.id)).size).toBe(16);
+    expect(state.nextId).toBe(17);
+    expect(await fs.pathExists(`${queuePath}.lock`)).toBe(false);
+  }, 60000);
+
+  test('takes over a lock left by a process that has died', async () => {
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    await fs.writeJson(`${queuePath}.lock`, { pid, lockedAt: new Date().toISOString() });
+    const [input] = await createShoots('smith', 1);
+
+    const [job] = await new BatchQueue({ queuePath, registry: new StageRegistry(), lockTimeout: 1 }).add([{ input }]);
+
+    expect(job.id).toBe(1);
+    expect(await fs.pathExists(`${queuePath}.lock`)).toBe(false);
+  });
+
+  test('waits for a live lock holder, then gives up naming it', async () => {
+    // The parent of this test process stays alive throughout
+    await fs.writeJson(`${queuePath}.lock`, { pid: process.ppid, lockedAt: new Date().toISOString() });
+    const queue = new BatchQueue({ queuePath, lockTimeout: 0.2 });
+
+    await expect(queue.pause()).rejects.toThrow(`locked by process ${process.ppid}`);
+    expect(await fs.pathExists(queuePath)).toBe(false);
+  });
+});
@@ -0,0 +1,151 @@
+const BudgetTracker = require('../lib/budgetTracker');
+const { mergePrices } = require('../lib/pricing');
+const { withRetry } = require('../lib/apiRetry');
+
+const { BudgetExceededError } = BudgetTracker;
+
+// Round numbers, so costs are easy to follow
+const PRICES = mergePrices({ gemini: { perCall: 0.1, perImage: 0.01 }, imagen: { perCall: 0, perImage: 0.5 } });
+
+/**
+ * An axios-style error for a response with the given status
+ */
+const httpError = status => Object.assign(new Error(`Request failed with status code ${status}`), {
+  isAxiosError: true,
+  response: { status }
+});
+
+const settings = (retries = 3) => ({
+  get: key => ({ maxApiRetries: retries, apiRetryDelay: 0 })[key]
+});
+
+/**
+ * The error a call throws
+ */
+const thrown = fn => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('expected a throw');
+};
+
+describe('BudgetTracker', () => {
+  test('counts calls and cost per service without limits', () => {
+    const budget = new BudgetTracker({ prices: PRICES });
+
+    expect(budget.isLimited()).toBe(false);
+    expect(budget.reserve('gemini', { images: 10 })).toBeCloseTo(0.2);
+    budget.reserve('imagen', { images: 2 });
+
+    const usage = budget.getUsage();
+    expect(usage).toMatchObject({ calls: 2, currency: 'USD', maxCalls: null, maxCost: null });
+    expect(usage.cost).toBeCloseTo(1.2);
+    expect(usage.services.gemini).toEqual({ calls: 1, images: 10, cost: expect.closeTo(0.2) });
+  });
+
+  test('refuses the call that would go past the call limit', () => {
+    const budget = new BudgetTracker({ prices: PRICES, maxCalls: 2 });
+    budget.reserve('gemini', { images: 1 });
+    budget.reserve('gemini', { images: 1 });
+
+    const error = thrown(() => budget.reserve('gemini', { images: 1 }));
+
+    expect(error).toBeInstanceOf(BudgetExceededError);
+    expect(error.code).toBe('BUDGET_EXCEEDED');
+    expect(error.message).toMatch(/call limit of 2 is reached \(2 made\)/);
+    expect(error.usage.calls).toBe(2);
+    expect(budget.getUsage().calls).toBe(2);
+  });
+
+  test('allows a request that fits the cost limit exactly', () => {
+    const budget = new BudgetTracker({ prices: PRICES, maxCost: 0.3 });
+
+    // 0.1 + 0.1 + 0.1 is a little more than 0.3 in floating point
+    budget.reserve('gemini');
+    budget.reserve('gemini');
+    budget.reserve('gemini');
+
+    expect(() => budget.reserve('gemini')).toThrow(BudgetExceededError);
+    expect(budget.getUsage().calls).toBe(3);
+  });
+
+  test('refuses a request that costs more than is left, before spending', () => {
+    const budget = new BudgetTracker({ prices: PRICES, maxCost: 1 });
+    budget.reserve('imagen', { images: 1 });
+
+    const error = thrown(() => budget.reserve('imagen', { images: 2 }));
+
+    expect(error.message).toMatch(/next imagen request \(1\.00 USD\) would exceed the budget of 1\.00 USD \(0\.50 USD spent\)/);
+    expect(budget.getUsage().cost).toBeCloseTo(0.5);
+  });
+
+  test('logs the refusal as a decision', () => {
+    const decisions = [];
+    const auditLogger = { logDecision: (...args) => decisions.push(args) };
+    const budget = new BudgetTracker({ prices: PRICES, maxCalls: 0 });
+
+    expect(() => budget.reserve('gemini', { images: 3 }, auditLogger)).toThrow(BudgetExceededError);
+
+    expect(decisions).toEqual([['budget_reached', expect.objectContaining({ service: 'gemini', calls: 0 }), 'stopped', expect.stringMatching(/^Stopping before the next paid request/)]]);
+  });
+
+  describe('with API retries', () => {
+    test('reserves every retry, so retries use up the budget', async () => {
+      const budget = new BudgetTracker({ prices: PRICES, maxCalls: 3 });
+      let attempts = 0;
+      const request = async () => {
+        attempts++;
+        throw httpError(503);
+      };
+
+      // The first attempt is reserved by the caller, as the stages do
+      budget.reserve('gemini', { images: 5 });
+      const error = await withRetry(request, {
+        settings: settings(5),
+        operation: 'gemini_contextual_call',
+        beforeRetry: () => budget.reserve('gemini', { images: 5 })
+      }).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(BudgetExceededError);
+      expect(attempts).toBe(3);
+      expect(budget.getUsage()).toMatchObject({ calls: 3, services: { gemini: { calls: 3, images: 15 } } });
+    });
+
+    test('reserves nothing more once a retry succeeds', async () => {
+      const budget = new BudgetTracker({ prices: PRICES, maxCost: 10 });
+      const responses = [httpError(429), httpError(500)];
+      const request = async () => {
+        if (responses.length > 0) throw responses.shift();
+        return { data: 'ok' };
+      };
+
+      budget.reserve('gemini', { images: 5 });
+      const response = await withRetry(request, {
+        settings: settings(5),
+        operation: 'gemini_qa_call',
+        beforeRetry: () => budget.reserve('gemini', { images: 5 })
+      });
+
+      expect(response.data).toBe('ok');
+      expect(budget.getUsage().calls).toBe(3);
+      expect(budget.getUsage().cost).toBeCloseTo(0.45);
+    });
+
+    test('reserves nothing for failures that are not retried', async () => {
+      const budget = new BudgetTracker({ prices: PRICES });
+      const request = async () => {
+        throw httpError(400);
+      };
+
+      await expect(withRetry(request, {
+        settings: settings(5),
+        operation: 'gemini_contextual_call',
+        beforeRetry: () => budget.reserve('gemini')
+      })).rejects.toThrow('status code 400');
+
+      expect(budget.getUsage().calls).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const DevelopmentProfiles = require('../lib/developmentProfiles');
+
+const { DevelopmentProfileError } = DevelopmentProfiles;
+
+describe('DevelopmentProfiles', () => {
+  const table = () => DevelopmentProfiles.parse({
+    profiles: {
+      studio: { whiteBalance: 'custom', multipliers: [2.05, 1, 1.42, 1], exposure: 0.3 }
+    },
+    cameras: {
+      'ILCE-7RM4': 'retouch',
+      'Canon  EOS R6': 'studio'
+    }
+  });
+
+  test('fills in a custom profile from the base profile', () => {
+    const profile = table().resolve({ run: 'studio' });
+
+    expect(profile).toMatchObject({
+      name: 'studio',
+      whiteBalance: 'custom',
+      multipliers: [2.05, 1, 1.42, 1],
+      exposure: 0.3,
+      colorSpace: 'sRGB',
+      output: 'jpeg',
+      chosenBy: 'run'
+    });
+  });
+
+  test('prefers the run profile over the camera one', () => {
+    const profile = table().resolve({ run: 'low-light', make: 'SONY', model: 'ILCE-7RM4' });
+
+    expect(profile).toMatchObject({ name: 'low-light', chosenBy: 'run', camera: 'SONY ILCE-7RM4' });
+  });
+
+  test('matches cameras on the model, with or without the make', () => {
+    const profiles = table();
+
+    expect(profiles.resolve({ make: 'SONY', model: 'ilce-7rm4' })).toMatchObject({ name: 'retouch', chosenBy: 'camera' });
+    expect(profiles.resolve({ make: 'Canon', model: 'EOS R6' })).toMatchObject({ name: 'studio', chosenBy: 'camera' });
+  });
+
+  test('falls back for unknown cameras and files without EXIF', () => {
+    const profiles = table();
+
+    expect(profiles.resolve({ make: 'NIKON', model: 'Z 8' })).toMatchObject({ name: 'default', chosenBy: 'default' });
+    expect(profiles.resolve({ fallback: 'full' })).toMatchObject({ name: 'full', chosenBy: 'default', camera: null });
+  });
+
+  test('rejects an unknown profile name', () => {
+    expect(() => table().resolve({ run: 'portrait' })).toThrow('Unknown development profile: portrait');
+  });
+
+  test('reports every problem in a profile table', () => {
+    let error;
+
+    try {
+      DevelopmentProfiles.parse({
+        profiles: {
+          warm: { whiteBalance: 'custom' },
+          master: { output: 'tiff16', embeddedPreview: true }
+        },
+        cameras: { 'EOS R5': 'portrait' },
+        lenses: {}
+      }, 'profiles.yaml');
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(DevelopmentProfileError);
+    expect(error.source).toBe('profiles.yaml');
+    expect(error.errors.map(e => e.key)).toEqual([
+      'lenses',
+      'profiles.warm.multipliers',
+      'profiles.master.embeddedPreview',
+      'cameras.EOS R5'
+    ]);
+  });
+
+  describe('load', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'profiles-'));
+    });
+
+    afterEach(async () => {
+      await fs.remove(dir);
+    });
+
+    test('returns the built-in profiles without a file', async () => {
+      const profiles = await DevelopmentProfiles.load();
+
+      expect(profiles.names()).toEqual(['default', 'full', 'retouch', 'low-light']);
+    });
+
+    test('reads a YAML file whose profiles replace built-ins', async () => {
+      const file = path.join(dir, 'profiles.yaml');
+      await fs.writeFile(file, [
+        'profiles:',
+        '  retouch:',
+        '    colorSpace: AdobeRGB',
+        '    output: tiff16',
+        'cameras:',
+        '  X-T5: retouch',
+        ''
+      ].join('\n'));
+
+      const profiles = await DevelopmentProfiles.load(file);
+
+      expect(profiles.source).toBe(file);
+      expect(profiles.resolve({ make: 'FUJIFILM', model: 'X-T5' })).toMatchObject({
+        name: 'retouch',
+        colorSpace: 'AdobeRGB',
+        highlights: 0,
+        chosenBy: 'camera'
+      });
+    });
+
+    test('reports a file that cannot be parsed', async () => {
+      const file = path.join(dir, 'profiles.json');
+      await fs.writeFile(file, '{ "profiles": ');
+
+      await expect(DevelopmentProfiles.load(file)).rejects.toThrow(DevelopmentProfileError);
+    });
+  });
+});
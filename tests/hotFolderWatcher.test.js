@@ -0,0 +1,108 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const AuditLogger = require('../lib/auditLogger');
+const HotFolderWatcher = require('../lib/hotFolderWatcher');
+const PipelineConfig = require('../lib/pipelineConfig');
+const Settings = require('../lib/settings');
+const StageRegistry = require('../lib/stageRegistry');
+
+describe('HotFolderWatcher', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'watch-'));
+    await fs.ensureDir(path.join(dir, 'shoot'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  /**
+   * A watcher over the shoot folder whose pipeline has the given convert
+   * pre hook, recording every event it publishes
+   */
+  const createWatcher = async (preHook, options = {}) => {
+    await fs.writeFile(path.join(dir, 'pipeline.yml'), `stages:\n  - name: convert\n    hooks:\n      pre: '${preHook}'\n`);
+
+    const registry = new StageRegistry();
+    const settings = Settings.resolve({ env: { GEMINI_API_KEY: 'test-key' } });
+    const watcher = new HotFolderWatcher({
+      inputDir: path.join(dir, 'shoot'),
+      outputDir: path.join(dir, 'output'),
+      auditLogger: new AuditLogger({ outputDir: path.join(dir, 'output'), stageName: 'watch', settings }),
+      registry,
+      settings,
+      pipeline: await PipelineConfig.load(path.join(dir, 'pipeline.yml'), registry),
+      stageOptions: { convert: { mock: true } },
+      interval: 0.01,
+      stablePolls: 1,
+      ...options
+    });
+
+    const events = [];
+    for (const name of ['framesConverting', 'incrementStart', 'stageComplete', 'stageFailed']) {
+      watcher.on(name, event => events.push({ name, ...event }));
+    }
+
+    return { watcher, events };
+  };
+
+  /**
+   * Watch until a stage run matches the predicate, or for at most timeout ms
+   */
+  const watchUntil = async (watcher, predicate, timeout = 5000) => {
+    const timer = setTimeout(() => watcher.stop(), timeout);
+    const listener = () => (predicate() ? watcher.stop() : null);
+
+    for (const name of ['stageComplete', 'stageFailed']) {
+      watcher.on(name, listener);
+    }
+
+    return watcher.start().finally(() => clearTimeout(timer));
+  };
+
+  test('retries a failed convert without waiting for new frames', async () => {
+    await fs.writeFile(path.join(dir, 'shoot', 'a.arw'), 'frame');
+    // Fails the first time only
+    const { watcher, events } = await createWatcher('test -f converted || { touch converted; exit 1; }', { settle: 0.05 });
+
+    const stats = await watchUntil(watcher, () => events.some(e => e.name === 'stageComplete' && e.stage === 'convert'));
+
+    expect(events.filter(e => e.name !== 'incrementStart').map(e => [e.name, e.stage ?? e.retry])).toEqual([
+      ['framesConverting', false],
+      ['stageFailed', 'convert'],
+      ['framesConverting', true],
+      ['stageComplete', 'convert']
+    ]);
+    expect(stats.unconvertedFrames).toBe(0);
+    expect(stats.failures).toBe(1);
+  });
+
+  test('keeps failed frames pending until the retry time', async () => {
+    await fs.writeFile(path.join(dir, 'shoot', 'a.arw'), 'frame');
+    const { watcher, events } = await createWatcher('exit 1', { settle: 60 });
+
+    // Many polls pass while the retry time is a minute away
+    const stats = await watchUntil(watcher, () => false, 500);
+
+    expect(events.filter(e => e.name === 'stageFailed')).toHaveLength(1);
+    expect(stats).toMatchObject({ filesSeen: 1, unconvertedFrames: 1, pendingFrames: 1 });
+  });
+
+  test('stops watching once the budget is reached', async () => {
+    await fs.writeFile(path.join(dir, 'shoot', 'a.arw'), 'frame');
+    // Mock convert writes nothing, so give cull a frame to pay for
+    await fs.outputFile(path.join(dir, 'output', 'convert', 'a.jpg'), 'frame');
+    const { watcher, events } = await createWatcher('true', { settle: 0.05, maxCost: 0 });
+    const reached = [];
+    watcher.on('budgetReached', event => reached.push(event));
+
+    const stats = await watchUntil(watcher, () => false);
+
+    expect(reached.map(event => [event.stage, event.error.code])).toEqual([['cull', 'BUDGET_EXCEEDED']]);
+    expect(events.filter(e => e.name === 'stageFailed')).toEqual([]);
+    expect(stats).toMatchObject({ stoppedAtBudget: true, increments: 0, pendingFrames: 1, spend: { calls: 0, maxCost: 0 } });
+  });
+});
@@ -0,0 +1,99 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const IngestStage = require('../stages/ingestStage');
+const Settings = require('../lib/settings');
+
+const auditLogger = {
+  logEvent: () => {},
+  logDecision: () => {},
+  logError: () => {},
+  logFallback: () => {},
+  logPerformance: () => {},
+  logProgress: () => {}
+};
+
+describe('IngestStage name collisions', () => {
+  let root;
+  let outputPath;
+  let stage;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'ingest-'));
+    outputPath = path.join(root, 'project', 'ingest');
+    stage = new IngestStage({
+      auditLogger,
+      settings: Settings.resolve({ env: {}, overrides: { createBackupBeforeProcessing: 'false' } })
+    });
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  /**
+   * Write a card folder holding the given files
+   */
+  const makeCard = async (cardPath, files) => {
+    for (const [name, content] of Object.entries(files)) {
+      await fs.outputFile(path.join(root, cardPath, name), content);
+    }
+    return path.join(root, cardPath);
+  };
+
+  const ingest = (inputPath, options = {}) => stage.execute({ inputPath, outputPath, auditLogger, jobs: 1, ...options });
+  const read = relative => fs.readFile(path.join(outputPath, relative), 'utf8');
+
+  test('numbers a second card of the same name in one run', async () => {
+    const first = await makeCard('slot1/Untitled', { 'DSC_0001.arw': 'first card' });
+    const second = await makeCard('slot2/Untitled', { 'DSC_0001.arw': 'second card' });
+
+    await ingest(first, { sources: [second] });
+
+    expect(await read('Untitled/DSC_0001.arw')).toBe('first card');
+    expect(await read('Untitled-2/DSC_0001.arw')).toBe('second card');
+  });
+
+  test('never overwrites a card ingested by an earlier run', async () => {
+    const monday = await makeCard('monday/Untitled', { 'DSC_0001.arw': 'monday' });
+    const tuesday = await makeCard('tuesday/Untitled', { 'DSC_0001.arw': 'tuesday' });
+
+    await ingest(monday);
+    await ingest(tuesday);
+
+    expect(await read('Untitled/DSC_0001.arw')).toBe('monday');
+    expect(await read('Untitled-2/DSC_0001.arw')).toBe('tuesday');
+
+    const ledger = await fs.readJson(path.join(outputPath, IngestStage.LEDGER_FILE));
+    expect(JSON.stringify(ledger)).toContain('Untitled-2');
+  });
+
+  test('keeps the label of a card ingested again', async () => {
+    const card = await makeCard('slot1/Untitled', { 'DSC_0001.arw': 'same' });
+
+    await ingest(card);
+    const result = await ingest(card);
+
+    expect(result.alreadyIngested).toBe(1);
+    expect(await fs.pathExists(path.join(outputPath, 'Untitled-2'))).toBe(false);
+  });
+
+  test('skips the duplicate from the other slot of a dual-slot camera', async () => {
+    const first = await makeCard('slot1/Untitled', { 'DSC_0001.arw': 'same frame' });
+    const second = await makeCard('slot2/Untitled', { 'DSC_0001.arw': 'same frame' });
+
+    const result = await ingest(first, { sources: [second] });
+
+    expect(result).toMatchObject({ filesProcessed: 1, duplicates: 1 });
+  });
+
+  test('refuses to replace a different file at the target', async () => {
+    const source = path.join(await makeCard('card', { 'a.arw': 'card' }), 'a.arw');
+    const target = path.join(outputPath, 'a.arw');
+    await fs.outputFile(target, 'already here');
+
+    await expect(stage.copyVerified(source, target, await stage.hashFile(source))).rejects.toThrow(/was not overwritten/);
+    expect(await fs.readFile(target, 'utf8')).toBe('already here');
+    expect(await fs.readdir(outputPath)).toEqual(['a.arw']);
+  });
+});
@@ -0,0 +1,89 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const JobManager = require('../lib/jobManager');
+const StageRegistry = require('../lib/stageRegistry');
+
+const { JobRequestError } = JobManager;
+
+describe('JobManager budgets', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'jobs-'));
+    await fs.ensureDir(path.join(dir, 'shoot'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  /**
+   * A manager that queues jobs without running them
+   */
+  const createManager = (options = {}) => new JobManager({ registry: new StageRegistry(), maxConcurrent: 0, ...options });
+
+  const submit = (manager, request = {}) => manager.submit({
+    stage: 'cull',
+    input: path.join(dir, 'shoot'),
+    output: path.join(dir, 'output'),
+    ...request
+  });
+
+  /**
+   * The error a submission is refused with
+   */
+  const refusal = async (manager, request) => {
+    try {
+      await submit(manager, request);
+    } catch (error) {
+      expect(error).toBeInstanceOf(JobRequestError);
+      return error;
+    }
+    throw new Error('expected the request to be refused');
+  };
+
+  test('runs without limits when neither the server nor the request sets one', async () => {
+    const job = await submit(createManager());
+
+    expect(job).toMatchObject({ maxCost: null, maxCalls: null });
+  });
+
+  test('gives a job the server limits by default', async () => {
+    const job = await submit(createManager({ maxCost: 5, maxCalls: 20 }));
+
+    expect(job).toMatchObject({ maxCost: 5, maxCalls: 20 });
+  });
+
+  test('lets a job lower the server limits but not raise them', async () => {
+    const manager = createManager({ maxCost: 5, maxCalls: 20 });
+
+    expect(await submit(manager, { maxCost: 2.5, maxCalls: 4 })).toMatchObject({ maxCost: 2.5, maxCalls: 4 });
+
+    const error = await refusal(manager, { maxCost: 6 });
+    expect(error.statusCode).toBe(403);
+    expect(error.message).toMatch(/"maxCost" may not be more than the server's limit of 5/);
+  });
+
+  test('rejects limits that are not amounts or counts', async () => {
+    const manager = createManager();
+
+    expect((await refusal(manager, { maxCost: '5' })).statusCode).toBe(400);
+    expect((await refusal(manager, { maxCost: -1 })).message).toMatch(/"maxCost" must be an amount/);
+    expect((await refusal(manager, { maxCalls: 2.5 })).message).toMatch(/"maxCalls" must be a whole number/);
+    expect((await refusal(manager, { maxCalls: 0 })).message).toMatch(/"maxCalls" must be a whole number/);
+  });
+
+  test('prices jobs with the server table, whatever the request sends', async () => {
+    const job = await submit(createManager(), { prices: { gemini: { perCall: 0, perImage: 0 } } });
+
+    expect(job.priceTable.gemini.perImage).toBeGreaterThan(0);
+  });
+
+  test('shows the limits in the public view', async () => {
+    const manager = createManager({ maxCalls: 3 });
+    const job = await submit(manager);
+
+    expect(manager.describeJob(job)).toMatchObject({ maxCost: null, maxCalls: 3 });
+  });
+});
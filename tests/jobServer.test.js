@@ -0,0 +1,119 @@
+const fs = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const JobServer = require('../lib/jobServer');
+const StageRegistry = require('../lib/stageRegistry');
+
+const TOKEN = 'test-token';
+
+describe('JobServer access checks', () => {
+  let dir;
+  let servers;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'server-'));
+    await fs.ensureDir(path.join(dir, 'shoot'));
+    servers = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(servers.map(server => server.stop()));
+    await fs.remove(dir);
+  });
+
+  /**
+   * Start a server on a free port whose jobs queue without running
+   */
+  const startServer = async (options = {}) => {
+    const server = new JobServer({
+      port: 0,
+      registry: new StageRegistry(),
+      token: TOKEN,
+      maxConcurrent: 0,
+      ...options
+    });
+    servers.push(server);
+    const { port } = await server.start();
+    return port;
+  };
+
+  /**
+   * Send a request, resolving with { statusCode, body }
+   */
+  const request = (port, method, pathname, { headers = {}, body = null } = {}) => new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: pathname, headers }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+
+  const auth = { Authorization: `Bearer ${TOKEN}` };
+
+  const postJob = (port, job, headers = {}) => request(port, 'POST', '/api/jobs', {
+    headers: { ...auth, 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ stage: 'cull', input: path.join(dir, 'shoot'), output: path.join(dir, 'output'), ...job })
+  });
+
+  test('refuses requests without the token with 401', async () => {
+    const port = await startServer();
+
+    expect((await request(port, 'GET', '/api/jobs')).statusCode).toBe(401);
+    expect((await request(port, 'GET', '/api/jobs', { headers: { Authorization: 'Bearer wrong-token' } })).statusCode).toBe(401);
+    expect((await request(port, 'GET', '/api/jobs?token=wrong')).statusCode).toBe(401);
+  });
+
+  test('accepts the token as a bearer header or a query parameter', async () => {
+    const port = await startServer();
+
+    expect((await request(port, 'GET', '/api/jobs', { headers: auth })).statusCode).toBe(200);
+    expect((await request(port, 'GET', `/api/jobs?token=${TOKEN}`)).statusCode).toBe(200);
+  });
+
+  test('refuses other browser origins with 403, even with the token', async () => {
+    const port = await startServer({ allowedOrigins: ['http://localhost:3000'] });
+    const from = origin => request(port, 'GET', '/api/jobs', { headers: { ...auth, Origin: origin } });
+
+    const refused = await from('https://evil.example');
+    expect(refused.statusCode).toBe(403);
+    expect(refused.body.error).toMatch(/https:\/\/evil\.example are not allowed/);
+    expect((await from('http://localhost:3000')).statusCode).toBe(200);
+    expect((await from(`http://127.0.0.1:${port}`)).statusCode).toBe(200);
+  });
+
+  test('refuses POST bodies not sent as JSON with 415', async () => {
+    const port = await startServer();
+
+    expect((await postJob(port, {}, { 'Content-Type': 'text/plain' })).statusCode).toBe(415);
+    expect((await postJob(port, {}, { 'Content-Type': 'application/x-www-form-urlencoded' })).statusCode).toBe(415);
+    expect((await postJob(port, {}, { 'Content-Type': 'application/json; charset=utf-8' })).statusCode).toBe(202);
+  });
+
+  describe('pipeline hooks', () => {
+    beforeEach(async () => {
+      await fs.writeFile(path.join(dir, 'hooked.yml'), 'stages:\n  - name: cull\n    hooks:\n      pre: touch hooked\n');
+    });
+
+    test('are refused with 403 unless the server allows them', async () => {
+      const port = await startServer();
+
+      const refused = await postJob(port, { config: path.join(dir, 'hooked.yml') });
+
+      expect(refused.statusCode).toBe(403);
+      expect(refused.body.error).toMatch(/declares hooks \(cull\).*serve --allow-hooks/);
+      expect((await request(port, 'GET', '/api/jobs', { headers: auth })).body.jobs).toEqual([]);
+    });
+
+    test('are accepted with allowHooks', async () => {
+      const port = await startServer({ allowHooks: true });
+
+      const accepted = await postJob(port, { config: path.join(dir, 'hooked.yml') });
+
+      expect(accepted.statusCode).toBe(202);
+      expect(accepted.body).toMatchObject({ stage: 'cull', status: 'queued' });
+    });
+  });
+});
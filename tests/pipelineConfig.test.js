@@ -0,0 +1,121 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const PipelineConfig = require('../lib/pipelineConfig');
+
+const { PipelineConfigError } = PipelineConfig;
+
+/**
+ * The keys a definition fails validation on
+ */
+const failingKeys = raw => {
+  try {
+    PipelineConfig.validate(raw, 'test.yml');
+  } catch (error) {
+    expect(error).toBeInstanceOf(PipelineConfigError);
+    return error.errors.map(e => e.key);
+  }
+  throw new Error('expected the pipeline to be invalid');
+};
+
+describe('PipelineConfig', () => {
+  test('normalizes stage names and options', () => {
+    const pipeline = PipelineConfig.validate({
+      name: 'wedding',
+      stages: ['convert', { name: 'cull', options: { threshold: 0.8 } }, 'group']
+    }, 'test.yml');
+
+    expect(pipeline.stages.map(stage => stage.name)).toEqual(['convert', 'cull', 'group']);
+    expect(pipeline.stages[1].options).toEqual({ threshold: 0.8 });
+    expect(pipeline.stages[0].hooks).toEqual({ pre: [], post: [] });
+  });
+
+  test('names every bad key', () => {
+    expect(failingKeys({
+      nam: 'typo',
+      stages: [
+        { name: 'convert', options: { quality: 101, resize: 'big' } },
+        { name: 'cull', options: { threshold: 2, colour: true } },
+        'polish'
+      ]
+    })).toEqual([
+      'nam',
+      'stages[0].options.quality',
+      'stages[0].options.resize',
+      'stages[1].options.threshold',
+      'stages[1].options.colour',
+      'stages[2].name'
+    ]);
+  });
+
+  test('requires a stage list', () => {
+    expect(failingKeys({ name: 'empty' })).toEqual(['stages']);
+    expect(failingKeys({ stages: [] })).toEqual(['stages']);
+  });
+
+  test('rejects repeated and reordered stages', () => {
+    expect(failingKeys({ stages: ['convert', 'convert'] })).toEqual(['stages[1].name']);
+    expect(failingKeys({ stages: ['convert', 'group', 'cull'] })).toEqual(['stages[2].name']);
+  });
+
+  test('rejects a stage whose input no earlier stage produces', () => {
+    expect(failingKeys({ stages: ['convert', 'imagen-download'] })).toEqual(['stages[1].name']);
+  });
+
+  test('checks the settings block', () => {
+    expect(failingKeys({
+      settings: { maxCullingBatchSize: 0, noSuchSetting: 1 },
+      stages: ['convert']
+    })).toEqual(['settings.maxCullingBatchSize', 'settings.noSuchSetting']);
+  });
+
+  test('the default pipeline leaves out optional stages', () => {
+    const names = PipelineConfig.createDefault().stages.map(stage => stage.name);
+
+    expect(names).toEqual(['convert', 'cull', 'group', 'imagen-upload', 'imagen-download', 'finalize']);
+  });
+
+  test('stage sequence overrides only the options that are set', () => {
+    const pipeline = new PipelineConfig(PipelineConfig.validate({
+      stages: [{ name: 'convert', options: { quality: 80 } }]
+    }, 'test.yml'), 'test.yml');
+
+    expect(pipeline.buildStageSequence({ mock: undefined })).toEqual([{ name: 'convert', options: { quality: 80 } }]);
+    expect(pipeline.buildStageSequence({ mock: true })[0].options).toEqual({ quality: 80, mock: true });
+  });
+
+  describe('load', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pipeline-'));
+    });
+
+    afterEach(async () => {
+      await fs.remove(dir);
+    });
+
+    test('reads YAML and JSON files, naming the pipeline after the file', async () => {
+      await fs.writeFile(path.join(dir, 'portrait.yml'), 'stages:\n  - convert\n  - name: cull\n    options:\n      threshold: 0.5\n');
+      await fs.writeJson(path.join(dir, 'event.json'), { name: 'Event', stages: ['convert'] });
+
+      const portrait = await PipelineConfig.load(path.join(dir, 'portrait.yml'));
+      const event = await PipelineConfig.load(path.join(dir, 'event.json'));
+
+      expect(portrait.name).toBe('portrait');
+      expect(portrait.getStageOptions('cull')).toEqual({ threshold: 0.5 });
+      expect(portrait.getStageOptions('group')).toBeNull();
+      expect(event.name).toBe('Event');
+    });
+
+    test('reports a file that cannot be parsed', async () => {
+      await fs.writeFile(path.join(dir, 'broken.json'), '{ "stages": [');
+
+      await expect(PipelineConfig.load(path.join(dir, 'broken.json'))).rejects.toThrow(/could not be parsed as JSON/);
+    });
+
+    test('reports a missing file', async () => {
+      await expect(PipelineConfig.load(path.join(dir, 'missing.yml'))).rejects.toThrow(/Pipeline file not found/);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const processRunner = require('../lib/processRunner');
+
+const { ProcessError } = processRunner;
+const NODE = process.execPath;
+
+/**
+ * Run a Node script as the tool
+ */
+const runScript = (script, args = [], options = {}) => processRunner.run(NODE, ['-e', script, ...args], options);
+
+/**
+ * The ProcessError a run rejects with
+ */
+const failure = async promise => {
+  try {
+    await promise;
+  } catch (error) {
+    expect(error).toBeInstanceOf(ProcessError);
+    return error;
+  }
+  throw new Error('expected the run to fail');
+};
+
+describe('processRunner', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'runner-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('passes arguments to the tool as they are, without a shell', async () => {
+    const args = ['it\'s a "quoted" name.ARW', 'two  spaces', '$HOME', '$(touch pwned)', '`touch pwned`', '; touch pwned', '*'];
+
+    const { stdout } = await runScript('process.stdout.write(JSON.stringify(process.argv.slice(1)))', args, { cwd: dir });
+
+    expect(JSON.parse(stdout)).toEqual(args);
+    expect(await fs.readdir(dir)).toEqual([]);
+  });
+
+  test('writes the input to stdin', async () => {
+    const { stdout } = await runScript('process.stdin.pipe(process.stdout)', [], { input: 'from stdin' });
+
+    expect(stdout).toBe('from stdin');
+  });
+
+  test('reports a missing tool as not installed', async () => {
+    const error = await failure(processRunner.run(path.join(dir, 'dcraw'), ['-v']));
+
+    expect(error.message).toBe('dcraw is not installed');
+    expect(error).toMatchObject({ notFound: true, exitCode: null, signal: null });
+  });
+
+  test('reports why a tool that exists could not be started', async () => {
+    const tool = path.join(dir, 'exiftool');
+    await fs.writeFile(tool, '#!/bin/sh\n', { mode: 0o644 });
+
+    const error = await failure(processRunner.run(tool));
+
+    expect(error.message).toBe('exiftool could not be run (EACCES)');
+    expect(error).toMatchObject({ notFound: false, errorCode: 'EACCES', signal: null });
+  });
+
+  test('reports the exit code with the last line of stderr', async () => {
+    const error = await failure(runScript('console.error("reading file"); console.error("Bad RAW header"); process.exit(3)'));
+
+    expect(error.message).toBe(`${path.basename(NODE)} exited with code 3: Bad RAW header`);
+    expect(error.exitCode).toBe(3);
+  });
+
+  test('reports the signal that stopped a tool', async () => {
+    const error = await failure(runScript('process.kill(process.pid, "SIGTERM"); setTimeout(() => {}, 5000)'));
+
+    expect(error.message).toBe(`${path.basename(NODE)} was stopped by SIGTERM`);
+    expect(error).toMatchObject({ signal: 'SIGTERM', exitCode: null, timedOut: false });
+  });
+
+  test('stops a tool that runs past its timeout', async () => {
+    const error = await failure(runScript('setTimeout(() => {}, 10000)', [], { timeout: 200 }));
+
+    expect(error.message).toBe(`${path.basename(NODE)} timed out after 200ms`);
+    expect(error.timedOut).toBe(true);
+  });
+
+  test('logs failures to the audit log', async () => {
+    const events = [];
+    const auditLogger = { logEvent: (type, data, level) => events.push({ type, data, level }) };
+
+    await failure(runScript('process.exit(2)', ['secret-path.ARW'], { auditLogger }));
+
+    expect(events).toEqual([{
+      type: 'process_failed',
+      data: expect.objectContaining({ command: path.basename(NODE), args: 3, exitCode: 2, errorCode: null }),
+      level: 'warn'
+    }]);
+  });
+
+  test('locates tools and reports missing ones', async () => {
+    expect(await processRunner.locate(NODE)).toBe(NODE);
+    expect(await processRunner.isAvailable(path.join(dir, 'missing-tool'))).toBe(false);
+  });
+});
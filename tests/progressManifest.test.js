@@ -0,0 +1,84 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ProgressManifest = require('../lib/progressManifest');
+
+describe('ProgressManifest', () => {
+  let stageDir;
+
+  beforeEach(async () => {
+    stageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'progress-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(stageDir);
+  });
+
+  const open = async () => {
+    const progress = new ProgressManifest({ stageName: 'convert', stageDir });
+    await progress.load();
+    return progress;
+  };
+
+  test('reloads recorded units from disk', async () => {
+    const first = await open();
+    await first.record('a.arw', { output: 'a.jpg' }, 'fp-a');
+    await first.record('b.arw', { output: 'b.jpg' }, 'fp-b');
+
+    const second = await open();
+    expect(second.has('a.arw', 'fp-a')).toBe(true);
+    expect(second.get('b.arw')).toEqual({ output: 'b.jpg' });
+    expect(second.has('c.arw', 'fp-c')).toBe(false);
+  });
+
+  test('treats a unit recorded from other inputs as not done, and counts its rebuild', async () => {
+    const first = await open();
+    await first.record('a.arw', { output: 'a.jpg' }, 'old');
+
+    const second = await open();
+    expect(second.has('a.arw', 'new')).toBe(false);
+    await second.record('a.arw', { output: 'a.jpg' }, 'new');
+    await second.record('b.arw', { output: 'b.jpg' }, 'fp-b');
+
+    expect(second.getStats()).toMatchObject({ recordedUnits: 2, rebuiltUnits: 1, newUnits: 1, rebuilt: ['a.arw'] });
+  });
+
+  test('skips a truncated last line', async () => {
+    const first = await open();
+    await first.record('a.arw', null, 'fp-a');
+    await fs.appendFile(path.join(stageDir, ProgressManifest.MANIFEST_FILE), '{"unit":"b.ar');
+
+    const second = await open();
+    expect(second.units.size).toBe(1);
+    expect(second.has('a.arw', 'fp-a')).toBe(true);
+  });
+
+  test('lists units by prefix, newest first', async () => {
+    const progress = await open();
+    progress.units.set('batch:1', { unit: 'batch:1', completedAt: '2026-01-01T00:00:00.000Z' });
+    progress.units.set('qa:1', { unit: 'qa:1', completedAt: '2026-01-03T00:00:00.000Z' });
+    progress.units.set('batch:2', { unit: 'batch:2', completedAt: '2026-01-02T00:00:00.000Z' });
+
+    expect(progress.list('batch:').map(entry => entry.unit)).toEqual(['batch:2', 'batch:1']);
+  });
+
+  test('reuse returns the recorded data and counts toward the output fingerprint', async () => {
+    const first = await open();
+    await first.record('a.arw', { output: 'a.jpg' }, 'fp-a');
+
+    const second = await open();
+    expect(second.reuse('a.arw')).toEqual({ output: 'a.jpg' });
+    expect(second.getStats()).toMatchObject({ reusedUnits: 1, recordedUnits: 0 });
+    expect(second.getOutputFingerprint('stage')).toBe(first.getOutputFingerprint('stage'));
+    expect(second.getOutputFingerprint('other')).not.toBe(first.getOutputFingerprint('stage'));
+  });
+
+  test('reset forgets every unit', async () => {
+    const progress = await open();
+    await progress.record('a.arw', null, 'fp-a');
+    await progress.reset();
+
+    expect(await fs.pathExists(progress.manifestPath)).toBe(false);
+    expect((await open()).has('a.arw')).toBe(false);
+  });
+});
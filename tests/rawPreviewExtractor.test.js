@@ -0,0 +1,146 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const RawPreviewExtractor = require('../lib/rawPreviewExtractor');
+
+const LONG = 4;
+const JPEG_OFFSET = 0x0201;
+const JPEG_LENGTH = 0x0202;
+const SUB_IFDS = 0x014a;
+
+/**
+ * A JPEG header with a frame of the given size (SOF0, or SOF3 for lossless)
+ */
+const jpeg = (width, height, { lossless = false, padding = 16 } = {}) => {
+  const frame = Buffer.alloc(19);
+  frame.writeUInt16BE(0xffd8, 0);
+  frame.writeUInt16BE(lossless ? 0xffc3 : 0xffc0, 2);
+  frame.writeUInt16BE(17, 4);
+  frame[6] = 8;
+  frame.writeUInt16BE(height, 7);
+  frame.writeUInt16BE(width, 9);
+  return Buffer.concat([frame, Buffer.alloc(padding), Buffer.from([0xff, 0xd9])]);
+};
+
+/**
+ * A little-endian TIFF with a chain of IFDs followed by the blobs. Each
+ * entry is [tag, type, count, value], where value may be a function of
+ * the blob offsets.
+ */
+const tiff = (ifds, blobs) => {
+  const ifdOffsets = [];
+  let at = 8;
+  for (const entries of ifds) {
+    ifdOffsets.push(at);
+    at += 2 + entries.length * 12 + 4;
+  }
+
+  const blobOffsets = [];
+  for (const blob of blobs) {
+    blobOffsets.push(at);
+    at += blob.length;
+  }
+
+  const buffer = Buffer.alloc(at);
+  buffer.write('II', 0, 'latin1');
+  buffer.writeUInt16LE(42, 2);
+  buffer.writeUInt32LE(8, 4);
+
+  ifds.forEach((entries, i) => {
+    let offset = ifdOffsets[i];
+    buffer.writeUInt16LE(entries.length, offset);
+    offset += 2;
+
+    for (const [tag, type, count, value] of entries) {
+      buffer.writeUInt16LE(tag, offset);
+      buffer.writeUInt16LE(type, offset + 2);
+      buffer.writeUInt32LE(count, offset + 4);
+      buffer.writeUInt32LE(typeof value === 'function' ? value(blobOffsets) : value, offset + 8);
+      offset += 12;
+    }
+
+    buffer.writeUInt32LE(ifdOffsets[i + 1] || 0, offset);
+  });
+
+  blobs.forEach((blob, i) => blob.copy(buffer, blobOffsets[i]));
+  return buffer;
+};
+
+/**
+ * IFD entries pointing at blob i
+ */
+const preview = (blobs, i) => [
+  [JPEG_OFFSET, LONG, 1, offsets => offsets[i]],
+  [JPEG_LENGTH, LONG, 1, blobs[i].length]
+];
+
+describe('RawPreviewExtractor', () => {
+  let dir;
+  let extractor;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'preview-'));
+    extractor = new RawPreviewExtractor();
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  const writeRaw = async buffer => {
+    const file = path.join(dir, 'frame.arw');
+    await fs.writeFile(file, buffer);
+    return file;
+  };
+
+  test('copies the largest JPEG in the IFD chain byte for byte', async () => {
+    const blobs = [jpeg(160, 120), jpeg(1600, 1200)];
+    const file = await writeRaw(tiff([preview(blobs, 0), preview(blobs, 1)], blobs));
+    const output = path.join(dir, 'frame.jpg');
+
+    const result = await extractor.extract(file, output);
+
+    expect(result).toMatchObject({ success: true, source: 'IFD1', dimensions: { width: 1600, height: 1200 } });
+    expect(await fs.readFile(output)).toEqual(blobs[1]);
+  });
+
+  test('skips lossless JPEG streams, which hold sensor data', async () => {
+    const blobs = [jpeg(640, 480), jpeg(6000, 4000, { lossless: true })];
+    const file = await writeRaw(tiff([preview(blobs, 0), preview(blobs, 1)], blobs));
+
+    const previews = await extractor.findPreviews(file);
+
+    expect(previews.map(p => [p.width, p.height])).toEqual([[640, 480]]);
+  });
+
+  test('keeps the previews found so far when a SubIFD pointer is damaged', async () => {
+    const blobs = [jpeg(160, 120), jpeg(1600, 1200)];
+    const file = await writeRaw(tiff([
+      [...preview(blobs, 0), [SUB_IFDS, LONG, 2, 0x7ffffff0]],
+      preview(blobs, 1)
+    ], blobs));
+
+    const previews = await extractor.findPreviews(file);
+
+    expect(previews.map(p => p.source)).toEqual(['IFD0', 'IFD1']);
+  });
+
+  test('goes on past an IFD whose preview tags are damaged', async () => {
+    const blobs = [jpeg(1600, 1200)];
+    const file = await writeRaw(tiff([
+      [[JPEG_OFFSET, LONG, 2, 0x7ffffff0]],
+      preview(blobs, 0)
+    ], blobs));
+
+    const previews = await extractor.findPreviews(file);
+
+    expect(previews.map(p => p.source)).toEqual(['IFD1']);
+  });
+
+  test('reports a file with no embedded JPEG', async () => {
+    const file = await writeRaw(Buffer.from('not a raw file at all'));
+
+    expect(await extractor.extract(file, path.join(dir, 'frame.jpg'))).toEqual({ success: false, reason: 'No embedded JPEG found' });
+    expect(await fs.pathExists(path.join(dir, 'frame.jpg'))).toBe(false);
+  });
+});
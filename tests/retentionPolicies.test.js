@@ -0,0 +1,115 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const RetentionPolicies = require('../lib/retentionPolicies');
+const StageOrchestrator = require('../lib/stageOrchestrator');
+
+const { KEEP, PRUNE } = RetentionPolicies;
+
+const auditLogger = {
+  logEvent: () => {},
+  logDecision: () => {},
+  logError: () => {}
+};
+
+describe('retention policies', () => {
+  test('final-only prunes built-in stages but keeps deliverables and plugins', () => {
+    const policy = RetentionPolicies.getPolicy('final-only');
+
+    expect(RetentionPolicies.getStageAction(policy, 'convert', true)).toBe(PRUNE);
+    expect(RetentionPolicies.getStageAction(policy, 'finalize', true)).toBe(KEEP);
+    expect(RetentionPolicies.getStageAction(policy, 'watermark', false)).toBe(KEEP);
+  });
+
+  test('never prunes ingested originals', () => {
+    const policy = RetentionPolicies.createKeepPolicy(['finalize']);
+
+    expect(RetentionPolicies.getStageAction(policy, 'ingest', true)).toBe(KEEP);
+    expect(RetentionPolicies.getStageAction(policy, 'watermark', false)).toBe(PRUNE);
+  });
+
+  test('rejects an unknown policy', () => {
+    expect(() => RetentionPolicies.getPolicy('everything')).toThrow(/Unknown retention policy/);
+  });
+
+  test('tells images and scratch files apart', () => {
+    expect(RetentionPolicies.isImageFile('Group_1/a.JPG')).toBe(true);
+    expect(RetentionPolicies.isImageFile('culling_report.json')).toBe(false);
+    expect(RetentionPolicies.isTempFile('convert/temp_decode.jpg')).toBe(true);
+  });
+});
+
+describe('cleanup planning', () => {
+  let outputDir;
+  let orchestrator;
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cleanup-'));
+    orchestrator = new StageOrchestrator({ inputDir: outputDir, outputDir, auditLogger });
+  });
+
+  afterEach(async () => {
+    await fs.remove(outputDir);
+  });
+
+  /**
+   * Write a completed stage with the given files
+   */
+  const completeStage = async (stage, files = []) => {
+    const stageDir = path.join(outputDir, stage);
+    await fs.ensureDir(stageDir);
+    await fs.writeJson(path.join(stageDir, '.stage_completed'), { stage });
+    for (const file of files) {
+      await fs.outputFile(path.join(stageDir, file), 'image');
+    }
+  };
+
+  const planFor = async (stage, policy = 'final-only') =>
+    (await orchestrator.planCleanup(RetentionPolicies.getPolicy(policy))).stages.find(plan => plan.stage === stage);
+
+  const completeDefaultRun = async () => {
+    await completeStage('convert', ['a.jpg', 'conversion_report.json']);
+    await completeStage('cull', ['a.jpg']);
+    await completeStage('group', ['Group_1/a.jpg']);
+    await completeStage('imagen-upload');
+    await completeStage('imagen-download', ['a.jpg']);
+    await completeStage('finalize', ['high-resolution/a.jpg']);
+  };
+
+  test('prunes the images of a finished run and keeps its reports and deliverables', async () => {
+    await completeDefaultRun();
+
+    const convert = await planFor('convert');
+    expect(convert.skipped).toBeNull();
+    expect(convert.files.map(file => file.path)).toEqual(['a.jpg']);
+    expect((await planFor('finalize')).files).toEqual([]);
+  });
+
+  test('keeps a stage a later stage has yet to read', async () => {
+    await completeStage('convert', ['a.jpg']);
+
+    expect((await planFor('convert')).skipped).toMatch(/still needed by cull \(not started\)/);
+  });
+
+  test('an optional stage that never ran does not hold up cleanup', async () => {
+    await completeDefaultRun();
+
+    // social-select reads the group folders, but the default pipeline leaves it out
+    expect((await planFor('group')).skipped).toBeNull();
+  });
+
+  test('keeps a stage other stages link to', async () => {
+    await completeDefaultRun();
+    await fs.ensureDir(path.join(outputDir, 'finalize', 'thumbnails'));
+    await fs.symlink(path.join(outputDir, 'convert', 'a.jpg'), path.join(outputDir, 'finalize', 'thumbnails', 'a.jpg'));
+
+    expect((await planFor('convert')).skipped).toBe('linked to from finalize');
+  });
+
+  test('the temp policy only removes scratch files', async () => {
+    await completeDefaultRun();
+    await fs.outputFile(path.join(outputDir, 'convert', 'temp_decode.jpg'), 'scratch');
+
+    expect((await planFor('convert', 'temp')).files.map(file => file.path)).toEqual(['temp_decode.jpg']);
+  });
+});
@@ -0,0 +1,193 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const Settings = require('../lib/settings');
+
+const { SettingsError, DEFINITIONS } = Settings;
+
+/**
+ * Resolve with an empty environment unless one is given
+ */
+const resolve = (options = {}) => Settings.resolve({ env: {}, ...options });
+
+describe('Settings', () => {
+  describe('layering', () => {
+    test('falls back to the defaults', () => {
+      const settings = resolve();
+
+      expect(settings.get('maxCullingBatchSize')).toBe(25);
+      expect(settings.describe().find(entry => entry.key === 'maxCullingBatchSize').source).toBe('default');
+    });
+
+    test('takes the command line over the pipeline file over the environment', () => {
+      const env = { MAX_CULLING_BATCH_SIZE: '10', MAX_API_RETRIES: '5', API_RETRY_DELAY: '100' };
+      const settings = resolve({
+        env,
+        file: { maxCullingBatchSize: 15, maxApiRetries: 1 },
+        fileSource: 'wedding.yml',
+        overrides: { maxCullingBatchSize: '20' }
+      });
+
+      expect(settings.get('maxCullingBatchSize')).toBe(20);
+      expect(settings.get('maxApiRetries')).toBe(1);
+      expect(settings.get('apiRetryDelay')).toBe(100);
+      expect(settings.sources.maxApiRetries).toEqual({ source: 'wedding.yml', label: 'settings.maxApiRetries' });
+    });
+
+    test('treats an empty environment variable as unset', () => {
+      expect(resolve({ env: { DEFAULT_JPEG_QUALITY: '' } }).get('defaultJpegQuality')).toBe(90);
+    });
+
+    test('reads plugin settings from the environment only', () => {
+      expect(() => resolve({ file: { plugins: ['./watermark'] } })).toThrow(SettingsError);
+      expect(resolve({ env: { PHOTO_WORKFLOW_PLUGINS: 'a, b' } }).get('plugins')).toEqual(['a', 'b']);
+    });
+
+    test('names every bad value and unknown key in one error', () => {
+      let error;
+      try {
+        resolve({
+          env: { DEFAULT_CULLING_THRESHOLD: '2' },
+          file: { auditLogLevel: 'loud' },
+          fileSource: 'event.yml',
+          overrides: { maxApiRetries: 'many', colour: 'red' }
+        });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toBeInstanceOf(SettingsError);
+      expect(error.errors.map(e => e.key)).toEqual([
+        'DEFAULT_CULLING_THRESHOLD (environment)',
+        '--set maxApiRetries',
+        'settings.auditLogLevel (event.yml)',
+        '--set colour'
+      ]);
+    });
+  });
+
+  describe('parsing', () => {
+    const parse = (key, raw) => Settings.parseValue(DEFINITIONS[key], raw);
+
+    test('parses booleans, numbers and enums from strings', () => {
+      expect(parse('enableMockAi', 'TRUE')).toBe(true);
+      expect(parse('defaultCullingThreshold', '0.5')).toBe(0.5);
+      expect(parse('auditLogLevel', 'WARN')).toBe('warn');
+    });
+
+    test('enforces whole numbers and ranges', () => {
+      expect(() => parse('maxCullingBatchSize', '2.5')).toThrow('must be a whole number of at least 1');
+      expect(() => parse('defaultJpegQuality', 0)).toThrow('between 1 and 100');
+      expect(() => parse('apiRequestTimeout', '')).toThrow();
+    });
+
+    test('normalizes extension lists', () => {
+      expect(parse('supportedRawFormats', 'ARW, .nef')).toEqual(['.arw', '.nef']);
+      expect(() => parse('supportedRawFormats', ' , ')).toThrow(/at least one/);
+    });
+
+    test('checks sizes and URLs', () => {
+      expect(parse('defaultResize', '2048x1536')).toBe('2048x1536');
+      expect(() => parse('defaultResize', 'large')).toThrow(/size like/);
+      expect(() => parse('imagenApiUrl', 'ftp://example.com')).toThrow(/http/);
+    });
+  });
+
+  describe('file settings', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'settings-'));
+      await fs.writeFile(path.join(dir, 'profiles.yml'), 'profiles: {}\n');
+    });
+
+    afterEach(async () => {
+      await fs.remove(dir);
+    });
+
+    test('resolve a pipeline file path against its folder', () => {
+      const settings = resolve({ file: { developmentProfilesPath: 'profiles.yml' }, fileDir: dir });
+
+      expect(settings.get('developmentProfilesPath')).toBe(path.join(dir, 'profiles.yml'));
+    });
+
+    test('must exist', () => {
+      expect(() => resolve({ overrides: { developmentProfilesPath: path.join(dir, 'missing.yml') } })).toThrow(/file not found/);
+    });
+  });
+
+  describe('single-stage commands', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'settings-'));
+      await fs.ensureDir(path.join(dir, 'shoot'));
+
+      // A plugin stage that records the settings it was run with
+      await fs.outputFile(path.join(dir, 'plugins', 'probe.js'), `
+        const fs = require('fs');
+        const path = require('path');
+        module.exports = {
+          name: 'probe',
+          description: 'Record settings',
+          inputs: ['raw'],
+          outputs: ['probe'],
+          async execute({ outputPath, settings }) {
+            fs.mkdirSync(outputPath, { recursive: true });
+            fs.writeFileSync(path.join(outputPath, 'settings.json'), JSON.stringify(settings.toJSON()));
+            return { success: true, filesProcessed: 0 };
+          }
+        };
+      `);
+      await fs.writeFile(path.join(dir, 'pipeline.yml'), 'stages: [probe]\nsettings:\n  maxApiRetries: 7\n  apiRetryDelay: 50\n');
+    });
+
+    afterEach(async () => {
+      await fs.remove(dir);
+    });
+
+    /**
+     * Run the probe stage through the CLI and read back its settings
+     */
+    const runProbe = async (...args) => {
+      const env = { ...process.env };
+      delete env.MAX_API_RETRIES;
+      delete env.API_RETRY_DELAY;
+
+      await new Promise((resolve, reject) => {
+        execFile(process.execPath, [path.join(__dirname, '..', 'photo-workflow-cli.js'), ...args, '-i', 'shoot', '-o', 'output', 'probe'],
+          { cwd: dir, env, timeout: 60000 },
+          error => (error ? reject(error) : resolve()));
+      });
+
+      return fs.readJson(path.join(dir, 'output', 'probe', 'settings.json'));
+    };
+
+    test('take the pipeline file settings, as run-all does', async () => {
+      const settings = await runProbe('--config', 'pipeline.yml');
+
+      expect(settings.maxApiRetries).toBe(7);
+      expect(settings.apiRetryDelay).toBe(50);
+    }, 60000);
+
+    test('still let --set win over the pipeline file', async () => {
+      const settings = await runProbe('--config', 'pipeline.yml', '--set', 'maxApiRetries=4');
+
+      expect(settings.maxApiRetries).toBe(4);
+      expect(settings.apiRetryDelay).toBe(50);
+    }, 60000);
+  });
+
+  test('masks secrets when described', () => {
+    const settings = resolve({ env: { GEMINI_API_KEY: 'abcdefghijkl' } });
+
+    expect(settings.get('geminiApiKey')).toBe('abcdefghijkl');
+    expect(settings.toJSON().geminiApiKey).toBe('****ijkl');
+  });
+
+  test('parses --set assignments', () => {
+    expect(Settings.parseAssignments(['maxApiRetries=5', 'defaultResize=1x1'])).toEqual({ maxApiRetries: '5', defaultResize: '1x1' });
+    expect(() => Settings.parseAssignments(['maxApiRetries'])).toThrow(SettingsError);
+  });
+});
@@ -0,0 +1,134 @@
+const SocialSelectStage = require('../stages/socialSelectStage');
+
+/**
+ * A candidate as loadCandidates builds it
+ */
+const candidate = (fileName, score, { group = null, duplicateSet = null, isHeroShot = false, reasoning = null } = {}) => ({
+  path: `/shoot/${group || ''}/${fileName}`,
+  fileName,
+  group,
+  rating: score,
+  isHeroShot,
+  reasoning,
+  duplicateSet,
+  score
+});
+
+const names = picks => picks.map(pick => pick.fileName);
+
+describe('SocialSelectStage', () => {
+  const stage = new SocialSelectStage();
+
+  describe('pickImages', () => {
+    test('picks the highest scores first, breaking ties by name', () => {
+      const picks = stage.pickImages([
+        candidate('c.jpg', 0.7),
+        candidate('a.jpg', 0.9),
+        candidate('b.jpg', 0.7)
+      ], 3);
+
+      expect(names(picks)).toEqual(['a.jpg', 'b.jpg', 'c.jpg']);
+    });
+
+    test('spreads picks across groups', () => {
+      const picks = stage.pickImages([
+        candidate('ceremony-1.jpg', 0.95, { group: 'Group_01' }),
+        candidate('ceremony-2.jpg', 0.9, { group: 'Group_01' }),
+        candidate('ceremony-3.jpg', 0.85, { group: 'Group_01' }),
+        candidate('portrait-1.jpg', 0.8, { group: 'Group_02' }),
+        candidate('party-1.jpg', 0.6, { group: 'Group_03' })
+      ], 4);
+
+      // ceremony-2 ranks 0.7 after one ceremony pick, below portrait-1;
+      // after portrait-1 it beats party-1 (0.6)
+      expect(names(picks)).toEqual(['ceremony-1.jpg', 'portrait-1.jpg', 'ceremony-2.jpg', 'party-1.jpg']);
+    });
+
+    test('still repeats a group whose next frame is far stronger', () => {
+      const picks = stage.pickImages([
+        candidate('first-look-1.jpg', 1, { group: 'Group_01' }),
+        candidate('first-look-2.jpg', 0.95, { group: 'Group_01' }),
+        candidate('details.jpg', 0.5, { group: 'Group_02' })
+      ], 2);
+
+      expect(names(picks)).toEqual(['first-look-1.jpg', 'first-look-2.jpg']);
+    });
+
+    test('takes a second frame of a duplicate set only when nothing else is left', () => {
+      const candidates = [
+        candidate('kiss-1.jpg', 0.95, { duplicateSet: 1 }),
+        candidate('kiss-2.jpg', 0.94, { duplicateSet: 1 }),
+        candidate('rings.jpg', 0.5),
+        candidate('toast-1.jpg', 0.6, { duplicateSet: 2 }),
+        candidate('toast-2.jpg', 0.9, { duplicateSet: 2 })
+      ];
+
+      expect(names(stage.pickImages(candidates, 3))).toEqual(['kiss-1.jpg', 'toast-2.jpg', 'rings.jpg']);
+      expect(names(stage.pickImages(candidates, 5))).toEqual(['kiss-1.jpg', 'toast-2.jpg', 'rings.jpg', 'kiss-2.jpg', 'toast-1.jpg']);
+    });
+
+    test('ranks hero shots through their score bonus', () => {
+      const picks = stage.pickImages([
+        candidate('sharp.jpg', 0.8),
+        candidate('hero.jpg', 0.7 + 0.25, { isHeroShot: true })
+      ], 1);
+
+      expect(names(picks)).toEqual(['hero.jpg']);
+    });
+
+    test('returns every candidate when asked for more', () => {
+      expect(stage.pickImages([candidate('a.jpg', 0.5)], 5)).toHaveLength(1);
+      expect(stage.pickImages([], 5)).toEqual([]);
+    });
+  });
+
+  describe('draftCaption', () => {
+    const project = {
+      shootType: 'wedding',
+      venue: 'Hill House',
+      studio: { name: 'North Light Studio' },
+      getClientLabel: () => 'Anna & Ben'
+    };
+
+    test('describes the image after the shoot line', () => {
+      const pick = candidate('a.jpg', 0.95, {
+        group: 'Group_03_2024-06-01_14-32',
+        isHeroShot: true,
+        reasoning: 'captures genuine emotion between the couple. Slight motion blur on the left.'
+      });
+
+      expect(stage.draftCaption(pick, 0, 5, project)).toBe([
+        'Sneak peek from Anna & Ben\'s wedding at Hill House (1/5)',
+        'Hero shot from moment 3, 14:32: Captures genuine emotion between the couple.',
+        'Photos: North Light Studio'
+      ].join('\n'));
+    });
+
+    test('gives different picks different drafts', () => {
+      const captions = [
+        candidate('a.jpg', 0.9, { group: 'Group_01_undated', reasoning: 'Strong backlight and a relaxed pose' }),
+        candidate('b.jpg', 0.8, { group: 'Group_02_2024-06-01_18-05' })
+      ].map((pick, index) => stage.draftCaption(pick, index, 2));
+
+      expect(captions).toEqual([
+        'Sneak peek (1/2)\nFrom moment 1: Strong backlight and a relaxed pose.',
+        'Sneak peek (2/2)\nFrom moment 2, 18:05'
+      ]);
+    });
+
+    test('leaves out reasons that say nothing about the image', () => {
+      const pick = candidate('a.jpg', 0.5, { reasoning: 'Basic heuristic rating (AI unavailable)' });
+
+      expect(stage.draftCaption(pick, 1, 3)).toBe('Sneak peek (2/3)');
+    });
+
+    test('shortens long reasons at a word boundary', () => {
+      const pick = candidate('a.jpg', 0.9, { reasoning: `Beautiful ${'golden light across the whole frame, '.repeat(8)}` });
+
+      const [, line] = stage.draftCaption(pick, 0, 1).split('\n');
+
+      expect(line.length).toBeLessThanOrEqual(161);
+      expect(line).toMatch(/^Beautiful golden light.* frame…$/);
+    });
+  });
+});
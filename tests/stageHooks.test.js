@@ -0,0 +1,104 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const AuditLogger = require('../lib/auditLogger');
+const HotFolderWatcher = require('../lib/hotFolderWatcher');
+const PipelineConfig = require('../lib/pipelineConfig');
+const Settings = require('../lib/settings');
+const StageRegistry = require('../lib/stageRegistry');
+
+const CLI = path.join(__dirname, '..', 'photo-workflow-cli.js');
+
+// A plugin stage that does nothing, so hooks can be run without RAW tools
+const PROBE_PLUGIN = `
+module.exports = {
+  name: 'probe',
+  description: 'Do nothing',
+  inputs: ['raw'],
+  outputs: ['probe'],
+  async execute() {
+    return { success: true, filesProcessed: 0 };
+  }
+};
+`;
+
+/**
+ * Run the CLI from a folder, resolving with its exit code and output
+ */
+const runCli = (cwd, args) => new Promise(resolve => {
+  execFile(process.execPath, [CLI, ...args], { cwd, timeout: 60000, env: { ...process.env, PHOTO_WORKFLOW_PLUGIN_DIR: '' } }, (error, stdout, stderr) => {
+    resolve({ code: error ? error.code : 0, stdout, stderr });
+  });
+});
+
+describe('stage hooks', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'hooks-'));
+    await fs.ensureDir(path.join(dir, 'shoot'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  const readLog = async () => (await fs.readFile(path.join(dir, 'hooks.log'), 'utf8')).split('\n').filter(Boolean);
+
+  test('run around a single stage run from --config', async () => {
+    await fs.outputFile(path.join(dir, 'plugins', 'probe.js'), PROBE_PLUGIN);
+    await fs.writeFile(path.join(dir, 'pipeline.yml'), [
+      'stages:',
+      '  - name: probe',
+      '    hooks:',
+      '      pre: echo "pre $PHOTO_WORKFLOW_STAGE" >> hooks.log',
+      '      post: echo "post $PHOTO_WORKFLOW_STAGE" >> hooks.log',
+      ''
+    ].join('\n'));
+
+    const { code } = await runCli(dir, ['--config', 'pipeline.yml', '-i', 'shoot', '-o', 'output', 'probe']);
+
+    expect(code).toBe(0);
+    expect(await readLog()).toEqual(['pre probe', 'post probe']);
+  }, 60000);
+
+  test('run around the stages of a watch cycle', async () => {
+    await fs.writeFile(path.join(dir, 'shoot', 'a.arw'), 'not really a RAW file');
+    await fs.writeFile(path.join(dir, 'pipeline.yml'), [
+      'stages:',
+      '  - name: convert',
+      '    hooks:',
+      '      pre: echo "pre $PHOTO_WORKFLOW_STAGE" >> hooks.log; exit 3',
+      ''
+    ].join('\n'));
+
+    const registry = new StageRegistry();
+    const settings = Settings.resolve({ env: {} });
+    const auditLogger = new AuditLogger({ outputDir: path.join(dir, 'output'), stageName: 'watch', settings });
+    const watcher = new HotFolderWatcher({
+      inputDir: path.join(dir, 'shoot'),
+      outputDir: path.join(dir, 'output'),
+      auditLogger,
+      registry,
+      settings,
+      pipeline: await PipelineConfig.load(path.join(dir, 'pipeline.yml'), registry),
+      interval: 0.01,
+      stablePolls: 1
+    });
+
+    // The vetoing pre hook ends the first convert; stop watching there
+    auditLogger.on('entry', entry => {
+      if (entry.eventType === 'hook_run') {
+        watcher.stop();
+      }
+    });
+
+    // Without hooks the watcher would never stop on its own
+    const timer = setTimeout(() => watcher.stop(), 3000);
+    const stats = await watcher.start().finally(() => clearTimeout(timer));
+
+    expect(await readLog()).toEqual(['pre convert']);
+    expect(stats.failures).toBe(1);
+  });
+});
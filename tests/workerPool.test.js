@@ -0,0 +1,101 @@
+const WorkerPool = require('../lib/workerPool');
+
+/**
+ * Audit logger that keeps every call
+ */
+const recordingLogger = () => {
+  const calls = [];
+  const record = method => (...args) => calls.push([method, ...args]);
+
+  return {
+    calls,
+    logEvent: record('logEvent'),
+    logDecision: record('logDecision'),
+    logError: record('logError'),
+    logFallback: record('logFallback'),
+    logPerformance: record('logPerformance'),
+    logProgress: record('logProgress')
+  };
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('WorkerPool', () => {
+  test('returns outcomes in input order whatever finishes first', async () => {
+    const pool = new WorkerPool({ concurrency: 3 });
+    const finished = [];
+
+    const outcomes = await pool.run([30, 10, 20], async delay => {
+      await sleep(delay);
+      finished.push(delay);
+      return delay * 2;
+    });
+
+    expect(finished).toEqual([10, 20, 30]);
+    expect(outcomes.map(outcome => outcome.value)).toEqual([60, 20, 40]);
+    expect(outcomes.map(outcome => outcome.index)).toEqual([0, 1, 2]);
+  });
+
+  test('never runs more tasks at once than its concurrency', async () => {
+    const pool = new WorkerPool({ concurrency: 2 });
+    let running = 0;
+    let peak = 0;
+
+    await pool.run([1, 2, 3, 4, 5], async () => {
+      peak = Math.max(peak, ++running);
+      await sleep(5);
+      running--;
+    });
+
+    expect(peak).toBe(2);
+  });
+
+  test('captures a failing item without stopping the others', async () => {
+    const pool = new WorkerPool({ concurrency: 2 });
+
+    const outcomes = await pool.run(['a', 'bad', 'c'], async item => {
+      if (item === 'bad') throw new Error('corrupt file');
+      return item.toUpperCase();
+    });
+
+    expect(outcomes.map(outcome => outcome.value)).toEqual(['A', undefined, 'C']);
+    expect(outcomes[1].error.message).toBe('corrupt file');
+  });
+
+  test('replays task logs in input order', async () => {
+    const auditLogger = recordingLogger();
+    const pool = new WorkerPool({ concurrency: 3, auditLogger });
+
+    await pool.run(['slow.arw', 'fast.arw'], async (item, { auditLogger: taskLogger }) => {
+      await sleep(item === 'slow.arw' ? 20 : 1);
+      taskLogger.logEvent('file_converted', { file: item });
+    });
+
+    const converted = auditLogger.calls
+      .filter(([method, event]) => method === 'logEvent' && event === 'file_converted')
+      .map(([, , data]) => data.file);
+    expect(converted).toEqual(['slow.arw', 'fast.arw']);
+  });
+
+  test('fails the items not started when cancelled', async () => {
+    const controller = new AbortController();
+    const pool = new WorkerPool({ concurrency: 1, signal: controller.signal });
+    const started = [];
+
+    const outcomes = await pool.run(['a', 'b', 'c'], async item => {
+      started.push(item);
+      if (item === 'a') controller.abort(new Error('Cancelled'));
+      return item;
+    });
+
+    expect(started).toEqual(['a']);
+    expect(outcomes[0]).toMatchObject({ value: 'a', error: null });
+    expect(outcomes.slice(1).map(outcome => outcome.error.message)).toEqual(['Cancelled', 'Cancelled']);
+  });
+
+  test('falls back to one task per CPU for a missing or bad --jobs', () => {
+    expect(WorkerPool.resolveConcurrency('4')).toBe(4);
+    expect(WorkerPool.resolveConcurrency('0')).toBe(WorkerPool.defaultConcurrency());
+    expect(WorkerPool.resolveConcurrency(undefined)).toBe(WorkerPool.defaultConcurrency());
+  });
+});